@@ -5,6 +5,8 @@ const MTAConnector = require('../src/connectors/mta/MTAConnector');
 const TrafficConnector = require('../src/connectors/traffic/TrafficConnector');
 const DataIngestionService = require('../src/pipeline/ingestion/DataIngestionService');
 const { getLogger } = require('../src/utils/Logger');
+const { getStationRegistry } = require('../src/reference/StationRegistry');
+const AlertEngine = require('../src/alerts/AlertEngine');
 
 /**
  * Multi-Modal Urban Intelligence System
@@ -13,6 +15,7 @@ const { getLogger } = require('../src/utils/Logger');
 class MultiModalIntelligence {
     constructor() {
         this.logger = getLogger('MultiModal');
+        this.stationRegistry = getStationRegistry();
         this.pipeline = null;
         this.latestData = {
             subway: null,
@@ -20,6 +23,7 @@ class MultiModalIntelligence {
         };
         this.correlations = [];
         this.unifiedAlerts = [];
+        this.alertEngine = null;
     }
 
     async initialize() {
@@ -46,7 +50,7 @@ class MultiModalIntelligence {
         // Create connectors
         const mtaConnector = new MTAConnector({
             apiKey: process.env.MTA_API_KEY,
-            feedId: 1, // 1,2,3,4,5,6,S lines
+            feeds: 'all', // every NYCT subway feed
             pollInterval: 30000 // 30 seconds
         });
 
@@ -85,6 +89,23 @@ class MultiModalIntelligence {
         this.pipeline.on('error', (error) => {
             this.logger.error('Pipeline error:', error);
         });
+
+        // Single-source alerts (route delays, severe events near stations, ...) come from rules
+        this.alertEngine = new AlertEngine();
+        this.alertEngine.start(this.pipeline.messageQueue);
+        this.alertEngine.on('alert', alert => this.printRuleAlert(alert));
+        this.alertEngine.on('alertResolved', alert => this.printRuleAlert(alert));
+    }
+
+    printRuleAlert(alert) {
+        const severityEmoji = {
+            'severe': '🔴',
+            'major': '🟠',
+            'moderate': '🟡',
+            'minor': '🟢'
+        }[alert.severity] || '⚪';
+
+        console.log(`\n${alert.status === 'resolved' ? '✅' : severityEmoji} [${alert.ruleName}] ${alert.message}`);
     }
 
     processSubwayData(data) {
@@ -207,7 +228,7 @@ class MultiModalIntelligence {
         }
 
         // Generate unified alerts
-        this.generateUnifiedAlerts(correlations, boroughImpacts, cascadingDelays);
+        this.generateUnifiedAlerts(boroughImpacts, cascadingDelays);
 
         // Calculate unified urban health score
         const healthScore = this.calculateUrbanHealthScore();
@@ -224,45 +245,38 @@ class MultiModalIntelligence {
 
     findTrafficNearSubwayStations() {
         const correlations = [];
-        const majorStations = {
-            'Times Square': { lat: 40.7580, lon: -73.9855, lines: ['1','2','3','7','N','Q','R','W','S'] },
-            'Grand Central': { lat: 40.7527, lon: -73.9772, lines: ['4','5','6','7','S'] },
-            'Union Square': { lat: 40.7359, lon: -73.9911, lines: ['4','5','6','L','N','Q','R','W'] },
-            'Atlantic Terminal': { lat: 40.6842, lon: -73.9766, lines: ['B','D','N','Q','R','2','3','4','5'] },
-            'Penn Station': { lat: 40.7505, lon: -73.9934, lines: ['1','2','3','A','C','E'] }
-        };
+        const seenComplexes = new Set();
 
-        // Check traffic events near stations
-        for (const [stationName, station] of Object.entries(majorStations)) {
-            const nearbyTraffic = this.latestData.traffic?.events?.filter(event => {
-                if (!event.location.lat || !event.location.lon) return false;
-                const distance = this.calculateDistance(
-                    station.lat, station.lon,
-                    event.location.lat, event.location.lon
-                );
-                return distance < 0.5; // Within 500 meters
-            }) || [];
-
-            if (nearbyTraffic.length > 0) {
-                const severeTraffic = nearbyTraffic.find(e => 
-                    ['major', 'severe'].includes(e.severity)
-                );
-                
-                if (severeTraffic) {
-                    correlations.push({
-                        station: stationName,
-                        affectedLines: station.lines,
-                        trafficType: severeTraffic.type,
-                        severity: severeTraffic.severity,
-                        roadway: severeTraffic.location.roadway || 'nearby road',
-                        distance: this.calculateDistance(
-                            station.lat, station.lon,
-                            severeTraffic.location.lat, severeTraffic.location.lon
-                        )
-                    });
-                }
-            }
-        }
+        const severeTraffic = (this.latestData.traffic?.events || []).filter(event =>
+            event.location.lat && event.location.lon &&
+            ['major', 'severe'].includes(event.severity)
+        );
+
+        // Stations within 500 meters of a severe traffic event, each complex
+        // attributed to its closest event
+        const matches = severeTraffic.flatMap(event =>
+            this.stationRegistry
+                .findWithinRadius(event.location.lat, event.location.lon, 0.5)
+                .map(({ station, distanceKm }) => ({ event, station, distanceKm }))
+        ).sort((a, b) => a.distanceKm - b.distanceKm);
+
+        matches.forEach(({ event, station, distanceKm }) => {
+            if (seenComplexes.has(station.complexId)) return;
+            seenComplexes.add(station.complexId);
+
+            const complexRoutes = this.stationRegistry
+                .getComplex(station.complexId)
+                .flatMap(platform => platform.routes);
+
+            correlations.push({
+                station: station.name,
+                affectedLines: [...new Set(complexRoutes)],
+                trafficType: event.type,
+                severity: event.severity,
+                roadway: event.location.roadway || 'nearby road',
+                distance: distanceKm
+            });
+        });
 
         return correlations;
     }
@@ -342,21 +356,11 @@ class MultiModalIntelligence {
         return cascades;
     }
 
-    generateUnifiedAlerts(correlations, boroughImpacts, cascadingDelays) {
+    generateUnifiedAlerts(boroughImpacts, cascadingDelays) {
         this.unifiedAlerts = [];
 
-        // Alert for traffic affecting subway stations
-        correlations.forEach(correlation => {
-            this.unifiedAlerts.push({
-                type: 'STATION_ACCESS_IMPACT',
-                severity: 'HIGH',
-                title: `${correlation.station} Station Access Impacted`,
-                message: `${correlation.severity} ${correlation.trafficType} on ${correlation.roadway} affecting access to ${correlation.station}. Lines affected: ${correlation.affectedLines.join(', ')}`,
-                timestamp: Date.now(),
-                location: correlation.station,
-                dataSource: ['traffic', 'subway']
-            });
-        });
+        // Traffic affecting subway stations is alerted by the
+        // severe-event-near-station rule of the alert engine
 
         // Alert for borough-wide impacts
         boroughImpacts.filter(i => i.correlationStrength === 'strong').forEach(impact => {
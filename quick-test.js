@@ -3,6 +3,7 @@ require('dotenv').config();
 
 const MTAConnector = require('./src/connectors/mta/MTAConnector');
 const DataIngestionService = require('./src/pipeline/ingestion/DataIngestionService');
+const ApiServer = require('./src/api/ApiServer');
 
 /**
  * Quick test to see our system working with real MTA data
@@ -33,10 +34,11 @@ async function quickTest() {
         healthCheckInterval: 30000
     });
 
-    // Create MTA connector for the 4/5/6 lines (busy Manhattan routes)
+    // Create MTA connector covering every subway feed
     const mtaConnector = new MTAConnector({
         apiKey: apiKey,
-        feedId: 1, // Feed 1 covers 1,2,3,4,5,6,S lines
+        feeds: 'all',
+        staticGtfs: process.env.MTA_STATIC_GTFS, // optional: enables schedule-based delays
         pollInterval: 15000 // Every 15 seconds for this demo
     });
 
@@ -53,6 +55,7 @@ async function quickTest() {
         console.log(`   Vehicles: ${event.data.vehicleUpdates?.length || 0}`);
         console.log(`   Trips: ${event.data.tripUpdates?.length || 0}`);
         console.log(`   Alerts: ${event.data.alerts?.length || 0}`);
+        console.log(`   Feeds: ${event.data.summary?.successfulFeeds || 0}/${event.data.summary?.feedCount || 0}`);
         
         // Show some interesting real data
         showInterestingData(event.data);
@@ -65,6 +68,14 @@ async function quickTest() {
 
     console.log('🚀 System started! Watching live MTA data...\n');
 
+    // Expose the live pipeline over HTTP when a port is configured
+    let apiServer = null;
+    if (process.env.API_PORT) {
+        apiServer = new ApiServer(pipeline);
+        await apiServer.start();
+        console.log(`🌐 API available at http://localhost:${process.env.API_PORT}/api/status\n`);
+    }
+
     // Show status every 30 seconds
     const statusInterval = setInterval(async () => {
         const status = pipeline.getStatus();
@@ -96,6 +107,9 @@ async function quickTest() {
             showDetailedDataAnalysis(lastDataSample);
         }
         
+        if (apiServer) {
+            await apiServer.stop();
+        }
         await pipeline.stop();
         console.log('✅ System stopped. Test completed successfully!');
         
@@ -111,13 +125,16 @@ function showInterestingData(data) {
             const route = train.trip?.routeId || 'Unknown';
             const status = train.currentStatus || 'unknown';
             const stopId = train.stopId || 'N/A';
+            const stopName = train.stop ?
+                `${train.stop.name}${train.stop.directionLabel ? `, ${train.stop.directionLabel}` : ''}` :
+                `stop ${stopId}`;
             
             let locationInfo = '';
             if (train.position && train.position.latitude) {
                 locationInfo = ` at ${train.position.latitude.toFixed(4)}, ${train.position.longitude.toFixed(4)}`;
             }
             
-            console.log(`   🚇 ${route} train: ${status} (stop ${stopId})${locationInfo}`);
+            console.log(`   🚇 ${route} train: ${status} (${stopName})${locationInfo}`);
         });
     }
 
@@ -0,0 +1,310 @@
+// src/alerts/AlertEngine.js
+const EventEmitter = require('events');
+const { Logger } = require('../utils/Logger');
+const { getStationRegistry } = require('../reference/StationRegistry');
+const { SCOPES } = require('./scopes');
+const { loadRules, matchesRule, renderMessage, SEVERITIES } = require('./rules');
+
+/**
+ * Evaluates declarative alert rules against ingested snapshots
+ *
+ * A rule names a scope (route, traffic_event, borough, hotspot), conditions
+ * on the scope's fields, and how alerts behave over time:
+ *
+ *   { "id": "route-delay", "scope": "route",
+ *     "when": [{ "field": "averageDelay", "operator": ">", "value": 300 }],
+ *     "consecutive": 3, "severity": "major", "cooldown": 900,
+ *     "message": "{route} trains averaging {averageDelayMinutes} min late" }
+ *
+ * An alert fires once the conditions hold for `consecutive` polls of a
+ * subject, stays a single alert while they keep holding, and resolves after
+ * `resolveAfter` clear polls (unless autoResolve is off). The same subject
+ * cannot fire again until `cooldown` seconds after it resolved. Fired and
+ * resolved alerts are emitted as 'alert' and 'alertResolved' and, once
+ * started, published to the alerts topic.
+ */
+class AlertEngine extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object[]|string} options.rules - Rule definitions or a JSON/YAML rules file (default: bundled rules)
+     * @param {number} options.maxResolved - Resolved alerts kept for getRecentAlerts()
+     */
+    constructor(options = {}) {
+        super();
+
+        this.config = {
+            rules: undefined,
+            stationRegistry: getStationRegistry(),
+            maxResolved: 200,
+            ...options
+        };
+
+        this.logger = new Logger('AlertEngine');
+        this.rules = [];
+        this.states = new Map();   // "ruleId|subjectKey" -> { consecutive, clear, alert, lastResolvedAt }
+        this.resolved = [];
+        this.stats = { evaluations: 0, fired: 0, resolved: 0, suppressed: 0 };
+        this.messageQueue = null;
+
+        this.setRules(this.config.rules);
+
+        this.handleMessage = (message) => {
+            if (message.data?.source) {
+                this.evaluate(message.data);
+            }
+        };
+
+        this.publishEvent = (alert) => {
+            this.messageQueue.publishAlert(alert, alert.type).catch(error => {
+                this.logger.error('Failed to publish alert', { ruleId: alert.ruleId, error: error.message });
+            });
+        };
+    }
+
+    /**
+     * Replace the rule set; state of rules that no longer exist is dropped
+     * @param {Object[]|string} rules - Definitions or a rules file path
+     */
+    setRules(rules) {
+        this.rules = loadRules(rules);
+
+        const ruleIds = new Set(this.rules.map(rule => rule.id));
+        this.states.forEach((state, key) => {
+            if (!ruleIds.has(state.ruleId)) this.states.delete(key);
+        });
+
+        this.logger.info('Alert rules loaded', {
+            rules: this.rules.length,
+            enabled: this.rules.filter(rule => rule.enabled).length
+        });
+    }
+
+    /**
+     * Evaluate rules on raw-data snapshots and publish alerts to the alerts topic
+     */
+    start(messageQueue) {
+        this.messageQueue = messageQueue;
+        messageQueue.subscribeToRawData(this.handleMessage);
+        ['alert', 'alertResolved'].forEach(event => this.on(event, this.publishEvent));
+
+        this.logger.info('Alert engine started', { rules: this.rules.length });
+    }
+
+    stop() {
+        if (!this.messageQueue) return;
+
+        this.messageQueue.removeListener(`message:${this.messageQueue.config.topics.rawData}`, this.handleMessage);
+        ['alert', 'alertResolved'].forEach(event => this.removeListener(event, this.publishEvent));
+        this.messageQueue = null;
+    }
+
+    /**
+     * Evaluate every enabled rule whose scope reads this snapshot's source
+     * @returns {Object[]} Alerts fired or resolved by this snapshot
+     */
+    evaluate(snapshot) {
+        const now = snapshot.timestamp || Date.now();
+        const changes = [];
+        const context = { stationRegistry: this.config.stationRegistry };
+
+        this.rules.forEach(rule => {
+            const scope = SCOPES[rule.scope];
+            if (!rule.enabled || scope.source !== snapshot.source) return;
+
+            let subjects;
+            try {
+                subjects = scope.subjects(snapshot, rule, context);
+            } catch (error) {
+                this.logger.error('Alert rule evaluation failed', { ruleId: rule.id, error: error.message });
+                return;
+            }
+
+            this.stats.evaluations++;
+            const matched = new Set();
+
+            subjects.forEach(subject => {
+                if (!matchesRule(rule, subject.fields)) return;
+
+                matched.add(subject.key);
+                const alert = this.recordMatch(rule, subject, now);
+                if (alert) changes.push(alert);
+            });
+
+            this.states.forEach(state => {
+                if (state.ruleId !== rule.id || matched.has(state.subjectKey)) return;
+                // Its data failed to arrive: neither a match nor a clear
+                if (scope.isUnavailable && scope.isUnavailable(snapshot, state.subjectKey)) return;
+
+                const alert = this.recordClear(rule, state, now);
+                if (alert) changes.push(alert);
+            });
+        });
+
+        this.prune(now);
+        return changes;
+    }
+
+    /**
+     * A subject met the rule's conditions on this poll
+     * @returns {Object|null} The alert when it fires now
+     */
+    recordMatch(rule, subject, now) {
+        const key = `${rule.id}|${subject.key}`;
+        if (!this.states.has(key)) {
+            this.states.set(key, {
+                ruleId: rule.id,
+                subjectKey: subject.key,
+                consecutive: 0,
+                clear: 0,
+                alert: null,
+                lastResolvedAt: null
+            });
+        }
+        const state = this.states.get(key);
+
+        state.consecutive++;
+        state.clear = 0;
+
+        if (state.alert) {
+            // Deduplicated: keep the active alert current without publishing it again
+            state.alert.lastSeen = now;
+            state.alert.subject = subject.fields;
+            return null;
+        }
+
+        if (state.consecutive < rule.consecutive) return null;
+
+        if (state.lastResolvedAt !== null && now - state.lastResolvedAt < rule.cooldown * 1000) {
+            this.stats.suppressed++;
+            return null;
+        }
+
+        state.alert = this.createAlert(rule, subject, now);
+        this.stats.fired++;
+        this.emit('alert', state.alert);
+
+        return state.alert;
+    }
+
+    /**
+     * A subject did not meet the rule's conditions (or was absent) on this poll
+     * @returns {Object|null} The resolved alert when it resolves now
+     */
+    recordClear(rule, state, now) {
+        state.consecutive = 0;
+        if (!state.alert) return null;
+
+        if (!rule.autoResolve) {
+            // One-shot alert: forget it once the condition clears, without a resolution
+            state.alert = null;
+            state.lastResolvedAt = now;
+            return null;
+        }
+
+        state.clear++;
+        if (state.clear < rule.resolveAfter) return null;
+
+        const resolved = {
+            ...state.alert,
+            status: 'resolved',
+            severity: 'info',
+            resolvedAt: now,
+            timestamp: now,
+            message: `Resolved: ${state.alert.message}`
+        };
+
+        state.alert = null;
+        state.clear = 0;
+        state.lastResolvedAt = now;
+
+        this.resolved.push(resolved);
+        if (this.resolved.length > this.config.maxResolved) {
+            this.resolved.shift();
+        }
+        this.stats.resolved++;
+        this.emit('alertResolved', resolved);
+
+        return resolved;
+    }
+
+    createAlert(rule, subject, now) {
+        return {
+            id: `${rule.id}:${subject.key}:${now}`,
+            type: rule.type || rule.id,
+            source: 'alert-engine',
+            ruleId: rule.id,
+            ruleName: rule.name || rule.id,
+            subjectKey: subject.key,
+            status: 'active',
+            severity: rule.severity,
+            subject: subject.fields,
+            location: subject.location || null,
+            startedAt: now,
+            lastSeen: now,
+            timestamp: now,
+            message: rule.message ?
+                renderMessage(rule.message, subject.fields) :
+                `${rule.name || rule.id}: ${subject.key}`
+        };
+    }
+
+    /**
+     * Drop state for quiet subjects whose cooldown is over
+     */
+    prune(now) {
+        const rules = new Map(this.rules.map(rule => [rule.id, rule]));
+
+        this.states.forEach((state, key) => {
+            if (state.alert || state.consecutive > 0) return;
+
+            const cooldown = (rules.get(state.ruleId)?.cooldown || 0) * 1000;
+            if (state.lastResolvedAt === null || now - state.lastResolvedAt >= cooldown) {
+                this.states.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Alerts currently firing, most severe first
+     * @param {Object} filters - ruleId, severity (minimum)
+     */
+    getActiveAlerts(filters = {}) {
+        const minimum = filters.severity ? SEVERITIES.indexOf(filters.severity) : -1;
+        const alerts = [];
+
+        this.states.forEach(state => {
+            if (!state.alert) return;
+            if (filters.ruleId && state.alert.ruleId !== filters.ruleId) return;
+            if (SEVERITIES.indexOf(state.alert.severity) < minimum) return;
+            alerts.push(state.alert);
+        });
+
+        return alerts.sort((a, b) =>
+            SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || a.startedAt - b.startedAt);
+    }
+
+    /**
+     * Recently resolved alerts, newest first
+     */
+    getRecentAlerts(filters = {}) {
+        return this.resolved
+            .filter(alert => !filters.ruleId || alert.ruleId === filters.ruleId)
+            .slice()
+            .reverse()
+            .slice(0, filters.limit || this.config.maxResolved);
+    }
+
+    getRules() {
+        return this.rules.map(rule => ({ ...rule }));
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            rules: this.rules.length,
+            activeAlerts: this.getActiveAlerts().length
+        };
+    }
+}
+
+module.exports = AlertEngine;
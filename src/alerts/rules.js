@@ -0,0 +1,141 @@
+// src/alerts/rules.js
+const fs = require('fs');
+const path = require('path');
+const { SCOPES } = require('./scopes');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'default-rules.json');
+
+const SEVERITIES = ['info', 'minor', 'moderate', 'major', 'severe'];
+
+const OPERATORS = {
+    '>': (actual, expected) => actual !== null && actual > expected,
+    '>=': (actual, expected) => actual !== null && actual >= expected,
+    '<': (actual, expected) => actual !== null && actual < expected,
+    '<=': (actual, expected) => actual !== null && actual <= expected,
+    '==': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected,
+    'in': (actual, expected) => expected.includes(actual),
+    'not_in': (actual, expected) => !expected.includes(actual),
+    'contains': (actual, expected) => Array.isArray(actual) ?
+        actual.includes(expected) :
+        typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase())
+};
+
+const RULE_DEFAULTS = {
+    enabled: true,
+    severity: 'moderate',
+    consecutive: 1,       // polls the condition must hold before the alert fires
+    cooldown: 900,        // seconds after an alert resolves before the same subject can fire again
+    autoResolve: true,
+    resolveAfter: 1       // polls the condition must be clear before the alert resolves
+};
+
+/**
+ * Parse a rules file - JSON, or YAML by extension (.yaml / .yml)
+ * @returns {Object[]} Raw rule definitions
+ */
+function readRulesFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const parsed = extension === '.yaml' || extension === '.yml' ?
+        require('js-yaml').load(text) :
+        JSON.parse(text);
+
+    const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error(`Rules file ${filePath} must contain a list of rules or { rules: [...] }`);
+    }
+    return rules;
+}
+
+/**
+ * Validate rule definitions and fill in defaults
+ * @param {Object[]|string} rules - Definitions, or a path to a rules file
+ * @returns {Object[]} Normalized rules
+ */
+function loadRules(rules = DEFAULT_RULES_PATH) {
+    const definitions = typeof rules === 'string' ? readRulesFile(rules) : rules;
+    const ids = new Set();
+
+    return definitions.map((definition, index) => {
+        const rule = normalizeRule(definition, index);
+        if (ids.has(rule.id)) {
+            throw new Error(`Duplicate alert rule id: ${rule.id}`);
+        }
+        ids.add(rule.id);
+        return rule;
+    });
+}
+
+function normalizeRule(definition, index) {
+    const label = definition?.id ? `Alert rule ${definition.id}` : `Alert rule #${index + 1}`;
+    const fail = (message) => {
+        throw new Error(`${label}: ${message}`);
+    };
+
+    if (!definition || typeof definition !== 'object') fail('must be an object');
+    if (!definition.id) fail('id is required');
+    if (!SCOPES[definition.scope]) {
+        fail(`unknown scope "${definition.scope}" (expected ${Object.keys(SCOPES).join(', ')})`);
+    }
+    if (!Array.isArray(definition.when) || definition.when.length === 0) {
+        fail('when must be a non-empty list of conditions');
+    }
+
+    const rule = { ...RULE_DEFAULTS, ...definition };
+    if (SCOPES[rule.scope].validate) {
+        SCOPES[rule.scope].validate(rule);
+    }
+
+    if (!SEVERITIES.includes(rule.severity)) {
+        fail(`severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    ['consecutive', 'resolveAfter'].forEach(field => {
+        if (!Number.isInteger(rule[field]) || rule[field] < 1) fail(`${field} must be a positive integer`);
+    });
+    if (typeof rule.cooldown !== 'number' || rule.cooldown < 0) {
+        fail('cooldown must be a number of seconds');
+    }
+
+    rule.when.forEach((condition, position) => {
+        if (!condition || !condition.field) fail(`condition ${position + 1} needs a field`);
+        if (!OPERATORS[condition.operator]) {
+            fail(`condition ${position + 1} has unknown operator "${condition.operator}" ` +
+                `(expected ${Object.keys(OPERATORS).join(' ')})`);
+        }
+        if (['in', 'not_in'].includes(condition.operator) && !Array.isArray(condition.value)) {
+            fail(`condition ${position + 1} needs a list value for "${condition.operator}"`);
+        }
+    });
+
+    return rule;
+}
+
+/**
+ * Whether a subject's fields satisfy every condition of a rule
+ */
+function matchesRule(rule, fields) {
+    return rule.when.every(condition => {
+        const actual = fields[condition.field] === undefined ? null : fields[condition.field];
+        return OPERATORS[condition.operator](actual, condition.value);
+    });
+}
+
+/**
+ * Fill {field} placeholders in a message template
+ */
+function renderMessage(template, fields) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, field) => {
+        const value = fields[field];
+        if (value === null || value === undefined) return '?';
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+}
+
+module.exports = {
+    DEFAULT_RULES_PATH,
+    SEVERITIES,
+    loadRules,
+    matchesRule,
+    renderMessage
+};
@@ -0,0 +1,189 @@
+// src/alerts/scopes.js
+const { NYCT_FEEDS } = require('../connectors/mta/feeds');
+
+/**
+ * What an alert rule is evaluated against
+ *
+ * Each scope turns a transformed snapshot from its source into subjects -
+ * { key, fields, location } - and a rule's conditions test the fields of
+ * each subject separately. The key identifies the subject across polls, so
+ * consecutive-poll counts, deduplication and resolution are per subject.
+ * isUnavailable(snapshot, key) tells when a subject is missing only because
+ * the feed or endpoint it comes from failed this poll.
+ */
+
+/**
+ * A trip's delay in seconds: the schedule deviation when the static schedule
+ * is loaded, else the feed's own delay; null when neither is known
+ */
+function getTripDelay(tripUpdate) {
+    if (typeof tripUpdate.scheduleDeviation === 'number') return tripUpdate.scheduleDeviation;
+    return typeof tripUpdate.delay === 'number' ? tripUpdate.delay : null;
+}
+
+/**
+ * Whether the 511NY events endpoint failed in this snapshot
+ */
+function eventsUnavailable(snapshot) {
+    return snapshot.endpoints?.events?.status === 'error';
+}
+
+const route = {
+    source: 'mta',
+    isUnavailable(snapshot, routeId) {
+        return NYCT_FEEDS.some(feed => snapshot.feeds?.[feed.id]?.status === 'error' && feed.routes.includes(routeId));
+    },
+    /**
+     * Delay fields average only the trains with a known delay
+     */
+    subjects(snapshot) {
+        const routes = new Map();
+
+        (snapshot.tripUpdates || []).forEach(tripUpdate => {
+            const routeId = tripUpdate.trip?.routeId;
+            if (!routeId) return;
+
+            if (!routes.has(routeId)) {
+                routes.set(routeId, { trains: 0, delays: [] });
+            }
+            const entry = routes.get(routeId);
+            const delay = getTripDelay(tripUpdate);
+
+            entry.trains++;
+            if (delay !== null) entry.delays.push(delay);
+        });
+
+        return [...routes.entries()].map(([routeId, { trains, delays }]) => {
+            const averageDelay = delays.length > 0 ?
+                Math.round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length) : null;
+
+            return {
+                key: routeId,
+                fields: {
+                    route: routeId,
+                    trains,
+                    trainsWithDelay: delays.length,
+                    averageDelay,
+                    averageDelayMinutes: averageDelay === null ? null : Math.round(averageDelay / 6) / 10,
+                    maxDelay: delays.length > 0 ? Math.max(...delays) : null
+                }
+            };
+        });
+    }
+};
+
+const trafficEvent = {
+    source: '511ny',
+    isUnavailable: eventsUnavailable,
+    validate(rule) {
+        if (rule.near && !(rule.near.radiusKm > 0)) {
+            throw new Error(`Alert rule ${rule.id}: near.radiusKm must be a positive number`);
+        }
+    },
+    /**
+     * With rule.near ({ radiusKm, route }), only events that close to a
+     * station (serving the route) are subjects, with the nearest station added
+     */
+    subjects(snapshot, rule, context) {
+        const subjects = [];
+
+        (snapshot.events || []).forEach(event => {
+            const fields = {
+                id: event.id,
+                type: event.type,
+                subtype: event.subtype,
+                severity: event.severity,
+                status: event.status,
+                borough: event.location?.borough,
+                neighborhood: event.location?.neighborhood,
+                roadway: event.location?.roadway,
+                direction: event.location?.direction,
+                delayMinutes: event.impact?.delay_minutes,
+                lanesBlocked: event.impact?.lanes_blocked,
+                description: event.description
+            };
+            const location = event.location?.lat && event.location?.lon ?
+                { lat: event.location.lat, lon: event.location.lon } : null;
+
+            if (rule.near) {
+                if (!location) return;
+
+                const [nearest] = context.stationRegistry.findNearest(location.lat, location.lon, {
+                    maxDistanceKm: rule.near.radiusKm,
+                    route: rule.near.route
+                });
+                if (!nearest) return;
+
+                Object.assign(fields, {
+                    station: nearest.station.name,
+                    stationId: nearest.station.stopId,
+                    stationRoutes: nearest.station.routes,
+                    distanceMeters: Math.round(nearest.distanceKm * 1000)
+                });
+            }
+
+            subjects.push({ key: String(event.id), fields, location });
+        });
+
+        return subjects;
+    }
+};
+
+const borough = {
+    source: '511ny',
+    isUnavailable: eventsUnavailable,
+    subjects(snapshot) {
+        const averageSpeeds = snapshot.metrics?.averageSpeeds || {};
+        const congestionLevels = snapshot.metrics?.congestionLevels || {};
+        const events = snapshot.events || [];
+        const names = new Set([
+            ...Object.keys(averageSpeeds),
+            ...events.map(event => event.location?.borough).filter(Boolean)
+        ]);
+
+        return [...names].map(name => {
+            const boroughEvents = events.filter(event => event.location?.borough === name);
+
+            return {
+                key: name,
+                fields: {
+                    borough: name,
+                    averageSpeed: averageSpeeds[name] === undefined ? null : Math.round(averageSpeeds[name]),
+                    congestionLevel: congestionLevels[name] || null,
+                    eventCount: boroughEvents.length,
+                    severeEvents: boroughEvents.filter(event => event.severity === 'severe').length
+                }
+            };
+        });
+    }
+};
+
+const hotspot = {
+    source: '511ny',
+    isUnavailable: eventsUnavailable,
+    subjects(snapshot) {
+        return (snapshot.geoSummary?.eventHotspots || []).map(spot => ({
+            key: spot.id,
+            fields: {
+                id: spot.id,
+                eventCount: spot.eventCount,
+                severity: spot.severity,
+                types: spot.types,
+                radiusKm: spot.radiusKm
+            },
+            location: spot.center
+        }));
+    }
+};
+
+const SCOPES = {
+    route,
+    traffic_event: trafficEvent,
+    borough,
+    hotspot
+};
+
+module.exports = {
+    SCOPES,
+    getTripDelay
+};
@@ -0,0 +1,349 @@
+// src/analytics/HeadwayMonitor.js
+const EventEmitter = require('events');
+const { Logger } = require('../utils/Logger');
+const { getStationRegistry, parseStopId } = require('../reference/StationRegistry');
+
+const DIRECTION_NAMES = { N: 'northbound', S: 'southbound' };
+
+/**
+ * Observes train arrivals per route and platform across successive MTA
+ * snapshots and raises service gap and bunching alerts
+ *
+ * An arrival is recorded when a vehicle reports STOPPED_AT a stop, or when a
+ * trip's next stop advances (the skipped-over stop is credited with its last
+ * predicted arrival). Headways are the time between consecutive arrivals of
+ * the same route at the same directional stop.
+ */
+class HeadwayMonitor extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.stations - Stop or complex ids to watch (default all)
+     * @param {GTFSSchedule} options.schedule - Static schedule for expected headways
+     * @param {number} options.gapThreshold - Gap (s) without a schedule, default 15 min
+     * @param {number} options.gapFactor - Gap = scheduled headway x factor when a schedule is loaded
+     * @param {number} options.minGap - Lower bound (s) on a schedule-derived gap threshold
+     * @param {number} options.bunchingThreshold - Headway (s) below which trains are bunched
+     */
+    constructor(options = {}) {
+        super();
+
+        this.config = {
+            stations: null,
+            schedule: null,
+            stationRegistry: getStationRegistry(),
+            gapThreshold: 900,
+            gapFactor: 2,
+            minGap: 360,
+            bunchingThreshold: 90,
+            historySize: 20,           // arrivals kept per route/stop
+            inactiveAfter: 3 * 3600,   // stop tracking a route/stop after this long (s) without trains
+            ...options
+        };
+
+        this.logger = new Logger('HeadwayMonitor');
+        this.monitoredStations = this.resolveStations(this.config.stations);
+        this.platforms = new Map();    // "routeId|stopId" -> { routeId, stopId, arrivals, gap }
+        this.trips = new Map();        // tripId -> { stopId, predictedArrival, lastSeen }
+        this.recorded = new Map();     // "tripId|stopId" -> arrival time, for de-duplication
+        this.bunched = new Map();      // "routeId|direction|tripId|tripId" -> first alert time
+        this.messageQueue = null;
+
+        this.handleMessage = (message) => {
+            if (message.data?.source === 'mta') {
+                this.update(message.data);
+            }
+        };
+
+        this.publishEvent = (alert) => {
+            this.messageQueue.publishAlert(alert, alert.type).catch(error => {
+                this.logger.error('Failed to publish headway alert', { error: error.message });
+            });
+        };
+    }
+
+    /**
+     * Consume MTA snapshots from the raw-data topic and publish alerts to the alerts topic
+     */
+    start(messageQueue) {
+        this.messageQueue = messageQueue;
+        messageQueue.subscribeToRawData(this.handleMessage);
+        ['gap', 'gapResolved', 'bunching'].forEach(event => this.on(event, this.publishEvent));
+
+        this.logger.info('Headway monitor started', {
+            stations: this.monitoredStations ? this.monitoredStations.size : 'all'
+        });
+    }
+
+    stop() {
+        if (!this.messageQueue) return;
+
+        this.messageQueue.removeListener(`message:${this.messageQueue.config.topics.rawData}`, this.handleMessage);
+        ['gap', 'gapResolved', 'bunching'].forEach(event => this.removeListener(event, this.publishEvent));
+        this.messageQueue = null;
+    }
+
+    /**
+     * Expand station / complex ids into the set of parent stop ids to watch
+     */
+    resolveStations(stations) {
+        if (!stations || stations.length === 0) return null;
+
+        const registry = this.config.stationRegistry;
+        const stopIds = new Set();
+
+        // Stop ids take precedence - complex ids reuse the same number range
+        stations.forEach(id => {
+            const station = registry.getStation(id);
+            if (station) {
+                stopIds.add(station.stopId);
+            } else {
+                registry.getComplex(id).forEach(member => stopIds.add(member.stopId));
+            }
+        });
+
+        return stopIds;
+    }
+
+    isMonitored(stopId) {
+        return !this.monitoredStations || this.monitoredStations.has(parseStopId(stopId).stationStopId);
+    }
+
+    /**
+     * Process a transformed MTA snapshot
+     */
+    update(snapshot) {
+        const now = snapshot.timestamp || Date.now();
+
+        (snapshot.vehicleUpdates || []).forEach(vehicle => {
+            if (vehicle.currentStatus === 'stopped_at' && vehicle.trip?.tripId && vehicle.stopId) {
+                this.recordArrival(vehicle.trip.routeId, vehicle.stopId, vehicle.timestamp || now, vehicle.trip.tripId);
+            }
+        });
+
+        (snapshot.tripUpdates || []).forEach(tripUpdate => {
+            const tripId = tripUpdate.trip?.tripId;
+            const nextStop = tripUpdate.stopTimeUpdates.find(Boolean);
+            if (!tripId || !nextStop) return;
+
+            const previous = this.trips.get(tripId);
+            if (previous && previous.stopId !== nextStop.stopId) {
+                // The train has passed the stop it was heading to last time
+                const arrivedAt = Math.min(previous.predictedArrival || now, now);
+                this.recordArrival(tripUpdate.trip.routeId, previous.stopId, arrivedAt, tripId);
+            }
+
+            this.trips.set(tripId, {
+                stopId: nextStop.stopId,
+                predictedArrival: nextStop.arrival?.time || nextStop.departure?.time || null,
+                lastSeen: now
+            });
+        });
+
+        this.checkGaps(now);
+        this.prune(now);
+    }
+
+    /**
+     * Record a train arriving at a directional stop and check for bunching / gap recovery
+     */
+    recordArrival(routeId, stopId, time, tripId) {
+        if (!routeId || !this.isMonitored(stopId)) return;
+
+        const recordKey = `${tripId}|${stopId}`;
+        if (this.recorded.has(recordKey)) return;
+        this.recorded.set(recordKey, time);
+
+        const key = `${routeId}|${stopId}`;
+        if (!this.platforms.has(key)) {
+            this.platforms.set(key, { routeId, stopId, arrivals: [], gap: null });
+        }
+        const platform = this.platforms.get(key);
+        const previous = platform.arrivals[platform.arrivals.length - 1];
+
+        platform.arrivals.push({ time, tripId });
+        platform.arrivals.sort((a, b) => a.time - b.time);
+        if (platform.arrivals.length > this.config.historySize) {
+            platform.arrivals.shift();
+        }
+
+        // Late reports of older arrivals only fill in history
+        if (!previous || time < previous.time) return;
+
+        const headway = (time - previous.time) / 1000;
+
+        if (platform.gap) {
+            this.emit('gapResolved', this.createAlert('headway_gap', platform, {
+                status: 'resolved',
+                severity: 'info',
+                observedHeadway: Math.round(headway),
+                scheduledHeadway: platform.gap.scheduledHeadway,
+                startedAt: platform.gap.startedAt,
+                timestamp: time,
+                message: `${this.describe(platform)}: service resumed after ${Math.round(headway / 60)} min`
+            }));
+            platform.gap = null;
+        }
+
+        if (headway < this.config.bunchingThreshold && this.isNewBunch(platform, previous.tripId, tripId, time)) {
+            this.emit('bunching', this.createAlert('headway_bunching', platform, {
+                status: 'active',
+                severity: 'moderate',
+                observedHeadway: Math.round(headway),
+                trips: [previous.tripId, tripId],
+                timestamp: time,
+                message: `${this.describe(platform)}: two trains within ${Math.round(headway)} s`
+            }));
+        }
+    }
+
+    /**
+     * A bunched pair of trains is reported once per route and direction, not at every stop
+     */
+    isNewBunch(platform, tripA, tripB, time) {
+        const { direction } = parseStopId(platform.stopId);
+        const key = [platform.routeId, direction, ...[tripA, tripB].sort()].join('|');
+        if (this.bunched.has(key)) return false;
+
+        this.bunched.set(key, time);
+        return true;
+    }
+
+    /**
+     * Raise a gap for every platform whose last train is overdue
+     */
+    checkGaps(now) {
+        this.platforms.forEach(platform => {
+            if (platform.gap || platform.arrivals.length === 0) return;
+
+            const last = platform.arrivals[platform.arrivals.length - 1];
+            const elapsed = (now - last.time) / 1000;
+            const { threshold, scheduledHeadway } = this.getGapThreshold(platform, now);
+
+            if (threshold === null || elapsed <= threshold) return;
+
+            platform.gap = { startedAt: last.time, scheduledHeadway };
+            this.emit('gap', this.createAlert('headway_gap', platform, {
+                status: 'active',
+                severity: 'major',
+                observedHeadway: Math.round(elapsed),
+                scheduledHeadway,
+                lastArrival: last.time,
+                startedAt: last.time,
+                timestamp: now,
+                message: `No ${this.describe(platform)} for ${Math.round(elapsed / 60)} min`
+            }));
+        });
+    }
+
+    /**
+     * Gap threshold for a platform: a multiple of the scheduled headway if a
+     * schedule is loaded (null when no service is scheduled), else the fixed threshold
+     */
+    getGapThreshold(platform, now) {
+        if (!this.config.schedule) {
+            return { threshold: this.config.gapThreshold, scheduledHeadway: null };
+        }
+
+        const scheduledHeadway = this.config.schedule.getScheduledHeadway(platform.routeId, platform.stopId, now);
+        if (scheduledHeadway === null) {
+            return { threshold: null, scheduledHeadway: null };
+        }
+
+        return {
+            threshold: Math.max(scheduledHeadway * this.config.gapFactor, this.config.minGap),
+            scheduledHeadway
+        };
+    }
+
+    /**
+     * Forget trips and platforms that have gone quiet
+     */
+    prune(now) {
+        const cutoff = now - this.config.inactiveAfter * 1000;
+
+        this.trips.forEach((trip, tripId) => {
+            if (trip.lastSeen < cutoff) this.trips.delete(tripId);
+        });
+        this.recorded.forEach((time, key) => {
+            if (time < cutoff) this.recorded.delete(key);
+        });
+        this.bunched.forEach((time, key) => {
+            if (time < cutoff) this.bunched.delete(key);
+        });
+        this.platforms.forEach((platform, key) => {
+            const last = platform.arrivals[platform.arrivals.length - 1];
+            if (!last || last.time < cutoff) this.platforms.delete(key);
+        });
+    }
+
+    createAlert(type, platform, details) {
+        const resolved = this.config.stationRegistry.resolveStop(platform.stopId);
+        const { direction } = parseStopId(platform.stopId);
+
+        return {
+            id: `${type}:${platform.routeId}:${platform.stopId}:${details.startedAt || details.timestamp}`,
+            type,
+            source: 'headway-monitor',
+            routeId: platform.routeId,
+            stopId: platform.stopId,
+            direction,
+            directionLabel: resolved?.directionLabel || null,
+            station: resolved ? {
+                stopId: resolved.station.stopId,
+                name: resolved.station.name,
+                borough: resolved.station.borough
+            } : null,
+            ...details
+        };
+    }
+
+    describe(platform) {
+        const resolved = this.config.stationRegistry.resolveStop(platform.stopId);
+        const { direction } = parseStopId(platform.stopId);
+        const name = resolved ? resolved.station.name : platform.stopId;
+
+        return `${DIRECTION_NAMES[direction] || ''} ${platform.routeId} at ${name}`.trim();
+    }
+
+    /**
+     * Observed headway statistics per route and directional stop
+     * @param {Object} filters - route, stopId (directional or parent)
+     */
+    getHeadways(filters = {}) {
+        const results = [];
+
+        this.platforms.forEach(platform => {
+            if (filters.route && platform.routeId !== filters.route) return;
+            if (filters.stopId && platform.stopId !== filters.stopId &&
+                parseStopId(platform.stopId).stationStopId !== filters.stopId) return;
+
+            const headways = [];
+            for (let i = 1; i < platform.arrivals.length; i++) {
+                headways.push((platform.arrivals[i].time - platform.arrivals[i - 1].time) / 1000);
+            }
+
+            results.push({
+                routeId: platform.routeId,
+                stopId: platform.stopId,
+                description: this.describe(platform),
+                lastArrival: platform.arrivals[platform.arrivals.length - 1]?.time || null,
+                observedArrivals: platform.arrivals.length,
+                averageHeadway: headways.length > 0 ?
+                    Math.round(headways.reduce((sum, h) => sum + h, 0) / headways.length) : null,
+                minHeadway: headways.length > 0 ? Math.round(Math.min(...headways)) : null,
+                maxHeadway: headways.length > 0 ? Math.round(Math.max(...headways)) : null,
+                scheduledHeadway: this.config.schedule ?
+                    this.config.schedule.getScheduledHeadway(platform.routeId, platform.stopId) : null,
+                gap: platform.gap ? { startedAt: platform.gap.startedAt } : null
+            });
+        });
+
+        return results;
+    }
+
+    getActiveGaps() {
+        return this.getHeadways().filter(headway => headway.gap);
+    }
+}
+
+module.exports = HeadwayMonitor;
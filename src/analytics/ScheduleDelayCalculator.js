@@ -0,0 +1,115 @@
+// src/analytics/ScheduleDelayCalculator.js
+const { Logger } = require('../utils/Logger');
+
+/**
+ * Derives delays by comparing realtime predictions against the static timetable
+ * MTA feeds rarely populate `delay`, so deviation from schedule is the reliable signal
+ */
+class ScheduleDelayCalculator {
+    /**
+     * @param {GTFSSchedule} schedule - Loaded static GTFS schedule
+     */
+    constructor(schedule) {
+        if (!schedule) {
+            throw new Error('ScheduleDelayCalculator requires a GTFSSchedule');
+        }
+
+        this.schedule = schedule;
+        this.logger = new Logger('ScheduleDelayCalculator');
+    }
+
+    /**
+     * Annotate every trip update in a transformed MTA snapshot with schedule deviations
+     * Adds stopTimeUpdate.scheduled / arrivalDeviation, trip scheduledTripId / scheduleDeviation
+     * and a summary.schedule block
+     */
+    apply(data) {
+        if (!data || !data.tripUpdates) return data;
+
+        let matchedTrips = 0;
+        let unmatchedTrips = 0;
+        const deviations = [];
+
+        data.tripUpdates.forEach(tripUpdate => {
+            if (this.applyToTrip(tripUpdate)) {
+                matchedTrips++;
+                if (tripUpdate.scheduleDeviation !== null) {
+                    deviations.push(tripUpdate.scheduleDeviation);
+                }
+            } else {
+                unmatchedTrips++;
+            }
+        });
+
+        data.summary.schedule = {
+            matchedTrips,
+            unmatchedTrips,
+            averageDeviation: deviations.length > 0 ?
+                Math.round(deviations.reduce((sum, d) => sum + d, 0) / deviations.length) : null
+        };
+
+        this.logger.debug('Schedule deviations computed', data.summary.schedule);
+
+        return data;
+    }
+
+    /**
+     * Match one trip update to the timetable and compute per-stop deviations
+     * @returns {boolean} Whether the trip matched a scheduled trip
+     */
+    applyToTrip(tripUpdate) {
+        const realtimeTrip = tripUpdate.trip;
+        const scheduledTrip = realtimeTrip ?
+            this.schedule.findTrip(realtimeTrip.tripId, realtimeTrip.startDate) : null;
+
+        tripUpdate.scheduledTripId = scheduledTrip ? scheduledTrip.tripId : null;
+        tripUpdate.scheduleDeviation = null;
+
+        if (!scheduledTrip) return false;
+
+        tripUpdate.stopTimeUpdates.forEach(stopTimeUpdate => {
+            if (!stopTimeUpdate) return;
+
+            const scheduled = this.schedule.getScheduledStopTime(
+                scheduledTrip.tripId,
+                stopTimeUpdate.stopId,
+                realtimeTrip.startDate
+            );
+            if (!scheduled) return;
+
+            stopTimeUpdate.scheduled = {
+                arrival: scheduled.arrival,
+                departure: scheduled.departure
+            };
+            stopTimeUpdate.arrivalDeviation = this.calculateDeviation(stopTimeUpdate, scheduled);
+
+            // The trip's current deviation is the one at its next stop
+            if (tripUpdate.scheduleDeviation === null && stopTimeUpdate.arrivalDeviation !== null) {
+                tripUpdate.scheduleDeviation = stopTimeUpdate.arrivalDeviation;
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Seconds between predicted and scheduled time at a stop (positive = late)
+     * Falls back to departure times for origin stops without an arrival
+     */
+    calculateDeviation(stopTimeUpdate, scheduled) {
+        const predictedArrival = stopTimeUpdate.arrival?.time;
+        const predictedDeparture = stopTimeUpdate.departure?.time;
+
+        if (predictedArrival && scheduled.arrival !== null) {
+            return Math.round((predictedArrival - scheduled.arrival) / 1000);
+        }
+
+        if (predictedDeparture && scheduled.departure !== null) {
+            return Math.round((predictedDeparture - scheduled.departure) / 1000);
+        }
+
+        return null;
+    }
+}
+
+module.exports = ScheduleDelayCalculator;
@@ -0,0 +1,457 @@
+// src/analytics/TripTracker.js
+const EventEmitter = require('events');
+const { Logger } = require('../utils/Logger');
+const { getStationRegistry, parseStopId } = require('../reference/StationRegistry');
+const { NYCT_FEEDS } = require('../connectors/mta/feeds');
+
+/**
+ * Follows trains across successive MTA snapshots and builds trajectories
+ *
+ * Each tracked train ("track") keeps the stops it has served with arrival,
+ * departure and dwell estimates, the stops it skipped, and every trip id it
+ * was published under. Trips that disappear before their last stop are
+ * marked vanished, and relinked when they reappear under a new trip id with
+ * the same NYCT train id (or, unassigned, on the same route and direction
+ * heading to a stop the vanished train still had ahead of it). Trains of a
+ * feed that failed to load are left as they were until the feed is back.
+ *
+ * Events: tripStarted, tripReassigned, tripVanished, tripCompleted
+ */
+class TripTracker extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.vanishAfter - Seconds a trip may be missing before it is vanished
+     * @param {number} options.reappearWindow - Seconds a vanished trip can still be relinked
+     * @param {number} options.skipTolerance - Seconds a dropped stop's prediction may lie in the future and still count as served
+     * @param {number} options.maxCompleted - Completed trip records kept in memory
+     */
+    constructor(options = {}) {
+        super();
+
+        this.config = {
+            vanishAfter: 180,
+            reappearWindow: 900,
+            skipTolerance: 60,
+            maxCompleted: 1000,
+            stationRegistry: getStationRegistry(),
+            ...options
+        };
+
+        this.logger = new Logger('TripTracker');
+        this.tracks = new Map();      // trackId -> active or vanished track
+        this.byTripId = new Map();    // current trip id -> trackId
+        this.completed = [];
+        this.nextTrackId = 1;
+        this.messageQueue = null;
+
+        this.handleMessage = (message) => {
+            if (message.data?.source === 'mta') {
+                this.update(message.data);
+            }
+        };
+
+        this.publishRecord = (record) => {
+            this.messageQueue.publishProcessedData(record, 'trip-tracker').catch(error => {
+                this.logger.error('Failed to publish trip record', { error: error.message });
+            });
+        };
+    }
+
+    /**
+     * Consume MTA snapshots from raw-data and publish completed trips to processed-data
+     */
+    start(messageQueue) {
+        this.messageQueue = messageQueue;
+        messageQueue.subscribeToRawData(this.handleMessage);
+        this.on('tripCompleted', this.publishRecord);
+    }
+
+    stop() {
+        if (!this.messageQueue) return;
+
+        this.messageQueue.removeListener(`message:${this.messageQueue.config.topics.rawData}`, this.handleMessage);
+        this.removeListener('tripCompleted', this.publishRecord);
+        this.messageQueue = null;
+    }
+
+    /**
+     * Process a transformed MTA snapshot
+     */
+    update(snapshot) {
+        const now = snapshot.timestamp || Date.now();
+        const trips = this.collectTrips(snapshot);
+        const seenTracks = new Set();
+        const failedFeeds = new Set(Object.keys(snapshot.feeds || {})
+            .filter(feedId => snapshot.feeds[feedId].status === 'error'));
+
+        trips.forEach(trip => {
+            const track = this.findTrack(trip, now) || this.createTrack(trip, now);
+            seenTracks.add(track.trackId);
+            this.applyObservation(track, trip, now);
+        });
+
+        this.tracks.forEach(track => {
+            if (!seenTracks.has(track.trackId) && !this.isFeedDown(track, failedFeeds)) {
+                this.handleMissing(track, now);
+            }
+        });
+    }
+
+    /**
+     * Whether a track's feed failed in this snapshot, so its absence means nothing
+     */
+    isFeedDown(track, failedFeeds) {
+        if (failedFeeds.size === 0) return false;
+        if (track.feedId) return failedFeeds.has(track.feedId);
+
+        return NYCT_FEEDS.some(feed => failedFeeds.has(feed.id) && feed.routes.includes(track.routeId));
+    }
+
+    /**
+     * Join trip updates and vehicle positions by trip id
+     */
+    collectTrips(snapshot) {
+        const trips = new Map();
+        const get = (descriptor) => {
+            if (!trips.has(descriptor.tripId)) {
+                trips.set(descriptor.tripId, { descriptor, feedId: null, remaining: [], vehicle: null });
+            }
+            return trips.get(descriptor.tripId);
+        };
+
+        (snapshot.tripUpdates || []).forEach(tripUpdate => {
+            if (!tripUpdate.trip?.tripId) return;
+            const trip = get(tripUpdate.trip);
+            trip.feedId = tripUpdate.feedId || null;
+            trip.remaining = tripUpdate.stopTimeUpdates
+                .filter(Boolean)
+                .map(stu => ({
+                    stopId: stu.stopId,
+                    arrival: stu.arrival?.time || null,
+                    departure: stu.departure?.time || null
+                }));
+        });
+
+        (snapshot.vehicleUpdates || []).forEach(vehicle => {
+            if (!vehicle.trip?.tripId) return;
+            const trip = get(vehicle.trip);
+            trip.vehicle = vehicle;
+            trip.feedId = trip.feedId || vehicle.feedId || null;
+        });
+
+        return [...trips.values()];
+    }
+
+    /**
+     * Find the track a trip belongs to: same trip id, else a missing or vanished
+     * track it reappeared from
+     */
+    findTrack(trip, now) {
+        const { tripId, routeId } = trip.descriptor;
+        const trackId = this.byTripId.get(tripId);
+        if (trackId) return this.tracks.get(trackId);
+
+        const trainId = trip.descriptor.nyct?.trainId;
+        const direction = this.getDirection(trip);
+        const firstStop = trip.remaining[0]?.stopId;
+
+        const candidate = [...this.tracks.values()].find(track => {
+            if (!track.missingSince || (now - track.missingSince) / 1000 > this.config.reappearWindow) return false;
+            if (trainId && track.trainId) return track.trainId === trainId;
+
+            return track.routeId === routeId && track.direction === direction &&
+                !!firstStop && track.remaining.some(stop => stop.stopId === firstStop);
+        });
+        if (!candidate) return null;
+
+        const previousTripId = candidate.tripId;
+        this.byTripId.delete(previousTripId);
+        this.byTripId.set(tripId, candidate.trackId);
+        candidate.tripId = tripId;
+        candidate.tripIds.push(tripId);
+        candidate.status = 'active';
+        candidate.missingSince = null;
+
+        this.logger.debug('Trip reappeared under a new id', { trackId: candidate.trackId, previousTripId, tripId });
+        this.emit('tripReassigned', {
+            trackId: candidate.trackId,
+            previousTripId,
+            tripId,
+            trainId: candidate.trainId,
+            timestamp: now
+        });
+
+        return candidate;
+    }
+
+    createTrack(trip, now) {
+        const trackId = `trk-${this.nextTrackId++}`;
+        const track = {
+            trackId,
+            tripId: trip.descriptor.tripId,
+            tripIds: [trip.descriptor.tripId],
+            trainId: trip.descriptor.nyct?.trainId || null,
+            routeId: trip.descriptor.routeId,
+            feedId: trip.feedId,
+            direction: this.getDirection(trip),
+            startDate: trip.descriptor.startDate || null,
+            firstSeen: now,
+            lastSeen: now,
+            status: 'active',
+            missingSince: null,
+            remaining: [],
+            plannedStops: [],
+            stops: new Map(),         // stopId -> visit, in arrival order
+            currentStop: null         // stop the vehicle was last reported STOPPED_AT
+        };
+
+        this.tracks.set(trackId, track);
+        this.byTripId.set(track.tripId, trackId);
+        this.emit('tripStarted', { trackId, tripId: track.tripId, trainId: track.trainId, routeId: track.routeId, timestamp: now });
+
+        return track;
+    }
+
+    /**
+     * Fold one snapshot's view of a trip into its track
+     */
+    applyObservation(track, trip, now) {
+        track.lastSeen = now;
+        track.missingSince = null;
+        track.status = 'active';
+        track.trainId = trip.descriptor.nyct?.trainId || track.trainId;
+        track.feedId = trip.feedId || track.feedId;
+
+        const remainingIds = new Set(trip.remaining.map(stop => stop.stopId));
+
+        // Stops dropped from the prediction list have been passed
+        track.remaining
+            .filter(stop => !remainingIds.has(stop.stopId))
+            .forEach(stop => this.passStop(track, stop, now));
+
+        trip.remaining.forEach(stop => {
+            if (!track.plannedStops.includes(stop.stopId)) {
+                track.plannedStops.push(stop.stopId);
+            }
+        });
+        track.remaining = trip.remaining;
+
+        if (trip.vehicle) {
+            this.applyVehicle(track, trip.vehicle, now);
+        }
+    }
+
+    applyVehicle(track, vehicle, now) {
+        const reportedAt = vehicle.timestamp || now;
+
+        if (track.currentStop && (vehicle.stopId !== track.currentStop || vehicle.currentStatus !== 'stopped_at')) {
+            const visit = track.stops.get(track.currentStop);
+            if (visit && !visit.departedAt) {
+                this.setDeparture(visit, reportedAt);
+            }
+            track.currentStop = null;
+        }
+
+        if (vehicle.currentStatus === 'stopped_at' && vehicle.stopId && !track.stops.has(vehicle.stopId)) {
+            this.addVisit(track, vehicle.stopId, { arrivedAt: reportedAt, observed: true });
+            track.currentStop = vehicle.stopId;
+        }
+    }
+
+    /**
+     * A stop left the trip's prediction list: served (observed or predicted) or skipped
+     */
+    passStop(track, stop, now) {
+        const visit = track.stops.get(stop.stopId);
+        if (visit) {
+            if (!visit.departedAt) {
+                this.setDeparture(visit, Math.min(stop.departure || stop.arrival || now, now));
+            }
+            if (track.currentStop === stop.stopId) {
+                track.currentStop = null;
+            }
+            return;
+        }
+
+        const predicted = stop.arrival || stop.departure;
+        if (predicted && (predicted - now) / 1000 > this.config.skipTolerance) {
+            this.addVisit(track, stop.stopId, { skipped: true });
+            return;
+        }
+
+        const arrivedAt = Math.min(predicted || now, now);
+        const visitRecord = this.addVisit(track, stop.stopId, { arrivedAt, observed: false });
+        this.setDeparture(visitRecord, Math.max(arrivedAt, Math.min(stop.departure || arrivedAt, now)));
+    }
+
+    addVisit(track, stopId, details) {
+        const resolved = this.config.stationRegistry.resolveStop(stopId);
+        const visit = {
+            stopId,
+            name: resolved ? resolved.station.name : null,
+            arrivedAt: null,
+            departedAt: null,
+            dwellSeconds: null,
+            observed: false,
+            skipped: false,
+            ...details
+        };
+
+        track.stops.set(stopId, visit);
+        return visit;
+    }
+
+    setDeparture(visit, departedAt) {
+        visit.departedAt = departedAt;
+        visit.dwellSeconds = visit.arrivedAt !== null ?
+            Math.max(0, Math.round((departedAt - visit.arrivedAt) / 1000)) : null;
+    }
+
+    /**
+     * A tracked trip is absent from this snapshot
+     */
+    handleMissing(track, now) {
+        const justMissing = !track.missingSince;
+        if (justMissing) {
+            track.missingSince = now;
+        }
+
+        // Trips dropped at or approaching their last stop end normally
+        const last = track.remaining[track.remaining.length - 1];
+        const atTerminal = track.remaining.length <= 1 ||
+            (last && (last.arrival || last.departure || Infinity) <= now + this.config.skipTolerance * 1000);
+
+        if (justMissing && atTerminal) {
+            track.remaining.forEach(stop => this.passStop(track, stop, now));
+            track.remaining = [];
+            this.finish(track, 'completed', now);
+            return;
+        }
+
+        const missingFor = (now - track.missingSince) / 1000;
+
+        if (track.status === 'active' && missingFor > this.config.vanishAfter) {
+            track.status = 'vanished';
+            this.logger.debug('Trip vanished', { trackId: track.trackId, tripId: track.tripId });
+            this.emit('tripVanished', {
+                trackId: track.trackId,
+                tripId: track.tripId,
+                trainId: track.trainId,
+                routeId: track.routeId,
+                lastStop: this.getLastVisit(track)?.stopId || null,
+                timestamp: now
+            });
+        }
+
+        if (track.status === 'vanished' && missingFor > this.config.reappearWindow) {
+            this.finish(track, 'vanished', now);
+        }
+    }
+
+    /**
+     * Close a track and keep its completed record
+     */
+    finish(track, status, now) {
+        this.tracks.delete(track.trackId);
+        this.byTripId.delete(track.tripId);
+
+        const record = this.toRecord(track, status, now);
+        this.completed.push(record);
+        if (this.completed.length > this.config.maxCompleted) {
+            this.completed.shift();
+        }
+
+        this.emit('tripCompleted', record);
+    }
+
+    toRecord(track, status, now = Date.now()) {
+        // Skipped stops are recorded when dropped, which can precede the stop before them
+        const order = (visit) => {
+            const index = track.plannedStops.indexOf(visit.stopId);
+            return index === -1 ? track.plannedStops.length : index;
+        };
+        const visits = [...track.stops.values()].sort((a, b) => order(a) - order(b));
+        const served = visits.filter(visit => !visit.skipped);
+        const first = served[0];
+        const last = served[served.length - 1];
+
+        return {
+            trackId: track.trackId,
+            status,
+            tripId: track.tripId,
+            tripIds: [...track.tripIds],
+            trainId: track.trainId,
+            routeId: track.routeId,
+            direction: track.direction,
+            startDate: track.startDate,
+            firstSeen: track.firstSeen,
+            lastSeen: track.lastSeen,
+            endedAt: status === 'active' ? null : now,
+            origin: first ? { stopId: first.stopId, name: first.name, arrivedAt: first.arrivedAt } : null,
+            destination: last ? { stopId: last.stopId, name: last.name, arrivedAt: last.arrivedAt } : null,
+            runtimeSeconds: first && last ? Math.round((last.arrivedAt - first.arrivedAt) / 1000) : null,
+            stops: visits.map(visit => ({ ...visit })),
+            skippedStops: visits.filter(visit => visit.skipped).map(visit => visit.stopId),
+            observedStops: visits.filter(visit => visit.observed).length,
+            remainingStops: track.remaining.map(stop => stop.stopId)
+        };
+    }
+
+    getLastVisit(track) {
+        const served = [...track.stops.values()].filter(visit => !visit.skipped);
+        return served.sort((a, b) => a.arrivedAt - b.arrivedAt)[served.length - 1] || null;
+    }
+
+    getDirection(trip) {
+        const nyctDirection = trip.descriptor.nyct?.direction;
+        if (nyctDirection === 'north') return 'N';
+        if (nyctDirection === 'south') return 'S';
+
+        const stopId = trip.remaining[0]?.stopId || trip.vehicle?.stopId;
+        return parseStopId(stopId).direction;
+    }
+
+    /**
+     * Trajectory of an active trip by trip id or NYCT train id
+     */
+    getTrip(id) {
+        const trackId = this.byTripId.get(id);
+        const track = trackId ? this.tracks.get(trackId) :
+            [...this.tracks.values()].find(candidate => candidate.trainId === id);
+
+        return track ? this.toRecord(track, track.status) : null;
+    }
+
+    getActiveTrips(filters = {}) {
+        return [...this.tracks.values()]
+            .filter(track => !filters.route || track.routeId === filters.route)
+            .map(track => this.toRecord(track, track.status));
+    }
+
+    /**
+     * Completed (and given-up vanished) trip records, newest last
+     * @param {Object} filters - route, status, since (epoch ms), limit
+     */
+    getCompletedTrips(filters = {}) {
+        const records = this.completed.filter(record => {
+            if (filters.route && record.routeId !== filters.route) return false;
+            if (filters.status && record.status !== filters.status) return false;
+            if (filters.since && record.endedAt < filters.since) return false;
+            return true;
+        });
+
+        return filters.limit ? records.slice(-filters.limit) : records;
+    }
+
+    getStats() {
+        const vanished = [...this.tracks.values()].filter(track => track.status === 'vanished').length;
+
+        return {
+            activeTrips: this.tracks.size - vanished,
+            vanishedTrips: vanished,
+            completedTrips: this.completed.length
+        };
+    }
+}
+
+module.exports = TripTracker;
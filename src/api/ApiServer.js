@@ -0,0 +1,540 @@
+// src/api/ApiServer.js
+const http = require('http');
+const { URL } = require('url');
+const EventEmitter = require('events');
+const { getLogger } = require('../utils/Logger');
+const ArrivalBoard = require('../query/ArrivalBoard');
+const EventStream = require('./EventStream');
+const TrainPositionEstimator = require('../geo/TrainPositionEstimator');
+const GeoJSONExporter = require('../geo/GeoJSONExporter');
+const { SEVERITIES } = require('../alerts/rules');
+const {
+    parseBoundingBox,
+    isInBoundingBox,
+    filterVehicles,
+    filterTripUpdates,
+    filterSubwayAlerts,
+    filterTrafficItems
+} = require('../query/filters');
+
+/**
+ * HTTP JSON API exposing the live state of a DataIngestionService
+ * Keeps the latest snapshot per connector and serves filtered views of it
+ */
+class ApiServer extends EventEmitter {
+    /**
+     * @param {DataIngestionService} pipeline - Service whose data and status are exposed
+     * @param {Object} config - port, host, stream (EventStream options), store (SnapshotStore for history),
+     *                          headwayMonitor (HeadwayMonitor for headways), tripTracker (TripTracker for trips),
+     *                          schedule (GTFSSchedule for train positions along shapes),
+     *                          alertEngine (AlertEngine for rule-based alerts),
+     *                          notificationService (NotificationService for the alert delivery log)
+     */
+    constructor(pipeline, config = {}) {
+        super();
+
+        if (!pipeline) {
+            throw new Error('ApiServer requires a DataIngestionService');
+        }
+
+        this.config = {
+            port: parseInt(process.env.API_PORT, 10) || 3000,
+            host: '0.0.0.0',
+            ...config
+        };
+
+        this.pipeline = pipeline;
+        this.logger = getLogger('ApiServer');
+        this.server = null;
+        this.latestData = new Map(); // connector name -> latest ingested data
+        this.arrivalBoard = new ArrivalBoard();
+        this.positionEstimator = new TrainPositionEstimator({ schedule: this.config.schedule || null });
+        this.trainPositions = [];
+        this.geoJSONExporter = new GeoJSONExporter();
+        this.eventStream = new EventStream(pipeline, this.config.stream);
+
+        this.routes = [
+            { path: /^\/api\/health$/, handler: () => this.getHealth() },
+            { path: /^\/api\/status$/, handler: () => this.getStatus() },
+            { path: /^\/api\/stream$/, handler: (params, query, req, res) =>
+                this.eventStream.handleRequest(req, res, query) },
+            { path: /^\/api\/connectors\/([^/]+)$/, handler: (params) => this.getConnector(params[0]) },
+            { path: /^\/api\/subway$/, handler: (params, query) => this.getSubwaySnapshot(query) },
+            { path: /^\/api\/subway\/vehicles$/, handler: (params, query) => this.getSubwayVehicles(query) },
+            { path: /^\/api\/subway\/routes\/([^/]+)\/vehicles$/, handler: (params, query) =>
+                this.getSubwayVehicles({ ...query, route: params[0] }) },
+            { path: /^\/api\/subway\/positions$/, handler: (params, query) => this.getTrainPositions(query) },
+            { path: /^\/api\/subway\/alerts$/, handler: (params, query) => this.getSubwayAlerts(query) },
+            { path: /^\/api\/subway\/arrivals$/, handler: (params, query) => this.getArrivals(query) },
+            { path: /^\/api\/subway\/headways$/, handler: (params, query) => this.getHeadways(query) },
+            { path: /^\/api\/subway\/trips$/, handler: (params, query) => this.getTrips(query) },
+            { path: /^\/api\/subway\/trips\/([^/]+)$/, handler: (params) => this.getTrip(params[0]) },
+            { path: /^\/api\/alerts$/, handler: (params, query) => this.getAlerts(query) },
+            { path: /^\/api\/alerts\/rules$/, handler: () => this.getAlertRules() },
+            { path: /^\/api\/alerts\/deliveries$/, handler: (params, query) => this.getAlertDeliveries(query) },
+            { path: /^\/api\/traffic\/events$/, handler: (params, query) => this.getTrafficEvents(query) },
+            { path: /^\/api\/traffic\/hotspots$/, handler: (params, query) => this.getTrafficHotspots(query) },
+            { path: /^\/api\/history\/([^/]+)$/, handler: (params, query) => this.getHistory(params[0], query) },
+            { path: /^\/api\/geojson\/([^/]+)$/, handler: (params, query) => this.getGeoJSON(params[0], query) }
+        ];
+
+        this.handleDataIngested = ({ connector, data }) => {
+            this.latestData.set(connector, data);
+            if (data.source === 'mta') {
+                this.arrivalBoard.update(data);
+                // Estimated on every snapshot so the estimator sees each train advance
+                this.trainPositions = this.positionEstimator.estimate(data);
+            }
+        };
+    }
+
+    /**
+     * Start listening and tracking pipeline data
+     */
+    async start() {
+        if (this.server) {
+            this.logger.warn('API server is already running');
+            return;
+        }
+
+        this.pipeline.on('dataIngested', this.handleDataIngested);
+        this.eventStream.start();
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.logger.info('API server listening', {
+            host: this.config.host,
+            port: this.server.address().port
+        });
+        this.emit('started');
+    }
+
+    /**
+     * Stop listening
+     */
+    async stop() {
+        if (!this.server) return;
+
+        this.pipeline.removeListener('dataIngested', this.handleDataIngested);
+        // Open streams would otherwise keep the server from closing
+        this.eventStream.stop();
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+
+        this.logger.info('API server stopped');
+        this.emit('stopped');
+    }
+
+    /**
+     * Route a request to its handler and write the JSON response
+     */
+    async handleRequest(req, res) {
+        const startTime = Date.now();
+        const url = new URL(req.url, 'http://localhost');
+        let statusCode = 200;
+        let body;
+
+        try {
+            if (req.method !== 'GET') {
+                statusCode = 405;
+                body = { error: 'Method not allowed' };
+            } else {
+                const route = this.matchRoute(url.pathname);
+
+                if (route) {
+                    const query = Object.fromEntries(url.searchParams);
+                    body = await route.handler(route.params, query, req, res);
+                } else {
+                    statusCode = 404;
+                    body = { error: `No route for ${url.pathname}` };
+                }
+            }
+        } catch (error) {
+            statusCode = error.statusCode || 500;
+            body = { error: error.message };
+
+            if (statusCode >= 500) {
+                this.logger.error('API request failed', { path: url.pathname, error: error.message });
+            }
+        }
+
+        // Streaming handlers write their own response
+        if (res.headersSent) return;
+
+        this.sendJson(res, statusCode, body);
+        this.logger.debug('API request', {
+            method: req.method,
+            path: url.pathname,
+            statusCode,
+            responseTime: Date.now() - startTime
+        });
+    }
+
+    matchRoute(pathname) {
+        for (const route of this.routes) {
+            const match = route.path.exec(pathname);
+            if (match) {
+                let params;
+                try {
+                    params = match.slice(1).map(decodeURIComponent);
+                } catch (error) {
+                    throw this.badRequest(`Malformed URL encoding in ${pathname}`);
+                }
+                return { handler: route.handler, params };
+            }
+        }
+        return null;
+    }
+
+    sendJson(res, statusCode, body) {
+        // GeoJSON layers get their registered media type so GIS clients recognise them
+        const mediaType = body && body.type === 'FeatureCollection' ? 'application/geo+json' : 'application/json';
+
+        res.writeHead(statusCode, {
+            'Content-Type': `${mediaType}; charset=utf-8`,
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Parse the shared route/borough/bbox query filters
+     */
+    parseFilters(query) {
+        try {
+            return {
+                route: query.route,
+                borough: query.borough,
+                bbox: parseBoundingBox(query.bbox),
+                severity: query.severity,
+                type: query.type
+            };
+        } catch (error) {
+            throw this.badRequest(error.message);
+        }
+    }
+
+    /**
+     * A positive integer ?limit=, undefined when not given
+     */
+    parseLimit(value) {
+        if (value === undefined || value === '') return undefined;
+        if (!/^\d+$/.test(value) || parseInt(value, 10) === 0) {
+            throw this.badRequest('limit must be a positive integer');
+        }
+        return parseInt(value, 10);
+    }
+
+    /**
+     * A time parameter in epoch milliseconds or as a date, undefined when not given
+     */
+    parseTime(value, name) {
+        if (value === undefined || value === '') return undefined;
+        const time = /^\d+$/.test(value) ? parseInt(value, 10) : new Date(value).getTime();
+        if (isNaN(time)) {
+            throw this.badRequest(`${name} must be a timestamp in ms or a date`);
+        }
+        return time;
+    }
+
+    badRequest(message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    }
+
+    notFound(message) {
+        const error = new Error(message);
+        error.statusCode = 404;
+        return error;
+    }
+
+    /**
+     * Latest data from any connector producing the given source
+     */
+    getLatestBySource(source) {
+        let latest = null;
+        for (const data of this.latestData.values()) {
+            if (data.source === source && (!latest || data.timestamp > latest.timestamp)) {
+                latest = data;
+            }
+        }
+        return latest;
+    }
+
+    requireLatest(source) {
+        const data = this.getLatestBySource(source);
+        if (!data) {
+            throw this.notFound(`No ${source} data received yet`);
+        }
+        return data;
+    }
+
+    // Handlers
+
+    async getHealth() {
+        return this.pipeline.getHealth();
+    }
+
+    async getStatus() {
+        const status = this.pipeline.getStatus();
+        status.messageQueue = await status.messageQueue;
+        status.stream = this.eventStream.getStats();
+        return status;
+    }
+
+    getConnector(name) {
+        const connectorInfo = this.pipeline.connectors.get(name);
+        if (!connectorInfo) {
+            throw this.notFound(`Unknown connector: ${name}`);
+        }
+
+        return {
+            name,
+            status: connectorInfo.connector.getStatus(),
+            health: connectorInfo.connector.getHealth(),
+            lastDataReceived: connectorInfo.lastDataReceived
+        };
+    }
+
+    getSubwaySnapshot(query) {
+        const data = this.requireLatest('mta');
+        const filters = this.parseFilters(query);
+
+        return {
+            source: data.source,
+            timestamp: data.timestamp,
+            header: data.header,
+            feeds: data.feeds,
+            summary: data.summary,
+            vehicleUpdates: filterVehicles(data.vehicleUpdates, filters),
+            tripUpdates: filterTripUpdates(data.tripUpdates, filters),
+            alerts: filterSubwayAlerts(data.alerts, filters)
+        };
+    }
+
+    getSubwayVehicles(query) {
+        const data = this.requireLatest('mta');
+        const vehicles = filterVehicles(data.vehicleUpdates, this.parseFilters(query));
+
+        return { timestamp: data.timestamp, count: vehicles.length, vehicles };
+    }
+
+    /**
+     * Estimated train positions as a GeoJSON FeatureCollection
+     */
+    getTrainPositions(query) {
+        const data = this.requireLatest('mta');
+        const { route, bbox } = this.parseFilters(query);
+
+        const positions = this.trainPositions.filter(position => {
+            if (route && position.routeId !== route) return false;
+            if (bbox && !isInBoundingBox({ lat: position.latitude, lon: position.longitude }, bbox)) return false;
+            return true;
+        });
+
+        return this.geoJSONExporter.subwayTrains(positions, data.timestamp);
+    }
+
+    getSubwayAlerts(query) {
+        const data = this.requireLatest('mta');
+        const alerts = filterSubwayAlerts(data.alerts, this.parseFilters(query));
+
+        return { timestamp: data.timestamp, count: alerts.length, alerts };
+    }
+
+    getArrivals(query) {
+        if (!query.stop && !query.complex) {
+            throw this.badRequest('stop or complex is required');
+        }
+
+        const board = this.arrivalBoard.getArrivals({
+            stopId: query.stop,
+            complexId: query.complex,
+            includeComplex: query.includeComplex !== 'false',
+            routes: query.route,
+            direction: query.direction,
+            limit: this.parseLimit(query.limit)
+        });
+
+        if (!board) {
+            throw this.notFound(`Unknown station: ${query.stop || query.complex}`);
+        }
+        return board;
+    }
+
+    getHeadways(query) {
+        if (!this.config.headwayMonitor) {
+            throw this.notFound('Headway monitoring is not enabled');
+        }
+
+        const headways = this.config.headwayMonitor.getHeadways({
+            route: query.route,
+            stopId: query.stop
+        });
+        const filtered = query.gaps === 'true' ? headways.filter(headway => headway.gap) : headways;
+
+        return { count: filtered.length, headways: filtered };
+    }
+
+    getTrips(query) {
+        if (!this.config.tripTracker) {
+            throw this.notFound('Trip tracking is not enabled');
+        }
+
+        const trips = query.status === 'active' ?
+            this.config.tripTracker.getActiveTrips({ route: query.route }) :
+            this.config.tripTracker.getCompletedTrips({
+                route: query.route,
+                status: query.status,
+                since: this.parseTime(query.since, 'since'),
+                limit: this.parseLimit(query.limit)
+            });
+
+        return { count: trips.length, trips };
+    }
+
+    getTrip(id) {
+        if (!this.config.tripTracker) {
+            throw this.notFound('Trip tracking is not enabled');
+        }
+
+        const trip = this.config.tripTracker.getTrip(id);
+        if (!trip) {
+            throw this.notFound(`Unknown trip: ${id}`);
+        }
+        return trip;
+    }
+
+    getAlerts(query) {
+        if (!this.config.alertEngine) {
+            throw this.notFound('Alerting is not enabled');
+        }
+        if (query.severity && !SEVERITIES.includes(query.severity)) {
+            throw this.badRequest(`severity must be one of ${SEVERITIES.join(', ')}`);
+        }
+
+        const filters = {
+            ruleId: query.rule,
+            severity: query.severity,
+            limit: this.parseLimit(query.limit)
+        };
+        const alerts = query.status === 'resolved' ?
+            this.config.alertEngine.getRecentAlerts(filters) :
+            this.config.alertEngine.getActiveAlerts(filters);
+
+        return { count: alerts.length, alerts };
+    }
+
+    getAlertRules() {
+        if (!this.config.alertEngine) {
+            throw this.notFound('Alerting is not enabled');
+        }
+
+        const rules = this.config.alertEngine.getRules();
+        return { count: rules.length, rules };
+    }
+
+    getAlertDeliveries(query) {
+        if (!this.config.notificationService) {
+            throw this.notFound('Alert notifications are not enabled');
+        }
+
+        const service = this.config.notificationService;
+        const deliveries = service.getDeliveryLog({
+            channel: query.channel,
+            status: query.status,
+            alertId: query.alert,
+            limit: this.parseLimit(query.limit)
+        });
+
+        return { channels: service.getChannels(), stats: service.getStats(), count: deliveries.length, deliveries };
+    }
+
+    getTrafficEvents(query) {
+        const data = this.requireLatest('511ny');
+        const events = filterTrafficItems(data.events, this.parseFilters(query));
+
+        return { timestamp: data.timestamp, count: events.length, events };
+    }
+
+    getTrafficHotspots(query) {
+        const data = this.requireLatest('511ny');
+        const filters = this.parseFilters(query);
+
+        // A hotspot is in a borough when any of its events is
+        const eventsById = new Map((data.events || []).map(event => [event.id, event]));
+        const inBorough = hotspot => filterTrafficItems(
+            hotspot.eventIds.map(id => eventsById.get(id)).filter(Boolean), { borough: filters.borough }).length > 0;
+
+        const hotspots = (data.geoSummary?.eventHotspots || []).filter(hotspot => {
+            if (filters.borough && !inBorough(hotspot)) return false;
+            if (filters.bbox && !isInBoundingBox(hotspot.center, filters.bbox)) return false;
+            if (filters.severity && hotspot.severity !== filters.severity) return false;
+            return true;
+        });
+
+        return { timestamp: data.timestamp, count: hotspots.length, hotspots };
+    }
+
+    async getHistory(kind, query) {
+        if (!this.config.store) {
+            throw this.notFound('History storage is not enabled');
+        }
+
+        const options = {
+            from: this.parseTime(query.from, 'from'),
+            to: this.parseTime(query.to, 'to'),
+            route: query.route,
+            station: query.station,
+            borough: query.borough,
+            limit: this.parseLimit(query.limit)
+        };
+        let records;
+        try {
+            records = await this.config.store.query(kind, options);
+        } catch (error) {
+            throw this.badRequest(error.message);
+        }
+
+        return { kind, count: records.length, records };
+    }
+
+    /**
+     * One GeoJSON layer: traffic-events, cameras, message-signs, hotspots, subway-stations or subway-trains
+     */
+    getGeoJSON(layer, query) {
+        const filters = this.parseFilters(query);
+
+        switch (layer) {
+            case 'subway-stations':
+                return this.geoJSONExporter.subwayStations({ route: filters.route, borough: filters.borough });
+            case 'subway-trains':
+                return this.getTrainPositions(query);
+            case 'traffic-events':
+            case 'cameras':
+            case 'message-signs':
+            case 'hotspots': {
+                const data = this.requireLatest('511ny');
+                return this.geoJSONExporter.exportLayer(layer, {
+                    ...data,
+                    events: filterTrafficItems(data.events, filters),
+                    cameras: filterTrafficItems(data.cameras, filters),
+                    messageSigns: filterTrafficItems(data.messageSigns, filters)
+                });
+            }
+            default:
+                throw this.notFound(`Unknown GeoJSON layer: ${layer} (expected ${GeoJSONExporter.LAYERS.join(', ')})`);
+        }
+    }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,269 @@
+// src/api/EventStream.js
+const { getLogger } = require('../utils/Logger');
+const {
+    parseBoundingBox,
+    isInBoundingBox,
+    filterVehicles,
+    filterTripUpdates,
+    filterSubwayAlerts,
+    filterTrafficItems
+} = require('../query/filters');
+
+const EVENT_TYPES = ['data', 'changes', 'connector-error', 'circuit-breaker'];
+
+/**
+ * Server-Sent Events stream of DataIngestionService events
+ * Clients subscribe by connector, event type and payload filters, and can resume
+ * after a disconnect with Last-Event-ID from a bounded replay buffer. Full
+ * snapshots are not buffered: the next poll sends a fresh one anyway
+ */
+class EventStream {
+    constructor(pipeline, config = {}) {
+        this.config = {
+            heartbeatInterval: 15000, // keep proxies from closing idle connections
+            bufferSize: 50,           // changes and status events kept for Last-Event-ID resume
+            retryInterval: 5000,      // reconnect delay suggested to clients
+            ...config
+        };
+
+        this.pipeline = pipeline;
+        this.logger = getLogger('EventStream');
+        this.clients = new Set();
+        this.buffer = [];
+        this.lastEventId = 0;
+        this.heartbeatTimer = null;
+
+        this.listeners = {
+            dataIngested: ({ connector, data, timestamp }) =>
+                this.publish('data', connector, { connector, timestamp, data }),
+            dataChanged: ({ connector, changes, timestamp }) =>
+                this.publish('changes', connector, { connector, timestamp, changes }),
+            connectorError: ({ connector, error, timestamp }) =>
+                this.publish('connector-error', connector, { connector, timestamp, error: error.message }),
+            circuitBreakerOpen: ({ connector, timestamp, reason, nextAttemptAt }) =>
+                this.publish('circuit-breaker', connector, { connector, timestamp, state: 'open', reason, nextAttemptAt }),
+            circuitBreakerHalfOpen: ({ connector, timestamp, reason }) =>
+                this.publish('circuit-breaker', connector, { connector, timestamp, state: 'half_open', reason }),
+            circuitBreakerClosed: ({ connector, timestamp, reason }) =>
+                this.publish('circuit-breaker', connector, { connector, timestamp, state: 'closed', reason })
+        };
+    }
+
+    /**
+     * Start listening to the pipeline and sending heartbeats
+     */
+    start() {
+        Object.entries(this.listeners).forEach(([event, listener]) => {
+            this.pipeline.on(event, listener);
+        });
+
+        this.heartbeatTimer = setInterval(() => {
+            this.clients.forEach(client => client.res.write(`: heartbeat ${Date.now()}\n\n`));
+        }, this.config.heartbeatInterval);
+    }
+
+    /**
+     * Stop listening and disconnect every client
+     */
+    stop() {
+        Object.entries(this.listeners).forEach(([event, listener]) => {
+            this.pipeline.removeListener(event, listener);
+        });
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+
+    /**
+     * Open a stream for an HTTP request
+     * Query: connectors, events (comma lists), route, borough, bbox, severity, lastEventId
+     */
+    handleRequest(req, res, query = {}) {
+        const subscription = this.parseSubscription(query);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write(`retry: ${this.config.retryInterval}\n\n`);
+
+        const client = { res, subscription, connectedAt: Date.now() };
+        this.clients.add(client);
+
+        // Replay what the client missed while disconnected
+        const lastEventId = parseInt(req.headers['last-event-id'] || query.lastEventId, 10);
+        if (!isNaN(lastEventId)) {
+            this.buffer
+                .filter(event => event.id > lastEventId)
+                .forEach(event => this.sendToClient(client, event));
+        }
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            this.logger.debug('Stream client disconnected', { clients: this.clients.size });
+        });
+
+        this.logger.debug('Stream client connected', {
+            clients: this.clients.size,
+            subscription: query
+        });
+    }
+
+    /**
+     * Build a client subscription from query parameters
+     */
+    parseSubscription(query) {
+        const list = value => value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null;
+
+        const events = list(query.events);
+        const unknownEvents = (events || []).filter(event => !EVENT_TYPES.includes(event));
+        if (unknownEvents.length > 0) {
+            const error = new Error(`Unknown event types: ${unknownEvents.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        let bbox;
+        try {
+            bbox = parseBoundingBox(query.bbox);
+        } catch (error) {
+            error.statusCode = 400;
+            throw error;
+        }
+
+        return {
+            connectors: list(query.connectors),
+            events,
+            filters: {
+                route: query.route,
+                borough: query.borough,
+                bbox,
+                severity: query.severity
+            }
+        };
+    }
+
+    /**
+     * Record an event and fan it out to subscribed clients
+     */
+    publish(type, connector, payload) {
+        const event = {
+            id: ++this.lastEventId,
+            type,
+            connector,
+            payload
+        };
+
+        // A merged snapshot runs to megabytes; keep only the small events
+        if (type !== 'data') {
+            this.buffer.push(event);
+            if (this.buffer.length > this.config.bufferSize) {
+                this.buffer.shift();
+            }
+        }
+
+        this.clients.forEach(client => this.sendToClient(client, event));
+    }
+
+    sendToClient(client, event) {
+        const payload = this.applySubscription(client.subscription, event);
+        if (!payload) return;
+
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+
+    /**
+     * Filter an event for a subscription
+     * @returns {Object|null} Payload to send, or null when the client is not interested
+     */
+    applySubscription(subscription, event) {
+        if (subscription.connectors && !subscription.connectors.includes(event.connector)) return null;
+        if (subscription.events && !subscription.events.includes(event.type)) return null;
+        if (event.type !== 'data' && event.type !== 'changes') return event.payload;
+
+        const filters = subscription.filters;
+        const hasFilters = filters.route || filters.borough || filters.bbox || filters.severity;
+        if (!hasFilters) return event.payload;
+        if (event.type === 'changes') return this.filterChanges(event.payload, filters);
+
+        const data = event.payload.data;
+        let filteredData;
+
+        if (data.source === 'mta') {
+            filteredData = {
+                ...data,
+                vehicleUpdates: filterVehicles(data.vehicleUpdates, filters),
+                tripUpdates: filterTripUpdates(data.tripUpdates, filters),
+                alerts: filterSubwayAlerts(data.alerts, filters)
+            };
+            if (!filteredData.vehicleUpdates.length && !filteredData.tripUpdates.length &&
+                !filteredData.alerts.length) {
+                return null;
+            }
+        } else if (data.source === '511ny') {
+            filteredData = {
+                ...data,
+                events: filterTrafficItems(data.events, filters),
+                cameras: filterTrafficItems(data.cameras, { ...filters, severity: null }),
+                messageSigns: filterTrafficItems(data.messageSigns, { ...filters, severity: null })
+            };
+            if (!filteredData.events.length) return null;
+        } else {
+            return event.payload;
+        }
+
+        return { ...event.payload, data: filteredData };
+    }
+
+    /**
+     * Filter a changes payload like the data filters; null when no change is left
+     * Only traffic events have a severity, and a bbox only matches changes with a
+     * place: traffic events, trains, changed stops and alerted stations
+     */
+    filterChanges(payload, filters) {
+        const inBorough = boroughs => !filters.borough ||
+            boroughs.some(borough => borough && borough.toLowerCase() === filters.borough.toLowerCase());
+        const inBbox = locations => !filters.bbox ||
+            locations.some(location => isInBoundingBox(location, filters.bbox));
+
+        const changes = payload.changes.changes.filter(change => {
+            if (change.type.startsWith('traffic_event.')) {
+                return filterTrafficItems([change.item], filters).length > 0;
+            }
+            if (filters.severity) return false;
+            if (payload.changes.source === '511ny') {
+                return !filters.bbox && inBorough(change.item.affected_area?.boroughs || []);
+            }
+            if (change.type.startsWith('alert.')) {
+                return filterSubwayAlerts([change.item], filters).length > 0 && inBbox(change.item.informedEntities
+                    .map(entity => entity.stop && { lat: entity.stop.latitude, lon: entity.stop.longitude }));
+            }
+            if (filters.route && change.routeId !== filters.route) return false;
+            if (change.type === 'trip.prediction_changed') {
+                return inBorough(change.boroughs) && inBbox(change.stops.map(stop => stop.location));
+            }
+            return inBorough([change.borough]) && inBbox([change.location]);
+        });
+
+        if (changes.length === 0) return null;
+
+        return { ...payload, changes: { ...payload.changes, changes } };
+    }
+
+    getStats() {
+        return {
+            clients: this.clients.size,
+            bufferedEvents: this.buffer.length,
+            lastEventId: this.lastEventId
+        };
+    }
+}
+
+module.exports = EventStream;
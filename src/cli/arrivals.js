@@ -0,0 +1,131 @@
+// src/cli/arrivals.js - Next trains at a station from the live MTA feeds
+require('dotenv').config();
+
+const MTAConnector = require('../connectors/mta/MTAConnector');
+const ArrivalBoard = require('../query/ArrivalBoard');
+const { getStationRegistry } = require('../reference/StationRegistry');
+
+const USAGE = `Usage: node src/cli/arrivals.js (--stop <id> | --complex <id> | --name <text>) [options]
+
+  --stop <id>         GTFS stop id, e.g. 127 or 127N
+  --complex <id>      Station complex id, e.g. 611
+  --name <text>       Station name search, e.g. "Times Sq"
+  --route <id>        Only this route (repeatable)
+  --direction <N|S>   Only one direction
+  --limit <n>         Arrivals per route/direction (default 3)
+  --json              Print the raw board as JSON`;
+
+/**
+ * Parse command line flags into a query
+ */
+function parseArgs(argv) {
+    const args = { routes: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+
+        switch (flag) {
+            case '--stop': args.stopId = value; i++; break;
+            case '--complex': args.complexId = value; i++; break;
+            case '--name': args.name = value; i++; break;
+            case '--route': args.routes.push(value); i++; break;
+            case '--direction': args.direction = (value || '').toUpperCase(); i++; break;
+            case '--limit': args.limit = parseInt(value, 10); i++; break;
+            case '--json': args.json = true; break;
+            case '--help': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    if (args.direction !== undefined && !['N', 'S'].includes(args.direction)) {
+        throw new Error('--direction must be N or S');
+    }
+
+    return args;
+}
+
+/**
+ * Turn a --name search into a complex query
+ */
+function resolveNameQuery(args) {
+    const matches = getStationRegistry().findStationsByName(args.name);
+    if (matches.length === 0) {
+        throw new Error(`No station matches "${args.name}"`);
+    }
+
+    const complexes = [...new Set(matches.map(station => station.complexId))];
+    if (complexes.length > 1) {
+        const options = matches.map(station => `   ${station.stopId}  ${station.name} (${station.routes.join(' ')})`);
+        throw new Error(`"${args.name}" matches several stations, use --stop:\n${options.join('\n')}`);
+    }
+
+    return { complexId: complexes[0] };
+}
+
+function printBoard(board) {
+    console.log(`🚉 ${board.station.name} (${board.station.borough})`);
+    console.log('='.repeat(40));
+
+    if (board.groups.length === 0) {
+        console.log('   No upcoming trains in the current feed');
+        return;
+    }
+
+    board.groups.forEach(group => {
+        console.log(`\n🚇 ${group.routeId} ${group.directionLabel || group.direction || ''}`);
+        group.arrivals.forEach(arrival => {
+            const due = arrival.minutesAway === 0 ? 'now' : `${arrival.minutesAway} min`;
+            const destination = arrival.destination?.name || arrival.destination?.stopId || 'Unknown';
+            const flags = [
+                arrival.stale ? 'stale' : null,
+                arrival.isAssigned === false ? 'unassigned' : null
+            ].filter(Boolean);
+
+            console.log(`   ${due.padEnd(7)} → ${destination}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+        });
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help || (!args.stopId && !args.complexId && !args.name)) {
+        console.log(USAGE);
+        return;
+    }
+
+    const query = {
+        ...(args.name ? resolveNameQuery(args) : { stopId: args.stopId, complexId: args.complexId }),
+        includeComplex: true,
+        routes: args.routes.length > 0 ? args.routes : undefined,
+        direction: args.direction,
+        limit: args.limit
+    };
+
+    const connector = new MTAConnector();
+    await connector.loadProtobufSchema();
+    if (process.env.MTA_STATIC_GTFS) {
+        await connector.loadSchedule(process.env.MTA_STATIC_GTFS);
+    }
+
+    const board = new ArrivalBoard();
+    board.update(await connector.fetchData());
+
+    const result = board.getArrivals(query);
+    if (!result) {
+        throw new Error('Unknown station');
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printBoard(result);
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,100 @@
+// src/cli/export-geojson.js - Write live traffic and subway layers as GeoJSON files
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const MTAConnector = require('../connectors/mta/MTAConnector');
+const TrafficConnector = require('../connectors/traffic/TrafficConnector');
+const TrainPositionEstimator = require('../geo/TrainPositionEstimator');
+const GeoJSONExporter = require('../geo/GeoJSONExporter');
+
+const TRAFFIC_LAYERS = ['traffic-events', 'cameras', 'message-signs', 'hotspots'];
+
+const USAGE = `Usage: node src/cli/export-geojson.js [options]
+
+  --out <dir>           Output directory (default data/geojson)
+  --layer <name>        Only this layer (repeatable): ${GeoJSONExporter.LAYERS.join(', ')}
+  --static-gtfs <path>  Static GTFS zip or directory for scheduled train positions
+                        (default MTA_STATIC_GTFS)
+
+Traffic layers need TRAFFIC_511NY_API_KEY and subway-trains needs MTA_API_KEY;
+layers whose key is missing are skipped.`;
+
+function parseArgs(argv) {
+    const args = { out: path.join('data', 'geojson'), layers: [], staticGtfs: process.env.MTA_STATIC_GTFS || null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+
+        switch (flag) {
+            case '--out': args.out = value; i++; break;
+            case '--layer': args.layers.push(value); i++; break;
+            case '--static-gtfs': args.staticGtfs = value; i++; break;
+            case '--help': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    args.layers.forEach(layer => {
+        if (!GeoJSONExporter.LAYERS.includes(layer)) {
+            throw new Error(`Unknown layer: ${layer} (expected ${GeoJSONExporter.LAYERS.join(', ')})`);
+        }
+    });
+    if (args.layers.length === 0) {
+        args.layers = [...GeoJSONExporter.LAYERS];
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const exporter = new GeoJSONExporter();
+    const collections = {};
+
+    if (args.layers.some(layer => TRAFFIC_LAYERS.includes(layer))) {
+        if (process.env.TRAFFIC_511NY_API_KEY) {
+            const traffic = await new TrafficConnector().fetchData();
+            Object.assign(collections, exporter.exportTraffic(traffic));
+        } else {
+            console.log('⚠️  TRAFFIC_511NY_API_KEY not set - skipping traffic layers');
+        }
+    }
+
+    if (args.layers.includes('subway-trains')) {
+        if (process.env.MTA_API_KEY) {
+            const mta = new MTAConnector();
+            await mta.loadProtobufSchema();
+            if (args.staticGtfs) {
+                await mta.loadSchedule(args.staticGtfs);
+            }
+            const subway = await mta.fetchData();
+            collections['subway-trains'] = exporter.subwayTrains(
+                new TrainPositionEstimator({ schedule: mta.schedule }).estimate(subway), subway.timestamp);
+        } else {
+            console.log('⚠️  MTA_API_KEY not set - skipping subway-trains');
+        }
+    }
+
+    collections['subway-stations'] = exporter.subwayStations();
+
+    fs.mkdirSync(args.out, { recursive: true });
+    args.layers.filter(layer => collections[layer]).forEach(layer => {
+        const file = path.join(args.out, `${layer}.geojson`);
+        fs.writeFileSync(file, JSON.stringify(collections[layer]));
+        console.log(`✅ ${layer}: ${collections[layer].features.length} features → ${file}`);
+    });
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,68 @@
+// src/cli/mock-server.js - Run the mock MTA / 511NY server for offline development
+const MockFeedServer = require('../dev/mock/MockFeedServer');
+
+const USAGE = `Usage: node src/cli/mock-server.js [options]
+
+  --port <n>          Port to listen on (default MOCK_PORT or 8090)
+  --scenario <name>   Start with a scenario: ${MockFeedServer.SCENARIOS.join(', ')}
+  --target <name>     Apply the scenario to mta, 511ny or all (default all)
+  --key <key>         API key to accept (default mock-key, "any" accepts every key)`;
+
+function parseArgs(argv) {
+    const args = { port: parseInt(process.env.MOCK_PORT, 10) || 8090, target: 'all' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+
+        switch (flag) {
+            case '--port': args.port = parseInt(value, 10); i++; break;
+            case '--scenario': args.scenario = value; i++; break;
+            case '--target': args.target = value; i++; break;
+            case '--key': args.apiKey = value === 'any' ? null : value; i++; break;
+            case '--help': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const server = new MockFeedServer({
+        port: args.port,
+        ...(args.apiKey !== undefined ? { apiKey: args.apiKey } : {})
+    });
+
+    if (args.scenario) {
+        server.setScenario(args.scenario, { target: args.target });
+    }
+
+    await server.start();
+
+    console.log('🧪 Mock feed server running');
+    console.log(`   MTA_BASE_URL=${server.mtaBaseUrl}`);
+    console.log(`   TRAFFIC_511NY_BASE_URL=${server.trafficBaseUrl}`);
+    console.log(`   API key: ${server.config.apiKey || 'any'}`);
+    console.log(`   Scenario: ${args.scenario || 'normal'} (${args.target})`);
+
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
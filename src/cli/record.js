@@ -0,0 +1,80 @@
+// src/cli/record.js - Record live MTA / 511NY responses for later replay
+require('dotenv').config();
+
+const MTAConnector = require('../connectors/mta/MTAConnector');
+const TrafficConnector = require('../connectors/traffic/TrafficConnector');
+const FeedRecorder = require('../connectors/replay/FeedRecorder');
+
+const USAGE = `Usage: node src/cli/record.js [options]
+
+  --minutes <n>       How long to record (default 10)
+  --dir <path>        Recordings directory (default data/recordings or RECORDING_DIR)
+  --session <name>    Recording name (default: start time)
+  --no-mta            Skip the MTA subway feeds
+  --no-traffic        Skip the 511NY endpoints`;
+
+function parseArgs(argv) {
+    const args = { minutes: 10, mta: true, traffic: true };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+
+        switch (flag) {
+            case '--minutes': args.minutes = parseFloat(value); i++; break;
+            case '--dir': args.directory = value; i++; break;
+            case '--session': args.session = value; i++; break;
+            case '--no-mta': args.mta = false; break;
+            case '--no-traffic': args.traffic = false; break;
+            case '--help': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const recorder = new FeedRecorder({
+        ...(args.directory ? { directory: args.directory } : {}),
+        ...(args.session ? { session: args.session } : {})
+    });
+
+    const connectors = [];
+    if (args.mta && process.env.MTA_API_KEY) {
+        connectors.push(new MTAConnector({ recorder }));
+    }
+    if (args.traffic && process.env.TRAFFIC_511NY_API_KEY) {
+        connectors.push(new TrafficConnector({ recorder }));
+    }
+    if (connectors.length === 0) {
+        throw new Error('Nothing to record - set MTA_API_KEY and/or TRAFFIC_511NY_API_KEY');
+    }
+
+    console.log(`⏺️  Recording ${connectors.map(c => c.constructor.name).join(', ')} for ${args.minutes} min`);
+    console.log(`   → ${recorder.path}`);
+
+    connectors.forEach(connector => {
+        connector.on('error', error => console.log(`   ⚠️  ${connector.constructor.name}: ${error.message}`));
+        connector.start();
+    });
+
+    await new Promise(resolve => setTimeout(resolve, args.minutes * 60 * 1000));
+    connectors.forEach(connector => connector.stop());
+
+    const stats = recorder.getStats();
+    console.log(`✅ Recorded ${stats.responsesRecorded} responses (${stats.bytesRecorded.toLocaleString()} bytes)`);
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
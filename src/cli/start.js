@@ -0,0 +1,98 @@
+// src/cli/start.js - Start the whole system from a pipeline config file
+require('dotenv').config();
+
+const { loadPipelineConfig } = require('../config/PipelineConfig');
+const PipelineBootstrap = require('../pipeline/PipelineBootstrap');
+
+const DEFAULT_CONFIG = 'config/pipeline.yaml';
+
+const USAGE = `Usage: node src/cli/start.js [options]
+
+  --config <path>     Pipeline config, YAML or JSON (default PIPELINE_CONFIG or ${DEFAULT_CONFIG})
+  --check             Validate the config, print the resolved settings and exit
+
+Settings can be overridden with PIPELINE__<SECTION>__<KEY>=value, e.g. PIPELINE__API__PORT=4000`;
+
+function parseArgs(argv) {
+    const args = { config: process.env.PIPELINE_CONFIG || DEFAULT_CONFIG, check: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+
+        switch (flag) {
+            case '--config': args.config = value; i++; break;
+            case '--check': args.check = true; break;
+            case '--help': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Copy of the config with keys, passwords and tokens blanked out for printing
+ */
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, /key|pass|secret|token/i.test(key) && typeof item === 'string' ? '***' : redact(item)]));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (args.check) {
+        const config = loadPipelineConfig(args.config);
+        console.log(`✅ ${args.config} is valid\n`);
+        console.log(JSON.stringify(redact(config), null, 2));
+        return;
+    }
+
+    const system = new PipelineBootstrap(args.config);
+
+    let stopping = false;
+    const shutdown = async (signal) => {
+        if (stopping) return;
+        stopping = true;
+
+        console.log(`\n👋 ${signal} received, shutting down...`);
+        await system.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    await system.start();
+
+    const summary = system.getSummary();
+    console.log(`🚀 Started from ${args.config}`);
+    console.log(`   Queue: ${summary.queue}`);
+    console.log(`   Connectors: ${summary.connectors.join(', ')}`);
+    [
+        ['Headway monitor', summary.headways],
+        ['Trip tracker', summary.trips],
+        ['History', summary.history],
+        ['Alert rules', summary.alerts],
+        ['Notifications', summary.notifications && summary.notifications.join(', ')]
+    ].forEach(([label, value]) => {
+        if (value) console.log(`   ${label}: ${value === true ? 'on' : value}`);
+    });
+    if (summary.api) {
+        console.log(`🌐 API available at http://localhost:${summary.api.port}/api/status`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,352 @@
+// src/config/PipelineConfig.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadRules } = require('../alerts/rules');
+const NotificationService = require('../notifications/NotificationService');
+
+const CONNECTOR_TYPES = ['mta', 'traffic', 'replay'];
+const QUEUE_TYPES = ['kafka', 'redis', 'memory'];
+
+// Sections a config file may have; every component section except connectors is optional
+const SECTIONS = [
+    'queue', 'pipeline', 'staticGtfs', 'rateLimits', 'connectors',
+    'headways', 'trips', 'history', 'alerts', 'notifications', 'api'
+];
+const COMPONENT_SECTIONS = ['headways', 'trips', 'history', 'alerts', 'notifications', 'api'];
+
+// Environment variables of the form PIPELINE__API__PORT=4000 override single settings
+const ENV_OVERRIDE_PREFIX = 'PIPELINE__';
+
+/**
+ * Parse a pipeline config file - JSON, or YAML by extension (.yaml / .yml)
+ */
+function readConfigFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read pipeline config ${filePath}: ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+        return extension === '.yaml' || extension === '.yml' ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Cannot parse pipeline config ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Load, override, validate and normalize a pipeline config
+ *
+ * String values may reference environment variables as ${NAME} or
+ * ${NAME:-default}; a value that is only a reference takes the variable's
+ * type (`port: ${API_PORT:-3000}` is a number). PIPELINE__<SECTION>__<KEY>
+ * variables then override single settings, matching keys case-insensitively
+ * and ignoring - and _ (PIPELINE__CONNECTORS__MTA_SUBWAY__POLL_INTERVAL=15000).
+ *
+ * @param {string|Object} source - Path to a YAML/JSON file, or the config itself
+ * @param {Object} env - Environment to read (default process.env)
+ * @returns {Object} Normalized config: connectors as a list, disabled components as null
+ */
+function loadPipelineConfig(source, env = process.env) {
+    const file = typeof source === 'string' ? source : null;
+    const raw = file ? readConfigFile(file) : source;
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`Pipeline config${file ? ` ${file}` : ''} must be an object`);
+    }
+
+    const config = interpolateEnv(raw, env, errors);
+    applyEnvOverrides(config, env);
+    const normalized = validatePipelineConfig(config, env, errors);
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid pipeline config${file ? ` ${file}` : ''}:\n` +
+            errors.map(message => `  - ${message}`).join('\n'));
+        error.errors = errors;
+        throw error;
+    }
+
+    normalized.source = file;
+    return normalized;
+}
+
+/**
+ * Replace ${NAME} / ${NAME:-default} references with environment values
+ */
+function interpolateEnv(value, env, errors, location = '') {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolateEnv(item, env, errors, `${location}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+            [key, interpolateEnv(item, env, errors, location ? `${location}.${key}` : key)]));
+    }
+    if (typeof value !== 'string' || !value.includes('${')) {
+        return value;
+    }
+
+    const reference = /\$\{(\w+)(?::-([^}]*))?\}/g;
+    const resolve = (match, name, fallback) => {
+        if (env[name] !== undefined && env[name] !== '') return env[name];
+        if (fallback !== undefined) return fallback;
+        errors.push(`${location}: environment variable ${name} is not set`);
+        return '';
+    };
+
+    // A value that is nothing but a reference is typed like YAML: numbers, booleans, empty = null
+    const whole = /^\$\{(\w+)(?::-([^}]*))?\}$/.exec(value);
+    if (whole) {
+        return parseScalar(resolve(...whole));
+    }
+    return value.replace(reference, resolve);
+}
+
+function parseScalar(text) {
+    if (text === '') return null;
+    try {
+        const parsed = yaml.load(text);
+        return parsed === undefined ? null : parsed;
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Apply PIPELINE__A__B=value variables to the config in place
+ */
+function applyEnvOverrides(config, env) {
+    const normalize = key => key.toLowerCase().replace(/[-_]/g, '');
+    const camelCase = segment => segment.toLowerCase().replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+
+    Object.keys(env)
+        .filter(name => name.startsWith(ENV_OVERRIDE_PREFIX))
+        .sort()
+        .forEach(name => {
+            const segments = name.slice(ENV_OVERRIDE_PREFIX.length).split('__').filter(Boolean);
+            if (segments.length === 0) return;
+
+            let target = config;
+            segments.forEach((segment, index) => {
+                const key = Object.keys(target).find(existing => normalize(existing) === normalize(segment)) ||
+                    camelCase(segment);
+
+                if (index === segments.length - 1) {
+                    target[key] = parseScalar(env[name]);
+                } else {
+                    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+                    target = target[key];
+                }
+            });
+        });
+
+    return config;
+}
+
+/**
+ * Check a config and normalize it, collecting every problem as "path: message"
+ * @returns {Object} Normalized config (meaningful only when no errors were added)
+ */
+function validatePipelineConfig(config, env = process.env, errors = []) {
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const positive = (value, location) => {
+        if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+            errors.push(`${location}: must be a positive number (got ${JSON.stringify(value)})`);
+        }
+    };
+
+    Object.keys(config).forEach(key => {
+        if (!SECTIONS.includes(key)) {
+            errors.push(`${key}: unknown section (expected ${SECTIONS.join(', ')})`);
+        }
+    });
+
+    // A component section turns its component on unless it says enabled: false
+    const section = (name) => {
+        const value = config[name];
+        if (value === undefined || value === null || value === false) return null;
+        if (value === true) return {};
+        if (!isObject(value)) {
+            errors.push(`${name}: must be an object`);
+            return null;
+        }
+        if (value.enabled !== undefined && typeof value.enabled !== 'boolean') {
+            errors.push(`${name}.enabled: must be true or false`);
+        }
+        if (value.enabled === false) return null;
+
+        const { enabled, ...options } = value;
+        return options;
+    };
+
+    const queue = config.queue === undefined ? {} : config.queue;
+    if (!isObject(queue)) {
+        errors.push('queue: must be an object');
+    } else if (queue.type !== undefined && !QUEUE_TYPES.includes(queue.type)) {
+        errors.push(`queue.type: unknown queue type "${queue.type}" (expected ${QUEUE_TYPES.join(', ')})`);
+    }
+
+    const pipeline = config.pipeline === undefined ? {} : config.pipeline;
+    if (!isObject(pipeline)) {
+        errors.push('pipeline: must be an object');
+    } else {
+        positive(pipeline.healthCheckInterval, 'pipeline.healthCheckInterval');
+    }
+
+    if (config.staticGtfs !== undefined && config.staticGtfs !== null) {
+        if (typeof config.staticGtfs !== 'string') {
+            errors.push('staticGtfs: must be a path to a GTFS zip or directory');
+        } else if (!fs.existsSync(config.staticGtfs)) {
+            errors.push(`staticGtfs: ${config.staticGtfs} does not exist`);
+        }
+    }
+
+    const rateLimits = config.rateLimits || {};
+    if (!isObject(rateLimits)) {
+        errors.push('rateLimits: must map API hosts to { rate, per, burst, dailyQuota }');
+    } else {
+        Object.entries(rateLimits).forEach(([host, limits]) => {
+            if (!isObject(limits)) {
+                errors.push(`rateLimits.${host}: must be an object`);
+                return;
+            }
+            ['rate', 'per', 'burst', 'dailyQuota'].forEach(field =>
+                positive(limits[field], `rateLimits.${host}.${field}`));
+        });
+    }
+
+    const connectors = validateConnectors(config.connectors, env, errors, positive);
+
+    const components = Object.fromEntries(COMPONENT_SECTIONS.map(name => [name, section(name)]));
+
+    if (components.alerts) {
+        const rules = components.alerts.rules;
+        if (rules !== undefined && rules !== 'default') {
+            try {
+                loadRules(rules);
+            } catch (error) {
+                errors.push(`alerts.rules: ${error.message}`);
+            }
+        }
+    }
+
+    if (components.notifications) {
+        const channels = components.notifications.channels || [];
+        if (!Array.isArray(channels) || channels.length === 0) {
+            errors.push('notifications.channels: must be a non-empty list of channels');
+        } else {
+            channels.forEach((channel, index) => {
+                const location = `notifications.channels[${index}]`;
+                if (!NotificationService.CHANNEL_TYPES.includes(channel?.type)) {
+                    errors.push(`${location}.type: unknown channel type "${channel?.type}" ` +
+                        `(expected ${NotificationService.CHANNEL_TYPES.join(', ')})`);
+                } else if (channel.type === 'email' ? !channel.to && !env.ALERT_EMAIL_TO : !channel.url) {
+                    errors.push(channel.type === 'email' ?
+                        `${location}.to: recipients are required (or set ALERT_EMAIL_TO)` :
+                        `${location}.url: a ${channel.type} url is required`);
+                }
+            });
+        }
+    }
+
+    if (components.api && components.api.port !== undefined) {
+        const port = components.api.port;
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            errors.push(`api.port: must be a port number (got ${JSON.stringify(port)})`);
+        }
+    }
+
+    if (components.history) {
+        positive(components.history.flushInterval, 'history.flushInterval');
+        Object.entries(components.history.retention || {}).forEach(([kind, retention]) =>
+            positive(retention, `history.retention.${kind}`));
+    }
+
+    return {
+        queue: isObject(queue) ? queue : {},
+        pipeline: isObject(pipeline) ? pipeline : {},
+        staticGtfs: config.staticGtfs || null,
+        rateLimits: isObject(rateLimits) ? rateLimits : {},
+        connectors,
+        ...components
+    };
+}
+
+/**
+ * connectors: { <name>: { type, enabled, ...connector options } }
+ * @returns {Object[]} Enabled connectors as { name, type, options }
+ */
+function validateConnectors(connectors, env, errors, positive) {
+    if (!connectors || typeof connectors !== 'object' || Array.isArray(connectors)) {
+        errors.push('connectors: must map connector names to { type, ...options }');
+        return [];
+    }
+
+    const enabled = [];
+    Object.entries(connectors).forEach(([name, definition]) => {
+        const location = `connectors.${name}`;
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            errors.push(`${location}: must be an object with a type`);
+            return;
+        }
+
+        const { type, enabled: isEnabled = true, ...options } = definition;
+        if (!CONNECTOR_TYPES.includes(type)) {
+            errors.push(`${location}.type: unknown connector type "${type}" (expected ${CONNECTOR_TYPES.join(', ')})`);
+            return;
+        }
+        if (typeof isEnabled !== 'boolean') {
+            errors.push(`${location}.enabled: must be true or false`);
+            return;
+        }
+        if (!isEnabled) return;
+
+        positive(options.pollInterval, `${location}.pollInterval`);
+        positive(options.timeout, `${location}.timeout`);
+        if (typeof options.schedule === 'string') {
+            errors.push(`${location}.schedule: use pollSchedule for adaptive polling (the GTFS schedule comes from staticGtfs)`);
+        }
+
+        // An unset ${VAR} for the key has already been reported
+        const keyReported = errors.some(message => message.startsWith(`${location}.apiKey:`));
+        if (type === 'mta' && !options.apiKey && !env.MTA_API_KEY && !keyReported) {
+            errors.push(`${location}.apiKey: an MTA API key is required (or set MTA_API_KEY)`);
+        }
+        if (type === 'traffic' && !options.apiKey && !env.TRAFFIC_511NY_API_KEY && !keyReported) {
+            errors.push(`${location}.apiKey: a 511NY API key is required (or set TRAFFIC_511NY_API_KEY)`);
+        }
+        if (type === 'replay') {
+            if (!options.recording) {
+                errors.push(`${location}.recording: a recording directory is required`);
+            } else if (!fs.existsSync(options.recording)) {
+                errors.push(`${location}.recording: ${options.recording} does not exist`);
+            }
+            if (options.source !== undefined && !['mta', '511ny'].includes(options.source)) {
+                errors.push(`${location}.source: must be mta or 511ny`);
+            }
+        }
+
+        enabled.push({ name, type, options });
+    });
+
+    if (Object.keys(connectors).length > 0 && enabled.length === 0 &&
+        !errors.some(message => message.startsWith('connectors.'))) {
+        errors.push('connectors: every connector is disabled');
+    } else if (Object.keys(connectors).length === 0) {
+        errors.push('connectors: at least one connector is required');
+    }
+
+    return enabled;
+}
+
+module.exports = {
+    CONNECTOR_TYPES,
+    QUEUE_TYPES,
+    loadPipelineConfig,
+    validatePipelineConfig,
+    applyEnvOverrides,
+    interpolateEnv
+};
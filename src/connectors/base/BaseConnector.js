@@ -1,10 +1,35 @@
 // src/connectors/base/BaseConnector.js
 const EventEmitter = require('events');
 const { Logger } = require('../../utils/Logger');
+const PollSchedule = require('./PollSchedule');
+const { getRateLimiter } = require('./RateLimiter');
+
+const CIRCUIT_EVENTS = {
+    open: 'circuitBreakerOpen',
+    half_open: 'circuitBreakerHalfOpen',
+    closed: 'circuitBreakerClosed'
+};
 
 /**
  * Base connector class that all data source connectors must extend
  * Provides common functionality for error handling, circuit breakers, and monitoring
+ *
+ * The circuit breaker has three states. While closed, failed polls are retried
+ * with jittered exponential backoff; after maxRetries failures in a row it
+ * opens and no requests are sent. Once the (jittered, growing) open timeout
+ * elapses it goes half-open and a single probe request decides whether it
+ * closes again or re-opens.
+ *
+ * Subclasses that can tell when their source last produced data (see
+ * getSourceTimestamp / getSnapshotSignature) also get staleness detection: a
+ * snapshot identical to the previous one is not emitted again, and the feed is
+ * flagged stale once its source data is older than staleAfter or has not
+ * changed for that long.
+ *
+ * The wait between polls comes from a PollSchedule: pollInterval by default,
+ * or an adaptive policy (the 'nyc' preset or a custom one, see PollSchedule).
+ * Upstream requests go through a RateLimiter shared by all connectors, and a
+ * failure that says when to come back (Retry-After) delays the next poll.
  */
 class BaseConnector extends EventEmitter {
     constructor(config = {}) {
@@ -13,30 +38,68 @@ class BaseConnector extends EventEmitter {
         this.config = {
             pollInterval: 30000,        // 30 seconds default
             maxRetries: 3,              // Max retry attempts
-            retryDelay: 5000,           // Delay between retries
+            retryDelay: 5000,           // First retry delay, doubled on every further failure
+            maxRetryDelay: 60000,       // Cap on the retry delay
+            jitter: 0.2,                // Random spread of retry / breaker delays (±20%)
             circuitBreakerTimeout: 60000, // 1 minute circuit breaker timeout
+            maxCircuitBreakerTimeout: 600000, // Cap as the timeout doubles on repeated opens
             timeout: 10000,             // 10 second request timeout
+            staleAfter: 300000,         // Source data older / unchanged this long is stale (null disables)
+            skipUnchanged: true,        // Don't emit snapshots identical to the previous one
+            pollSchedule: null,         // Adaptive polling: a PollSchedule preset name or policy object
+            rateLimiter: null,          // RateLimiter instance (default: the one shared by all connectors)
+            rateLimit: null,            // Limits for this connector's API host: { rate, per, burst, dailyQuota }
             ...config
         };
         
         this.isRunning = false;
         this.retryCount = 0;
-        this.circuitBreakerOpen = false;
+        this.circuitState = 'closed';   // closed | open | half_open
+        this.consecutiveOpens = 0;
+        this.openedAt = null;
+        this.nextAttemptAt = null;
+        this.circuitTransitions = [];
         this.lastPollTime = null;
         this.lastSuccessTime = null;
+        this.nextPollAt = null;
         this.pollTimer = null;
-        this.circuitBreakerTimer = null;
+        
+        const pollPolicy = typeof this.config.pollSchedule === 'string' ?
+            { policy: this.config.pollSchedule } :
+            this.config.pollSchedule;
+        this.pollSchedule = new PollSchedule({ ...pollPolicy, interval: this.config.pollInterval });
+        this.rateLimiter = this.config.rateLimiter || getRateLimiter();
+        this.rateLimitKeys = new Set();
+        this.retryAfterUntil = null;
         
         this.logger = new Logger(`connector:${this.constructor.name}`);
+        this.freshness = {
+            stale: false,
+            reason: null,
+            staleSince: null,
+            sourceTimestamp: null,
+            sourceAge: null,
+            signature: null,
+            lastChangedAt: null,
+            unchangedPolls: 0
+        };
         this.metrics = {
             totalFetches: 0,
             successfulFetches: 0,
             failedFetches: 0,
+            unchangedSnapshots: 0,
             avgResponseTime: 0,
             lastFetchTime: null
         };
     }
 
+    /**
+     * True while the breaker is not closed (open or probing)
+     */
+    get circuitBreakerOpen() {
+        return this.circuitState !== 'closed';
+    }
+
     /**
      * Abstract method - must be implemented by subclasses
      * Should return transformed data or null on failure
@@ -53,6 +116,53 @@ class BaseConnector extends EventEmitter {
         throw new Error('getConnectorStatus() must be implemented by subclass');
     }
 
+    /**
+     * When the source produced this snapshot (ms), e.g. a feed header timestamp
+     * Override to enable staleness detection; null means unknown
+     */
+    getSourceTimestamp(data) {
+        return null;
+    }
+
+    /**
+     * Cheap value that is equal for two identical snapshots
+     * Override to skip unchanged snapshots; null means always treat as changed
+     */
+    getSnapshotSignature(data) {
+        return null;
+    }
+
+    /**
+     * Whether the snapshot shows incidents that warrant faster polling
+     */
+    hasActiveIncidents(data) {
+        return false;
+    }
+
+    /**
+     * Upstream requests one poll makes, counted against the schedule's budget
+     */
+    getRequestsPerPoll() {
+        return 1;
+    }
+
+    /**
+     * Send an upstream request through the shared rate limiter
+     * @param {string} url - Request URL; its host (and the API key) pick the bucket
+     * @param {Function} request - Performs the request, returns a promise
+     */
+    rateLimited(url, request) {
+        const key = this.rateLimiter.getKey(url, this.config.apiKey);
+        if (!this.rateLimitKeys.has(key)) {
+            this.rateLimitKeys.add(key);
+            if (this.config.rateLimit) {
+                this.rateLimiter.setLimits(new URL(url).host, this.config.rateLimit);
+            }
+        }
+
+        return this.rateLimiter.run(key, request);
+    }
+
     /**
      * Start the connector polling loop
      */
@@ -84,11 +194,7 @@ class BaseConnector extends EventEmitter {
             clearTimeout(this.pollTimer);
             this.pollTimer = null;
         }
-        
-        if (this.circuitBreakerTimer) {
-            clearTimeout(this.circuitBreakerTimer);
-            this.circuitBreakerTimer = null;
-        }
+        this.nextPollAt = null;
         
         this.logger.info('Connector stopped');
         this.emit('stop');
@@ -100,17 +206,22 @@ class BaseConnector extends EventEmitter {
     async pollData() {
         if (!this.isRunning) return;
 
-        const startTime = Date.now();
-        this.lastPollTime = startTime;
-        this.metrics.totalFetches++;
-
-        try {
-            if (this.circuitBreakerOpen) {
+        // A breaker opened before a restart still holds until its timeout
+        if (this.circuitState === 'open') {
+            if (Date.now() < this.nextAttemptAt) {
                 this.logger.debug('Circuit breaker is open, skipping fetch');
                 this.schedulNextPoll();
                 return;
             }
+            this.halfOpenCircuitBreaker();
+        }
+
+        const startTime = Date.now();
+        this.lastPollTime = startTime;
+        this.metrics.totalFetches++;
+        this.pollSchedule.recordRequests(this.getRequestsPerPoll(), startTime);
 
+        try {
             const data = await this.fetchData();
             const responseTime = Date.now() - startTime;
             
@@ -134,12 +245,28 @@ class BaseConnector extends EventEmitter {
         
         this.lastSuccessTime = Date.now();
         this.retryCount = 0;
+        this.retryAfterUntil = null;
         
-        if (this.circuitBreakerOpen) {
+        if (this.circuitState !== 'closed') {
             this.closeCircuitBreaker();
         }
         
         if (data) {
+            const unchanged = this.checkFreshness(data);
+            this.pollSchedule.observe({
+                sourceTimestamp: this.freshness.sourceTimestamp,
+                activeIncidents: this.hasActiveIncidents(data)
+            });
+
+            if (unchanged && this.config.skipUnchanged) {
+                this.metrics.unchangedSnapshots++;
+                this.logger.debug('Snapshot unchanged since last poll, not emitting', {
+                    unchangedPolls: this.freshness.unchangedPolls
+                });
+                this.emit('unchanged', this.getFreshness());
+                return;
+            }
+
             this.logger.debug('Data fetched successfully', { 
                 responseTime, 
                 dataSize: JSON.stringify(data).length 
@@ -148,21 +275,90 @@ class BaseConnector extends EventEmitter {
         }
     }
 
+    /**
+     * Compare the snapshot's source timestamp with the wall clock and its
+     * signature with the previous poll, and update the stale flag
+     * @returns {boolean} True when the snapshot is identical to the previous one
+     */
+    checkFreshness(data) {
+        const now = Date.now();
+        const freshness = this.freshness;
+        const sourceTimestamp = this.getSourceTimestamp(data);
+        const signature = this.getSnapshotSignature(data);
+        const unchanged = signature !== null && signature === freshness.signature;
+
+        if (unchanged) {
+            freshness.unchangedPolls++;
+        } else {
+            freshness.unchangedPolls = 0;
+            freshness.lastChangedAt = now;
+        }
+        freshness.signature = signature;
+        freshness.sourceTimestamp = sourceTimestamp;
+        freshness.sourceAge = sourceTimestamp ? now - sourceTimestamp : null;
+
+        const staleAfter = this.config.staleAfter;
+        let reason = null;
+        if (staleAfter && freshness.sourceAge !== null && freshness.sourceAge > staleAfter) {
+            reason = `source data is ${Math.round(freshness.sourceAge / 1000)}s old`;
+        } else if (staleAfter && unchanged && now - freshness.lastChangedAt > staleAfter) {
+            reason = `feed unchanged for ${Math.round((now - freshness.lastChangedAt) / 1000)}s`;
+        }
+        this.setStale(reason);
+
+        return unchanged;
+    }
+
+    /**
+     * Flag or clear staleness, emitting 'stale' / 'fresh' on changes
+     * @param {string|null} reason - Why the feed is stale, null when it is fresh
+     */
+    setStale(reason) {
+        const freshness = this.freshness;
+        const wasStale = freshness.stale;
+
+        freshness.stale = !!reason;
+        freshness.reason = reason;
+
+        if (reason && !wasStale) {
+            freshness.staleSince = Date.now();
+            this.logger.warn('Feed is stale', { reason, sourceTimestamp: freshness.sourceTimestamp });
+            this.emit('stale', this.getFreshness());
+        } else if (!reason && wasStale) {
+            const staleFor = Date.now() - freshness.staleSince;
+            freshness.staleSince = null;
+            this.logger.info('Feed is fresh again', { staleFor });
+            this.emit('fresh', { ...this.getFreshness(), staleFor });
+        }
+    }
+
+    /**
+     * Staleness state without the internal signature
+     */
+    getFreshness() {
+        const { signature, ...freshness } = this.freshness;
+        return freshness;
+    }
+
     /**
      * Handle failed data fetch
      */
     handleFailedFetch(error, responseTime) {
         this.metrics.failedFetches++;
         this.retryCount++;
+        this.retryAfterUntil = error.retryAfter ? Date.now() + error.retryAfter : null;
         
         this.logger.error('Failed to fetch data', {
             error: error.message,
             responseTime,
-            retryCount: this.retryCount
+            retryCount: this.retryCount,
+            circuitState: this.circuitState
         });
         
-        if (this.retryCount >= this.config.maxRetries) {
-            this.openCircuitBreaker();
+        if (this.circuitState === 'half_open') {
+            this.openCircuitBreaker('probe request failed');
+        } else if (this.retryCount >= this.config.maxRetries) {
+            this.openCircuitBreaker(`${this.retryCount} consecutive failures`);
         }
         
         this.emit('error', error);
@@ -170,53 +366,134 @@ class BaseConnector extends EventEmitter {
 
     /**
      * Open circuit breaker
+     * Each time it re-opens without a successful probe in between, the wait doubles
      */
-    openCircuitBreaker() {
-        if (this.circuitBreakerOpen) return;
+    openCircuitBreaker(reason = 'repeated failures') {
+        if (this.circuitState === 'open') return;
         
-        this.circuitBreakerOpen = true;
-        this.logger.warn('Circuit breaker opened due to repeated failures');
+        this.consecutiveOpens++;
+        const timeout = this.withJitter(Math.min(
+            this.config.circuitBreakerTimeout * Math.pow(2, this.consecutiveOpens - 1),
+            this.config.maxCircuitBreakerTimeout
+        ));
         
-        this.circuitBreakerTimer = setTimeout(() => {
-            this.closeCircuitBreaker();
-        }, this.config.circuitBreakerTimeout);
+        this.openedAt = Date.now();
+        this.nextAttemptAt = this.openedAt + timeout;
+        this.logger.warn('Circuit breaker opened', { reason, timeout, consecutiveOpens: this.consecutiveOpens });
         
-        this.emit('circuitBreakerOpen');
+        this.transitionCircuit('open', reason);
+    }
+
+    /**
+     * Let a single probe request through after the open timeout
+     */
+    halfOpenCircuitBreaker() {
+        if (this.circuitState !== 'open') return;
+        
+        this.nextAttemptAt = null;
+        this.logger.info('Circuit breaker half-open, sending probe request');
+        this.transitionCircuit('half_open', 'open timeout elapsed');
     }
 
     /**
      * Close circuit breaker
      */
-    closeCircuitBreaker() {
-        if (!this.circuitBreakerOpen) return;
+    closeCircuitBreaker(reason = 'probe request succeeded') {
+        if (this.circuitState === 'closed') return;
         
-        this.circuitBreakerOpen = false;
         this.retryCount = 0;
+        this.consecutiveOpens = 0;
+        this.openedAt = null;
+        this.nextAttemptAt = null;
+        
+        this.logger.info('Circuit breaker closed, resuming normal operation');
+        this.transitionCircuit('closed', reason);
+    }
+
+    /**
+     * Record a breaker state change and emit it, both as circuitBreakerStateChange
+     * and as circuitBreakerOpen / circuitBreakerHalfOpen / circuitBreakerClosed
+     */
+    transitionCircuit(to, reason) {
+        const transition = {
+            from: this.circuitState,
+            to,
+            reason,
+            timestamp: Date.now(),
+            nextAttemptAt: this.nextAttemptAt
+        };
         
-        if (this.circuitBreakerTimer) {
-            clearTimeout(this.circuitBreakerTimer);
-            this.circuitBreakerTimer = null;
+        this.circuitState = to;
+        this.circuitTransitions.push(transition);
+        if (this.circuitTransitions.length > 20) {
+            this.circuitTransitions.shift();
         }
         
-        this.logger.info('Circuit breaker closed, resuming normal operation');
-        this.emit('circuitBreakerClosed');
+        this.emit('circuitBreakerStateChange', transition);
+        this.emit(CIRCUIT_EVENTS[to], transition);
     }
 
     /**
      * Schedule next poll
+     * Retries after a failure back off exponentially from retryDelay; while the
+     * breaker is open the next poll is the probe, due at nextAttemptAt; otherwise
+     * the poll schedule decides
      */
     schedulNextPoll() {
         if (!this.isRunning) return;
         
-        const delay = this.circuitBreakerOpen ? 
-            this.config.circuitBreakerTimeout : 
-            this.config.pollInterval;
-            
+        let delay;
+        if (this.circuitState === 'open') {
+            delay = Math.max(0, this.nextAttemptAt - Date.now());
+        } else if (this.retryCount > 0) {
+            delay = this.getRetryDelay(this.retryCount);
+        } else {
+            delay = this.pollSchedule.next(Date.now(), this.getRequestsPerPoll());
+        }
+        
+        // The upstream asked us to wait (429 / Retry-After, quota used up)
+        if (this.retryAfterUntil) {
+            delay = Math.max(delay, this.retryAfterUntil - Date.now());
+        }
+        
+        this.nextPollAt = Date.now() + delay;
         this.pollTimer = setTimeout(() => {
             this.pollData();
         }, delay);
     }
 
+    /**
+     * Backoff before retry number `attempt`, jittered so connectors don't retry in lockstep
+     */
+    getRetryDelay(attempt) {
+        return this.withJitter(Math.min(
+            this.config.retryDelay * Math.pow(2, attempt - 1),
+            this.config.maxRetryDelay
+        ));
+    }
+
+    /**
+     * Spread a delay randomly by ±jitter (a fraction of the delay)
+     */
+    withJitter(delay) {
+        const spread = delay * this.config.jitter;
+        return Math.round(delay - spread + Math.random() * spread * 2);
+    }
+
+    /**
+     * Circuit breaker state and recent transitions
+     */
+    getCircuitBreakerStatus() {
+        return {
+            state: this.circuitState,
+            openedAt: this.openedAt,
+            nextAttemptAt: this.nextAttemptAt,
+            consecutiveOpens: this.consecutiveOpens,
+            lastTransition: this.circuitTransitions[this.circuitTransitions.length - 1] || null,
+            transitions: this.circuitTransitions.slice()
+        };
+    }
+
     /**
      * Update average response time
      */
@@ -235,13 +512,20 @@ class BaseConnector extends EventEmitter {
             name: this.constructor.name,
             isRunning: this.isRunning,
             circuitBreakerOpen: this.circuitBreakerOpen,
+            circuitBreaker: this.getCircuitBreakerStatus(),
             retryCount: this.retryCount,
             lastPollTime: this.lastPollTime,
             lastSuccessTime: this.lastSuccessTime,
+            nextPollAt: this.nextPollAt,
+            schedule: this.pollSchedule.getStatus(),
+            rateLimits: [...this.rateLimitKeys].map(key => this.rateLimiter.getStatus(key)),
+            freshness: this.getFreshness(),
             metrics: { ...this.metrics },
             config: {
                 pollInterval: this.config.pollInterval,
                 maxRetries: this.config.maxRetries,
+                retryDelay: this.config.retryDelay,
+                circuitBreakerTimeout: this.config.circuitBreakerTimeout,
                 timeout: this.config.timeout
             },
             ...this.getConnectorStatus()
@@ -258,10 +542,14 @@ class BaseConnector extends EventEmitter {
         
         let status = 'healthy';
         
-        if (this.circuitBreakerOpen) {
+        if (this.circuitState === 'open') {
             status = 'circuit_breaker_open';
-        } else if (timeSinceLastSuccess && timeSinceLastSuccess > this.config.pollInterval * 3) {
+        } else if (this.circuitState === 'half_open') {
+            status = 'circuit_breaker_half_open';
+        } else if (timeSinceLastSuccess && timeSinceLastSuccess > this.pollSchedule.current.interval * 3) {
             status = 'unhealthy';
+        } else if (this.freshness.stale) {
+            status = 'stale';
         } else if (this.retryCount > 0) {
             status = 'degraded';
         }
@@ -270,7 +558,12 @@ class BaseConnector extends EventEmitter {
             status,
             isRunning: this.isRunning,
             circuitBreakerOpen: this.circuitBreakerOpen,
+            circuitState: this.circuitState,
+            nextAttemptAt: this.nextAttemptAt,
             timeSinceLastSuccess,
+            stale: this.freshness.stale,
+            staleReason: this.freshness.reason,
+            sourceAge: this.freshness.sourceAge,
             successRate: this.metrics.totalFetches > 0 ? 
                 (this.metrics.successfulFetches / this.metrics.totalFetches) : 0
         };
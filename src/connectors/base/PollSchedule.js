@@ -0,0 +1,305 @@
+// src/connectors/base/PollSchedule.js
+const { NYC_TIMEZONE } = require('../../utils/time');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_SETS = {
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+// Intervals are factors of the connector's pollInterval so presets suit any connector
+const PRESETS = {
+    nyc: {
+        periods: [
+            { name: 'am-rush', days: 'weekdays', start: '06:30', end: '09:30', factor: 0.5 },
+            { name: 'pm-rush', days: 'weekdays', start: '16:00', end: '19:00', factor: 0.5 },
+            { name: 'overnight', start: '01:00', end: '05:00', factor: 4 }
+        ],
+        incidents: { factor: 0.5 },
+        alignToSource: true
+    }
+};
+
+/**
+ * Decides how long a connector waits between polls
+ *
+ * Without a policy it always returns the connector's pollInterval. A policy
+ * can change the interval by time of day (periods, in NYC time), poll faster
+ * while the connector reports active incidents, stretch polls so a request
+ * budget lasts its whole window, and align polls to the upstream refresh
+ * cadence observed from source timestamps, so each poll lands just after a
+ * new snapshot is published. Connectors take the policy (or a preset name)
+ * as their `pollSchedule` option.
+ *
+ *   { periods: [{ name: 'overnight', start: '01:00', end: '05:00', interval: 120000 }],
+ *     incidents: { factor: 0.5 }, budget: { requests: 10000 }, alignToSource: true }
+ */
+class PollSchedule {
+    /**
+     * @param {Object} options
+     * @param {number} options.interval - Base interval (ms), the connector's pollInterval
+     * @param {Object[]} options.periods - { name, days ('weekdays' | 'weekends' | [0-6]), start, end ('HH:MM'), interval | factor }
+     * @param {Object} options.incidents - { interval | factor } while the connector reports active incidents
+     * @param {Object} options.budget - { requests, window (ms, default one day) }
+     * @param {boolean} options.alignToSource - Align polls to the observed upstream refresh cadence
+     * @param {number} options.alignOffset - Poll this long (ms) after the expected refresh
+     */
+    constructor(options = {}) {
+        const preset = typeof options.policy === 'string' ? PRESETS[options.policy] : null;
+        if (typeof options.policy === 'string' && !preset) {
+            throw new Error(`Unknown poll schedule preset: ${options.policy} ` +
+                `(expected ${Object.keys(PRESETS).join(', ')})`);
+        }
+
+        this.config = {
+            interval: 30000,
+            periods: [],
+            incidents: null,
+            budget: null,
+            alignToSource: false,
+            alignOffset: 1000,
+            minInterval: null,       // default: the smaller of 5 s and the base interval
+            maxInterval: null,
+            timeZone: NYC_TIMEZONE,
+            ...preset,
+            ...options
+        };
+
+        this.policy = typeof options.policy === 'string' ? options.policy :
+            (this.isAdaptive() ? 'custom' : 'fixed');
+        this.periods = this.config.periods.map((period, index) => this.parsePeriod(period, index));
+        this.minInterval = this.config.minInterval ?? Math.min(5000, this.config.interval);
+
+        if (this.config.budget && !(this.config.budget.requests > 0)) {
+            throw new Error('Poll schedule budget requires a positive number of requests');
+        }
+
+        this.sourceTimestamps = [];  // recent distinct source timestamps, for the refresh cadence
+        this.activeIncidents = false;
+        this.budgetWindow = null;    // { start, used }
+        this.current = {
+            interval: this.config.interval,
+            period: null,
+            reasons: [],
+            alignedTo: null,
+            computedAt: null
+        };
+    }
+
+    isAdaptive() {
+        return this.config.periods.length > 0 || !!this.config.incidents ||
+            !!this.config.budget || this.config.alignToSource;
+    }
+
+    parsePeriod(period, index) {
+        const name = period.name || `period-${index + 1}`;
+        const start = this.parseTime(period.start, name);
+        const end = this.parseTime(period.end, name);
+        const days = typeof period.days === 'string' ? DAY_SETS[period.days] : period.days;
+
+        if (period.days && !Array.isArray(days)) {
+            throw new Error(`Poll schedule period ${name}: unknown days ${period.days}`);
+        }
+        if (!(period.interval > 0) && !(period.factor > 0)) {
+            throw new Error(`Poll schedule period ${name} needs an interval or a factor`);
+        }
+
+        return { ...period, name, startMinute: start, endMinute: end, days: days || null };
+    }
+
+    /**
+     * Minute of the day of an 'HH:MM' time; 24:00 is the only time past 23:59
+     */
+    parseTime(value, name) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        const minute = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+        if (!match || parseInt(match[2], 10) > 59 || minute > 24 * 60) {
+            throw new Error(`Poll schedule period ${name}: invalid time ${value} (expected HH:MM)`);
+        }
+        return minute;
+    }
+
+    resolveInterval(spec) {
+        return spec.interval || Math.round(this.config.interval * spec.factor);
+    }
+
+    /**
+     * Weekday (0 = Sunday) and minute of the day in the schedule's time zone
+     */
+    getLocalTime(now) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.config.timeZone,
+            weekday: 'short',
+            hourCycle: 'h23',
+            hour: '2-digit',
+            minute: '2-digit'
+        }).formatToParts(new Date(now));
+        const part = type => parts.find(p => p.type === type).value;
+
+        return {
+            day: WEEKDAYS.indexOf(part('weekday')),
+            minute: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+        };
+    }
+
+    /**
+     * First period covering this time; periods may wrap past midnight
+     */
+    getActivePeriod(now) {
+        if (this.periods.length === 0) return null;
+        const { day, minute } = this.getLocalTime(now);
+
+        return this.periods.find(period => {
+            if (period.startMinute <= period.endMinute) {
+                return (!period.days || period.days.includes(day)) &&
+                    minute >= period.startMinute && minute < period.endMinute;
+            }
+            // Wrapping period: the part after midnight belongs to the previous day
+            if (minute >= period.startMinute) {
+                return !period.days || period.days.includes(day);
+            }
+            return minute < period.endMinute && (!period.days || period.days.includes((day + 6) % 7));
+        }) || null;
+    }
+
+    /**
+     * Count requests against the budget
+     */
+    recordRequests(count, now = Date.now()) {
+        if (!this.config.budget) return;
+
+        const window = this.config.budget.window || 86400000;
+        if (!this.budgetWindow || now >= this.budgetWindow.start + window) {
+            this.budgetWindow = { start: now, used: 0 };
+        }
+        this.budgetWindow.used += count;
+    }
+
+    /**
+     * Feed the outcome of a successful poll into the schedule
+     * @param {Object} observation - sourceTimestamp (ms) and activeIncidents
+     */
+    observe({ sourceTimestamp = null, activeIncidents = false } = {}) {
+        this.activeIncidents = !!activeIncidents;
+
+        const last = this.sourceTimestamps[this.sourceTimestamps.length - 1];
+        if (sourceTimestamp && sourceTimestamp !== last) {
+            if (last && sourceTimestamp < last) {
+                this.sourceTimestamps = []; // upstream went back in time, start over
+            }
+            this.sourceTimestamps.push(sourceTimestamp);
+            if (this.sourceTimestamps.length > 10) {
+                this.sourceTimestamps.shift();
+            }
+        }
+    }
+
+    /**
+     * Median gap between upstream refreshes, once at least two gaps were seen
+     */
+    getCadence() {
+        if (this.sourceTimestamps.length < 3) return null;
+
+        const gaps = this.sourceTimestamps.slice(1)
+            .map((timestamp, index) => timestamp - this.sourceTimestamps[index])
+            .sort((a, b) => a - b);
+        const cadence = gaps[Math.floor(gaps.length / 2)];
+
+        return cadence >= 1000 ? cadence : null;
+    }
+
+    /**
+     * Delay until the next poll
+     * @param {number} requestsPerPoll - Requests one poll makes, for the budget
+     * @returns {number} Delay in ms
+     */
+    next(now = Date.now(), requestsPerPoll = 1) {
+        const reasons = [];
+        let interval = this.config.interval;
+
+        const period = this.getActivePeriod(now);
+        if (period) {
+            interval = this.resolveInterval(period);
+            reasons.push(`period:${period.name}`);
+        }
+
+        if (this.activeIncidents && this.config.incidents) {
+            const incidentInterval = this.resolveInterval(this.config.incidents);
+            if (incidentInterval < interval) {
+                interval = incidentInterval;
+                reasons.push('incidents');
+            }
+        }
+
+        interval = Math.max(interval, this.minInterval);
+        if (this.config.maxInterval) {
+            interval = Math.min(interval, this.config.maxInterval);
+        }
+
+        // The budget wins over everything else: spread what is left over the rest of the window
+        const budgetInterval = this.getBudgetInterval(now, requestsPerPoll);
+        if (budgetInterval !== null && budgetInterval > interval) {
+            interval = budgetInterval;
+            reasons.push('budget');
+        }
+
+        let delay = interval;
+        let alignedTo = null;
+        const cadence = this.config.alignToSource ? this.getCadence() : null;
+        if (cadence) {
+            // First expected refresh once the interval is up - alignment only ever waits longer
+            const base = this.sourceTimestamps[this.sourceTimestamps.length - 1] + this.config.alignOffset;
+            const slot = Math.ceil((now + interval - base) / cadence);
+
+            alignedTo = base + slot * cadence;
+            delay = alignedTo - now;
+            reasons.push('aligned');
+        }
+
+        this.current = { interval, period: period ? period.name : null, reasons, alignedTo, computedAt: now };
+        return delay;
+    }
+
+    getBudgetInterval(now, requestsPerPoll) {
+        if (!this.config.budget || !this.budgetWindow) return null;
+
+        const window = this.config.budget.window || 86400000;
+        const windowEnd = this.budgetWindow.start + window;
+        if (now >= windowEnd) return null;
+
+        const remainingPolls = Math.floor((this.config.budget.requests - this.budgetWindow.used) / requestsPerPoll);
+        return remainingPolls > 0 ? Math.ceil((windowEnd - now) / remainingPolls) : windowEnd - now;
+    }
+
+    /**
+     * The active schedule, for connector status
+     */
+    getStatus() {
+        const budget = this.config.budget;
+        const window = budget && (budget.window || 86400000);
+
+        return {
+            policy: this.policy,
+            baseInterval: this.config.interval,
+            interval: this.current.interval,
+            period: this.current.period,
+            reasons: this.current.reasons,
+            activeIncidents: this.activeIncidents,
+            cadence: this.getCadence(),
+            alignedTo: this.current.alignedTo,
+            periods: this.periods.map(({ name, days, start, end, interval, factor }) =>
+                ({ name, days, start, end, interval: interval || Math.round(this.config.interval * factor) })),
+            budget: budget ? {
+                requests: budget.requests,
+                window,
+                used: this.budgetWindow ? this.budgetWindow.used : 0,
+                remaining: budget.requests - (this.budgetWindow ? this.budgetWindow.used : 0),
+                resetsAt: this.budgetWindow ? this.budgetWindow.start + window : null
+            } : null
+        };
+    }
+}
+
+PollSchedule.PRESETS = PRESETS;
+
+module.exports = PollSchedule;
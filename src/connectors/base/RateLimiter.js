@@ -0,0 +1,244 @@
+// src/connectors/base/RateLimiter.js
+const { Logger } = require('../../utils/Logger');
+const { toServiceDate, msUntilMidnight } = require('../../utils/time');
+
+// Published or observed limits per API host; unknown hosts are only counted
+const DEFAULT_LIMITS = {
+    'api-endpoint.mta.info': { rate: 10, per: 1000, burst: 20 },
+    '511ny.org': { rate: 10, per: 60000, burst: 10 }
+};
+
+/**
+ * Retry-After header value (seconds or an HTTP date) in ms from now
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Token buckets shared by every connector, one per API host and key
+ *
+ * A bucket holds up to `burst` tokens and refills `rate` tokens every `per` ms.
+ * Requests take a token, waiting their turn when the bucket is empty (tokens
+ * are reserved in order, so waiting requests are served first come first
+ * served). A 429 response, or a 503 with Retry-After, blocks the bucket until
+ * the server says to come back. Requests are counted per NYC day, and with a
+ * dailyQuota the bucket refuses requests once it is used up.
+ *
+ * Refused requests throw an error with `retryAfter` (ms) so connectors can
+ * wait that long before polling again.
+ */
+class RateLimiter {
+    /**
+     * @param {Object} config
+     * @param {Object} config.limits - Host -> { rate, per (ms), burst, dailyQuota }
+     * @param {number} config.maxWait - Longest a request waits for a token (ms) before it is refused
+     * @param {number} config.defaultRetryAfter - Block after a 429 without Retry-After (ms)
+     */
+    constructor(config = {}) {
+        this.config = {
+            maxWait: 30000,
+            defaultRetryAfter: 30000,
+            ...config,
+            limits: { ...DEFAULT_LIMITS, ...config.limits }
+        };
+
+        this.logger = new Logger('RateLimiter');
+        this.buckets = new Map();
+    }
+
+    /**
+     * Set the limits for a host; existing buckets for it pick them up
+     * @param {string} host - e.g. '511ny.org'
+     * @param {Object} limits - { rate, per, burst, dailyQuota }
+     */
+    setLimits(host, limits) {
+        this.config.limits[host] = { ...this.config.limits[host], ...limits };
+
+        this.buckets.forEach(bucket => {
+            if (bucket.host === host) this.applyLimits(bucket);
+        });
+    }
+
+    /**
+     * Bucket key for a request: host plus the end of the API key, so different
+     * keys against the same host get their own limits without exposing the key
+     */
+    getKey(url, apiKey = null) {
+        const host = new URL(url).host;
+        return apiKey ? `${host}#${String(apiKey).slice(-4)}` : host;
+    }
+
+    getBucket(key) {
+        if (!this.buckets.has(key)) {
+            const bucket = {
+                key,
+                host: key.split('#')[0],
+                tokens: 0,
+                updatedAt: Date.now(),
+                blockedUntil: null,
+                day: null,
+                used: 0,
+                stats: { requests: 0, delayed: 0, refused: 0, rateLimited: 0 }
+            };
+            this.applyLimits(bucket);
+            bucket.tokens = bucket.capacity;
+            this.buckets.set(key, bucket);
+        }
+        return this.buckets.get(key);
+    }
+
+    applyLimits(bucket) {
+        const limits = this.config.limits[bucket.host] || this.config.limits[bucket.host.split(':')[0]] || {};
+
+        bucket.limited = limits.rate > 0;
+        bucket.capacity = bucket.limited ? (limits.burst || limits.rate) : null;
+        bucket.refillPerMs = bucket.limited ? limits.rate / (limits.per || 1000) : null;
+        bucket.dailyQuota = limits.dailyQuota || null;
+        if (bucket.limited && bucket.tokens > bucket.capacity) {
+            bucket.tokens = bucket.capacity;
+        }
+    }
+
+    refill(bucket, now) {
+        if (bucket.limited) {
+            bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+        }
+        bucket.updatedAt = now;
+
+        const day = toServiceDate(new Date(now));
+        if (bucket.day !== day) {
+            bucket.day = day;
+            bucket.used = 0;
+        }
+    }
+
+    /**
+     * Wait for a token, or throw when the wait is too long or the daily quota is used up
+     */
+    async acquire(key) {
+        const bucket = this.getBucket(key);
+        const now = Date.now();
+        this.refill(bucket, now);
+
+        if (bucket.dailyQuota && bucket.used >= bucket.dailyQuota) {
+            bucket.stats.refused++;
+            throw this.refusal(bucket, `Daily quota of ${bucket.dailyQuota} requests to ${bucket.host} used up`,
+                msUntilMidnight(now));
+        }
+
+        let wait = bucket.blockedUntil && bucket.blockedUntil > now ? bucket.blockedUntil - now : 0;
+        if (bucket.limited) {
+            // Tokens may go negative: each waiting request has reserved the next refill
+            const tokenWait = bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) / bucket.refillPerMs;
+            wait = Math.max(wait, tokenWait);
+        }
+
+        if (wait > this.config.maxWait) {
+            bucket.stats.refused++;
+            throw this.refusal(bucket, `Rate limit for ${bucket.host} needs a ${Math.ceil(wait / 1000)}s wait`, wait);
+        }
+
+        if (bucket.limited) bucket.tokens -= 1;
+        bucket.used++;
+        bucket.stats.requests++;
+
+        if (wait > 0) {
+            bucket.stats.delayed++;
+            await new Promise(resolve => setTimeout(resolve, Math.ceil(wait)));
+        }
+    }
+
+    refusal(bucket, message, retryAfter) {
+        const error = new Error(message);
+        error.code = 'RATE_LIMITED';
+        error.retryAfter = Math.ceil(retryAfter);
+        error.rateLimitKey = bucket.key;
+        return error;
+    }
+
+    /**
+     * Run a request through the bucket for `key`, noting 429 / Retry-After responses
+     * @param {string} key - From getKey()
+     * @param {Function} request - Returns a promise (e.g. an axios call)
+     */
+    async run(key, request) {
+        await this.acquire(key);
+
+        try {
+            return await request();
+        } catch (error) {
+            this.handleErrorResponse(key, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Block the bucket after a 429, or a 503 that says when to retry
+     */
+    handleErrorResponse(key, error) {
+        const response = error.response;
+        if (!response) return;
+
+        const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+        if (response.status !== 429 && !(response.status === 503 && retryAfter !== null)) return;
+
+        const bucket = this.getBucket(key);
+        const wait = retryAfter ?? this.config.defaultRetryAfter;
+        bucket.blockedUntil = Math.max(bucket.blockedUntil || 0, Date.now() + wait);
+        if (response.status === 429) bucket.stats.rateLimited++;
+
+        error.retryAfter = wait;
+        this.logger.warn('Upstream rate limit hit', { host: bucket.host, status: response.status, retryAfter: wait });
+    }
+
+    /**
+     * Headroom of one bucket
+     */
+    getStatus(key) {
+        const bucket = this.getBucket(key);
+        const now = Date.now();
+        this.refill(bucket, now);
+
+        return {
+            key: bucket.key,
+            host: bucket.host,
+            limited: bucket.limited,
+            tokens: bucket.limited ? Math.max(0, Math.floor(bucket.tokens)) : null,
+            capacity: bucket.capacity,
+            ratePerMinute: bucket.limited ? Math.round(bucket.refillPerMs * 60000 * 100) / 100 : null,
+            blockedUntil: bucket.blockedUntil && bucket.blockedUntil > now ? bucket.blockedUntil : null,
+            daily: {
+                used: bucket.used,
+                quota: bucket.dailyQuota,
+                remaining: bucket.dailyQuota ? Math.max(0, bucket.dailyQuota - bucket.used) : null,
+                resetsAt: now + msUntilMidnight(now)
+            },
+            stats: { ...bucket.stats }
+        };
+    }
+
+    getStats() {
+        return [...this.buckets.keys()].map(key => this.getStatus(key));
+    }
+}
+
+let defaultLimiter = null;
+
+module.exports = {
+    RateLimiter,
+    parseRetryAfter,
+    // Limiter shared by all connectors in the process
+    getRateLimiter: () => {
+        if (!defaultLimiter) {
+            defaultLimiter = new RateLimiter();
+        }
+        return defaultLimiter;
+    }
+};
@@ -4,39 +4,74 @@ const protobuf = require('protobufjs');
 const path = require('path');
 const BaseConnector = require('../base/BaseConnector');
 const GTFSTransformer = require('./transformers/GTFSTransformer');
+const { MTA_FEED_BASE_URL, resolveFeeds } = require('./feeds');
+const { getStationRegistry } = require('../../reference/StationRegistry');
+const { GTFSSchedule } = require('../../reference/GTFSSchedule');
+const ScheduleDelayCalculator = require('../../analytics/ScheduleDelayCalculator');
 
 /**
  * MTA Real-time Feed Connector
  * Connects to MTA's GTFS-realtime feeds and provides subway data
+ * Polls every configured NYCT feed concurrently and emits one merged snapshot
  */
 class MTAConnector extends BaseConnector {
     constructor(config = {}) {
         const defaultConfig = {
             apiKey: process.env.MTA_API_KEY,
-            feedId: 1, // Feed 1 = 1,2,3,4,5,6,S lines
-            baseUrl: 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs',
+            feeds: 'all', // 'all', a list of feed ids (see feeds.js) or custom feed objects
+            baseUrl: process.env.MTA_BASE_URL || MTA_FEED_BASE_URL,
+            enrichStations: true, // attach station names, borough and coordinates to stop ids
+            staticGtfs: null, // path to a static GTFS zip/directory for schedule-based delays
+            schedule: null, // or an already loaded GTFSSchedule shared with other components
+            recorder: null, // FeedRecorder capturing raw feed responses
             pollInterval: 30000, // 30 seconds
             timeout: 10000,
+            staleAfter: 300000, // a feed header older than 5 minutes means MTA is serving a frozen feed
+            vehicleStaleAfter: 300000, // vehicle positions this much older than their feed header are flagged
             ...config
         };
 
         super(defaultConfig);
         
         this.apiKey = this.config.apiKey;
-        this.feedId = this.config.feedId;
         this.baseUrl = this.config.baseUrl;
+        this.feeds = resolveFeeds(this.config.feeds, this.baseUrl);
+        this.feedStatus = new Map();
         this.FeedMessage = null;
-        this.transformer = new GTFSTransformer();
+        this.schedule = null;
+        this.delayCalculator = null;
+        this.transformer = new GTFSTransformer({
+            stationRegistry: this.config.enrichStations ? getStationRegistry() : null
+        });
+
+        this.feeds.forEach(feed => {
+            this.feedStatus.set(feed.id, {
+                lastSuccessTime: null,
+                lastErrorTime: null,
+                lastError: null,
+                consecutiveFailures: 0,
+                lastResponseTime: null,
+                lastEntityCount: 0,
+                lastHeaderTimestamp: null
+            });
+        });
         
         this.loadProtobufSchema();
+
+        if (this.config.schedule) {
+            this.setSchedule(this.config.schedule);
+        } else if (this.config.staticGtfs) {
+            this.loadSchedule(this.config.staticGtfs);
+        }
     }
 
     /**
-     * Load the GTFS-realtime protobuf schema
+     * Load the GTFS-realtime protobuf schema with the NYCT subway extensions
      */
     async loadProtobufSchema() {
         try {
-            const schemaPath = path.join(__dirname, 'schemas', 'gtfs-realtime.proto');
+            // nyct-subway.proto imports and extends gtfs-realtime.proto
+            const schemaPath = path.join(__dirname, 'schemas', 'nyct-subway.proto');
             const root = await protobuf.load(schemaPath);
             this.FeedMessage = root.lookupType('transit_realtime.FeedMessage');
             
@@ -48,7 +83,30 @@ class MTAConnector extends BaseConnector {
     }
 
     /**
-     * Fetch data from MTA API
+     * Load the static GTFS schedule used to compute delays
+     * Failure is not fatal - snapshots are emitted without schedule deviations
+     */
+    async loadSchedule(source) {
+        try {
+            this.setSchedule(await GTFSSchedule.load(source));
+        } catch (error) {
+            this.logger.error('Failed to load static GTFS schedule', {
+                source,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Use a loaded schedule for delay computation
+     */
+    setSchedule(schedule) {
+        this.schedule = schedule;
+        this.delayCalculator = new ScheduleDelayCalculator(schedule);
+    }
+
+    /**
+     * Fetch data from all configured MTA feeds
      * Implementation of abstract method from BaseConnector
      */
     async fetchData() {
@@ -60,27 +118,175 @@ class MTAConnector extends BaseConnector {
             throw new Error('Protobuf schema not loaded');
         }
 
-        const response = await axios.get(this.baseUrl, {
+        // Fetch all feeds concurrently - one failing feed must not take down the others
+        const results = await Promise.allSettled(
+            this.feeds.map(feed => this.fetchFeed(feed))
+        );
+
+        return this.combineFeedResults(results);
+    }
+
+    /**
+     * Merge settled per-feed results (aligned with this.feeds) into one snapshot
+     * Throws when every feed failed
+     */
+    combineFeedResults(results) {
+        const snapshots = [];
+        const failures = [];
+
+        results.forEach((result, index) => {
+            const feed = this.feeds[index];
+
+            if (result.status === 'fulfilled') {
+                snapshots.push(result.value);
+            } else {
+                failures.push({ feed, error: result.reason });
+                this.recordFeedFailure(feed, result.reason);
+            }
+        });
+
+        if (snapshots.length === 0) {
+            const error = new Error(`All MTA feeds failed (${failures.map(f => f.feed.id).join(', ')})`);
+            // Surface the upstream response (e.g. 401) for callers like validateApiKey
+            error.response = failures[0].error.response;
+            error.feedErrors = failures.map(f => ({ feedId: f.feed.id, error: f.error.message }));
+            const retryAfter = Math.max(...failures.map(f => f.error.retryAfter || 0));
+            if (retryAfter > 0) error.retryAfter = retryAfter;
+            throw error;
+        }
+
+        const mergedData = this.transformer.mergeSnapshots(snapshots, {
+            source: 'mta',
+            failedFeeds: failures.map(f => ({ feedId: f.feed.id, error: f.error.message }))
+        });
+
+        if (this.delayCalculator) {
+            this.delayCalculator.apply(mergedData);
+        }
+
+        this.markStaleVehicles(mergedData);
+
+        return mergedData;
+    }
+
+    /**
+     * Flag vehicles whose last position report is much older than their feed,
+     * i.e. trains that stopped reporting while the feed itself kept updating
+     */
+    markStaleVehicles(data) {
+        let staleVehicles = 0;
+
+        data.vehicleUpdates.forEach(vehicle => {
+            const feedTimestamp = data.feeds[vehicle.feedId]?.header?.timestamp || data.timestamp;
+            vehicle.stale = typeof vehicle.timestamp === 'number' &&
+                feedTimestamp - vehicle.timestamp > this.config.vehicleStaleAfter;
+            if (vehicle.stale) staleVehicles++;
+        });
+
+        data.summary.staleVehicles = staleVehicles;
+    }
+
+    /**
+     * The oldest feed header timestamp, so one frozen feed makes the snapshot stale
+     */
+    getSourceTimestamp(data) {
+        return data.header?.timestamp || null;
+    }
+
+    /**
+     * MTA regenerates a feed with a new header timestamp, so unchanged header
+     * timestamps on every feed mean an identical snapshot
+     */
+    getSnapshotSignature(data) {
+        const feeds = Object.entries(data.feeds || {}).sort(([a], [b]) => a.localeCompare(b));
+        if (feeds.length === 0 || feeds.some(([, feed]) => feed.status === 'ok' && !feed.header?.timestamp)) {
+            return null;
+        }
+
+        return feeds
+            .map(([feedId, feed]) => `${feedId}:${feed.status === 'ok' ? feed.header.timestamp : 'error'}`)
+            .join('|');
+    }
+
+    /**
+     * Service alerts in the feeds (NYCT publishes them for delays) mean faster polling is worth it
+     */
+    hasActiveIncidents(data) {
+        return data.alerts.length > 0;
+    }
+
+    /**
+     * One request per configured feed
+     */
+    getRequestsPerPoll() {
+        return this.feeds.length;
+    }
+
+    /**
+     * Fetch and transform a single feed
+     */
+    async fetchFeed(feed) {
+        const startTime = Date.now();
+
+        const response = await this.rateLimited(feed.url, () => axios.get(feed.url, {
             headers: {
                 'x-api-key': this.apiKey,
                 'User-Agent': 'NYC-Urban-Intelligence/1.0'
             },
             responseType: 'arraybuffer',
             timeout: this.config.timeout
-        });
+        }));
 
-        // Decode protobuf data
         const buffer = Buffer.from(response.data);
+        if (this.config.recorder) {
+            await this.config.recorder.record('mta', feed.id, buffer);
+        }
+
+        const transformedData = this.decodeFeed(feed, buffer);
+        this.recordFeedSuccess(feed, Date.now() - startTime, transformedData.summary.totalEntities,
+            transformedData.header?.timestamp);
+
+        return transformedData;
+    }
+
+    /**
+     * Decode a raw GTFS-realtime protobuf response and transform it
+     */
+    decodeFeed(feed, buffer) {
         const message = this.FeedMessage.decode(buffer);
         const rawData = this.FeedMessage.toObject(message);
 
-        // Transform data using our transformer
-        const transformedData = this.transformer.transform(rawData, {
-            feedId: this.feedId,
+        return this.transformer.transform(rawData, {
+            feedId: feed.id,
             source: 'mta'
         });
+    }
 
-        return transformedData;
+    /**
+     * Track a successful fetch for a single feed
+     */
+    recordFeedSuccess(feed, responseTime, entityCount, headerTimestamp = null) {
+        const status = this.feedStatus.get(feed.id);
+        status.lastSuccessTime = Date.now();
+        status.consecutiveFailures = 0;
+        status.lastResponseTime = responseTime;
+        status.lastEntityCount = entityCount;
+        status.lastHeaderTimestamp = headerTimestamp;
+    }
+
+    /**
+     * Track a failed fetch for a single feed
+     */
+    recordFeedFailure(feed, error) {
+        const status = this.feedStatus.get(feed.id);
+        status.lastErrorTime = Date.now();
+        status.lastError = error.message;
+        status.consecutiveFailures++;
+
+        this.logger.warn(`Failed to fetch feed ${feed.id}`, {
+            error: error.message,
+            consecutiveFailures: status.consecutiveFailures
+        });
     }
 
     /**
@@ -88,31 +294,43 @@ class MTAConnector extends BaseConnector {
      * Implementation of abstract method from BaseConnector
      */
     getConnectorStatus() {
+        const feeds = {};
+        this.feeds.forEach(feed => {
+            const status = this.feedStatus.get(feed.id);
+            feeds[feed.id] = {
+                url: feed.url,
+                routes: feed.routes,
+                ...status,
+                headerAge: status.lastHeaderTimestamp ? Date.now() - status.lastHeaderTimestamp : null
+            };
+        });
+
         return {
-            feedId: this.feedId,
             apiKeyConfigured: !!this.apiKey,
             protobufSchemaLoaded: !!this.FeedMessage,
-            baseUrl: this.baseUrl
+            stationEnrichment: !!this.transformer.stationRegistry,
+            scheduleLoaded: !!this.schedule,
+            baseUrl: this.baseUrl,
+            feeds
         };
     }
 
     /**
-     * Get feed-specific information
+     * Get information about the configured feeds
      */
     getFeedInfo() {
-        const feedInfo = {
-            1: { name: 'ACE lines', routes: ['1', '2', '3', '4', '5', '6', 'S'] },
-            2: { name: 'BDFM lines', routes: ['B', 'D', 'F', 'M'] },
-            11: { name: 'SIR', routes: ['SI'] },
-            16: { name: 'NQRW lines', routes: ['N', 'Q', 'R', 'W'] },
-            21: { name: 'G line', routes: ['G'] },
-            26: { name: 'ACE lines', routes: ['A', 'C', 'E'] },
-            31: { name: 'BDFM lines', routes: ['B', 'D', 'F', 'M'] },
-            36: { name: 'JZ lines', routes: ['J', 'Z'] },
-            51: { name: 'L line', routes: ['L'] }
-        };
+        return this.feeds.map(feed => ({
+            id: feed.id,
+            name: feed.name,
+            routes: feed.routes
+        }));
+    }
 
-        return feedInfo[this.feedId] || { name: 'Unknown feed', routes: [] };
+    /**
+     * Find the feed that carries a given route
+     */
+    getFeedForRoute(routeId) {
+        return this.feeds.find(feed => feed.routes.includes(routeId)) || null;
     }
 
     /**
@@ -158,32 +376,54 @@ class MTAConnector extends BaseConnector {
     }
 
     /**
-     * Calculate average delay for a route
+     * Get stop time updates where the train is routed to a different track than scheduled
      */
-    calculateAverageDelay(data, routeId) {
-        if (!data || !data.tripUpdates) return 0;
+    getTrackChanges(data) {
+        if (!data || !data.tripUpdates) return [];
 
-        const routeTrips = data.tripUpdates.filter(trip => 
-            trip.routeId === routeId
+        return data.tripUpdates.flatMap(trip =>
+            trip.stopTimeUpdates
+                .filter(stopUpdate => stopUpdate && stopUpdate.track && stopUpdate.track.changed)
+                .map(stopUpdate => ({
+                    tripId: trip.trip?.tripId,
+                    routeId: trip.trip?.routeId,
+                    trainId: trip.trip?.nyct?.trainId || null,
+                    stopId: stopUpdate.stopId,
+                    scheduledTrack: stopUpdate.track.scheduled,
+                    actualTrack: stopUpdate.track.actual
+                }))
         );
+    }
+
+    /**
+     * Get trips that have not yet been assigned a physical train
+     */
+    getUnassignedTrips(data) {
+        if (!data || !data.tripUpdates) return [];
 
-        if (routeTrips.length === 0) return 0;
+        return data.tripUpdates.filter(trip =>
+            trip.trip?.nyct && !trip.trip.nyct.isAssigned
+        );
+    }
 
-        let totalDelay = 0;
-        let delayCount = 0;
+    /**
+     * Calculate average delay for a route in seconds
+     * Uses deviation from the static schedule when available, else the feed's own delay;
+     * stops with neither are left out rather than counted as on time
+     * @returns {number|null} null when no stop of the route has a known delay
+     */
+    calculateAverageDelay(data, routeId) {
+        if (!data || !data.tripUpdates) return null;
 
-        routeTrips.forEach(trip => {
-            if (trip.stopTimeUpdates) {
-                trip.stopTimeUpdates.forEach(stopUpdate => {
-                    if (stopUpdate.delay) {
-                        totalDelay += stopUpdate.delay;
-                        delayCount++;
-                    }
-                });
-            }
-        });
+        const delays = [];
+        data.tripUpdates
+            .filter(trip => trip.trip?.routeId === routeId)
+            .forEach(trip => (trip.stopTimeUpdates || []).forEach(stopUpdate => {
+                const delay = stopUpdate?.arrivalDeviation ?? stopUpdate?.arrival?.delay;
+                if (typeof delay === 'number') delays.push(delay);
+            }));
 
-        return delayCount > 0 ? totalDelay / delayCount : 0;
+        return delays.length > 0 ? delays.reduce((sum, delay) => sum + delay, 0) / delays.length : null;
     }
 }
 
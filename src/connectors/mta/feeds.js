@@ -0,0 +1,49 @@
+// src/connectors/mta/feeds.js
+
+const MTA_FEED_BASE_URL = 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds';
+
+/**
+ * NYCT subway GTFS-realtime feeds published by the MTA
+ * Each feed covers a group of lines; together they cover the whole system
+ */
+const NYCT_FEEDS = [
+    { id: 'main', name: '1,2,3,4,5,6,7,S lines', path: 'nyct%2Fgtfs', routes: ['1', '2', '3', '4', '5', '6', '6X', '7', '7X', 'GS'] },
+    { id: 'ace', name: 'A,C,E lines', path: 'nyct%2Fgtfs-ace', routes: ['A', 'C', 'E', 'H', 'FS'] },
+    { id: 'bdfm', name: 'B,D,F,M lines', path: 'nyct%2Fgtfs-bdfm', routes: ['B', 'D', 'F', 'FX', 'M'] },
+    { id: 'nqrw', name: 'N,Q,R,W lines', path: 'nyct%2Fgtfs-nqrw', routes: ['N', 'Q', 'R', 'W'] },
+    { id: 'l', name: 'L line', path: 'nyct%2Fgtfs-l', routes: ['L'] },
+    { id: 'g', name: 'G line', path: 'nyct%2Fgtfs-g', routes: ['G'] },
+    { id: 'jz', name: 'J,Z lines', path: 'nyct%2Fgtfs-jz', routes: ['J', 'Z'] },
+    { id: 'sir', name: 'Staten Island Railway', path: 'nyct%2Fgtfs-si', routes: ['SI'] }
+];
+
+/**
+ * Resolve a feed selection into full feed definitions
+ * Accepts 'all', a list of feed ids, or custom feed objects ({ id, url | path, routes })
+ */
+function resolveFeeds(selection = 'all', baseUrl = MTA_FEED_BASE_URL) {
+    const requested = selection === 'all' ? NYCT_FEEDS : [].concat(selection);
+
+    return requested.map(entry => {
+        const feed = typeof entry === 'string' ?
+            NYCT_FEEDS.find(known => known.id === entry) :
+            entry;
+
+        if (!feed || !feed.id) {
+            throw new Error(`Unknown MTA feed: ${JSON.stringify(entry)}`);
+        }
+
+        return {
+            name: feed.id,
+            routes: [],
+            ...feed,
+            url: feed.url || `${baseUrl}/${feed.path}`
+        };
+    });
+}
+
+module.exports = {
+    MTA_FEED_BASE_URL,
+    NYCT_FEEDS,
+    resolveFeeds
+};
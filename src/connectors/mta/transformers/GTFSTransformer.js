@@ -1,12 +1,32 @@
 // src/connectors/mta/transformers/GTFSTransformer.js
 const { Logger } = require('../../../utils/Logger');
 
+/**
+ * The delay the feed sent, or null when it left it out (NYCT always does,
+ * delays then come from the static schedule) - never a made-up 0
+ */
+function knownDelay(message) {
+    return typeof message.delay === 'number' ? message.delay : null;
+}
+
+// protobufjs exposes proto2 extension fields under their fully qualified names
+const NYCT_EXTENSIONS = {
+    feedHeader: '.transit_realtime.nyctFeedHeader',
+    tripDescriptor: '.transit_realtime.nyctTripDescriptor',
+    stopTimeUpdate: '.transit_realtime.nyctStopTimeUpdate'
+};
+
 /**
  * Transforms raw GTFS-realtime protobuf data into standardized format
  */
 class GTFSTransformer {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {StationRegistry} [options.stationRegistry] - Enables stop enrichment when provided
+     */
+    constructor(options = {}) {
         this.logger = new Logger('GTFSTransformer');
+        this.stationRegistry = options.stationRegistry || null;
     }
 
     /**
@@ -31,7 +51,10 @@ class GTFSTransformer {
                 totalEntities: entities.length,
                 vehicleCount: 0,
                 tripCount: 0,
-                alertCount: 0
+                alertCount: 0,
+                assignedTrips: 0,
+                unassignedTrips: 0,
+                trackChanges: 0
             }
         };
 
@@ -41,6 +64,7 @@ class GTFSTransformer {
                 if (entity.vehicle) {
                     const vehicle = this.transformVehicleUpdate(entity.vehicle, entity.id);
                     if (vehicle) {
+                        vehicle.feedId = metadata.feedId;
                         transformedData.vehicleUpdates.push(vehicle);
                         transformedData.summary.vehicleCount++;
                     }
@@ -49,14 +73,17 @@ class GTFSTransformer {
                 if (entity.tripUpdate) {
                     const trip = this.transformTripUpdate(entity.tripUpdate, entity.id);
                     if (trip) {
+                        trip.feedId = metadata.feedId;
                         transformedData.tripUpdates.push(trip);
                         transformedData.summary.tripCount++;
+                        this.countNyctTripFields(trip, transformedData.summary);
                     }
                 }
 
                 if (entity.alert) {
                     const alert = this.transformAlert(entity.alert, entity.id);
                     if (alert) {
+                        alert.feedId = metadata.feedId;
                         transformedData.alerts.push(alert);
                         transformedData.summary.alertCount++;
                     }
@@ -69,6 +96,10 @@ class GTFSTransformer {
             }
         });
 
+        if (this.stationRegistry) {
+            this.enrichStops(transformedData);
+        }
+
         this.logger.debug('Data transformation completed', {
             totalEntities: transformedData.summary.totalEntities,
             vehicles: transformedData.summary.vehicleCount,
@@ -79,6 +110,172 @@ class GTFSTransformer {
         return transformedData;
     }
 
+    /**
+     * Merge per-feed snapshots into a single system-wide snapshot
+     * Entities keep their feedId tag; per-feed headers and counts are kept under `feeds`
+     * @param {Object[]} snapshots - Outputs of transform(), one per feed
+     * @param {Object} metadata - source and failedFeeds ({ feedId, error }[])
+     * @returns {Object} Merged data in the same shape as transform()
+     */
+    mergeSnapshots(snapshots, metadata = {}) {
+        const failedFeeds = metadata.failedFeeds || [];
+
+        const mergedData = {
+            source: metadata.source || 'mta',
+            feedId: null,
+            feedIds: snapshots.map(snapshot => snapshot.feedId),
+            timestamp: Date.now(),
+            header: this.mergeHeaders(snapshots.map(snapshot => snapshot.header)),
+            vehicleUpdates: [],
+            tripUpdates: [],
+            alerts: [],
+            feeds: {},
+            summary: {
+                totalEntities: 0,
+                vehicleCount: 0,
+                tripCount: 0,
+                alertCount: 0,
+                assignedTrips: 0,
+                unassignedTrips: 0,
+                trackChanges: 0,
+                feedCount: snapshots.length + failedFeeds.length,
+                successfulFeeds: snapshots.length,
+                failedFeeds: failedFeeds.length
+            }
+        };
+
+        snapshots.forEach(snapshot => {
+            mergedData.vehicleUpdates.push(...snapshot.vehicleUpdates);
+            mergedData.tripUpdates.push(...snapshot.tripUpdates);
+            mergedData.alerts.push(...snapshot.alerts);
+
+            mergedData.feeds[snapshot.feedId] = {
+                status: 'ok',
+                header: snapshot.header,
+                summary: snapshot.summary
+            };
+
+            mergedData.summary.totalEntities += snapshot.summary.totalEntities;
+            mergedData.summary.vehicleCount += snapshot.summary.vehicleCount;
+            mergedData.summary.tripCount += snapshot.summary.tripCount;
+            mergedData.summary.alertCount += snapshot.summary.alertCount;
+            mergedData.summary.assignedTrips += snapshot.summary.assignedTrips;
+            mergedData.summary.unassignedTrips += snapshot.summary.unassignedTrips;
+            mergedData.summary.trackChanges += snapshot.summary.trackChanges;
+        });
+
+        if (snapshots.some(snapshot => snapshot.summary.unknownStopIds)) {
+            const unknownStopIds = new Set(
+                snapshots.flatMap(snapshot => snapshot.summary.unknownStopIds || [])
+            );
+            mergedData.summary.unknownStopIds = [...unknownStopIds].sort();
+        }
+
+        failedFeeds.forEach(({ feedId, error }) => {
+            mergedData.feeds[feedId] = { status: 'error', error };
+        });
+
+        return mergedData;
+    }
+
+    /**
+     * Attach station details to every stop reference in a transformed snapshot
+     * Stop ids the registry cannot resolve are listed in summary.unknownStopIds
+     */
+    enrichStops(data) {
+        const unknownStopIds = new Set();
+
+        const resolve = (stopId) => {
+            if (!stopId) return null;
+
+            const stop = this.describeStop(stopId);
+            if (!stop) {
+                unknownStopIds.add(stopId);
+            }
+            return stop;
+        };
+
+        data.vehicleUpdates.forEach(vehicle => {
+            vehicle.stop = resolve(vehicle.stopId);
+        });
+
+        data.tripUpdates.forEach(trip => {
+            trip.stopTimeUpdates.forEach(stopTimeUpdate => {
+                if (stopTimeUpdate) {
+                    stopTimeUpdate.stop = resolve(stopTimeUpdate.stopId);
+                }
+            });
+        });
+
+        data.alerts.forEach(alert => {
+            alert.informedEntities.forEach(entity => {
+                if (entity.stopId) {
+                    entity.stop = resolve(entity.stopId);
+                }
+            });
+        });
+
+        data.summary.unknownStopIds = [...unknownStopIds].sort();
+
+        if (unknownStopIds.size > 0) {
+            this.logger.debug('Unknown stop ids in feed', {
+                feedId: data.feedId,
+                unknownStopIds: data.summary.unknownStopIds
+            });
+        }
+    }
+
+    /**
+     * Describe a platform stop id using the station registry
+     * @returns {Object|null} Stop name, direction, borough, neighborhood, complex and coordinates
+     */
+    describeStop(stopId) {
+        const resolved = this.stationRegistry.resolveStop(stopId);
+        if (!resolved) return null;
+
+        const { station, direction, directionLabel } = resolved;
+
+        return {
+            stopId,
+            stationStopId: station.stopId,
+            name: station.name,
+            direction,
+            directionLabel,
+            borough: station.borough,
+            neighborhood: station.neighborhood,
+            complexId: station.complexId,
+            latitude: station.latitude,
+            longitude: station.longitude
+        };
+    }
+
+    /**
+     * Combine feed headers, keeping the oldest timestamp so a single
+     * lagging feed is never hidden behind fresher ones
+     */
+    mergeHeaders(headers) {
+        const validHeaders = headers.filter(Boolean);
+        if (validHeaders.length === 0) return null;
+
+        const timestamps = validHeaders
+            .map(header => header.timestamp)
+            .filter(Boolean);
+
+        const nyctHeaders = validHeaders
+            .map(header => header.nyct)
+            .filter(Boolean);
+
+        return {
+            gtfsRealtimeVersion: validHeaders[0].gtfsRealtimeVersion,
+            incrementality: validHeaders[0].incrementality,
+            timestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
+            nyct: nyctHeaders.length > 0 ? {
+                subwayVersion: nyctHeaders[0].subwayVersion,
+                tripReplacementPeriods: nyctHeaders.flatMap(nyct => nyct.tripReplacementPeriods)
+            } : null
+        };
+    }
+
     /**
      * Transform feed header information
      */
@@ -88,10 +285,95 @@ class GTFSTransformer {
         return {
             gtfsRealtimeVersion: header.gtfsRealtimeVersion,
             incrementality: header.incrementality,
-            timestamp: header.timestamp ? parseInt(header.timestamp) * 1000 : null
+            timestamp: header.timestamp ? parseInt(header.timestamp) * 1000 : null,
+            nyct: this.transformNyctFeedHeader(header[NYCT_EXTENSIONS.feedHeader])
+        };
+    }
+
+    /**
+     * Transform the NYCT feed header extension
+     * Trip replacement periods tell how far ahead realtime trips replace the schedule
+     */
+    transformNyctFeedHeader(nyctHeader) {
+        if (!nyctHeader) return null;
+
+        return {
+            subwayVersion: nyctHeader.nyctSubwayVersion,
+            tripReplacementPeriods: (nyctHeader.tripReplacementPeriod || []).map(period => ({
+                routeId: period.routeId,
+                start: period.replacementPeriod?.start ?
+                    parseInt(period.replacementPeriod.start) * 1000 : null,
+                end: period.replacementPeriod?.end ?
+                    parseInt(period.replacementPeriod.end) * 1000 : null
+            }))
+        };
+    }
+
+    /**
+     * Transform a trip descriptor, including the NYCT extension
+     */
+    transformTripDescriptor(trip) {
+        if (!trip) return null;
+
+        return {
+            tripId: trip.tripId,
+            routeId: trip.routeId,
+            directionId: trip.directionId,
+            startTime: trip.startTime,
+            startDate: trip.startDate,
+            nyct: this.transformNyctTripDescriptor(trip[NYCT_EXTENSIONS.tripDescriptor])
         };
     }
 
+    /**
+     * Transform the NYCT trip descriptor extension (train id, assignment, direction)
+     */
+    transformNyctTripDescriptor(nyctTrip) {
+        if (!nyctTrip) return null;
+
+        return {
+            trainId: nyctTrip.trainId || null,
+            isAssigned: !!nyctTrip.isAssigned,
+            direction: this.mapNyctDirection(nyctTrip.direction)
+        };
+    }
+
+    /**
+     * Transform the NYCT stop time update extension
+     * A track change is an actual track that differs from the scheduled one
+     */
+    transformNyctStopTimeUpdate(nyctStopTimeUpdate) {
+        if (!nyctStopTimeUpdate) return null;
+
+        const scheduled = nyctStopTimeUpdate.scheduledTrack || null;
+        const actual = nyctStopTimeUpdate.actualTrack || null;
+
+        return {
+            scheduled,
+            actual,
+            changed: !!(scheduled && actual && scheduled !== actual)
+        };
+    }
+
+    /**
+     * Update snapshot summary counters from a trip's NYCT fields
+     */
+    countNyctTripFields(trip, summary) {
+        if (trip.trip?.nyct) {
+            if (trip.trip.nyct.isAssigned) {
+                summary.assignedTrips++;
+            } else {
+                summary.unassignedTrips++;
+            }
+        }
+
+        trip.stopTimeUpdates.forEach(stopTimeUpdate => {
+            if (stopTimeUpdate?.track?.changed) {
+                summary.trackChanges++;
+            }
+        });
+    }
+
     /**
      * Transform vehicle position update
      */
@@ -105,13 +387,7 @@ class GTFSTransformer {
                 label: vehicle.vehicle?.label,
                 licensePlate: vehicle.vehicle?.licensePlate
             },
-            trip: vehicle.trip ? {
-                tripId: vehicle.trip.tripId,
-                routeId: vehicle.trip.routeId,
-                directionId: vehicle.trip.directionId,
-                startTime: vehicle.trip.startTime,
-                startDate: vehicle.trip.startDate
-            } : null,
+            trip: this.transformTripDescriptor(vehicle.trip),
             position: vehicle.position ? {
                 latitude: vehicle.position.latitude,
                 longitude: vehicle.position.longitude,
@@ -135,13 +411,7 @@ class GTFSTransformer {
 
         return {
             id: entityId,
-            trip: tripUpdate.trip ? {
-                tripId: tripUpdate.trip.tripId,
-                routeId: tripUpdate.trip.routeId,
-                directionId: tripUpdate.trip.directionId,
-                startTime: tripUpdate.trip.startTime,
-                startDate: tripUpdate.trip.startDate
-            } : null,
+            trip: this.transformTripDescriptor(tripUpdate.trip),
             vehicle: tripUpdate.vehicle ? {
                 id: tripUpdate.vehicle.id,
                 label: tripUpdate.vehicle.label
@@ -150,7 +420,7 @@ class GTFSTransformer {
                 this.transformStopTimeUpdate(stu)
             ),
             timestamp: tripUpdate.timestamp ? parseInt(tripUpdate.timestamp) * 1000 : null,
-            delay: tripUpdate.delay || 0
+            delay: knownDelay(tripUpdate)
         };
     }
 
@@ -164,20 +434,21 @@ class GTFSTransformer {
             stopSequence: stopTimeUpdate.stopSequence,
             stopId: stopTimeUpdate.stopId,
             arrival: stopTimeUpdate.arrival ? {
-                delay: stopTimeUpdate.arrival.delay || 0,
+                delay: knownDelay(stopTimeUpdate.arrival),
                 time: stopTimeUpdate.arrival.time ? 
                     parseInt(stopTimeUpdate.arrival.time) * 1000 : null,
                 uncertainty: stopTimeUpdate.arrival.uncertainty
             } : null,
             departure: stopTimeUpdate.departure ? {
-                delay: stopTimeUpdate.departure.delay || 0,
+                delay: knownDelay(stopTimeUpdate.departure),
                 time: stopTimeUpdate.departure.time ? 
                     parseInt(stopTimeUpdate.departure.time) * 1000 : null,
                 uncertainty: stopTimeUpdate.departure.uncertainty
             } : null,
             scheduleRelationship: this.mapScheduleRelationship(
                 stopTimeUpdate.scheduleRelationship
-            )
+            ),
+            track: this.transformNyctStopTimeUpdate(stopTimeUpdate[NYCT_EXTENSIONS.stopTimeUpdate])
         };
     }
 
@@ -236,6 +507,19 @@ class GTFSTransformer {
         return statusMap[status] || 'unknown';
     }
 
+    /**
+     * Map NYCT trip direction enum to readable string
+     */
+    mapNyctDirection(direction) {
+        const directionMap = {
+            1: 'north',
+            2: 'east',
+            3: 'south',
+            4: 'west'
+        };
+        return directionMap[direction] || null;
+    }
+
     /**
      * Map congestion level enum to readable string
      */
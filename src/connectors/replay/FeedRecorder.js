@@ -0,0 +1,116 @@
+// src/connectors/replay/FeedRecorder.js
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../../utils/Logger');
+
+const MANIFEST = 'manifest.jsonl';
+
+/**
+ * Captures raw upstream responses to disk so they can be replayed later
+ *
+ * A recording is a directory holding one file per response (protobuf as .pb,
+ * JSON as .json) and a manifest.jsonl line per response:
+ *   { seq, source, key, recordedAt, file, bytes }
+ * where source is 'mta' or '511ny' and key the feed id or 511 endpoint name
+ */
+class FeedRecorder {
+    constructor(config = {}) {
+        this.config = {
+            directory: process.env.RECORDING_DIR || path.join(process.cwd(), 'data', 'recordings'),
+            session: new Date().toISOString().replace(/[:.]/g, '-'),
+            ...config
+        };
+
+        this.path = path.join(this.config.directory, this.config.session);
+        this.logger = new Logger('FeedRecorder');
+        this.sequence = 0;
+        this.ready = null;
+        this.stats = {
+            responsesRecorded: 0,
+            bytesRecorded: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Record one raw response
+     * Never throws - a failing disk must not break live fetching
+     * @param {string} source - 'mta' or '511ny'
+     * @param {string} key - Feed id or endpoint name
+     * @param {Buffer|Object} body - Protobuf bytes or parsed JSON
+     */
+    async record(source, key, body) {
+        const seq = ++this.sequence;
+        const isBinary = Buffer.isBuffer(body);
+        const content = isBinary ? body : JSON.stringify(body);
+        const file = `${String(seq).padStart(6, '0')}-${source}-${key}.${isBinary ? 'pb' : 'json'}`;
+
+        const entry = {
+            seq,
+            source,
+            key,
+            recordedAt: Date.now(),
+            file,
+            bytes: Buffer.byteLength(content)
+        };
+
+        try {
+            if (!this.ready) {
+                this.ready = fs.promises.mkdir(this.path, { recursive: true });
+            }
+            await this.ready;
+
+            await fs.promises.writeFile(path.join(this.path, file), content);
+            await fs.promises.appendFile(path.join(this.path, MANIFEST), JSON.stringify(entry) + '\n');
+
+            this.stats.responsesRecorded++;
+            this.stats.bytesRecorded += entry.bytes;
+        } catch (error) {
+            this.stats.errors++;
+            this.logger.error('Failed to record response', { source, key, error: error.message });
+        }
+    }
+
+    getStats() {
+        return {
+            path: this.path,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Read a recording's manifest, ordered by sequence
+     * @param {string} recordingPath - Directory written by a FeedRecorder
+     * @returns {Promise<Array>} Manifest entries
+     */
+    static async readManifest(recordingPath) {
+        const manifestPath = path.join(recordingPath, MANIFEST);
+        let content;
+
+        try {
+            content = await fs.promises.readFile(manifestPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`No recording found at ${recordingPath}`);
+            }
+            throw error;
+        }
+
+        return content
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Load the body of a manifest entry
+     * @returns {Promise<Buffer|Object>} Protobuf bytes or parsed JSON
+     */
+    static async readResponse(recordingPath, entry) {
+        const content = await fs.promises.readFile(path.join(recordingPath, entry.file));
+        return entry.file.endsWith('.pb') ? content : JSON.parse(content.toString('utf8'));
+    }
+}
+
+module.exports = FeedRecorder;
@@ -0,0 +1,210 @@
+// src/connectors/replay/ReplayConnector.js
+const BaseConnector = require('../base/BaseConnector');
+const MTAConnector = require('../mta/MTAConnector');
+const TrafficConnector = require('../traffic/TrafficConnector');
+const FeedRecorder = require('./FeedRecorder');
+const { NYCT_FEEDS } = require('../mta/feeds');
+const { Logger } = require('../../utils/Logger');
+
+/**
+ * Replays a FeedRecorder recording through the same decoding and transforms
+ * as the live connector, so DataIngestionService sees identical snapshots
+ * without network access or API keys
+ *
+ * Recorded responses are grouped back into polls: a poll ends when a feed or
+ * endpoint repeats, or when the gap to the next response exceeds groupWindow
+ */
+class ReplayConnector extends BaseConnector {
+    constructor(config = {}) {
+        const defaultConfig = {
+            recording: null,    // directory written by a FeedRecorder
+            source: 'mta',      // which recorded connector to replay: 'mta' or '511ny'
+            speed: 1,           // 1 = real time, 10 = ten times faster, 0 = as fast as possible
+            loop: false,        // start over at the end of the recording
+            groupWindow: 5000,  // max spread (ms) of responses belonging to one poll
+            connector: {},      // extra config for the decoding connector (e.g. staticGtfs)
+            ...config
+        };
+
+        super(defaultConfig);
+
+        if (!this.config.recording) {
+            throw new Error('ReplayConnector requires a recording directory');
+        }
+        if (!['mta', '511ny'].includes(this.config.source)) {
+            throw new Error(`Unknown replay source: ${this.config.source}`);
+        }
+
+        this.logger = new Logger('ReplayConnector');
+        this.polls = null;
+        this.position = 0;
+        this.loops = 0;
+        this.decoder = null;
+        this.finished = false;
+    }
+
+    /**
+     * Read the manifest and group this source's responses into polls
+     */
+    async loadRecording() {
+        const entries = (await FeedRecorder.readManifest(this.config.recording))
+            .filter(entry => entry.source === this.config.source);
+
+        if (entries.length === 0) {
+            throw new Error(`Recording has no ${this.config.source} responses`);
+        }
+
+        this.polls = [];
+        let current = null;
+
+        entries.forEach(entry => {
+            const startsNewPoll = !current ||
+                current.entries.some(existing => existing.key === entry.key) ||
+                entry.recordedAt - current.recordedAt > this.config.groupWindow;
+
+            if (startsNewPoll) {
+                current = { recordedAt: entry.recordedAt, entries: [] };
+                this.polls.push(current);
+            }
+            current.entries.push(entry);
+        });
+
+        const keys = [...new Set(entries.map(entry => entry.key))];
+        this.decoder = this.createDecoder(keys);
+
+        if (this.decoder.loadProtobufSchema) {
+            await this.decoder.loadProtobufSchema();
+        }
+
+        this.logger.info('Recording loaded', {
+            recording: this.config.recording,
+            source: this.config.source,
+            responses: entries.length,
+            polls: this.polls.length
+        });
+    }
+
+    /**
+     * Live connector used only for decoding and transforming, never polled
+     */
+    createDecoder(keys) {
+        const config = { apiKey: 'replay', ...this.config.connector };
+
+        if (this.config.source === 'mta') {
+            const feeds = keys.map(key =>
+                NYCT_FEEDS.find(feed => feed.id === key) || { id: key, path: key });
+            return new MTAConnector({ ...config, feeds });
+        }
+
+        return new TrafficConnector(config);
+    }
+
+    /**
+     * Build the snapshot of the next recorded poll
+     * Implementation of abstract method from BaseConnector
+     */
+    async fetchData() {
+        if (!this.polls) {
+            await this.loadRecording();
+        }
+
+        if (this.position >= this.polls.length) {
+            if (!this.config.loop) {
+                this.finished = true;
+                return null;
+            }
+            this.position = 0;
+            this.loops++;
+        }
+
+        const poll = this.polls[this.position++];
+        const responses = new Map();
+        for (const entry of poll.entries) {
+            responses.set(entry.key, await FeedRecorder.readResponse(this.config.recording, entry));
+        }
+
+        const data = this.config.source === 'mta' ?
+            this.decodeMTAPoll(responses) :
+            this.decoder.transformResponses(Object.fromEntries(responses));
+
+        data.replay = {
+            recording: this.config.recording,
+            recordedAt: poll.recordedAt,
+            poll: this.position,
+            totalPolls: this.polls.length,
+            loop: this.loops
+        };
+
+        return data;
+    }
+
+    decodeMTAPoll(responses) {
+        // Feeds missing from this poll were failing when it was recorded
+        const results = this.decoder.feeds.map(feed => {
+            if (!responses.has(feed.id)) {
+                return { status: 'rejected', reason: new Error('Feed not recorded in this poll') };
+            }
+            try {
+                return { status: 'fulfilled', value: this.decoder.decodeFeed(feed, responses.get(feed.id)) };
+            } catch (error) {
+                return { status: 'rejected', reason: error };
+            }
+        });
+
+        return this.decoder.combineFeedResults(results);
+    }
+
+    /**
+     * Wait for the recorded gap to the next poll, scaled by speed
+     */
+    schedulNextPoll() {
+        if (!this.isRunning) return;
+
+        if (this.finished) {
+            this.logger.info('Replay finished', { polls: this.polls.length });
+            this.stop();
+            this.emit('end');
+            return;
+        }
+
+        // Failed polls back off like any connector: open breaker, retries, Retry-After
+        const waiting = this.retryAfterUntil && this.retryAfterUntil > Date.now();
+        if (this.circuitBreakerOpen || this.retryCount > 0 || waiting) {
+            super.schedulNextPoll();
+            return;
+        }
+
+        this.pollTimer = setTimeout(() => {
+            this.pollData();
+        }, this.getNextDelay());
+    }
+
+    getNextDelay() {
+        if (!this.polls || !this.config.speed) return 0;
+
+        const previous = this.polls[this.position - 1];
+        const next = this.polls[this.position];
+        if (!previous || !next) return 0;
+
+        return Math.max(0, (next.recordedAt - previous.recordedAt) / this.config.speed);
+    }
+
+    /**
+     * Get connector-specific status
+     * Implementation of abstract method from BaseConnector
+     */
+    getConnectorStatus() {
+        return {
+            recording: this.config.recording,
+            source: this.config.source,
+            speed: this.config.speed,
+            loop: this.config.loop,
+            position: this.position,
+            totalPolls: this.polls ? this.polls.length : null,
+            loops: this.loops,
+            finished: this.finished
+        };
+    }
+}
+
+module.exports = ReplayConnector;
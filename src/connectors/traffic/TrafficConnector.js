@@ -3,6 +3,7 @@ const axios = require('axios');
 const BaseConnector = require('../base/BaseConnector');
 const TrafficTransformer = require('./transformers/TrafficTransformer');
 const { Logger } = require('../../utils/Logger');
+const { getBoroughLocator } = require('../../geo/BoroughLocator');
 
 /**
  * 511NY Traffic Data Connector
@@ -13,10 +14,12 @@ class TrafficConnector extends BaseConnector {
     constructor(config = {}) {
         const defaultConfig = {
             apiKey: process.env.TRAFFIC_511NY_API_KEY,
-            baseUrl: 'https://511ny.org/api',
+            baseUrl: process.env.TRAFFIC_511NY_BASE_URL || 'https://511ny.org/api',
             format: 'json',
+            recorder: null, // FeedRecorder capturing raw endpoint responses
             pollInterval: 60000, // 1 minute - traffic changes frequently
             timeout: 15000,
+            staleAfter: 1800000, // 30 minutes - incidents can go a while without updates
             endpoints: {
                 events: '/getevents',
                 cameras: '/getcameras',
@@ -59,22 +62,48 @@ class TrafficConnector extends BaseConnector {
             throw new Error('511NY API key is required');
         }
 
+        const errors = [];
+        const endpointErrors = {};
         const fetchPromises = this.activeEndpoints.map(endpoint => 
             this.fetchEndpoint(endpoint).catch(error => {
                 this.logger.warn(`Failed to fetch ${endpoint}`, { error: error.message });
+                errors.push(error);
+                endpointErrors[endpoint] = error.message;
                 return null; // Continue even if one endpoint fails
             })
         );
 
         const results = await Promise.all(fetchPromises);
-        
-        // Combine all data sources
+
+        // Nothing came back because we are rate limited: fail the poll so it backs off
+        const retryAfter = Math.max(0, ...errors.map(error => error.retryAfter || 0));
+        if (errors.length === this.activeEndpoints.length && retryAfter > 0) {
+            const error = new Error(`All 511NY endpoints failed (${errors[0].message})`);
+            error.retryAfter = retryAfter;
+            throw error;
+        }
+
+        const responses = {};
+        this.activeEndpoints.forEach((endpoint, index) => {
+            responses[endpoint] = results[index];
+        });
+
+        return this.transformResponses(responses, endpointErrors);
+    }
+
+    /**
+     * Combine raw endpoint responses (endpoint name -> data) into one snapshot
+     * `endpoints` gives each active endpoint's status, like `feeds` in MTA
+     * snapshots: an endpoint without a response failed this poll
+     * @param {Object} errors - Endpoint name -> error message
+     */
+    transformResponses(responses, errors = {}) {
         const rawData = {
-            events: results[0],
-            cameras: results[1],
-            alerts: results[2],
-            messageSigns: results[3],
-            winterConditions: results[4] || null,
+            events: responses.events || null,
+            cameras: responses.cameras || null,
+            alerts: responses.alerts || null,
+            messageSigns: responses.messageSigns || null,
+            winterConditions: responses.winterConditions || null,
             fetchTimestamp: Date.now()
         };
 
@@ -84,9 +113,55 @@ class TrafficConnector extends BaseConnector {
             bounds: this.config.bounds
         });
 
+        transformedData.endpoints = {};
+        this.activeEndpoints.forEach(endpoint => {
+            const received = responses[endpoint] !== undefined && responses[endpoint] !== null;
+            transformedData.endpoints[endpoint] = received ?
+                { status: 'ok' } :
+                { status: 'error', error: errors[endpoint] || 'No response in this poll' };
+        });
+
         return transformedData;
     }
 
+    /**
+     * Newest lastUpdated of any event or message sign
+     */
+    getSourceTimestamp(data) {
+        const timestamps = [
+            ...data.events.map(event => event.timing?.last_updated),
+            ...data.messageSigns.map(sign => sign.metadata?.last_update)
+        ].filter(timestamp => typeof timestamp === 'number');
+
+        return timestamps.length > 0 ? Math.max(...timestamps) : null;
+    }
+
+    /**
+     * Events, alerts and sign messages with their update times - equal for identical snapshots
+     */
+    getSnapshotSignature(data) {
+        return [
+            ...data.events.map(event =>
+                `e:${event.id}:${event.status}:${event.severity}:${event.timing?.last_updated}:${event.impact?.lanes_blocked}`),
+            ...data.alerts.map(alert => `a:${alert.id}:${alert.timing?.expires}`),
+            ...data.messageSigns.map(sign => `s:${sign.id}:${sign.message?.current}:${sign.metadata?.last_update}`)
+        ].sort().join('|');
+    }
+
+    /**
+     * Major or severe events warrant faster polling
+     */
+    hasActiveIncidents(data) {
+        return this.getHighSeverityEvents(data).length > 0;
+    }
+
+    /**
+     * One request per active endpoint
+     */
+    getRequestsPerPoll() {
+        return this.activeEndpoints.length;
+    }
+
     /**
      * Fetch data from a specific endpoint
      */
@@ -99,14 +174,18 @@ class TrafficConnector extends BaseConnector {
             format: this.config.format
         };
 
-        const response = await axios.get(url, {
+        const response = await this.rateLimited(url, () => axios.get(url, {
             params,
             timeout: this.config.timeout,
             headers: {
                 'User-Agent': 'NYC-Urban-Intelligence/1.0',
                 'Accept': 'application/json'
             }
-        });
+        }));
+
+        if (this.config.recorder) {
+            await this.config.recorder.record('511ny', endpointName, response.data);
+        }
 
         this.logger.debug(`Fetched ${endpointName}`, {
             dataSize: JSON.stringify(response.data).length,
@@ -146,17 +225,16 @@ class TrafficConnector extends BaseConnector {
     getAreaTrafficSpeed(data, borough) {
         if (!data || !data.events) return null;
         
-        const boroughBounds = this.getBoroughBounds(borough);
         const relevantEvents = data.events.filter(event => 
-            this.isInBounds(event, boroughBounds)
+            this.getBorough(event) === borough
         );
 
         if (relevantEvents.length === 0) return null;
 
         // Calculate average speed from events
         const speeds = relevantEvents
-            .filter(e => e.speed !== undefined)
-            .map(e => e.speed);
+            .filter(e => typeof e.impact?.speed === 'number')
+            .map(e => e.impact.speed);
 
         if (speeds.length === 0) return null;
 
@@ -177,19 +255,18 @@ class TrafficConnector extends BaseConnector {
         let cameras = data.cameras.filter(camera => camera.status === 'active');
         
         if (area) {
-            const bounds = this.getBoroughBounds(area);
-            cameras = cameras.filter(camera => this.isInBounds(camera, bounds));
+            cameras = cameras.filter(camera => this.getBorough(camera) === area);
         }
         
         return cameras.map(camera => ({
             id: camera.id,
             name: camera.name,
             location: {
-                lat: camera.latitude,
-                lon: camera.longitude
+                lat: camera.location.lat,
+                lon: camera.location.lon
             },
-            url: camera.url,
-            lastUpdate: camera.lastUpdate
+            url: camera.urls.snapshot,
+            lastUpdate: camera.metadata.last_update
         }));
     }
 
@@ -206,18 +283,10 @@ class TrafficConnector extends BaseConnector {
     }
 
     /**
-     * Get borough-specific bounds
+     * Get the bounding box of a borough's boundary (city bounds for unknown boroughs)
      */
     getBoroughBounds(borough) {
-        const boroughBounds = {
-            'Manhattan': { north: 40.882, south: 40.680, east: -73.907, west: -74.047 },
-            'Brooklyn': { north: 40.739, south: 40.551, east: -73.833, west: -74.056 },
-            'Queens': { north: 40.812, south: 40.489, east: -73.700, west: -73.962 },
-            'Bronx': { north: 40.917, south: 40.785, east: -73.765, west: -73.933 },
-            'Staten Island': { north: 40.651, south: 40.477, east: -74.034, west: -74.259 }
-        };
-        
-        return boroughBounds[borough] || this.config.bounds;
+        return getBoroughLocator().getBoroughBounds(borough) || this.config.bounds;
     }
 
     /**
@@ -282,21 +351,13 @@ class TrafficConnector extends BaseConnector {
     }
 
     /**
-     * Determine which borough an event is in
+     * Determine which borough a transformed event or camera is in
      */
-    getBorough(event) {
-        if (!event.latitude || !event.longitude) return null;
-        
-        const boroughs = ['Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island'];
-        
-        for (const borough of boroughs) {
-            const bounds = this.getBoroughBounds(borough);
-            if (this.isInBounds(event, bounds)) {
-                return borough;
-            }
-        }
-        
-        return null;
+    getBorough(item) {
+        const location = item.location || {};
+        if (location.borough) return location.borough;
+        if (!isFinite(location.lat) || !isFinite(location.lon)) return null;
+        return getBoroughLocator().findBorough(location.lat, location.lon);
     }
 }
 
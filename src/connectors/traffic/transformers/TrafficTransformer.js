@@ -1,5 +1,11 @@
 // src/connectors/traffic/transformers/TrafficTransformer.js
 const { Logger } = require('../../../utils/Logger');
+const { getBoroughLocator } = require('../../../geo/BoroughLocator');
+const { dbscan } = require('../../../geo/clustering');
+const { haversineDistance } = require('../../../geo/distance');
+
+const HOTSPOT_RADIUS_KM = 0.5;
+const HOTSPOT_MIN_EVENTS = 2;
 
 /**
  * Transforms raw 511NY traffic data into standardized format
@@ -8,6 +14,7 @@ const { Logger } = require('../../../utils/Logger');
 class TrafficTransformer {
     constructor() {
         this.logger = new Logger('TrafficTransformer');
+        this.boroughLocator = getBoroughLocator();
     }
 
     /**
@@ -91,7 +98,7 @@ class TrafficTransformer {
                         roadway: event.roadway || event.road,
                         from: event.fromLocation || event.from,
                         to: event.toLocation || event.to,
-                        borough: this.detectBorough(event.latitude, event.longitude)
+                        ...this.locate(event.latitude || event.lat, event.longitude || event.lng || event.lon)
                     },
                     
                     timing: {
@@ -147,7 +154,7 @@ class TrafficTransformer {
                         lon: parseFloat(camera.longitude || camera.lng || camera.lon),
                         roadway: camera.roadway,
                         direction: camera.direction,
-                        borough: this.detectBorough(camera.latitude, camera.longitude)
+                        ...this.locate(camera.latitude || camera.lat, camera.longitude || camera.lng || camera.lon)
                     },
                     
                     urls: {
@@ -236,7 +243,7 @@ class TrafficTransformer {
                         lon: parseFloat(sign.longitude || sign.lng || sign.lon),
                         roadway: sign.roadway,
                         direction: sign.direction,
-                        borough: this.detectBorough(sign.latitude, sign.longitude)
+                        ...this.locate(sign.latitude || sign.lat, sign.longitude || sign.lng || sign.lon)
                     },
                     
                     message: {
@@ -344,49 +351,42 @@ class TrafficTransformer {
     }
 
     /**
-     * Identify traffic hotspots
+     * Identify traffic hotspots: DBSCAN clusters of events within
+     * HOTSPOT_RADIUS_KM of each other, centered on their centroid
+     * A hotspot is named after its earliest event, so its id survives events
+     * joining or leaving the cluster
      */
     identifyHotspots(data) {
-        // Group events by proximity
-        const hotspots = [];
-        const radius = 0.5; // km
+        const located = data.events.filter(event => event.location.lat && event.location.lon);
+        const { clusters } = dbscan(located, {
+            epsKm: HOTSPOT_RADIUS_KM,
+            minPoints: HOTSPOT_MIN_EVENTS,
+            getLocation: event => event.location
+        });
 
-        data.events.forEach(event => {
-            if (!event.location.lat || !event.location.lon) return;
-
-            let added = false;
-            for (const hotspot of hotspots) {
-                const distance = this.calculateDistance(
-                    event.location.lat, event.location.lon,
-                    hotspot.center.lat, hotspot.center.lon
-                );
-
-                if (distance <= radius) {
-                    hotspot.events.push(event);
-                    added = true;
-                    break;
-                }
-            }
+        data.geoSummary.eventHotspots = clusters
+            .map(events => {
+                const center = {
+                    lat: events.reduce((sum, event) => sum + event.location.lat, 0) / events.length,
+                    lon: events.reduce((sum, event) => sum + event.location.lon, 0) / events.length
+                };
 
-            if (!added) {
-                hotspots.push({
-                    center: { lat: event.location.lat, lon: event.location.lon },
-                    events: [event],
-                    severity: event.severity
-                });
-            }
-        });
+                const [earliest] = [...events].sort((a, b) =>
+                    this.getEventTime(a) - this.getEventTime(b) || String(a.id).localeCompare(String(b.id)));
 
-        // Update hotspot severity based on event count
-        data.geoSummary.eventHotspots = hotspots
-            .filter(h => h.events.length >= 2)
-            .map(hotspot => ({
-                center: hotspot.center,
-                eventCount: hotspot.events.length,
-                severity: this.calculateHotspotSeverity(hotspot.events),
-                types: [...new Set(hotspot.events.map(e => e.type))]
-            }))
-            .sort((a, b) => b.eventCount - a.eventCount);
+                return {
+                    id: `hotspot_${earliest.id}`,
+                    center,
+                    radiusKm: Math.round(Math.max(...events.map(event =>
+                        haversineDistance(center.lat, center.lon, event.location.lat, event.location.lon))) * 1000) / 1000,
+                    eventCount: events.length,
+                    eventIds: events.map(event => event.id),
+                    severity: this.calculateHotspotSeverity(events),
+                    types: [...new Set(events.map(e => e.type))].sort()
+                };
+            })
+            .sort((a, b) => b.eventCount - a.eventCount ||
+                a.center.lat - b.center.lat || a.center.lon - b.center.lon);
 
         // Identify congested areas
         data.geoSummary.congestedAreas = Object.entries(data.metrics.congestionLevels)
@@ -396,6 +396,10 @@ class TrafficTransformer {
 
     // Helper methods
 
+    getEventTime(event) {
+        return event.timing?.reported ?? event.timing?.started ?? Infinity;
+    }
+
     normalizeEventType(type) {
         const typeMap = {
             'accident': 'accident',
@@ -449,23 +453,23 @@ class TrafficTransformer {
 
     detectBorough(lat, lon) {
         if (!lat || !lon) return null;
-        
-        const boroughBounds = {
-            'Manhattan': { north: 40.882, south: 40.680, east: -73.907, west: -74.047 },
-            'Brooklyn': { north: 40.739, south: 40.551, east: -73.833, west: -74.056 },
-            'Queens': { north: 40.812, south: 40.489, east: -73.700, west: -73.962 },
-            'Bronx': { north: 40.917, south: 40.785, east: -73.765, west: -73.933 },
-            'Staten Island': { north: 40.651, south: 40.477, east: -74.034, west: -74.259 }
-        };
+        return this.boroughLocator.findBorough(lat, lon);
+    }
 
-        for (const [borough, bounds] of Object.entries(boroughBounds)) {
-            if (lat >= bounds.south && lat <= bounds.north &&
-                lon >= bounds.west && lon <= bounds.east) {
-                return borough;
-            }
+    /**
+     * Borough, neighborhood and community district fields for a location
+     */
+    locate(lat, lon) {
+        if (!lat || !lon) {
+            return { borough: null, neighborhood: null, community_district: null };
         }
-        
-        return null;
+
+        const { borough, neighborhood, communityDistrict } = this.boroughLocator.resolve(lat, lon);
+        return {
+            borough,
+            neighborhood: neighborhood ? neighborhood.name : null,
+            community_district: communityDistrict ? communityDistrict.id : null
+        };
     }
 
     detectBoroughFromRoad(roadway) {
@@ -560,19 +564,6 @@ class TrafficTransformer {
         return 'minor';
     }
 
-    calculateDistance(lat1, lon1, lat2, lon2) {
-        // Haversine formula for distance between two points
-        const R = 6371; // Earth's radius in km
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLon = (lon2 - lon1) * Math.PI / 180;
-        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                  Math.sin(dLon/2) * Math.sin(dLon/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        const d = R * c;
-        return d;
-    }
-
     generateId(prefix) {
         return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -0,0 +1,284 @@
+// src/dev/mock/MockFeedServer.js
+const http = require('http');
+const path = require('path');
+const EventEmitter = require('events');
+const protobuf = require('protobufjs');
+const { URL } = require('url');
+const { getLogger } = require('../../utils/Logger');
+const { NYCT_FEEDS } = require('../../connectors/mta/feeds');
+const { buildGtfsFeed, buildTrafficData } = require('./syntheticFeeds');
+
+const MTA_PREFIX = '/Dataservice/mtagtfsfeeds/';
+const TRAFFIC_PREFIX = '/api/';
+
+const TRAFFIC_ENDPOINTS = {
+    getevents: 'events',
+    getcameras: 'cameras',
+    getalerts: 'alerts',
+    getmessagesigns: 'messageSigns',
+    getwinterroadconditions: 'winterConditions'
+};
+
+const SCENARIOS = ['normal', 'outage', 'unauthorized', 'slow', 'malformed', 'frozen', 'throttled'];
+
+/**
+ * Local stand-in for api-endpoint.mta.info and 511ny.org
+ *
+ * Serves synthetic GTFS-realtime protobuf (encoded with the bundled proto) and
+ * 511NY JSON. Point connectors at it with
+ *   new MTAConnector({ baseUrl: server.mtaBaseUrl, apiKey: server.config.apiKey })
+ *   new TrafficConnector({ baseUrl: server.trafficBaseUrl, apiKey: server.config.apiKey })
+ *
+ * Scenarios are scriptable per target ('mta', '511ny' or 'all'), optionally per
+ * feed/endpoint key and for a limited number of requests:
+ *   normal, outage (503), unauthorized (401), slow (delayed response), malformed (garbage body),
+ *   frozen (the same snapshot every time, as generated when the scenario started or at options.at),
+ *   throttled (429 with Retry-After: options.retryAfter seconds, default 1)
+ */
+class MockFeedServer extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            port: parseInt(process.env.MOCK_PORT, 10) || 0, // 0 = any free port
+            host: '127.0.0.1',
+            apiKey: 'mock-key',   // null accepts any key
+            slowDelay: 15000,     // ms the slow scenario waits (longer than connector timeouts)
+            trainsPerDirection: 3,
+            stationInterval: 120,
+            ...config
+        };
+
+        this.logger = getLogger('MockFeedServer');
+        this.server = null;
+        this.FeedMessage = null;
+        this.rules = [];
+        this.pendingTimers = new Set();
+        this.requestLog = [];
+        this.stats = { requests: 0, byScenario: {} };
+    }
+
+    get baseUrl() {
+        if (!this.server) return null;
+        const { port } = this.server.address();
+        return `http://${this.config.host}:${port}`;
+    }
+
+    get mtaBaseUrl() {
+        return this.baseUrl && `${this.baseUrl}${MTA_PREFIX.replace(/\/$/, '')}`;
+    }
+
+    get trafficBaseUrl() {
+        return this.baseUrl && `${this.baseUrl}${TRAFFIC_PREFIX.replace(/\/$/, '')}`;
+    }
+
+    async start() {
+        if (this.server) return;
+
+        const root = await protobuf.load(
+            path.join(__dirname, '../../connectors/mta/schemas/nyct-subway.proto'));
+        this.FeedMessage = root.lookupType('transit_realtime.FeedMessage');
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.logger.info('Mock feed server listening', { url: this.baseUrl });
+        this.emit('started');
+    }
+
+    async stop() {
+        if (!this.server) return;
+
+        this.pendingTimers.forEach(timer => clearTimeout(timer));
+        this.pendingTimers.clear();
+
+        // Drop keep-alive sockets so close() does not wait on them
+        if (this.server.closeAllConnections) {
+            this.server.closeAllConnections();
+        }
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+
+        this.logger.info('Mock feed server stopped');
+        this.emit('stopped');
+    }
+
+    /**
+     * Replace the scenarios for a target
+     * @param {string} scenario - normal, outage, unauthorized, slow, malformed, frozen, throttled
+     * @param {Object} options - target ('mta' | '511ny' | 'all'), keys (feed ids / endpoint names), count (requests),
+     *                           at (ms timestamp the frozen scenario's data is generated for),
+     *                           retryAfter (seconds the throttled scenario asks clients to wait)
+     */
+    setScenario(scenario, options = {}) {
+        const target = options.target || 'all';
+        this.rules = target === 'all' ? [] : this.rules.filter(rule => rule.target !== target);
+        if (scenario !== 'normal') {
+            this.addScenario(scenario, options);
+        }
+    }
+
+    /**
+     * Queue a scenario behind the existing ones - the first matching rule wins,
+     * and rules with a count are dropped once used up
+     */
+    addScenario(scenario, options = {}) {
+        if (!SCENARIOS.includes(scenario)) {
+            throw new Error(`Unknown mock scenario: ${scenario} (expected ${SCENARIOS.join(', ')})`);
+        }
+
+        this.rules.push({
+            scenario,
+            target: options.target || 'all',
+            keys: options.keys ? [].concat(options.keys) : null,
+            remaining: options.count || Infinity,
+            frozenAt: scenario === 'frozen' ? (options.at || Date.now()) : null,
+            retryAfter: options.retryAfter ?? 1
+        });
+    }
+
+    /**
+     * Run a list of scenarios in order, e.g.
+     *   [{ scenario: 'outage', count: 3 }, { scenario: 'normal' }]
+     */
+    script(steps) {
+        this.rules = [];
+        steps.forEach(step => this.addScenario(step.scenario, step));
+    }
+
+    resetScenarios() {
+        this.rules = [];
+    }
+
+    /**
+     * Pick and consume the scenario rule for a request
+     */
+    resolveScenario(target, key) {
+        const rule = this.rules.find(candidate =>
+            (candidate.target === 'all' || candidate.target === target) &&
+            (!candidate.keys || candidate.keys.includes(key)));
+
+        if (!rule) return { scenario: 'normal' };
+
+        rule.remaining--;
+        if (rule.remaining <= 0) {
+            this.rules.splice(this.rules.indexOf(rule), 1);
+        }
+        return rule;
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const route = this.matchRoute(url.pathname);
+
+        if (!route) {
+            this.send(res, 404, 'application/json', JSON.stringify({ error: `No mock for ${url.pathname}` }));
+            return;
+        }
+
+        const providedKey = route.target === 'mta' ?
+            req.headers['x-api-key'] :
+            url.searchParams.get('key');
+        const keyRejected = this.config.apiKey && providedKey !== this.config.apiKey;
+        const rule = keyRejected ? { scenario: 'unauthorized' } : this.resolveScenario(route.target, route.key);
+        const scenario = rule.scenario;
+
+        this.stats.requests++;
+        this.stats.byScenario[scenario] = (this.stats.byScenario[scenario] || 0) + 1;
+        this.requestLog.push({ timestamp: Date.now(), target: route.target, key: route.key, scenario });
+        if (this.requestLog.length > 100) {
+            this.requestLog.shift();
+        }
+        this.emit('request', { target: route.target, key: route.key, scenario });
+
+        switch (scenario) {
+            case 'outage':
+                this.send(res, 503, 'text/plain', 'Service Unavailable');
+                break;
+            case 'unauthorized':
+                this.send(res, 401, 'application/json', JSON.stringify({ message: 'Invalid API key' }));
+                break;
+            case 'malformed':
+                this.send(res, 200, route.contentType, route.target === 'mta' ?
+                    Buffer.from([0x0a, 0xff, 0xff, 0xff, 0x0f, 0x12]) :
+                    '{"events": [ truncated');
+                break;
+            case 'throttled':
+                res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(rule.retryAfter) });
+                res.end(JSON.stringify({ message: 'Too many requests' }));
+                break;
+            case 'frozen':
+                this.send(res, 200, route.contentType, route.body(rule.frozenAt));
+                break;
+            case 'slow': {
+                const timer = setTimeout(() => {
+                    this.pendingTimers.delete(timer);
+                    if (!res.writableEnded && !res.destroyed) {
+                        this.send(res, 200, route.contentType, route.body());
+                    }
+                }, this.config.slowDelay);
+                this.pendingTimers.add(timer);
+                break;
+            }
+            default:
+                this.send(res, 200, route.contentType, route.body());
+        }
+    }
+
+    matchRoute(pathname) {
+        if (pathname.startsWith(MTA_PREFIX)) {
+            const feedPath = decodeURIComponent(pathname.slice(MTA_PREFIX.length));
+            const feed = NYCT_FEEDS.find(known => decodeURIComponent(known.path) === feedPath);
+            if (!feed) return null;
+
+            return {
+                target: 'mta',
+                key: feed.id,
+                contentType: 'application/x-protobuf',
+                body: (now = Date.now()) => Buffer.from(this.FeedMessage.encode(buildGtfsFeed(feed, {
+                    now,
+                    trainsPerDirection: this.config.trainsPerDirection,
+                    stationInterval: this.config.stationInterval
+                })).finish())
+            };
+        }
+
+        if (pathname.startsWith(TRAFFIC_PREFIX)) {
+            const endpoint = TRAFFIC_ENDPOINTS[pathname.slice(TRAFFIC_PREFIX.length).toLowerCase()];
+            if (!endpoint) return null;
+
+            return {
+                target: '511ny',
+                key: endpoint,
+                contentType: 'application/json',
+                body: (now = Date.now()) => JSON.stringify(buildTrafficData({ now })[endpoint])
+            };
+        }
+
+        return null;
+    }
+
+    send(res, statusCode, contentType, body) {
+        res.writeHead(statusCode, { 'Content-Type': contentType });
+        res.end(body);
+    }
+
+    getStats() {
+        return {
+            url: this.baseUrl,
+            rules: this.rules.map(rule => ({ ...rule })),
+            ...this.stats,
+            byScenario: { ...this.stats.byScenario }
+        };
+    }
+}
+
+MockFeedServer.SCENARIOS = SCENARIOS;
+
+module.exports = MockFeedServer;
@@ -0,0 +1,229 @@
+// src/dev/mock/MockNotificationServer.js
+const http = require('http');
+const net = require('net');
+const EventEmitter = require('events');
+const { getLogger } = require('../../utils/Logger');
+
+/**
+ * Local stand-in for webhook receivers and an SMTP relay
+ *
+ * Records every webhook POST (any path) and every email it accepts, so
+ * notification channels can be tested offline:
+ *   new WebhookChannel({ url: `${server.webhookUrl}/hooks/ops` })
+ *   new EmailChannel({ to: 'ops@example.com', smtp: { host: '127.0.0.1', port: server.smtpPort } })
+ *
+ * failNext() / rejectNextMail() make the next requests or messages fail, to
+ * exercise retries.
+ */
+class MockNotificationServer extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            host: '127.0.0.1',
+            httpPort: 0,     // 0 = any free port
+            smtpPort: 0,
+            ...config
+        };
+
+        this.logger = getLogger('MockNotificationServer');
+        this.httpServer = null;
+        this.smtpServer = null;
+        this.sockets = new Set();
+        this.requests = [];
+        this.emails = [];
+        this.httpFailures = [];   // queued HTTP status codes to answer with
+        this.smtpFailures = [];   // queued SMTP reply codes for the end of DATA
+    }
+
+    get webhookUrl() {
+        return this.httpServer && `http://${this.config.host}:${this.httpServer.address().port}`;
+    }
+
+    get smtpPort() {
+        return this.smtpServer && this.smtpServer.address().port;
+    }
+
+    async start() {
+        if (this.httpServer) return;
+
+        this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+        this.smtpServer = net.createServer(socket => this.handleSmtp(socket));
+
+        await Promise.all([
+            this.listen(this.httpServer, this.config.httpPort),
+            this.listen(this.smtpServer, this.config.smtpPort)
+        ]);
+
+        this.logger.info('Mock notification server listening', {
+            webhookUrl: this.webhookUrl,
+            smtpPort: this.smtpPort
+        });
+    }
+
+    listen(server, port) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, this.config.host, () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    async stop() {
+        if (!this.httpServer) return;
+
+        this.sockets.forEach(socket => socket.destroy());
+        this.sockets.clear();
+        if (this.httpServer.closeAllConnections) {
+            this.httpServer.closeAllConnections();
+        }
+
+        await Promise.all([
+            new Promise(resolve => this.httpServer.close(resolve)),
+            new Promise(resolve => this.smtpServer.close(resolve))
+        ]);
+        this.httpServer = null;
+        this.smtpServer = null;
+
+        this.logger.info('Mock notification server stopped');
+    }
+
+    /**
+     * Answer the next `count` webhook requests with an error status
+     */
+    failNext(count = 1, status = 503) {
+        for (let i = 0; i < count; i++) this.httpFailures.push(status);
+    }
+
+    /**
+     * Reject the next `count` emails (4xx = temporary, 5xx = permanent)
+     */
+    rejectNextMail(count = 1, code = 451) {
+        for (let i = 0; i < count; i++) this.smtpFailures.push(code);
+    }
+
+    reset() {
+        this.requests = [];
+        this.emails = [];
+        this.httpFailures = [];
+        this.smtpFailures = [];
+    }
+
+    handleRequest(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const status = this.httpFailures.length > 0 ? this.httpFailures.shift() : 200;
+            let parsed = body;
+            try {
+                parsed = JSON.parse(body);
+            } catch (error) {
+                // Keep non-JSON bodies as text
+            }
+
+            const request = { method: req.method, path: req.url, headers: req.headers, body: parsed, status };
+            this.requests.push(request);
+            this.emit('request', request);
+
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(status < 400 ? { ok: true } : { error: 'mock failure' }));
+        });
+    }
+
+    /**
+     * Minimal SMTP dialogue: EHLO/HELO, MAIL, RCPT, DATA, RSET, NOOP, QUIT
+     */
+    handleSmtp(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => socket.destroy());
+
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let data = null;   // lines of the message while in DATA mode
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+        reply('220 mock-smtp ESMTP ready');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data) {
+                    if (line !== '.') {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                        continue;
+                    }
+
+                    const code = this.smtpFailures.length > 0 ? this.smtpFailures.shift() : 250;
+                    if (code === 250) {
+                        const email = { ...envelope, raw: data.join('\r\n'), subject: this.getHeader(data, 'subject') };
+                        this.emails.push(email);
+                        this.emit('email', email);
+                        reply('250 2.0.0 Message accepted');
+                    } else {
+                        reply(`${code} Mock rejection`);
+                    }
+                    data = null;
+                    envelope = { from: null, to: [] };
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                switch (command) {
+                    case 'EHLO':
+                        reply('250-mock-smtp');
+                        reply('250 8BITMIME');
+                        break;
+                    case 'HELO':
+                        reply('250 mock-smtp');
+                        break;
+                    case 'MAIL':
+                        envelope.from = this.getAddress(line);
+                        reply('250 2.1.0 OK');
+                        break;
+                    case 'RCPT':
+                        envelope.to.push(this.getAddress(line));
+                        reply('250 2.1.5 OK');
+                        break;
+                    case 'DATA':
+                        data = [];
+                        reply('354 End data with <CR><LF>.<CR><LF>');
+                        break;
+                    case 'RSET':
+                        envelope = { from: null, to: [] };
+                        reply('250 OK');
+                        break;
+                    case 'NOOP':
+                        reply('250 OK');
+                        break;
+                    case 'QUIT':
+                        reply('221 Bye');
+                        socket.end();
+                        break;
+                    default:
+                        reply('502 Command not implemented');
+                }
+            }
+        });
+    }
+
+    getAddress(line) {
+        const match = line.match(/<([^>]*)>/);
+        return match ? match[1] : null;
+    }
+
+    getHeader(lines, name) {
+        const prefix = `${name.toLowerCase()}:`;
+        const line = lines.find(candidate => candidate.toLowerCase().startsWith(prefix));
+        return line ? line.slice(prefix.length).trim() : null;
+    }
+}
+
+module.exports = MockNotificationServer;
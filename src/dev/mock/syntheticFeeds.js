@@ -0,0 +1,230 @@
+// src/dev/mock/syntheticFeeds.js
+// Deterministic synthetic GTFS-realtime and 511NY payloads for the mock server
+// Trains advance one station every stationInterval seconds, so successive polls move
+
+const { getStationRegistry } = require('../../reference/StationRegistry');
+
+const NYCT_EXT = {
+    header: '.transit_realtime.nyctFeedHeader',
+    trip: '.transit_realtime.nyctTripDescriptor',
+    stopTimeUpdate: '.transit_realtime.nyctStopTimeUpdate'
+};
+
+const NYCT_DIRECTION = { N: 1, S: 3 };
+
+/**
+ * Build a plain GTFS-realtime FeedMessage object for one feed
+ * Encode it with FeedMessage.encode(...) from the bundled nyct-subway.proto
+ * @param {Object} feed - Feed from feeds.js ({ id, routes })
+ * @param {Object} options - now (ms), trainsPerDirection, stationInterval (s), upcomingStops
+ */
+function buildGtfsFeed(feed, options = {}) {
+    const {
+        now = Date.now(),
+        trainsPerDirection = 3,
+        stationInterval = 120,
+        upcomingStops = 6
+    } = options;
+
+    const nowSec = Math.floor(now / 1000);
+    const registry = getStationRegistry();
+    const entity = [];
+
+    // Express variants share their local route's stations
+    const routes = feed.routes.filter(route => !/X$/.test(route));
+
+    routes.forEach(routeId => {
+        const stations = registry.getStationsByRoute(routeId)
+            .slice()
+            .sort((a, b) => a.stopId.localeCompare(b.stopId));
+        if (stations.length < 2) return;
+
+        ['S', 'N'].forEach(direction => {
+            // Stop ids ascend north to south on most lines
+            const line = direction === 'S' ? stations : stations.slice().reverse();
+
+            for (let train = 0; train < trainsPerDirection; train++) {
+                const trip = buildTrip(routeId, direction, line, train, {
+                    nowSec, trainsPerDirection, stationInterval, upcomingStops
+                });
+                entity.push({ id: `${feed.id}-${trip.tripId}-trip`, tripUpdate: trip.tripUpdate });
+                entity.push({ id: `${feed.id}-${trip.tripId}-vehicle`, vehicle: trip.vehicle });
+            }
+        });
+    });
+
+    if (routes.length > 0) {
+        entity.push({
+            id: `${feed.id}-alert`,
+            alert: {
+                activePeriod: [{ start: nowSec - 600, end: nowSec + 3600 }],
+                informedEntity: [{ agencyId: 'MTASBWY', routeId: routes[0] }],
+                headerText: { translation: [{ text: `Delays on the ${routes[0]} (mock)`, language: 'en' }] },
+                descriptionText: { translation: [{ text: 'Synthetic alert from the mock feed server', language: 'en' }] }
+            }
+        });
+    }
+
+    return {
+        header: {
+            gtfsRealtimeVersion: '1.0',
+            incrementality: 0,
+            timestamp: nowSec,
+            [NYCT_EXT.header]: {
+                nyctSubwayVersion: '1.0',
+                tripReplacementPeriod: routes.map(routeId => ({
+                    routeId,
+                    replacementPeriod: { end: nowSec + 1800 }
+                }))
+            }
+        },
+        entity
+    };
+}
+
+function buildTrip(routeId, direction, line, train, { nowSec, trainsPerDirection, stationInterval, upcomingStops }) {
+    const step = Math.floor(nowSec / stationInterval);
+    const spacing = Math.max(1, Math.floor(line.length / trainsPerDirection));
+    const index = (step + train * spacing) % line.length;
+    const stepStart = step * stationInterval;
+
+    // NYCT trip ids encode the origin time in hundredths of a minute past midnight
+    const originSec = stepStart - index * stationInterval;
+    const originMinutes = Math.floor(((originSec % 86400) + 86400) % 86400 / 60);
+    const tripId = `${String(originMinutes * 100).padStart(6, '0')}_${routeId}..${direction}`;
+    const hhmm = `${String(Math.floor(originMinutes / 60)).padStart(2, '0')}${String(originMinutes % 60).padStart(2, '0')}`;
+
+    const tripDescriptor = {
+        tripId,
+        routeId,
+        startDate: new Date(originSec * 1000).toISOString().slice(0, 10).replace(/-/g, ''),
+        [NYCT_EXT.trip]: {
+            trainId: `0${routeId} ${hhmm}+ ${line[0].stopId}/${line[line.length - 1].stopId}`,
+            isAssigned: train !== trainsPerDirection - 1, // last train of each direction unassigned
+            direction: NYCT_DIRECTION[direction]
+        }
+    };
+
+    const track = direction === 'S' ? '1' : '2';
+    const stopTimeUpdate = line.slice(index, index + upcomingStops).map((station, offset) => ({
+        stopId: `${station.stopId}${direction}`,
+        arrival: { time: stepStart + offset * stationInterval },
+        departure: { time: stepStart + offset * stationInterval + 30 },
+        [NYCT_EXT.stopTimeUpdate]: {
+            scheduledTrack: track,
+            // A deterministic track change now and then
+            actualTrack: (index + offset) % 17 === 0 ? (track === '1' ? '3' : '4') : track
+        }
+    }));
+
+    const atStation = nowSec - stepStart < 30;
+
+    return {
+        tripId,
+        tripUpdate: { trip: tripDescriptor, stopTimeUpdate },
+        vehicle: {
+            trip: tripDescriptor,
+            currentStopSequence: index + 1,
+            currentStatus: atStation ? 1 : 2, // STOPPED_AT : IN_TRANSIT_TO
+            timestamp: nowSec,
+            stopId: `${line[index].stopId}${direction}`
+        }
+    };
+}
+
+// 511NY payloads (field names as read by TrafficTransformer)
+
+const TRAFFIC_SITES = [
+    { roadway: 'I-278 Brooklyn-Queens Expressway', latitude: 40.6955, longitude: -73.9918 },
+    { roadway: 'FDR Drive', latitude: 40.7580, longitude: -73.9620 },
+    { roadway: 'I-495 Long Island Expressway', latitude: 40.7390, longitude: -73.8770 },
+    { roadway: 'I-87 Major Deegan Expressway', latitude: 40.8280, longitude: -73.9290 },
+    { roadway: 'I-678 Van Wyck Expressway', latitude: 40.6900, longitude: -73.8070 },
+    { roadway: 'Staten Island Expressway', latitude: 40.6100, longitude: -74.1000 },
+    { roadway: 'West Side Highway', latitude: 40.7420, longitude: -74.0090 },
+    { roadway: 'Belt Parkway', latitude: 40.5920, longitude: -73.9950 }
+];
+
+const EVENT_TYPES = ['accident', 'construction', 'congestion', 'special_event', 'weather'];
+const SEVERITIES = ['minor', 'moderate', 'major', 'severe'];
+
+/**
+ * Build the 511NY endpoint payloads
+ * @returns {Object} { events, cameras, alerts, messageSigns, winterConditions }
+ */
+function buildTrafficData(options = {}) {
+    const { now = Date.now(), eventCount = 6 } = options;
+    const bucket = Math.floor(now / (5 * 60 * 1000)); // events rotate every 5 minutes
+    const iso = new Date(now).toISOString();
+
+    const events = [];
+    for (let i = 0; i < eventCount; i++) {
+        const site = TRAFFIC_SITES[(bucket + i) % TRAFFIC_SITES.length];
+        events.push({
+            id: `mock-event-${bucket + i}`,
+            type: EVENT_TYPES[(bucket + i) % EVENT_TYPES.length],
+            severity: SEVERITIES[(bucket * 3 + i) % SEVERITIES.length],
+            status: 'active',
+            latitude: site.latitude + i * 0.001,
+            longitude: site.longitude - i * 0.001,
+            roadway: site.roadway,
+            direction: i % 2 === 0 ? 'Northbound' : 'Southbound',
+            lanesBlocked: i % 3,
+            totalLanes: 3,
+            description: `Mock ${EVENT_TYPES[(bucket + i) % EVENT_TYPES.length]} on ${site.roadway}`,
+            reportedTime: new Date(now - (i + 1) * 600000).toISOString(),
+            lastUpdated: iso
+        });
+    }
+
+    const cameras = TRAFFIC_SITES.map((site, i) => ({
+        id: `mock-camera-${i}`,
+        name: `${site.roadway} camera`,
+        latitude: site.latitude,
+        longitude: site.longitude,
+        roadway: site.roadway,
+        enabled: i !== 3,
+        url: `https://example.invalid/cameras/${i}.jpg`,
+        lastUpdate: iso
+    }));
+
+    const alerts = [{
+        id: `mock-alert-${bucket}`,
+        type: 'traffic_alert',
+        priority: 'high',
+        headline: 'Mock alert: expect delays',
+        description: 'Synthetic alert from the mock feed server',
+        area: 'Manhattan and Brooklyn',
+        routes: ['I-278'],
+        issuedTime: iso
+    }];
+
+    const messageSigns = TRAFFIC_SITES.slice(0, 4).map((site, i) => ({
+        id: `mock-sign-${i}`,
+        name: `${site.roadway} VMS`,
+        status: 'active',
+        latitude: site.latitude + 0.002,
+        longitude: site.longitude + 0.002,
+        roadway: site.roadway,
+        message: i % 2 === 0 ? 'ACCIDENT AHEAD / USE CAUTION' : 'TRAVEL TIME 12 MIN',
+        lastUpdate: iso
+    }));
+
+    const winterConditions = TRAFFIC_SITES.slice(0, 3).map((site, i) => ({
+        id: `mock-winter-${i}`,
+        roadway: site.roadway,
+        surfaceCondition: ['dry', 'wet', 'snow covered'][i],
+        visibility: 'good',
+        temperature: 28 + i,
+        treatmentStatus: 'treated',
+        reportedTime: iso
+    }));
+
+    return { events, cameras, alerts, messageSigns, winterConditions };
+}
+
+module.exports = {
+    NYCT_EXT,
+    buildGtfsFeed,
+    buildTrafficData
+};
@@ -0,0 +1,225 @@
+// src/geo/BoroughLocator.js
+const path = require('path');
+const { haversineDistance } = require('./distance');
+
+const DEFAULT_BOROUGHS_PATH = path.join(__dirname, 'data', 'boroughs.json');
+const DEFAULT_DISTRICTS_PATH = path.join(__dirname, 'data', 'districts.json');
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * Ray-casting point in polygon test over a GeoJSON ring ([lon, lat] pairs)
+ */
+function pointInRing(lat, lon, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Point in a GeoJSON Polygon's coordinates: inside the outer ring and outside every hole
+ */
+function pointInPolygon(lat, lon, polygon) {
+    if (!pointInRing(lat, lon, polygon[0])) return false;
+    return !polygon.slice(1).some(hole => pointInRing(lat, lon, hole));
+}
+
+/**
+ * Approximate distance (km) from a point to a ring's edges, on a local flat projection
+ */
+function distanceToRing(lat, lon, ring) {
+    const kmPerDegreeLon = KM_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180);
+    const project = ([x, y]) => [(x - lon) * kmPerDegreeLon, (y - lat) * KM_PER_DEGREE_LAT];
+    let best = Infinity;
+
+    for (let i = 1; i < ring.length; i++) {
+        const [ax, ay] = project(ring[i - 1]);
+        const [bx, by] = project(ring[i]);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+
+        best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+
+    return best;
+}
+
+/**
+ * Borough, community district and neighborhood lookup for NYC coordinates
+ *
+ * Boroughs come from simplified shoreline polygons (src/geo/data/boroughs.json).
+ * Points just off a shore - piers, bridges, the water under a camera - fall back
+ * to the nearest borough within maxDistanceKm. Community districts and
+ * neighborhoods resolve to the nearest centroid within the point's borough
+ * (src/geo/data/districts.json), so they are approximate near their edges.
+ */
+class BoroughLocator {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxDistanceKm - How far outside every polygon a point may still get the nearest borough
+     * @param {number} options.neighborhoodRadiusKm - Maximum distance to a neighborhood centroid
+     */
+    constructor(options = {}) {
+        this.config = {
+            maxDistanceKm: 1,
+            neighborhoodRadiusKm: 2,
+            ...options
+        };
+
+        const boundaries = options.boundaries || require(options.boroughsPath || DEFAULT_BOROUGHS_PATH);
+        const districts = options.districts || require(options.districtsPath || DEFAULT_DISTRICTS_PATH);
+
+        this.boroughs = boundaries.features.map(feature => ({
+            name: feature.properties.name,
+            code: feature.properties.code,
+            polygons: feature.geometry.type === 'Polygon' ?
+                [feature.geometry.coordinates] :
+                feature.geometry.coordinates,
+            bounds: this.computeBounds(feature.geometry)
+        }));
+        this.communityDistricts = districts.communityDistricts || [];
+        this.neighborhoods = districts.neighborhoods || [];
+    }
+
+    computeBounds(geometry) {
+        const points = geometry.type === 'Polygon' ?
+            geometry.coordinates.flat() :
+            geometry.coordinates.flat(2);
+
+        return {
+            north: Math.max(...points.map(point => point[1])),
+            south: Math.min(...points.map(point => point[1])),
+            east: Math.max(...points.map(point => point[0])),
+            west: Math.min(...points.map(point => point[0]))
+        };
+    }
+
+    /**
+     * Borough containing a point, by name
+     * @returns {string|null} 'Manhattan', 'Bronx', 'Brooklyn', 'Queens', 'Staten Island' or null
+     */
+    findBorough(lat, lon) {
+        lat = parseFloat(lat);
+        lon = parseFloat(lon);
+        if (!isFinite(lat) || !isFinite(lon)) return null;
+
+        const containing = this.boroughs.find(borough =>
+            lat >= borough.bounds.south && lat <= borough.bounds.north &&
+            lon >= borough.bounds.west && lon <= borough.bounds.east &&
+            borough.polygons.some(polygon => pointInPolygon(lat, lon, polygon))
+        );
+        if (containing) return containing.name;
+
+        let nearest = null;
+        let nearestDistance = this.config.maxDistanceKm;
+        this.boroughs.forEach(borough => {
+            borough.polygons.forEach(polygon => {
+                const distance = distanceToRing(lat, lon, polygon[0]);
+                if (distance <= nearestDistance) {
+                    nearest = borough.name;
+                    nearestDistance = distance;
+                }
+            });
+        });
+
+        return nearest;
+    }
+
+    isInBorough(lat, lon, borough) {
+        const found = this.findBorough(lat, lon);
+        return !!found && !!borough && found.toLowerCase() === String(borough).toLowerCase();
+    }
+
+    /**
+     * Bounding box of a borough's polygons
+     * @returns {Object|null} { north, south, east, west }
+     */
+    getBoroughBounds(borough) {
+        const match = this.getBorough(borough);
+        return match ? { ...match.bounds } : null;
+    }
+
+    /**
+     * Borough record by name or dataset code ('Bk', 'Q', ...)
+     */
+    getBorough(borough) {
+        if (!borough) return null;
+        const needle = String(borough).toLowerCase();
+        return this.boroughs.find(candidate =>
+            candidate.name.toLowerCase() === needle || candidate.code.toLowerCase() === needle) || null;
+    }
+
+    /**
+     * Community district a point most likely belongs to
+     * @returns {Object|null} { id, borough, name } - id is the borough digit + district number, e.g. 105
+     */
+    getCommunityDistrict(lat, lon, borough = this.findBorough(lat, lon)) {
+        const nearest = this.findNearestCentroid(this.communityDistricts, lat, lon, borough, Infinity);
+        return nearest ? { id: nearest.id, borough: nearest.borough, name: nearest.name } : null;
+    }
+
+    /**
+     * Nearest named neighborhood in the point's borough
+     * @returns {Object|null} { name, borough }
+     */
+    getNeighborhood(lat, lon, borough = this.findBorough(lat, lon)) {
+        const nearest = this.findNearestCentroid(this.neighborhoods, lat, lon, borough, this.config.neighborhoodRadiusKm);
+        return nearest ? { name: nearest.name, borough: nearest.borough } : null;
+    }
+
+    /**
+     * Borough, community district and neighborhood of a point in one lookup
+     */
+    resolve(lat, lon) {
+        const borough = this.findBorough(lat, lon);
+
+        return {
+            borough,
+            communityDistrict: this.getCommunityDistrict(lat, lon, borough),
+            neighborhood: this.getNeighborhood(lat, lon, borough)
+        };
+    }
+
+    findNearestCentroid(centroids, lat, lon, borough, maxDistanceKm) {
+        if (!borough) return null;
+
+        let nearest = null;
+        let nearestDistance = maxDistanceKm;
+        centroids.forEach(centroid => {
+            if (centroid.borough !== borough) return;
+
+            const distance = haversineDistance(parseFloat(lat), parseFloat(lon), centroid.lat, centroid.lon);
+            if (distance <= nearestDistance) {
+                nearest = centroid;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+}
+
+let defaultLocator = null;
+
+module.exports = {
+    BoroughLocator,
+    pointInPolygon,
+    // Shared locator over the bundled boundaries, loaded on first use
+    getBoroughLocator: () => {
+        if (!defaultLocator) {
+            defaultLocator = new BoroughLocator();
+        }
+        return defaultLocator;
+    }
+};
@@ -0,0 +1,285 @@
+// src/geo/GeoJSONExporter.js
+const { getStationRegistry } = require('../reference/StationRegistry');
+
+const LAYERS = ['traffic-events', 'cameras', 'message-signs', 'hotspots', 'subway-stations', 'subway-trains'];
+
+/**
+ * Exports traffic and subway data as RFC 7946 GeoJSON FeatureCollections
+ *
+ * Every feature is a WGS84 Point ([lon, lat], 6 decimals) with a string id and
+ * flat properties - the same keys on every feature of a layer, null when
+ * unknown, timestamps as ISO 8601 and lists joined with commas - so files load
+ * into QGIS or Mapbox as-is. Collections carry their layer name as `name`.
+ */
+class GeoJSONExporter {
+    /**
+     * @param {Object} options
+     * @param {number} options.precision - Decimal places kept in coordinates
+     */
+    constructor(options = {}) {
+        this.config = {
+            precision: 6,
+            stationRegistry: getStationRegistry(),
+            ...options
+        };
+    }
+
+    /**
+     * All layers of a transformed 511NY snapshot
+     * @returns {Object} layer name -> FeatureCollection
+     */
+    exportTraffic(snapshot) {
+        return {
+            'traffic-events': this.trafficEvents(snapshot),
+            'cameras': this.cameras(snapshot),
+            'message-signs': this.messageSigns(snapshot),
+            'hotspots': this.hotspots(snapshot)
+        };
+    }
+
+    /**
+     * Subway stations, plus trains when estimated positions are given
+     * @param {Object[]} positions - TrainPositionEstimator.estimate() output
+     */
+    exportSubway(positions = null) {
+        const layers = { 'subway-stations': this.subwayStations() };
+        if (positions) {
+            layers['subway-trains'] = this.subwayTrains(positions);
+        }
+        return layers;
+    }
+
+    /**
+     * Build one layer by name
+     * @param {string} layer - One of GeoJSONExporter.LAYERS
+     * @param {Object} data - 511NY snapshot for traffic layers, positions for subway-trains
+     */
+    exportLayer(layer, data) {
+        switch (layer) {
+            case 'traffic-events': return this.trafficEvents(data);
+            case 'cameras': return this.cameras(data);
+            case 'message-signs': return this.messageSigns(data);
+            case 'hotspots': return this.hotspots(data);
+            case 'subway-stations': return this.subwayStations();
+            case 'subway-trains': return this.subwayTrains(data);
+            default:
+                throw new Error(`Unknown GeoJSON layer: ${layer} (expected ${LAYERS.join(', ')})`);
+        }
+    }
+
+    trafficEvents(snapshot) {
+        const features = (snapshot.events || []).map(event => this.createFeature(event.id, event.location, {
+            layer: 'traffic-events',
+            source: snapshot.source,
+            type: event.type,
+            subtype: event.subtype,
+            severity: event.severity,
+            status: event.status,
+            roadway: event.location?.roadway,
+            direction: event.location?.direction,
+            from: event.location?.from,
+            to: event.location?.to,
+            borough: event.location?.borough,
+            neighborhood: event.location?.neighborhood,
+            community_district: event.location?.community_district,
+            reported: this.toISO(event.timing?.reported),
+            started: this.toISO(event.timing?.started),
+            estimated_end: this.toISO(event.timing?.estimated_end),
+            last_updated: this.toISO(event.timing?.last_updated),
+            lanes_blocked: event.impact?.lanes_blocked,
+            lanes_total: event.impact?.lanes_total,
+            speed: event.impact?.speed,
+            delay_minutes: event.impact?.delay_minutes,
+            length_miles: event.impact?.length_miles,
+            description: event.description
+        }));
+
+        return this.createCollection('traffic-events', features, snapshot.timestamp);
+    }
+
+    cameras(snapshot) {
+        const features = (snapshot.cameras || []).map(camera => this.createFeature(camera.id, camera.location, {
+            layer: 'cameras',
+            source: snapshot.source,
+            name: camera.name,
+            status: camera.status,
+            roadway: camera.location?.roadway,
+            direction: camera.location?.direction,
+            borough: camera.location?.borough,
+            neighborhood: camera.location?.neighborhood,
+            snapshot_url: camera.urls?.snapshot,
+            stream_url: camera.urls?.stream,
+            owner: camera.metadata?.owner,
+            has_video: camera.metadata?.has_video,
+            last_updated: this.toISO(camera.metadata?.last_update)
+        }));
+
+        return this.createCollection('cameras', features, snapshot.timestamp);
+    }
+
+    messageSigns(snapshot) {
+        const features = (snapshot.messageSigns || []).map(sign => this.createFeature(sign.id, sign.location, {
+            layer: 'message-signs',
+            source: snapshot.source,
+            name: sign.name,
+            status: sign.status,
+            roadway: sign.location?.roadway,
+            direction: sign.location?.direction,
+            borough: sign.location?.borough,
+            neighborhood: sign.location?.neighborhood,
+            message: sign.message?.current || (sign.message?.lines || []).join(' / ') || null,
+            message_type: sign.message?.type,
+            owner: sign.metadata?.owner,
+            last_updated: this.toISO(sign.metadata?.last_update)
+        }));
+
+        return this.createCollection('message-signs', features, snapshot.timestamp);
+    }
+
+    hotspots(snapshot) {
+        const hotspots = snapshot.geoSummary?.eventHotspots || [];
+        const features = hotspots.map((hotspot, index) => this.createFeature(
+            hotspot.id || `hotspot-${index + 1}`,
+            hotspot.center,
+            {
+                layer: 'hotspots',
+                source: snapshot.source,
+                event_count: hotspot.eventCount,
+                radius_km: hotspot.radiusKm,
+                severity: hotspot.severity,
+                types: this.joinList(hotspot.types)
+            }
+        ));
+
+        return this.createCollection('hotspots', features, snapshot.timestamp);
+    }
+
+    /**
+     * Subway stations from the station registry
+     * @param {Object} filters - route, borough
+     */
+    subwayStations(filters = {}) {
+        const registry = this.config.stationRegistry;
+        let stations = filters.route ? registry.getStationsByRoute(filters.route) : registry.getAllStations();
+        if (filters.borough) {
+            const borough = filters.borough.toLowerCase();
+            stations = stations.filter(station => station.borough?.toLowerCase() === borough);
+        }
+
+        const features = stations.map(station => this.createFeature(
+            station.stopId,
+            { lat: station.latitude, lon: station.longitude },
+            {
+                layer: 'subway-stations',
+                source: 'mta',
+                name: station.name,
+                complex_id: station.complexId,
+                line: station.line,
+                division: station.division,
+                borough: station.borough,
+                neighborhood: station.neighborhood,
+                community_district: station.communityDistrict,
+                routes: this.joinList(station.routes),
+                structure: station.structure,
+                ada: station.ada.status,
+                north_label: station.directionLabels.N,
+                south_label: station.directionLabels.S
+            }
+        ));
+
+        return this.createCollection('subway-stations', features);
+    }
+
+    /**
+     * Estimated train positions (TrainPositionEstimator.estimate output)
+     */
+    subwayTrains(positions = [], timestamp = null) {
+        const features = positions.map(position => this.createFeature(
+            position.tripId,
+            { lat: position.latitude, lon: position.longitude },
+            {
+                layer: 'subway-trains',
+                source: 'mta',
+                route: position.routeId,
+                train_id: position.trainId,
+                direction: position.direction,
+                status: position.status,
+                bearing: position.bearing,
+                progress: position.progress,
+                previous_stop_id: position.previousStop?.stopId,
+                previous_stop: position.previousStop?.name,
+                next_stop_id: position.nextStop?.stopId,
+                next_stop: position.nextStop?.name,
+                next_arrival: this.toISO(position.nextStop?.arrival),
+                precision: position.precision,
+                updated: this.toISO(position.timestamp)
+            }
+        ));
+
+        return this.createCollection('subway-trains', features, timestamp);
+    }
+
+    /**
+     * Point feature, or null when the location has no valid coordinates
+     */
+    createFeature(id, location, properties) {
+        const lat = Number(location?.lat);
+        const lon = Number(location?.lon);
+        if (!isFinite(lat) || !isFinite(lon) || (lat === 0 && lon === 0) ||
+            Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return null;
+        }
+
+        const cleaned = {};
+        Object.entries(properties).forEach(([key, value]) => {
+            cleaned[key] = value === undefined || (typeof value === 'number' && isNaN(value)) ? null : value;
+        });
+
+        return {
+            type: 'Feature',
+            id: String(id),
+            geometry: {
+                type: 'Point',
+                coordinates: [this.round(lon), this.round(lat)]
+            },
+            properties: { id: String(id), ...cleaned }
+        };
+    }
+
+    createCollection(name, features, timestamp = null) {
+        const valid = features.filter(Boolean);
+        const collection = {
+            type: 'FeatureCollection',
+            name,
+            generated: this.toISO(timestamp || Date.now()),
+            features: valid
+        };
+
+        if (valid.length > 0) {
+            const lons = valid.map(feature => feature.geometry.coordinates[0]);
+            const lats = valid.map(feature => feature.geometry.coordinates[1]);
+            collection.bbox = [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+        }
+
+        return collection;
+    }
+
+    round(value) {
+        const factor = Math.pow(10, this.config.precision);
+        return Math.round(value * factor) / factor;
+    }
+
+    toISO(timestamp) {
+        if (timestamp === null || timestamp === undefined) return null;
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    joinList(values) {
+        return Array.isArray(values) && values.length > 0 ? values.join(',') : null;
+    }
+}
+
+GeoJSONExporter.LAYERS = LAYERS;
+
+module.exports = GeoJSONExporter;
@@ -0,0 +1,230 @@
+// src/geo/SpatialIndex.js
+const { haversineDistance } = require('./distance');
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * Uniform grid index over points for radius, k-nearest and bounding-box queries
+ *
+ * Cells are cellSizeKm on a side at the reference latitude (New York by
+ * default), so a radius query only measures points in the few cells the
+ * circle overlaps. Results are ordered by distance, ties by insertion order,
+ * which keeps them deterministic.
+ */
+class SpatialIndex {
+    /**
+     * @param {Object} options
+     * @param {number} options.cellSizeKm - Grid cell size; close to the usual query radius works best
+     * @param {Function} options.getLocation - item -> { lat, lon }
+     * @param {number} options.referenceLatitude - Latitude used to size cells in longitude
+     */
+    constructor(options = {}) {
+        this.config = {
+            cellSizeKm: 0.5,
+            getLocation: item => item.location || item,
+            referenceLatitude: 40.7,
+            ...options
+        };
+
+        this.cellLat = this.config.cellSizeKm / KM_PER_DEGREE_LAT;
+        this.cellLon = this.config.cellSizeKm /
+            (KM_PER_DEGREE_LAT * Math.cos(this.config.referenceLatitude * Math.PI / 180));
+
+        this.cells = new Map();   // "row:col" -> entry[]
+        this.entries = [];
+        this.nextSequence = 0;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Add an item; items without finite coordinates are skipped
+     * @returns {boolean} Whether the item was indexed
+     */
+    insert(item) {
+        const location = this.config.getLocation(item);
+        const lat = parseFloat(location?.lat);
+        const lon = parseFloat(location?.lon);
+        if (!isFinite(lat) || !isFinite(lon)) return false;
+
+        const entry = { item, lat, lon, sequence: this.nextSequence++ };
+        const key = this.cellKey(this.row(lat), this.col(lon));
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push(entry);
+        this.entries.push(entry);
+
+        return true;
+    }
+
+    load(items) {
+        (items || []).forEach(item => this.insert(item));
+        return this;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries = [];
+        this.nextSequence = 0;
+    }
+
+    row(lat) {
+        return Math.floor(lat / this.cellLat);
+    }
+
+    col(lon) {
+        return Math.floor(lon / this.cellLon);
+    }
+
+    cellKey(row, col) {
+        return `${row}:${col}`;
+    }
+
+    /**
+     * Items within a radius, nearest first
+     * @param {Object} options - limit, filter (item -> boolean)
+     * @returns {Object[]} [{ item, distanceKm }]
+     */
+    withinRadius(lat, lon, radiusKm, options = {}) {
+        const rowSpan = Math.ceil(radiusKm / this.config.cellSizeKm) + 1;
+        const colSpan = Math.ceil(radiusKm /
+            (KM_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180) * this.cellLon)) + 1;
+
+        const centerRow = this.row(lat);
+        const centerCol = this.col(lon);
+        const matches = [];
+
+        // A circle covering more cells than are occupied is cheaper to answer by visiting every cell
+        if ((2 * rowSpan + 1) * (2 * colSpan + 1) > this.cells.size) {
+            this.cells.forEach(cell => this.collect(cell, lat, lon, radiusKm, options.filter, matches));
+            return this.finish(matches, options.limit);
+        }
+
+        for (let row = centerRow - rowSpan; row <= centerRow + rowSpan; row++) {
+            for (let col = centerCol - colSpan; col <= centerCol + colSpan; col++) {
+                this.collect(this.cells.get(this.cellKey(row, col)), lat, lon, radiusKm, options.filter, matches);
+            }
+        }
+
+        return this.finish(matches, options.limit);
+    }
+
+    /**
+     * The k nearest items, searching outward ring by ring
+     * @param {Object} options - limit (k, default 1), maxDistanceKm, filter
+     * @returns {Object[]} [{ item, distanceKm }]
+     */
+    nearest(lat, lon, options = {}) {
+        const limit = options.limit || 1;
+        const maxDistanceKm = options.maxDistanceKm ?? Infinity;
+        const centerRow = this.row(lat);
+        const centerCol = this.col(lon);
+        const maxRing = this.getMaxRing(centerRow, centerCol);
+        const matches = [];
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            if (8 * ring > this.cells.size) {
+                // Far from the data, rings are mostly empty - measure the remaining cells directly
+                this.cells.forEach((cell, key) => {
+                    const [row, col] = key.split(':').map(Number);
+                    if (Math.max(Math.abs(row - centerRow), Math.abs(col - centerCol)) >= ring) {
+                        this.collect(cell, lat, lon, maxDistanceKm, options.filter, matches);
+                    }
+                });
+                break;
+            }
+
+            this.ringCells(centerRow, centerCol, ring).forEach(key => {
+                this.collect(this.cells.get(key), lat, lon, maxDistanceKm, options.filter, matches);
+            });
+
+            // Anything in further rings is at least `ring` cells away
+            const ringDistance = ring * Math.min(this.config.cellSizeKm,
+                KM_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180) * this.cellLon);
+            if (ringDistance > maxDistanceKm) break;
+            if (matches.length >= limit) {
+                const kth = this.finish([...matches], limit)[limit - 1];
+                if (kth.distanceKm <= ringDistance) break;
+            }
+        }
+
+        return this.finish(matches, limit);
+    }
+
+    /**
+     * Items inside a bounding box, in insertion order
+     * @param {Object} bbox - { west, south, east, north }
+     */
+    withinBounds(bbox, options = {}) {
+        const results = [];
+
+        for (let row = this.row(bbox.south); row <= this.row(bbox.north); row++) {
+            for (let col = this.col(bbox.west); col <= this.col(bbox.east); col++) {
+                (this.cells.get(this.cellKey(row, col)) || []).forEach(entry => {
+                    if (entry.lat < bbox.south || entry.lat > bbox.north ||
+                        entry.lon < bbox.west || entry.lon > bbox.east) return;
+                    if (options.filter && !options.filter(entry.item)) return;
+                    results.push(entry);
+                });
+            }
+        }
+
+        return results.sort((a, b) => a.sequence - b.sequence).map(entry => entry.item);
+    }
+
+    collect(cell, lat, lon, radiusKm, filter, matches) {
+        if (!cell) return;
+
+        cell.forEach(entry => {
+            if (filter && !filter(entry.item)) return;
+
+            const distanceKm = haversineDistance(lat, lon, entry.lat, entry.lon);
+            if (distanceKm <= radiusKm) {
+                matches.push({ entry, distanceKm });
+            }
+        });
+    }
+
+    finish(matches, limit) {
+        const sorted = matches
+            .sort((a, b) => a.distanceKm - b.distanceKm || a.entry.sequence - b.entry.sequence)
+            .map(({ entry, distanceKm }) => ({ item: entry.item, distanceKm }));
+
+        return limit ? sorted.slice(0, limit) : sorted;
+    }
+
+    /**
+     * Cells forming the square ring `ring` cells out from a center cell
+     */
+    ringCells(centerRow, centerCol, ring) {
+        if (ring === 0) return [this.cellKey(centerRow, centerCol)];
+
+        const keys = [];
+        for (let offset = -ring; offset <= ring; offset++) {
+            keys.push(this.cellKey(centerRow - ring, centerCol + offset));
+            keys.push(this.cellKey(centerRow + ring, centerCol + offset));
+        }
+        for (let offset = -ring + 1; offset <= ring - 1; offset++) {
+            keys.push(this.cellKey(centerRow + offset, centerCol - ring));
+            keys.push(this.cellKey(centerRow + offset, centerCol + ring));
+        }
+        return keys;
+    }
+
+    /**
+     * Ring count after which no occupied cell remains
+     */
+    getMaxRing(centerRow, centerCol) {
+        let maxRing = 0;
+        this.cells.forEach((cell, key) => {
+            const [row, col] = key.split(':').map(Number);
+            maxRing = Math.max(maxRing, Math.abs(row - centerRow), Math.abs(col - centerCol));
+        });
+        return maxRing;
+    }
+}
+
+module.exports = SpatialIndex;
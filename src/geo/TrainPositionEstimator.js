@@ -0,0 +1,296 @@
+// src/geo/TrainPositionEstimator.js
+const { getStationRegistry } = require('../reference/StationRegistry');
+const { haversineDistance, initialBearing } = require('./distance');
+const GeoJSONExporter = require('./GeoJSONExporter');
+
+/**
+ * Estimates where subway trains are between stations
+ *
+ * NYCT vehicle updates carry a stop and a status (incoming_at, stopped_at,
+ * in_transit_to) but no coordinates. A train stopped at a station is placed
+ * on it; a moving train is placed between its previous and next stop, at the
+ * fraction of the run already covered according to the predicted arrival and
+ * the expected travel time. The path is the trip's shape when a static GTFS
+ * schedule with shapes.txt is supplied, else a straight line between stations.
+ *
+ * The previous stop comes from the scheduled stop pattern, or from what this
+ * estimator saw on earlier snapshots of the same trip.
+ */
+class TrainPositionEstimator {
+    /**
+     * @param {Object} options
+     * @param {GTFSSchedule} options.schedule - Static schedule for stop patterns, run times and shapes
+     * @param {number} options.defaultTravelTime - Seconds between stations when nothing better is known
+     * @param {number} options.incomingProgress - Minimum progress of an incoming_at train
+     */
+    constructor(options = {}) {
+        this.config = {
+            stationRegistry: getStationRegistry(),
+            schedule: null,
+            defaultTravelTime: 120,
+            incomingProgress: 0.9,
+            memoryTtl: 1800,      // seconds a trip is remembered after it was last seen
+            ...options
+        };
+
+        this.trips = new Map();   // tripId -> { previousStopId, nextStopId, departedAt, lastSeen }
+    }
+
+    /**
+     * Estimate positions of every train in a transformed MTA snapshot
+     * @returns {Object[]} Positions (trains whose stops are unknown are left out)
+     */
+    estimate(snapshot) {
+        const now = snapshot.timestamp || Date.now();
+        const tripUpdates = new Map();
+
+        (snapshot.tripUpdates || []).forEach(tripUpdate => {
+            if (tripUpdate.trip?.tripId) {
+                tripUpdates.set(tripUpdate.trip.tripId, tripUpdate);
+            }
+        });
+
+        const positions = [];
+        (snapshot.vehicleUpdates || []).forEach(vehicle => {
+            if (!vehicle.trip?.tripId) return;
+
+            this.remember(vehicle, tripUpdates.get(vehicle.trip.tripId), now);
+            const position = this.estimateVehicle(vehicle, tripUpdates.get(vehicle.trip.tripId), now);
+            if (position) {
+                positions.push(position);
+            }
+        });
+
+        this.prune(now);
+        return positions;
+    }
+
+    /**
+     * Positions as a GeoJSON FeatureCollection of Points (the exporter's subway-trains layer)
+     */
+    toGeoJSON(snapshot) {
+        const exporter = new GeoJSONExporter({ stationRegistry: this.config.stationRegistry });
+        return exporter.subwayTrains(this.estimate(snapshot), snapshot.timestamp);
+    }
+
+    /**
+     * Track each trip's last served stop and when it left it
+     */
+    remember(vehicle, tripUpdate, now) {
+        const tripId = vehicle.trip.tripId;
+        const nextStopId = this.getNextStopId(vehicle, tripUpdate);
+        const reportedAt = vehicle.timestamp || now;
+        const memory = this.trips.get(tripId) || { previousStopId: null, nextStopId: null, departedAt: null };
+
+        if (vehicle.currentStatus === 'stopped_at') {
+            memory.previousStopId = nextStopId;
+            memory.departedAt = null;
+        } else if (memory.nextStopId && memory.nextStopId !== nextStopId) {
+            // Advanced past the stop it was heading to or standing at
+            memory.previousStopId = memory.nextStopId;
+            memory.departedAt = reportedAt;
+        } else if (memory.previousStopId && !memory.departedAt) {
+            memory.departedAt = reportedAt;
+        }
+
+        memory.nextStopId = nextStopId;
+        memory.lastSeen = now;
+        this.trips.set(tripId, memory);
+    }
+
+    prune(now) {
+        const cutoff = now - this.config.memoryTtl * 1000;
+        this.trips.forEach((memory, tripId) => {
+            if (memory.lastSeen < cutoff) this.trips.delete(tripId);
+        });
+    }
+
+    getNextStopId(vehicle, tripUpdate) {
+        return vehicle.stopId || tripUpdate?.stopTimeUpdates.find(Boolean)?.stopId || null;
+    }
+
+    /**
+     * Estimate one train's position
+     */
+    estimateVehicle(vehicle, tripUpdate, now) {
+        const registry = this.config.stationRegistry;
+        const nextStopId = this.getNextStopId(vehicle, tripUpdate);
+        const nextStation = registry.getStation(nextStopId);
+        const base = {
+            tripId: vehicle.trip.tripId,
+            routeId: vehicle.trip.routeId,
+            trainId: vehicle.trip.nyct?.trainId || null,
+            direction: vehicle.trip.nyct?.direction || null,
+            status: vehicle.currentStatus,
+            timestamp: vehicle.timestamp || now
+        };
+
+        if (vehicle.position && vehicle.position.latitude && vehicle.position.longitude) {
+            return {
+                ...base,
+                latitude: vehicle.position.latitude,
+                longitude: vehicle.position.longitude,
+                bearing: vehicle.position.bearing ?? null,
+                progress: null,
+                previousStop: null,
+                nextStop: nextStation ? this.describeStop(nextStopId, nextStation) : null,
+                precision: 'reported'
+            };
+        }
+
+        if (!nextStation) return null;
+
+        const stopTimeUpdate = tripUpdate?.stopTimeUpdates.find(stu => stu && stu.stopId === nextStopId);
+        const arrival = stopTimeUpdate?.arrival?.time || stopTimeUpdate?.departure?.time || null;
+        const nextStop = { ...this.describeStop(nextStopId, nextStation), arrival };
+
+        const scheduled = this.getScheduledRun(vehicle.trip, nextStopId);
+        const memory = this.trips.get(vehicle.trip.tripId);
+        const previousStopId = (memory?.previousStopId !== nextStopId && memory?.previousStopId) ||
+            scheduled?.previousStopId || null;
+        const previousStation = registry.getStation(previousStopId);
+
+        if (vehicle.currentStatus === 'stopped_at' || !previousStation) {
+            return {
+                ...base,
+                latitude: nextStation.latitude,
+                longitude: nextStation.longitude,
+                bearing: null,
+                progress: vehicle.currentStatus === 'stopped_at' ? 1 : null,
+                previousStop: null,
+                nextStop,
+                precision: vehicle.currentStatus === 'stopped_at' ? 'station' : 'approximate'
+            };
+        }
+
+        const travelTime = scheduled?.previousStopId === previousStopId && scheduled.travelTime ?
+            scheduled.travelTime :
+            (memory?.departedAt && arrival && arrival > memory.departedAt ?
+                (arrival - memory.departedAt) / 1000 : this.config.defaultTravelTime);
+
+        let progress = arrival ? 1 - (arrival - now) / 1000 / travelTime : 0.5;
+        if (vehicle.currentStatus === 'incoming_at') {
+            progress = Math.max(progress, this.config.incomingProgress);
+        }
+        progress = Math.min(1, Math.max(0, progress));
+
+        const shape = this.getShape(vehicle.trip);
+        const path = shape ?
+            this.getShapePath(shape, previousStation, nextStation) :
+            [previousStation, nextStation].map(station => ({ latitude: station.latitude, longitude: station.longitude }));
+        const point = this.interpolate(path, progress);
+
+        return {
+            ...base,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            bearing: point.bearing,
+            progress: Math.round(progress * 100) / 100,
+            previousStop: this.describeStop(previousStopId, previousStation),
+            nextStop,
+            precision: shape ? 'shape' : 'interpolated'
+        };
+    }
+
+    describeStop(stopId, station) {
+        return { stopId, name: station.name };
+    }
+
+    /**
+     * Previous stop and scheduled run time (s) to a stop from the static schedule
+     */
+    getScheduledRun(trip, stopId) {
+        const schedule = this.config.schedule;
+        if (!schedule) return null;
+
+        const scheduledTrip = schedule.findTrip(trip.tripId, trip.startDate);
+        if (!scheduledTrip) return null;
+
+        const stopTimes = schedule.getStopTimes(scheduledTrip.tripId);
+        const index = stopTimes.findIndex(stopTime => stopTime.stopId === stopId);
+        if (index <= 0) return null;
+
+        const previous = stopTimes[index - 1];
+        const current = stopTimes[index];
+        const departed = previous.departure ?? previous.arrival;
+        const arrived = current.arrival ?? current.departure;
+
+        return {
+            previousStopId: previous.stopId,
+            travelTime: departed !== null && arrived !== null && arrived > departed ? arrived - departed : null
+        };
+    }
+
+    getShape(trip) {
+        const schedule = this.config.schedule;
+        if (!schedule) return null;
+
+        const scheduledTrip = schedule.findTrip(trip.tripId, trip.startDate);
+        const shape = scheduledTrip?.shapeId ? schedule.getShape(scheduledTrip.shapeId) : null;
+        return shape && shape.length > 1 ? shape : null;
+    }
+
+    /**
+     * Section of a shape between two stations, oriented from the first to the second
+     */
+    getShapePath(shape, from, to) {
+        const nearest = (station) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            shape.forEach((point, index) => {
+                const distance = haversineDistance(station.latitude, station.longitude, point.latitude, point.longitude);
+                if (distance < bestDistance) {
+                    best = index;
+                    bestDistance = distance;
+                }
+            });
+            return best;
+        };
+
+        const start = nearest(from);
+        const end = nearest(to);
+        const section = start <= end ?
+            shape.slice(start, end + 1) :
+            shape.slice(end, start + 1).reverse();
+
+        return [
+            { latitude: from.latitude, longitude: from.longitude },
+            ...section,
+            { latitude: to.latitude, longitude: to.longitude }
+        ];
+    }
+
+    /**
+     * Point at a fraction of a path's length, with the bearing of its segment
+     */
+    interpolate(path, fraction) {
+        const lengths = [];
+        let total = 0;
+        for (let i = 1; i < path.length; i++) {
+            const length = haversineDistance(path[i - 1].latitude, path[i - 1].longitude, path[i].latitude, path[i].longitude);
+            lengths.push(length);
+            total += length;
+        }
+
+        let remaining = total * fraction;
+        for (let i = 1; i < path.length; i++) {
+            const a = path[i - 1];
+            const b = path[i];
+            const length = lengths[i - 1];
+
+            if (remaining <= length || i === path.length - 1) {
+                const t = length > 0 ? Math.min(1, remaining / length) : 0;
+                return {
+                    latitude: a.latitude + (b.latitude - a.latitude) * t,
+                    longitude: a.longitude + (b.longitude - a.longitude) * t,
+                    bearing: length > 0 ? Math.round(initialBearing(a.latitude, a.longitude, b.latitude, b.longitude)) : null
+                };
+            }
+            remaining -= length;
+        }
+
+        return { latitude: path[0].latitude, longitude: path[0].longitude, bearing: null };
+    }
+}
+
+module.exports = TrainPositionEstimator;
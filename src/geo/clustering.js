@@ -0,0 +1,86 @@
+// src/geo/clustering.js
+const SpatialIndex = require('./SpatialIndex');
+
+/**
+ * DBSCAN density clustering over points, using a SpatialIndex for neighbor lookups
+ *
+ * A point with at least minPoints points (itself included) within epsKm is a
+ * core point; clusters are core points chained together plus the points they
+ * reach. Points are visited in a fixed order - latitude, longitude, then
+ * sortKey - so the same input always gives the same clusters whatever order
+ * the feed listed it in.
+ *
+ * @param {Object[]} items
+ * @param {Object} options
+ * @param {number} options.epsKm - Neighborhood radius
+ * @param {number} options.minPoints - Points needed within epsKm to start a cluster
+ * @param {Function} options.getLocation - item -> { lat, lon }
+ * @param {Function} options.sortKey - item -> string, breaks ties between identical coordinates
+ * @returns {Object} { clusters: item[][], noise: item[] }
+ */
+function dbscan(items, options = {}) {
+    const config = {
+        epsKm: 0.5,
+        minPoints: 2,
+        getLocation: item => item.location || item,
+        sortKey: item => String(item.id ?? ''),
+        ...options
+    };
+
+    const points = (items || [])
+        .map(item => {
+            const location = config.getLocation(item);
+            return { item, lat: parseFloat(location?.lat), lon: parseFloat(location?.lon) };
+        })
+        .filter(point => isFinite(point.lat) && isFinite(point.lon))
+        .sort((a, b) => a.lat - b.lat || a.lon - b.lon ||
+            config.sortKey(a.item).localeCompare(config.sortKey(b.item)));
+
+    const index = new SpatialIndex({ cellSizeKm: config.epsKm, getLocation: point => point }).load(points);
+    const neighborsOf = point => index.withinRadius(point.lat, point.lon, config.epsKm).map(match => match.item);
+
+    const labels = new Map();   // point -> cluster number, or -1 for noise
+    const clusters = [];
+
+    points.forEach(point => {
+        if (labels.has(point)) return;
+
+        const neighbors = neighborsOf(point);
+        if (neighbors.length < config.minPoints) {
+            labels.set(point, -1);
+            return;
+        }
+
+        const cluster = [];
+        const clusterId = clusters.length;
+        clusters.push(cluster);
+
+        const queue = [point];
+        labels.set(point, clusterId);
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            cluster.push(current.item);
+
+            const reachable = current === point ? neighbors : neighborsOf(current);
+            if (reachable.length < config.minPoints) continue;   // border point
+
+            reachable.forEach(neighbor => {
+                const label = labels.get(neighbor);
+                if (label === undefined || label === -1) {
+                    labels.set(neighbor, clusterId);
+                    queue.push(neighbor);
+                }
+            });
+        }
+    });
+
+    return {
+        clusters,
+        noise: points.filter(point => labels.get(point) === -1).map(point => point.item)
+    };
+}
+
+module.exports = {
+    dbscan
+};
@@ -0,0 +1,295 @@
+// src/notifications/NotificationService.js
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { getLogger } = require('../utils/Logger');
+const { BaseChannel } = require('./channels/BaseChannel');
+const WebhookChannel = require('./channels/WebhookChannel');
+const ChatChannel = require('./channels/ChatChannel');
+const EmailChannel = require('./channels/EmailChannel');
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'teams', 'email'];
+
+/**
+ * Delivers alerts from the alerts topic to webhook, Slack / Teams and email channels
+ *
+ * Every channel has its own filters; a resolved alert also reaches channels
+ * that were sent the alert it resolves, whatever its own severity. Failed
+ * sends are retried with exponential backoff unless the error is permanent
+ * (a 4xx response, a rejected recipient). Each delivery is one entry in the
+ * in-memory delivery log, also appended as JSON lines to logPath when set.
+ */
+class NotificationService extends EventEmitter {
+    /**
+     * @param {Object} config
+     * @param {Object[]} config.channels - Channel definitions ({ type, filters, ... }) or channel instances
+     * @param {number} config.maxAttempts - Sends per delivery before giving up
+     * @param {number} config.retryDelay - First retry delay (ms), doubled on every further attempt
+     * @param {string} config.logPath - JSON lines file for the delivery log
+     */
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            channels: [],
+            maxAttempts: 4,
+            retryDelay: 1000,
+            maxRetryDelay: 60000,
+            logSize: 500,
+            logPath: process.env.NOTIFICATION_LOG || null,
+            ...config
+        };
+
+        this.logger = getLogger('NotificationService');
+        this.channels = [];
+        this.deliveryLog = [];
+        this.nextDeliveryId = 1;
+        this.notified = new Map();      // channel name -> alert ids delivered, for resolutions
+        this.pendingWaits = new Set();
+        this.logWrites = Promise.resolve();
+        this.messageQueue = null;
+
+        this.stats = { delivered: 0, failed: 0, retries: 0, filtered: 0, cancelled: 0 };
+
+        this.config.channels.forEach(definition => this.addChannel(definition));
+
+        this.handleMessage = (message) => {
+            if (!message.data) return;
+            this.notify(message.data).catch(error => {
+                this.logger.error('Failed to deliver alert', { error: error.message });
+            });
+        };
+    }
+
+    /**
+     * Deliver alerts published to the alerts topic
+     */
+    start(messageQueue) {
+        this.messageQueue = messageQueue;
+        messageQueue.subscribeToAlerts(this.handleMessage);
+
+        this.logger.info('Notification service started', {
+            channels: this.channels.map(channel => channel.name)
+        });
+    }
+
+    /**
+     * Stop consuming alerts and cancel pending retries
+     */
+    async stop() {
+        if (this.messageQueue) {
+            this.messageQueue.removeListener(`message:${this.messageQueue.config.topics.alerts}`, this.handleMessage);
+            this.messageQueue = null;
+        }
+
+        this.pendingWaits.forEach(wait => {
+            clearTimeout(wait.timer);
+            wait.resolve(false);
+        });
+        this.pendingWaits.clear();
+
+        this.channels.forEach(channel => channel.close && channel.close());
+        await this.logWrites;
+    }
+
+    /**
+     * Add a channel from a definition such as
+     *   { type: 'slack', url, filters: { route: ['A', 'C'], severity: 'major' } }
+     */
+    addChannel(definition) {
+        const channel = this.createChannel(definition);
+
+        // Keep names unique so the delivery log can tell channels apart
+        const taken = new Set(this.channels.map(existing => existing.name));
+        let name = channel.name;
+        for (let suffix = 2; taken.has(name); suffix++) {
+            name = `${channel.name}-${suffix}`;
+        }
+        channel.name = name;
+
+        this.channels.push(channel);
+        this.notified.set(channel.name, new Set());
+        return channel;
+    }
+
+    createChannel(definition) {
+        if (definition instanceof BaseChannel) return definition;
+
+        switch (definition?.type) {
+            case 'webhook': return new WebhookChannel(definition);
+            case 'slack':
+            case 'teams': return new ChatChannel({ ...definition, format: definition.type });
+            case 'email': return new EmailChannel(definition);
+            default:
+                throw new Error(`Unknown notification channel type: ${definition?.type} ` +
+                    `(expected ${CHANNEL_TYPES.join(', ')})`);
+        }
+    }
+
+    /**
+     * Deliver an alert to every channel that accepts it
+     * @returns {Promise<Object[]>} Final delivery log entries, once retries are over
+     */
+    async notify(alert) {
+        const channels = this.channels.filter(channel => this.shouldDeliver(channel, alert));
+        this.stats.filtered += this.channels.length - channels.length;
+
+        return Promise.all(channels.map(channel => this.deliver(channel, alert)));
+    }
+
+    shouldDeliver(channel, alert) {
+        const notified = this.notified.get(channel.name);
+
+        if (alert.status === 'resolved') {
+            const wasNotified = notified.delete(alert.id);
+            return wasNotified || channel.accepts(alert);
+        }
+
+        if (!channel.accepts(alert)) return false;
+
+        notified.add(alert.id);
+        if (notified.size > this.config.logSize) {
+            notified.delete(notified.values().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Send to one channel, retrying with backoff
+     */
+    async deliver(channel, alert) {
+        const entry = {
+            id: this.nextDeliveryId++,
+            alertId: alert.id,
+            alertType: alert.type,
+            alertStatus: alert.status,
+            severity: alert.severity,
+            channel: channel.name,
+            channelType: channel.type,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            response: null,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        this.recordEntry(entry);
+
+        for (let attempt = 1; ; attempt++) {
+            entry.attempts = attempt;
+
+            try {
+                entry.response = await channel.send(alert);
+                entry.status = 'delivered';
+                entry.error = null;
+                entry.updatedAt = Date.now();
+                this.stats.delivered++;
+                this.emit('delivered', entry);
+                break;
+            } catch (error) {
+                entry.error = error.message;
+                entry.updatedAt = Date.now();
+
+                if (error.retryable === false || attempt >= this.config.maxAttempts) {
+                    entry.status = 'failed';
+                    this.stats.failed++;
+                    this.logger.warn('Alert delivery failed', {
+                        channel: channel.name,
+                        alertId: alert.id,
+                        attempts: attempt,
+                        error: error.message
+                    });
+                    this.emit('deliveryFailed', entry);
+                    break;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                entry.status = 'retrying';
+                entry.nextAttemptAt = Date.now() + delay;
+                this.stats.retries++;
+                this.emit('retrying', entry);
+
+                if (!await this.wait(delay)) {
+                    entry.status = 'cancelled';
+                    this.stats.cancelled++;
+                    break;
+                }
+            }
+        }
+
+        delete entry.nextAttemptAt;
+        this.writeEntry(entry);
+        return entry;
+    }
+
+    getRetryDelay(attempt) {
+        return Math.min(this.config.retryDelay * Math.pow(2, attempt - 1), this.config.maxRetryDelay);
+    }
+
+    /**
+     * Resolves true after the delay, or false if the service stops first
+     */
+    wait(delay) {
+        return new Promise(resolve => {
+            const wait = { resolve };
+            wait.timer = setTimeout(() => {
+                this.pendingWaits.delete(wait);
+                resolve(true);
+            }, delay);
+            this.pendingWaits.add(wait);
+        });
+    }
+
+    recordEntry(entry) {
+        this.deliveryLog.push(entry);
+        if (this.deliveryLog.length > this.config.logSize) {
+            this.deliveryLog.shift();
+        }
+    }
+
+    /**
+     * Append a finished delivery to the log file
+     */
+    writeEntry(entry) {
+        if (!this.config.logPath) return;
+
+        const line = JSON.stringify(entry) + '\n';
+        this.logWrites = this.logWrites
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.config.logPath), { recursive: true });
+                await fs.promises.appendFile(this.config.logPath, line);
+            })
+            .catch(error => {
+                this.logger.error('Failed to write delivery log', { error: error.message });
+            });
+    }
+
+    /**
+     * Delivery log, newest first
+     * @param {Object} filters - channel, status, alertId, limit
+     */
+    getDeliveryLog(filters = {}) {
+        return this.deliveryLog
+            .filter(entry => !filters.channel || entry.channel === filters.channel)
+            .filter(entry => !filters.status || entry.status === filters.status)
+            .filter(entry => !filters.alertId || entry.alertId === filters.alertId)
+            .reverse()
+            .slice(0, filters.limit || this.config.logSize);
+    }
+
+    getChannels() {
+        return this.channels.map(channel => channel.describe());
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            channels: this.channels.length,
+            pending: this.deliveryLog.filter(entry => ['pending', 'retrying'].includes(entry.status)).length
+        };
+    }
+}
+
+NotificationService.CHANNEL_TYPES = CHANNEL_TYPES;
+
+module.exports = NotificationService;
@@ -0,0 +1,127 @@
+// src/notifications/channels/BaseChannel.js
+const { SEVERITIES } = require('../../alerts/rules');
+
+/**
+ * Base class for alert delivery channels
+ * Holds the channel's filters; subclasses implement send(alert)
+ */
+class BaseChannel {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Channel name in the delivery log (default: the type)
+     * @param {Object} options.filters - route, borough, type (value or list) and minimum severity
+     */
+    constructor(options = {}) {
+        this.type = 'base';
+        this.config = {
+            timeout: 10000,
+            ...options
+        };
+        this.name = options.name || null;
+        this.filters = this.normalizeFilters(options.filters || {});
+    }
+
+    normalizeFilters(filters) {
+        const asList = value => value === undefined || value === null ? null :
+            (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+
+        if (filters.severity && !SEVERITIES.includes(filters.severity)) {
+            throw new Error(`Channel severity filter must be one of ${SEVERITIES.join(', ')}`);
+        }
+
+        return {
+            routes: asList(filters.route),
+            boroughs: asList(filters.borough),
+            types: asList(filters.type),
+            severity: filters.severity || null
+        };
+    }
+
+    /**
+     * Whether an alert passes this channel's filters
+     */
+    accepts(alert) {
+        const { routes, boroughs, types, severity } = this.filters;
+
+        if (severity && SEVERITIES.indexOf(alert.severity) < SEVERITIES.indexOf(severity)) return false;
+        if (types && !types.includes(String(alert.type).toLowerCase())) return false;
+        if (routes && !getAlertRoutes(alert).some(route => routes.includes(route.toLowerCase()))) return false;
+        if (boroughs) {
+            const borough = getAlertBorough(alert);
+            if (!borough || !boroughs.includes(borough.toLowerCase())) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Deliver one alert; rejects with error.retryable = false when retrying cannot help
+     */
+    async send(alert) {
+        throw new Error('send() must be implemented by subclass');
+    }
+
+    /**
+     * Error for responses that will not succeed on retry (4xx other than 408 / 429)
+     */
+    classifyHttpError(error) {
+        const status = error.response?.status;
+        if (status && status >= 400 && status < 500 && status !== 408 && status !== 429) {
+            error.retryable = false;
+        }
+        if (status) {
+            error.message = `HTTP ${status}: ${error.message}`;
+        }
+        return error;
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            type: this.type,
+            filters: this.filters
+        };
+    }
+}
+
+/**
+ * Routes an alert concerns - headway alerts carry routeId, rule alerts their subject's route or nearby station's routes
+ */
+function getAlertRoutes(alert) {
+    const routes = [alert.routeId, alert.route, alert.subject?.route, ...(alert.subject?.stationRoutes || [])];
+    return [...new Set(routes.filter(Boolean).map(String))];
+}
+
+function getAlertBorough(alert) {
+    return alert.borough || alert.station?.borough || alert.subject?.borough || null;
+}
+
+/**
+ * Headline and details of an alert, shared by the message formats
+ */
+function describeAlert(alert) {
+    const resolved = alert.status === 'resolved';
+    const name = alert.ruleName || String(alert.type || 'alert').replace(/_/g, ' ');
+    const routes = getAlertRoutes(alert);
+
+    return {
+        title: `${resolved ? 'Resolved' : 'Alert'}: ${name}`,
+        message: alert.message || name,
+        resolved,
+        facts: [
+            ['Severity', alert.severity],
+            ['Status', alert.status],
+            ['Routes', routes.length > 0 ? routes.join(', ') : null],
+            ['Station', alert.station?.name || alert.subject?.station],
+            ['Borough', getAlertBorough(alert)],
+            ['Time', alert.timestamp ? new Date(alert.timestamp).toISOString() : null]
+        ].filter(([, value]) => value !== null && value !== undefined)
+    };
+}
+
+module.exports = {
+    BaseChannel,
+    getAlertRoutes,
+    getAlertBorough,
+    describeAlert
+};
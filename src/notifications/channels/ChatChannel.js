@@ -0,0 +1,101 @@
+// src/notifications/channels/ChatChannel.js
+const axios = require('axios');
+const { BaseChannel, describeAlert } = require('./BaseChannel');
+
+const FORMATS = ['slack', 'teams'];
+
+const SEVERITY_COLORS = {
+    severe: 'B71C1C',
+    major: 'E65100',
+    moderate: 'F9A825',
+    minor: '2E7D32',
+    info: '1565C0'
+};
+
+const SEVERITY_EMOJI = {
+    severe: '🔴',
+    major: '🟠',
+    moderate: '🟡',
+    minor: '🟢',
+    info: '🔵'
+};
+
+/**
+ * Slack or Microsoft Teams incoming webhook
+ *
+ * format 'slack' posts { text, blocks } (also accepted by Mattermost and
+ * Rocket.Chat); 'teams' posts a MessageCard.
+ */
+class ChatChannel extends BaseChannel {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Incoming webhook URL
+     * @param {string} options.format - 'slack' (default) or 'teams'
+     */
+    constructor(options = {}) {
+        super({ format: 'slack', ...options });
+
+        if (!options.url) {
+            throw new Error('ChatChannel requires an incoming webhook url');
+        }
+        if (!FORMATS.includes(this.config.format)) {
+            throw new Error(`Chat format must be one of ${FORMATS.join(', ')}`);
+        }
+
+        this.type = this.config.format;
+        this.name = this.name || this.config.format;
+    }
+
+    async send(alert) {
+        try {
+            const response = await axios.post(this.config.url, this.format(alert), {
+                timeout: this.config.timeout,
+                headers: { 'Content-Type': 'application/json' }
+            });
+            return { status: response.status };
+        } catch (error) {
+            throw this.classifyHttpError(error);
+        }
+    }
+
+    format(alert) {
+        return this.config.format === 'teams' ? this.formatTeams(alert) : this.formatSlack(alert);
+    }
+
+    formatSlack(alert) {
+        const { title, message, resolved, facts } = describeAlert(alert);
+        const emoji = resolved ? '✅' : SEVERITY_EMOJI[alert.severity] || '⚪';
+
+        return {
+            text: `${emoji} *${title}*\n${message}`,
+            blocks: [
+                {
+                    type: 'section',
+                    text: { type: 'mrkdwn', text: `${emoji} *${title}*\n${message}` }
+                },
+                {
+                    type: 'context',
+                    elements: facts.map(([name, value]) => ({ type: 'mrkdwn', text: `*${name}:* ${value}` }))
+                }
+            ]
+        };
+    }
+
+    formatTeams(alert) {
+        const { title, message, resolved, facts } = describeAlert(alert);
+
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: title,
+            themeColor: resolved ? SEVERITY_COLORS.info : SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info,
+            title,
+            text: message,
+            sections: [{ facts: facts.map(([name, value]) => ({ name, value: String(value) })) }]
+        };
+    }
+}
+
+ChatChannel.FORMATS = FORMATS;
+
+module.exports = ChatChannel;
@@ -0,0 +1,84 @@
+// src/notifications/channels/EmailChannel.js
+const nodemailer = require('nodemailer');
+const { BaseChannel, describeAlert } = require('./BaseChannel');
+
+/**
+ * SMTP email, one plain-text message per alert
+ * Connection settings default to SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+ */
+class EmailChannel extends BaseChannel {
+    /**
+     * @param {Object} options
+     * @param {string|string[]} options.to - Recipients
+     * @param {string} options.from - Sender address
+     * @param {Object} options.smtp - host, port, secure, user, pass (nodemailer transport options)
+     */
+    constructor(options = {}) {
+        super({
+            from: process.env.ALERT_EMAIL_FROM || 'alerts@nyc-urban-intelligence.local',
+            to: process.env.ALERT_EMAIL_TO,
+            ...options
+        });
+
+        if (!this.config.to) {
+            throw new Error('EmailChannel requires recipients (to or ALERT_EMAIL_TO)');
+        }
+
+        const smtp = {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            ...options.smtp
+        };
+
+        this.type = 'email';
+        this.name = this.name || 'email';
+        this.transport = options.transport || nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+            connectionTimeout: this.config.timeout,
+            greetingTimeout: this.config.timeout,
+            socketTimeout: this.config.timeout
+        });
+    }
+
+    async send(alert) {
+        try {
+            const info = await this.transport.sendMail(this.format(alert));
+            return { messageId: info.messageId, accepted: info.accepted };
+        } catch (error) {
+            // 5xx replies (bad recipient, rejected sender) are permanent
+            if (error.responseCode >= 500) {
+                error.retryable = false;
+            }
+            throw error;
+        }
+    }
+
+    format(alert) {
+        const { title, message, facts } = describeAlert(alert);
+
+        return {
+            from: this.config.from,
+            to: this.config.to,
+            subject: `[${String(alert.severity || 'info').toUpperCase()}] ${title} - ${message}`,
+            text: [
+                message,
+                '',
+                ...facts.map(([name, value]) => `${name}: ${value}`),
+                '',
+                `Alert id: ${alert.id}`
+            ].join('\n')
+        };
+    }
+
+    close() {
+        this.transport.close();
+    }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,50 @@
+// src/notifications/channels/WebhookChannel.js
+const axios = require('axios');
+const { BaseChannel } = require('./BaseChannel');
+
+/**
+ * Generic webhook: POSTs { event: 'alert', alert, sentAt } as JSON
+ */
+class WebhookChannel extends BaseChannel {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Endpoint to POST to
+     * @param {Object} options.headers - Extra request headers (e.g. Authorization)
+     */
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.url) {
+            throw new Error('WebhookChannel requires a url');
+        }
+
+        this.type = 'webhook';
+        this.name = this.name || 'webhook';
+    }
+
+    async send(alert) {
+        try {
+            const response = await axios.post(this.config.url, this.format(alert), {
+                timeout: this.config.timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'NYC-Urban-Intelligence/1.0',
+                    ...this.config.headers
+                }
+            });
+            return { status: response.status };
+        } catch (error) {
+            throw this.classifyHttpError(error);
+        }
+    }
+
+    format(alert) {
+        return {
+            event: 'alert',
+            alert,
+            sentAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = WebhookChannel;
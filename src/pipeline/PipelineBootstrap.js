@@ -0,0 +1,228 @@
+// src/pipeline/PipelineBootstrap.js
+const EventEmitter = require('events');
+const { getLogger } = require('../utils/Logger');
+const { loadPipelineConfig } = require('../config/PipelineConfig');
+const { GTFSSchedule } = require('../reference/GTFSSchedule');
+const { getRateLimiter } = require('../connectors/base/RateLimiter');
+const MTAConnector = require('../connectors/mta/MTAConnector');
+const TrafficConnector = require('../connectors/traffic/TrafficConnector');
+const ReplayConnector = require('../connectors/replay/ReplayConnector');
+const DataIngestionService = require('./ingestion/DataIngestionService');
+const HeadwayMonitor = require('../analytics/HeadwayMonitor');
+const TripTracker = require('../analytics/TripTracker');
+const SnapshotStore = require('../storage/SnapshotStore');
+const AlertEngine = require('../alerts/AlertEngine');
+const NotificationService = require('../notifications/NotificationService');
+const ApiServer = require('../api/ApiServer');
+
+const CONNECTORS = {
+    mta: MTAConnector,
+    traffic: TrafficConnector,
+    replay: ReplayConnector
+};
+
+/**
+ * Starts the whole system from a pipeline config (see src/config/PipelineConfig.js)
+ *
+ * Builds the Data Ingestion Service with the configured queue and connectors,
+ * attaches the optional components (headway monitor, trip tracker, history
+ * store, alert engine, notifications) to its message queue and puts the API
+ * server in front. A static GTFS feed is loaded once and shared by the MTA
+ * connectors, the headway monitor and the API server. stop() shuts
+ * everything down in reverse order.
+ */
+class PipelineBootstrap extends EventEmitter {
+    /**
+     * @param {Object|string} config - Config object, or a path to a YAML/JSON config file
+     * @param {Object} env - Environment for ${VAR} references and overrides (default process.env)
+     */
+    constructor(config, env = process.env) {
+        super();
+
+        this.config = loadPipelineConfig(config, env);
+        this.logger = getLogger('PipelineBootstrap');
+
+        this.schedule = null;
+        this.pipeline = null;
+        this.connectors = new Map();
+        this.headwayMonitor = null;
+        this.tripTracker = null;
+        this.store = null;
+        this.alertEngine = null;
+        this.notificationService = null;
+        this.apiServer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Build and start every configured component
+     */
+    async start() {
+        if (this.isRunning) {
+            this.logger.warn('Pipeline is already running');
+            return;
+        }
+
+        const config = this.config;
+        this.logger.info('Starting pipeline', {
+            config: config.source,
+            connectors: config.connectors.map(({ name, type }) => `${name} (${type})`)
+        });
+
+        try {
+            Object.entries(config.rateLimits).forEach(([host, limits]) => getRateLimiter().setLimits(host, limits));
+
+            if (config.staticGtfs) {
+                this.schedule = await this.step('staticGtfs', () => GTFSSchedule.load(config.staticGtfs));
+            }
+
+            this.pipeline = new DataIngestionService({ ...config.pipeline, messageQueue: config.queue });
+            const messageQueue = this.pipeline.messageQueue;
+
+            config.connectors.forEach(({ name, type, options }) => {
+                const connector = this.step(`connectors.${name}`, () => this.createConnector(type, options));
+                this.connectors.set(name, connector);
+                this.pipeline.registerConnector(name, connector);
+            });
+
+            if (config.headways) {
+                this.headwayMonitor = this.step('headways', () =>
+                    new HeadwayMonitor({ schedule: this.schedule, ...config.headways }));
+                this.headwayMonitor.start(messageQueue);
+            }
+            if (config.trips) {
+                this.tripTracker = this.step('trips', () => new TripTracker(config.trips));
+                this.tripTracker.start(messageQueue);
+            }
+            if (config.history) {
+                this.store = this.step('history', () => new SnapshotStore(config.history));
+                await this.step('history', () => this.store.start(messageQueue));
+            }
+            if (config.alerts) {
+                const { rules, ...options } = config.alerts;
+                this.alertEngine = this.step('alerts', () =>
+                    new AlertEngine({ ...options, rules: rules === 'default' ? undefined : rules }));
+                this.alertEngine.start(messageQueue);
+            }
+            if (config.notifications) {
+                this.notificationService = this.step('notifications', () =>
+                    new NotificationService(config.notifications));
+                this.notificationService.start(messageQueue);
+            }
+
+            // The first poll needs the protobuf schema MTA connectors only start loading
+            for (const [name, connector] of this.connectors) {
+                if (connector instanceof MTAConnector) {
+                    await this.step(`connectors.${name}`, () => connector.loadProtobufSchema());
+                }
+            }
+
+            await this.pipeline.start();
+
+            if (config.api) {
+                this.apiServer = new ApiServer(this.pipeline, {
+                    ...config.api,
+                    schedule: this.schedule,
+                    store: this.store,
+                    headwayMonitor: this.headwayMonitor,
+                    tripTracker: this.tripTracker,
+                    alertEngine: this.alertEngine,
+                    notificationService: this.notificationService
+                });
+                await this.step('api', () => this.apiServer.start());
+            }
+        } catch (error) {
+            await this.stop({ force: true });
+            throw error;
+        }
+
+        this.isRunning = true;
+        this.logger.info('Pipeline started', this.getSummary());
+        this.emit('started');
+    }
+
+    /**
+     * Run one start-up step, naming the config section in its error
+     */
+    step(section, action) {
+        const fail = (error) => {
+            throw new Error(`Failed to start ${section}: ${error.message}`);
+        };
+
+        try {
+            const result = action();
+            return result && typeof result.then === 'function' ? result.catch(fail) : result;
+        } catch (error) {
+            return fail(error);
+        }
+    }
+
+    createConnector(type, options) {
+        if (type === 'mta' && this.schedule && !options.staticGtfs && !options.schedule) {
+            return new MTAConnector({ ...options, schedule: this.schedule });
+        }
+        if (type === 'replay' && this.schedule && (options.source || 'mta') === 'mta') {
+            return new ReplayConnector({ ...options, connector: { schedule: this.schedule, ...options.connector } });
+        }
+        return new CONNECTORS[type](options);
+    }
+
+    /**
+     * Stop every component that was started, API server first
+     */
+    async stop({ force = false } = {}) {
+        if (!this.isRunning && !force) return;
+
+        if (this.apiServer) await this.apiServer.stop();
+        if (this.notificationService) await this.notificationService.stop();
+        if (this.alertEngine) this.alertEngine.stop();
+        if (this.store) await this.store.stop();
+        if (this.tripTracker) this.tripTracker.stop();
+        if (this.headwayMonitor) this.headwayMonitor.stop();
+
+        if (this.pipeline) {
+            if (this.pipeline.isRunning) {
+                await this.pipeline.stop();
+            } else {
+                await this.pipeline.messageQueue.close();
+            }
+        }
+
+        const wasRunning = this.isRunning;
+        this.isRunning = false;
+        this.apiServer = null;
+        this.notificationService = null;
+        this.alertEngine = null;
+        this.store = null;
+        this.tripTracker = null;
+        this.headwayMonitor = null;
+        this.pipeline = null;
+        this.connectors.clear();
+
+        if (wasRunning) {
+            this.logger.info('Pipeline stopped');
+            this.emit('stopped');
+        }
+    }
+
+    /**
+     * What is running, for logs and the start command
+     */
+    getSummary() {
+        const api = this.apiServer?.server ? this.apiServer.server.address() : null;
+
+        return {
+            queue: this.pipeline ? this.pipeline.messageQueue.config.type : null,
+            connectors: [...this.connectors.keys()],
+            schedule: !!this.schedule,
+            headways: !!this.headwayMonitor,
+            trips: !!this.tripTracker,
+            history: this.store ? this.store.config.directory : null,
+            alerts: this.alertEngine ? this.alertEngine.rules.length : null,
+            notifications: this.notificationService ? this.notificationService.channels.map(c => c.name) : null,
+            api: api ? { host: this.apiServer.config.host, port: api.port } : null
+        };
+    }
+}
+
+module.exports = PipelineBootstrap;
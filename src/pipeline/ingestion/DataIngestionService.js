@@ -1,6 +1,7 @@
 // src/pipeline/ingestion/DataIngestionService.js
 const EventEmitter = require('events');
 const MessageQueue = require('./MessageQueue');
+const SnapshotDiffer = require('../processing/SnapshotDiffer');
 const { getLogger } = require('../../utils/Logger');
 
 /**
@@ -16,12 +17,16 @@ class DataIngestionService extends EventEmitter {
             healthCheckInterval: 60000, // 1 minute
             restartUnhealthyConnectors: true,
             deadLetterQueueEnabled: true,
+            changeDetectionEnabled: true,
+            changeDetection: {}, // SnapshotDiffer thresholds
             ...config
         };
         
         this.logger = getLogger('DataIngestionService');
         this.messageQueue = new MessageQueue(config.messageQueue);
         this.connectors = new Map();
+        this.snapshotDiffer = this.config.changeDetectionEnabled ?
+            new SnapshotDiffer(this.config.changeDetection) : null;
         this.isRunning = false;
         this.healthCheckTimer = null;
         
@@ -30,6 +35,7 @@ class DataIngestionService extends EventEmitter {
             connectorsRunning: 0,
             totalDataReceived: 0,
             totalErrorsHandled: 0,
+            totalChangesPublished: 0,
             lastHealthCheck: null,
             startTime: null
         };
@@ -80,6 +86,28 @@ class DataIngestionService extends EventEmitter {
             this.emit('connectorStopped', name);
         });
 
+        connector.on('unchanged', () => {
+            // Skipped identical snapshot: the connector is still receiving data
+            const connectorInfo = this.connectors.get(name);
+            if (connectorInfo) {
+                connectorInfo.lastDataReceived = Date.now();
+            }
+        });
+
+        connector.on('stale', (freshness) => {
+            this.emit('connectorStale', { connector: name, timestamp: Date.now(), ...freshness });
+        });
+
+        connector.on('fresh', (freshness) => {
+            this.emit('connectorFresh', { connector: name, timestamp: Date.now(), ...freshness });
+        });
+
+        ['circuitBreakerOpen', 'circuitBreakerHalfOpen', 'circuitBreakerClosed'].forEach(event => {
+            connector.on(event, (transition) => {
+                this.emit(event, { connector: name, ...transition });
+            });
+        });
+
         this.connectors.set(name, {
             connector,
             name,
@@ -117,6 +145,10 @@ class DataIngestionService extends EventEmitter {
 
         this.connectors.delete(name);
         this.metrics.connectorsRegistered--;
+
+        if (this.snapshotDiffer) {
+            this.snapshotDiffer.reset(name);
+        }
         
         this.logger.info('Connector unregistered', { connector: name });
         this.emit('connectorUnregistered', name);
@@ -244,6 +276,10 @@ class DataIngestionService extends EventEmitter {
                     data: enrichedData,
                     timestamp: Date.now()
                 });
+
+                if (this.snapshotDiffer) {
+                    await this.publishChanges(connectorName, enrichedData);
+                }
             } else {
                 throw new Error('Data validation failed');
             }
@@ -253,6 +289,29 @@ class DataIngestionService extends EventEmitter {
         }
     }
 
+    /**
+     * Diff data against the connector's previous snapshot and publish what changed
+     */
+    async publishChanges(connectorName, data) {
+        const diff = this.snapshotDiffer.diff(connectorName, data);
+        if (diff.changes.length === 0) return;
+
+        await this.messageQueue.publishChanges(diff, connectorName);
+        this.metrics.totalChangesPublished += diff.changes.length;
+
+        this.logger.debug('Snapshot changes published', {
+            connector: connectorName,
+            baseline: diff.baseline,
+            summary: diff.summary
+        });
+
+        this.emit('dataChanged', {
+            connector: connectorName,
+            changes: diff,
+            timestamp: Date.now()
+        });
+    }
+
     /**
      * Handle errors from connectors
      */
@@ -380,6 +439,7 @@ class DataIngestionService extends EventEmitter {
                     Date.now() - connectorInfo.lastDataReceived : null;
 
                 // Check if connector should be considered unhealthy
+                // (half-open only lasts while the probe poll runs; restarting would cut it short)
                 const isUnhealthy = 
                     health.status === 'unhealthy' ||
                     health.status === 'circuit_breaker_open' ||
@@ -479,6 +539,7 @@ class DataIngestionService extends EventEmitter {
      */
     async getHealth() {
         const unhealthyConnectors = [];
+        const staleConnectors = [];
         let totalConnectors = 0;
         let healthyConnectors = 0;
 
@@ -489,6 +550,11 @@ class DataIngestionService extends EventEmitter {
             } else {
                 unhealthyConnectors.push(name);
             }
+
+            // Stale connectors still poll fine - the upstream feed is frozen, so restarting won't help
+            if (connectorInfo.connector.freshness?.stale) {
+                staleConnectors.push(name);
+            }
         }
 
         const messageQueueHealth = await this.messageQueue.healthCheck();
@@ -500,6 +566,8 @@ class DataIngestionService extends EventEmitter {
             overallStatus = 'degraded';
         } else if (unhealthyConnectors.length > 0) {
             overallStatus = 'warning';
+        } else if (staleConnectors.length > 0) {
+            overallStatus = 'stale';
         }
 
         return {
@@ -508,6 +576,7 @@ class DataIngestionService extends EventEmitter {
             totalConnectors,
             healthyConnectors,
             unhealthyConnectors,
+            staleConnectors,
             messageQueue: messageQueueHealth,
             lastHealthCheck: this.metrics.lastHealthCheck
         };
@@ -20,7 +20,8 @@ class MessageQueue extends EventEmitter {
                 rawData: 'raw-data',
                 processedData: 'processed-data',
                 predictions: 'predictions',
-                alerts: 'alerts'
+                alerts: 'alerts',
+                changes: 'changes'
             },
             ...config
         };
@@ -29,7 +30,7 @@ class MessageQueue extends EventEmitter {
         this.producer = null;
         this.consumer = null;
         this.isConnected = false;
-        this.messageBuffer = new Map(); // For memory fallback
+        this.messageCounts = new Map(); // memory queue: messages published per topic (none are kept)
         
         this.setupQueue();
     }
@@ -91,7 +92,8 @@ class MessageQueue extends EventEmitter {
                     { topic: this.config.topics.rawData, partition: 0 },
                     { topic: this.config.topics.processedData, partition: 0 },
                     { topic: this.config.topics.predictions, partition: 0 },
-                    { topic: this.config.topics.alerts, partition: 0 }
+                    { topic: this.config.topics.alerts, partition: 0 },
+                    { topic: this.config.topics.changes, partition: 0 }
                 ], {
                     groupId: this.config.groupId,
                     autoCommit: true
@@ -140,9 +142,9 @@ class MessageQueue extends EventEmitter {
      * Setup in-memory message queue (for development/testing)
      */
     async setupMemory() {
-        this.messageBuffer = new Map();
+        this.messageCounts = new Map();
         Object.values(this.config.topics).forEach(topic => {
-            this.messageBuffer.set(topic, []);
+            this.messageCounts.set(topic, 0);
         });
         
         this.logger.info('In-memory message queue initialized');
@@ -244,11 +246,8 @@ class MessageQueue extends EventEmitter {
      * Publish to memory
      */
     async publishToMemory(topic, messageData) {
-        if (!this.messageBuffer.has(topic)) {
-            this.messageBuffer.set(topic, []);
-        }
-        
-        this.messageBuffer.get(topic).push(messageData);
+        // Only counted: a long-running process would otherwise keep every snapshot
+        this.messageCounts.set(topic, (this.messageCounts.get(topic) || 0) + 1);
         
         // Emit immediately for in-memory processing
         setImmediate(() => {
@@ -294,9 +293,10 @@ class MessageQueue extends EventEmitter {
 
         switch (this.config.type) {
             case 'memory':
+                // Messages are delivered as they are published; report how many went through
                 stats.queueSizes = {};
-                this.messageBuffer.forEach((messages, topic) => {
-                    stats.queueSizes[topic] = messages.length;
+                this.messageCounts.forEach((count, topic) => {
+                    stats.queueSizes[topic] = count;
                 });
                 break;
             case 'redis':
@@ -396,6 +396,10 @@ class MessageQueue extends EventEmitter {
         return this.publish(this.config.topics.alerts, data, { alertType });
     }
 
+    async publishChanges(data, source) {
+        return this.publish(this.config.topics.changes, data, { source });
+    }
+
     subscribeToRawData(callback) {
         return this.subscribe(this.config.topics.rawData, callback);
     }
@@ -411,6 +415,10 @@ class MessageQueue extends EventEmitter {
     subscribeToAlerts(callback) {
         return this.subscribe(this.config.topics.alerts, callback);
     }
+
+    subscribeToChanges(callback) {
+        return this.subscribe(this.config.topics.changes, callback);
+    }
 }
 
 module.exports = MessageQueue;
\ No newline at end of file
@@ -0,0 +1,300 @@
+// src/pipeline/processing/SnapshotDiffer.js
+const { haversineDistance } = require('../../geo/distance');
+const { getVehicleLocation } = require('../../query/filters');
+
+// 511NY endpoint -> the indexed entities it provides
+const TRAFFIC_ENDPOINT_KINDS = {
+    events: 'trafficEvents',
+    alerts: 'trafficAlerts'
+};
+
+/**
+ * Compares successive snapshots from each connector and produces structured
+ * change events instead of full payloads
+ *
+ * Change types:
+ *   vehicle.added | vehicle.removed | vehicle.moved
+ *   trip.prediction_changed
+ *   alert.opened | alert.updated | alert.closed
+ *   traffic_event.created | traffic_event.updated | traffic_event.cleared
+ */
+class SnapshotDiffer {
+    constructor(config = {}) {
+        this.config = {
+            predictionThreshold: 60,   // seconds a predicted arrival must move to count
+            positionThreshold: 0.05,   // km a GPS position must move to count
+            ...config
+        };
+
+        this.previous = new Map(); // connector name -> indexed previous snapshot
+    }
+
+    /**
+     * Diff a snapshot against the previous one from the same connector
+     * The first snapshot is reported as a baseline where everything is added/opened/created
+     * @returns {Object} { connector, source, timestamp, previousTimestamp, baseline, failedFeeds, changes, summary }
+     */
+    diff(connectorName, snapshot) {
+        const current = this.index(snapshot);
+        const previous = this.previous.get(connectorName) || this.index({ source: snapshot.source });
+
+        // A feed or 511NY endpoint that failed this poll says nothing about its
+        // entities: keep what it last reported
+        const failedFeeds = Object.entries(snapshot.feeds || snapshot.endpoints || {})
+            .filter(([feedId, feed]) => feed.status === 'error')
+            .map(([feedId]) => feedId);
+        if (failedFeeds.length > 0) {
+            this.carryForward(previous, current, new Set(failedFeeds));
+        }
+
+        const changes = snapshot.source === '511ny' ?
+            this.diffTraffic(previous, current) :
+            this.diffSubway(previous, current);
+
+        this.previous.set(connectorName, current);
+
+        const summary = changes.reduce((acc, change) => {
+            acc[change.type] = (acc[change.type] || 0) + 1;
+            return acc;
+        }, {});
+
+        return {
+            connector: connectorName,
+            source: snapshot.source,
+            timestamp: snapshot.timestamp,
+            previousTimestamp: previous.timestamp || null,
+            baseline: !previous.timestamp,
+            failedFeeds,
+            changes,
+            summary
+        };
+    }
+
+    /**
+     * Forget the previous snapshot of a connector
+     */
+    reset(connectorName) {
+        this.previous.delete(connectorName);
+    }
+
+    /**
+     * Index the entities of a snapshot by stable keys
+     */
+    index(snapshot) {
+        const byKey = (items, keyFn) => new Map(
+            (items || []).filter(Boolean).map(item => [keyFn(item), item])
+        );
+        const feedKey = (item, id) => `${item.feedId || ''}:${id}`;
+
+        return {
+            source: snapshot.source,
+            timestamp: snapshot.timestamp,
+            vehicles: byKey(snapshot.vehicleUpdates, v => feedKey(v, v.trip?.tripId || v.vehicle?.id || v.id)),
+            trips: byKey(snapshot.tripUpdates, t => feedKey(t, t.trip?.tripId || t.id)),
+            subwayAlerts: byKey(snapshot.source === '511ny' ? [] : snapshot.alerts, a => feedKey(a, a.id)),
+            trafficEvents: byKey(snapshot.events, e => e.id),
+            trafficAlerts: byKey(snapshot.source === '511ny' ? snapshot.alerts : [], a => a.id)
+        };
+    }
+
+    /**
+     * Copy the previous entities of failed feeds (or 511NY endpoints) into the current index
+     */
+    carryForward(previous, current, failedFeeds) {
+        const keep = (kind, isFailed) => previous[kind].forEach((item, key) => {
+            if (isFailed(item) && !current[kind].has(key)) {
+                current[kind].set(key, item);
+            }
+        });
+
+        if (current.source === '511ny') {
+            Object.entries(TRAFFIC_ENDPOINT_KINDS)
+                .filter(([endpoint]) => failedFeeds.has(endpoint))
+                .forEach(([endpoint, kind]) => keep(kind, () => true));
+        } else {
+            ['vehicles', 'trips', 'subwayAlerts'].forEach(kind => keep(kind, item => failedFeeds.has(item.feedId)));
+        }
+    }
+
+    diffSubway(previous, current) {
+        return [
+            ...this.diffVehicles(previous.vehicles, current.vehicles),
+            ...this.diffPredictions(previous.trips, current.trips),
+            ...this.diffKeyed(previous.subwayAlerts, current.subwayAlerts, {
+                prefix: 'alert',
+                added: 'opened',
+                removed: 'closed',
+                fingerprint: alert => JSON.stringify([
+                    alert.headerText, alert.descriptionText, alert.effect,
+                    alert.activePeriods, alert.informedEntities.map(e => [e.routeId, e.stopId])
+                ])
+            })
+        ];
+    }
+
+    diffTraffic(previous, current) {
+        return [
+            ...this.diffKeyed(previous.trafficEvents, current.trafficEvents, {
+                prefix: 'traffic_event',
+                added: 'created',
+                removed: 'cleared',
+                fingerprint: event => JSON.stringify([
+                    event.severity, event.status, event.impact, event.description
+                ])
+            }),
+            ...this.diffKeyed(previous.trafficAlerts, current.trafficAlerts, {
+                prefix: 'alert',
+                added: 'opened',
+                removed: 'closed',
+                fingerprint: alert => JSON.stringify([alert.priority, alert.message, alert.timing])
+            })
+        ];
+    }
+
+    /**
+     * Vehicles appear, disappear, or move to another stop/status/position
+     */
+    diffVehicles(previous, current) {
+        const changes = [];
+
+        current.forEach((vehicle, key) => {
+            const before = previous.get(key);
+            const routeId = vehicle.trip?.routeId || null;
+            const borough = vehicle.stop?.borough || null;
+            const location = getVehicleLocation(vehicle);
+
+            if (!before) {
+                changes.push({ type: 'vehicle.added', key, routeId, borough, location, vehicle });
+                return;
+            }
+
+            const movedStop = before.stopId !== vehicle.stopId || before.currentStatus !== vehicle.currentStatus;
+            const movedPosition = this.positionDelta(before, vehicle) > this.config.positionThreshold;
+
+            if (movedStop || movedPosition) {
+                changes.push({
+                    type: 'vehicle.moved',
+                    key,
+                    routeId,
+                    borough,
+                    location,
+                    from: this.describeVehiclePosition(before),
+                    to: this.describeVehiclePosition(vehicle)
+                });
+            }
+        });
+
+        previous.forEach((vehicle, key) => {
+            if (!current.has(key)) {
+                changes.push({
+                    type: 'vehicle.removed',
+                    key,
+                    routeId: vehicle.trip?.routeId || null,
+                    borough: vehicle.stop?.borough || null,
+                    location: getVehicleLocation(vehicle),
+                    last: this.describeVehiclePosition(vehicle)
+                });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Trips whose predicted arrival moved by more than the threshold at any stop
+     */
+    diffPredictions(previous, current) {
+        const changes = [];
+        const thresholdMs = this.config.predictionThreshold * 1000;
+
+        current.forEach((trip, key) => {
+            const before = previous.get(key);
+            if (!before) return;
+
+            const previousTimes = new Map(
+                before.stopTimeUpdates.filter(Boolean).map(stu => [stu.stopId, this.predictedTime(stu)])
+            );
+
+            const stops = trip.stopTimeUpdates
+                .filter(Boolean)
+                .map(stu => ({
+                    stopId: stu.stopId,
+                    location: stu.stop ? { lat: stu.stop.latitude, lon: stu.stop.longitude } : null,
+                    previous: previousTimes.get(stu.stopId),
+                    current: this.predictedTime(stu)
+                }))
+                .filter(stop => stop.previous && stop.current &&
+                    Math.abs(stop.current - stop.previous) > thresholdMs)
+                .map(stop => ({
+                    ...stop,
+                    deltaSeconds: Math.round((stop.current - stop.previous) / 1000)
+                }));
+
+            if (stops.length > 0) {
+                changes.push({
+                    type: 'trip.prediction_changed',
+                    key,
+                    routeId: trip.trip?.routeId || null,
+                    tripId: trip.trip?.tripId || null,
+                    boroughs: [...new Set(trip.stopTimeUpdates
+                        .map(stu => stu && stu.stop?.borough)
+                        .filter(Boolean))],
+                    stops
+                });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Generic added / updated / removed comparison over keyed entities
+     */
+    diffKeyed(previous, current, { prefix, added, removed, fingerprint }) {
+        const changes = [];
+
+        current.forEach((item, key) => {
+            const before = previous.get(key);
+
+            if (!before) {
+                changes.push({ type: `${prefix}.${added}`, key, item });
+            } else if (fingerprint(before) !== fingerprint(item)) {
+                changes.push({ type: `${prefix}.updated`, key, item });
+            }
+        });
+
+        previous.forEach((item, key) => {
+            if (!current.has(key)) {
+                changes.push({ type: `${prefix}.${removed}`, key, item });
+            }
+        });
+
+        return changes;
+    }
+
+    predictedTime(stopTimeUpdate) {
+        return stopTimeUpdate.arrival?.time || stopTimeUpdate.departure?.time || null;
+    }
+
+    positionDelta(before, after) {
+        if (!before.position?.latitude || !after.position?.latitude) return 0;
+
+        return haversineDistance(
+            before.position.latitude, before.position.longitude,
+            after.position.latitude, after.position.longitude
+        );
+    }
+
+    describeVehiclePosition(vehicle) {
+        return {
+            stopId: vehicle.stopId,
+            status: vehicle.currentStatus,
+            position: vehicle.position ? {
+                latitude: vehicle.position.latitude,
+                longitude: vehicle.position.longitude
+            } : null
+        };
+    }
+}
+
+module.exports = SnapshotDiffer;
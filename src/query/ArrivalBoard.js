@@ -0,0 +1,158 @@
+// src/query/ArrivalBoard.js
+const { Logger } = require('../utils/Logger');
+const { getStationRegistry, parseStopId } = require('../reference/StationRegistry');
+
+/**
+ * "Next trains" query over the latest merged MTA snapshot
+ * Groups upcoming arrivals at a station (or whole complex) by route and direction
+ */
+class ArrivalBoard {
+    constructor(options = {}) {
+        this.logger = new Logger('ArrivalBoard');
+        this.stationRegistry = options.stationRegistry || getStationRegistry();
+
+        this.config = {
+            staleAfter: 120000,     // predictions older than 2 minutes are flagged stale
+            departedGrace: 30000,   // keep trains that were due up to 30 seconds ago
+            limit: 3,               // arrivals per route/direction group
+            ...options
+        };
+
+        this.snapshot = null;
+    }
+
+    /**
+     * Replace the snapshot queries run against
+     * @param {Object} snapshot - Transformed (merged) MTA snapshot
+     */
+    update(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.tripUpdates)) return;
+        this.snapshot = snapshot;
+    }
+
+    /**
+     * Resolve a station query to the set of stations it covers
+     * @param {Object} query - { stopId } or { complexId }; includeComplex widens a stopId to its complex
+     */
+    resolveStations(query = {}) {
+        if (query.complexId) {
+            return this.stationRegistry.getComplex(query.complexId);
+        }
+
+        const station = this.stationRegistry.getStation(query.stopId);
+        if (!station) return [];
+
+        return query.includeComplex ?
+            this.stationRegistry.getComplex(station.complexId) :
+            [station];
+    }
+
+    /**
+     * Get upcoming arrivals at a station
+     * @param {Object} query - stopId | complexId, includeComplex, routes, direction ('N'|'S'), limit, now
+     * @returns {Object|null} Board grouped by route and direction, or null for an unknown station
+     */
+    getArrivals(query = {}) {
+        const stations = this.resolveStations(query);
+        if (stations.length === 0) return null;
+
+        const now = query.now || Date.now();
+        const limit = query.limit || this.config.limit;
+        const stationIds = new Set(stations.map(station => station.stopId));
+        const routeFilter = query.routes ? new Set([].concat(query.routes)) : null;
+
+        const groups = new Map();
+
+        (this.snapshot ? this.snapshot.tripUpdates : []).forEach(tripUpdate => {
+            const routeId = tripUpdate.trip?.routeId;
+            if (routeFilter && !routeFilter.has(routeId)) return;
+
+            const stopIndex = tripUpdate.stopTimeUpdates.findIndex(stopUpdate =>
+                stopUpdate && stationIds.has(parseStopId(stopUpdate.stopId).stationStopId)
+            );
+            if (stopIndex < 0) return;
+
+            const stopUpdate = tripUpdate.stopTimeUpdates[stopIndex];
+            const direction = parseStopId(stopUpdate.stopId).direction;
+            if (query.direction && direction !== query.direction) return;
+
+            const arrival = this.buildArrival(tripUpdate, stopUpdate, now);
+            if (!arrival) return;
+
+            const key = `${routeId}:${direction}`;
+            if (!groups.has(key)) {
+                const station = this.stationRegistry.getStation(stopUpdate.stopId);
+                groups.set(key, {
+                    routeId,
+                    direction,
+                    directionLabel: direction && station ? station.directionLabels[direction] : null,
+                    arrivals: []
+                });
+            }
+            groups.get(key).arrivals.push(arrival);
+        });
+
+        const sortedGroups = [...groups.values()]
+            .map(group => ({
+                ...group,
+                arrivals: group.arrivals
+                    .sort((a, b) => a.arrivalTime - b.arrivalTime)
+                    .slice(0, limit)
+            }))
+            .sort((a, b) =>
+                a.routeId.localeCompare(b.routeId) || String(a.direction).localeCompare(String(b.direction))
+            );
+
+        return {
+            station: this.describeStation(stations[0]),
+            platforms: stations.map(station => this.describeStation(station)),
+            generatedAt: now,
+            snapshotTimestamp: this.snapshot ? this.snapshot.timestamp : null,
+            groups: sortedGroups
+        };
+    }
+
+    /**
+     * Build one arrival entry, or null if the train has already left
+     */
+    buildArrival(tripUpdate, stopUpdate, now) {
+        const arrivalTime = stopUpdate.arrival?.time || stopUpdate.departure?.time;
+        if (!arrivalTime || arrivalTime < now - this.config.departedGrace) return null;
+
+        const predictionTime = tripUpdate.timestamp ||
+            this.snapshot.header?.timestamp ||
+            this.snapshot.timestamp;
+
+        const terminal = tripUpdate.stopTimeUpdates[tripUpdate.stopTimeUpdates.length - 1];
+        const terminalStation = terminal ? this.stationRegistry.getStation(terminal.stopId) : null;
+
+        return {
+            tripId: tripUpdate.trip?.tripId,
+            trainId: tripUpdate.trip?.nyct?.trainId || null,
+            isAssigned: tripUpdate.trip?.nyct ? tripUpdate.trip.nyct.isAssigned : null,
+            routeId: tripUpdate.trip?.routeId,
+            stopId: stopUpdate.stopId,
+            arrivalTime,
+            minutesAway: Math.max(0, Math.round((arrivalTime - now) / 60000)),
+            destination: terminal ? {
+                stopId: terminal.stopId,
+                name: terminalStation ? terminalStation.name : null
+            } : null,
+            track: stopUpdate.track ? stopUpdate.track.actual || stopUpdate.track.scheduled : null,
+            scheduleDeviation: stopUpdate.arrivalDeviation ?? null,
+            stale: now - predictionTime > this.config.staleAfter
+        };
+    }
+
+    describeStation(station) {
+        return {
+            stopId: station.stopId,
+            name: station.name,
+            complexId: station.complexId,
+            borough: station.borough,
+            routes: station.routes
+        };
+    }
+}
+
+module.exports = ArrivalBoard;
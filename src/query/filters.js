@@ -0,0 +1,124 @@
+// src/query/filters.js
+// Route / borough / bounding box filters shared by the API and storage queries
+
+/**
+ * Parse a "minLon,minLat,maxLon,maxLat" bounding box (GeoJSON order)
+ * @returns {Object|null} { west, south, east, north }, null when absent
+ */
+function parseBoundingBox(value) {
+    if (!value) return null;
+
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(isNaN)) {
+        throw new Error('bbox must be "minLon,minLat,maxLon,maxLat"');
+    }
+
+    const [west, south, east, north] = parts;
+    if (west > east || south > north) {
+        throw new Error('bbox min values must not exceed max values');
+    }
+
+    return { west, south, east, north };
+}
+
+function isInBoundingBox(location, bbox) {
+    if (!location || !isFinite(location.lat) || !isFinite(location.lon)) return false;
+
+    return location.lat >= bbox.south && location.lat <= bbox.north &&
+           location.lon >= bbox.west && location.lon <= bbox.east;
+}
+
+function sameBorough(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Best known location of a subway vehicle: GPS position if reported, else its stop
+ */
+function getVehicleLocation(vehicle) {
+    if (vehicle.position && vehicle.position.latitude && vehicle.position.longitude) {
+        return { lat: vehicle.position.latitude, lon: vehicle.position.longitude };
+    }
+    if (vehicle.stop) {
+        return { lat: vehicle.stop.latitude, lon: vehicle.stop.longitude };
+    }
+    return null;
+}
+
+/**
+ * Filter subway vehicle updates
+ * @param {Object} filters - route, borough, bbox (parsed)
+ */
+function filterVehicles(vehicles, filters = {}) {
+    return (vehicles || []).filter(vehicle => {
+        if (filters.route && vehicle.trip?.routeId !== filters.route) return false;
+        if (filters.borough && !sameBorough(vehicle.stop?.borough, filters.borough)) return false;
+        if (filters.bbox && !isInBoundingBox(getVehicleLocation(vehicle), filters.bbox)) return false;
+        return true;
+    });
+}
+
+/**
+ * Filter subway trip updates; borough and bbox match on any remaining stop
+ */
+function filterTripUpdates(tripUpdates, filters = {}) {
+    return (tripUpdates || []).filter(tripUpdate => {
+        if (filters.route && tripUpdate.trip?.routeId !== filters.route) return false;
+
+        const stops = tripUpdate.stopTimeUpdates
+            .map(stopUpdate => stopUpdate && stopUpdate.stop)
+            .filter(Boolean);
+
+        if (filters.borough && !stops.some(stop => sameBorough(stop.borough, filters.borough))) {
+            return false;
+        }
+        if (filters.bbox && !stops.some(stop =>
+            isInBoundingBox({ lat: stop.latitude, lon: stop.longitude }, filters.bbox))) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Filter subway service alerts by affected route or borough
+ */
+function filterSubwayAlerts(alerts, filters = {}) {
+    return (alerts || []).filter(alert => {
+        const entities = alert.informedEntities || [];
+
+        if (filters.route && !entities.some(entity =>
+            entity.routeId === filters.route || entity.trip?.routeId === filters.route)) {
+            return false;
+        }
+        if (filters.borough && !entities.some(entity =>
+            sameBorough(entity.stop?.borough, filters.borough))) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Filter transformed 511NY items (events, cameras, signs) that carry a location
+ * @param {Object} filters - borough, bbox, severity, type
+ */
+function filterTrafficItems(items, filters = {}) {
+    return (items || []).filter(item => {
+        if (filters.borough && !sameBorough(item.location?.borough, filters.borough)) return false;
+        if (filters.bbox && !isInBoundingBox(item.location, filters.bbox)) return false;
+        if (filters.severity && item.severity !== filters.severity) return false;
+        if (filters.type && item.type !== filters.type) return false;
+        return true;
+    });
+}
+
+module.exports = {
+    parseBoundingBox,
+    isInBoundingBox,
+    getVehicleLocation,
+    filterVehicles,
+    filterTripUpdates,
+    filterSubwayAlerts,
+    filterTrafficItems
+};
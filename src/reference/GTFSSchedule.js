@@ -0,0 +1,370 @@
+// src/reference/GTFSSchedule.js
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { Logger } = require('../utils/Logger');
+const { parseCSVAsync } = require('../utils/csv');
+const { NYC_TIMEZONE, toServiceDate } = require('../utils/time');
+
+const REQUIRED_FILES = ['stops.txt', 'trips.txt', 'stop_times.txt'];
+const OPTIONAL_FILES = ['calendar.txt', 'calendar_dates.txt', 'shapes.txt'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse a GTFS time (HH:MM:SS, hours may exceed 24) into seconds after service day start
+ */
+function parseGTFSTime(value) {
+    if (!value) return null;
+
+    const [hours, minutes, seconds] = value.split(':').map(Number);
+    if ([hours, minutes, seconds].some(isNaN)) return null;
+
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Static GTFS schedule (stops, trips, stop times, service calendar and shapes)
+ * loaded from a GTFS zip or an extracted directory
+ */
+class GTFSSchedule {
+    constructor() {
+        this.logger = new Logger('GTFSSchedule');
+
+        this.stops = new Map();         // stop_id -> stop
+        this.trips = new Map();         // trip_id -> trip
+        this.stopTimes = new Map();     // trip_id -> stop time[] ordered by stop_sequence
+        this.calendar = new Map();      // service_id -> weekly pattern and date range
+        this.calendarDates = new Map(); // service_id -> Map(date -> exception_type)
+        this.realtimeTripIndex = new Map(); // realtime trip id -> trip_id[]
+        this.stopVisits = null;         // stop_id -> [{ tripId, arrival }], built on first use
+        this.shapes = new Map();        // shape_id -> [{ latitude, longitude, sequence }]
+
+        this.source = null;
+        this.loadedAt = null;
+    }
+
+    /**
+     * Load a static GTFS feed from a .zip file or a directory of .txt files
+     * @param {string} source - Path to the zip or directory
+     * @returns {Promise<GTFSSchedule>}
+     */
+    static async load(source) {
+        const schedule = new GTFSSchedule();
+        await schedule.loadFrom(source);
+        return schedule;
+    }
+
+    /**
+     * Read and index every schedule file from the source
+     * Files are read asynchronously and parsed in chunks, so loading a full
+     * feed (millions of stop times) does not block the event loop
+     */
+    async loadFrom(source) {
+        const startTime = Date.now();
+        const readFile = await this.createFileReader(source);
+
+        const files = {};
+        for (const file of [...REQUIRED_FILES, ...OPTIONAL_FILES]) {
+            files[file] = await readFile(file);
+        }
+
+        REQUIRED_FILES.forEach(file => {
+            if (files[file] === null) {
+                throw new Error(`Static GTFS is missing required file ${file} (${source})`);
+            }
+        });
+
+        const parsers = {
+            'stops.txt': row => this.addStop(row),
+            'trips.txt': row => this.addTrip(row),
+            'stop_times.txt': row => this.addStopTime(row),
+            'calendar.txt': row => this.addCalendar(row),
+            'calendar_dates.txt': row => this.addCalendarDate(row),
+            'shapes.txt': row => this.addShapePoint(row)
+        };
+        for (const [file, onRow] of Object.entries(parsers)) {
+            if (files[file] !== null) {
+                await parseCSVAsync(files[file], onRow);
+                files[file] = null; // let the text go before the next file is parsed
+            }
+        }
+
+        this.stopTimes.forEach(times => times.sort((a, b) => a.stopSequence - b.stopSequence));
+        this.shapes.forEach(points => points.sort((a, b) => a.sequence - b.sequence));
+
+        this.source = source;
+        this.loadedAt = Date.now();
+
+        this.logger.info('Static GTFS schedule loaded', {
+            source,
+            stops: this.stops.size,
+            trips: this.trips.size,
+            services: this.calendar.size,
+            shapes: this.shapes.size,
+            duration: Date.now() - startTime
+        });
+    }
+
+    /**
+     * Build an async reader returning file contents as text, or null if absent
+     */
+    async createFileReader(source) {
+        const stats = await fs.promises.stat(source).catch(() => null);
+        if (!stats) {
+            throw new Error(`Static GTFS source not found: ${source}`);
+        }
+
+        if (stats.isDirectory()) {
+            return (file) => fs.promises.readFile(path.join(source, file), 'utf8').catch(error => {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            });
+        }
+
+        const zip = new AdmZip(await fs.promises.readFile(source));
+        return (file) => {
+            const entry = zip.getEntries().find(e => path.basename(e.entryName) === file);
+            if (!entry) return Promise.resolve(null);
+
+            return new Promise((resolve, reject) => entry.getDataAsync((data, error) =>
+                (error ? reject(new Error(`Cannot read ${file} from ${source}: ${error}`)) :
+                    resolve(data.toString('utf8')))));
+        };
+    }
+
+    addStop(row) {
+        this.stops.set(row.stop_id, {
+            stopId: row.stop_id,
+            name: row.stop_name,
+            latitude: parseFloat(row.stop_lat),
+            longitude: parseFloat(row.stop_lon),
+            parentStation: row.parent_station || null
+        });
+    }
+
+    addTrip(row) {
+        const trip = {
+            tripId: row.trip_id,
+            routeId: row.route_id,
+            serviceId: row.service_id,
+            headsign: row.trip_headsign || null,
+            directionId: row.direction_id ? parseInt(row.direction_id, 10) : null,
+            shapeId: row.shape_id || null
+        };
+
+        this.trips.set(trip.tripId, trip);
+
+        const realtimeId = this.toRealtimeTripId(trip.tripId);
+        if (!this.realtimeTripIndex.has(realtimeId)) {
+            this.realtimeTripIndex.set(realtimeId, []);
+        }
+        this.realtimeTripIndex.get(realtimeId).push(trip.tripId);
+    }
+
+    addStopTime(row) {
+        if (!this.stopTimes.has(row.trip_id)) {
+            this.stopTimes.set(row.trip_id, []);
+        }
+
+        this.stopTimes.get(row.trip_id).push({
+            stopId: row.stop_id,
+            stopSequence: parseInt(row.stop_sequence, 10),
+            arrival: parseGTFSTime(row.arrival_time),
+            departure: parseGTFSTime(row.departure_time)
+        });
+    }
+
+    addCalendar(row) {
+        this.calendar.set(row.service_id, {
+            days: WEEKDAYS.map(day => row[day] === '1'),
+            startDate: row.start_date,
+            endDate: row.end_date
+        });
+    }
+
+    addCalendarDate(row) {
+        if (!this.calendarDates.has(row.service_id)) {
+            this.calendarDates.set(row.service_id, new Map());
+        }
+        this.calendarDates.get(row.service_id).set(row.date, parseInt(row.exception_type, 10));
+    }
+
+    addShapePoint(row) {
+        if (!this.shapes.has(row.shape_id)) {
+            this.shapes.set(row.shape_id, []);
+        }
+
+        this.shapes.get(row.shape_id).push({
+            latitude: parseFloat(row.shape_pt_lat),
+            longitude: parseFloat(row.shape_pt_lon),
+            sequence: parseInt(row.shape_pt_sequence, 10)
+        });
+    }
+
+    /**
+     * NYCT realtime trip ids are the static trip id without its service prefix
+     * e.g. static 'AFA23GEN-1038-Sunday-00_000600_1..S03R' -> realtime '000600_1..S03R'
+     */
+    toRealtimeTripId(tripId) {
+        const separator = tripId.indexOf('_');
+        return separator >= 0 ? tripId.slice(separator + 1) : tripId;
+    }
+
+    /**
+     * Check whether a service runs on a date (YYYYMMDD)
+     */
+    isServiceActive(serviceId, serviceDate) {
+        const exception = this.calendarDates.get(serviceId)?.get(serviceDate);
+        if (exception === 1) return true;
+        if (exception === 2) return false;
+
+        const calendar = this.calendar.get(serviceId);
+        if (!calendar) return false;
+        if (serviceDate < calendar.startDate || serviceDate > calendar.endDate) return false;
+
+        const year = parseInt(serviceDate.slice(0, 4), 10);
+        const month = parseInt(serviceDate.slice(4, 6), 10);
+        const day = parseInt(serviceDate.slice(6, 8), 10);
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+        return calendar.days[weekday];
+    }
+
+    /**
+     * Match a realtime trip to its scheduled trip
+     * @param {string} tripId - Realtime (or static) trip id
+     * @param {string} [serviceDate] - YYYYMMDD start date of the realtime trip
+     * @returns {Object|null} Scheduled trip
+     */
+    findTrip(tripId, serviceDate) {
+        if (!tripId) return null;
+        if (this.trips.has(tripId)) return this.trips.get(tripId);
+
+        const candidates = this.realtimeTripIndex.get(tripId) || [];
+        if (candidates.length === 0) return null;
+
+        const date = serviceDate || toServiceDate(new Date());
+        const activeTripId = candidates.find(candidate =>
+            this.isServiceActive(this.trips.get(candidate).serviceId, date)
+        );
+
+        return activeTripId ? this.trips.get(activeTripId) : null;
+    }
+
+    /**
+     * Get the ordered scheduled stop times of a trip
+     */
+    getStopTimes(tripId) {
+        return this.stopTimes.get(tripId) || [];
+    }
+
+    /**
+     * Get the ordered points of a shape, or null when shapes.txt lacks it
+     */
+    getShape(shapeId) {
+        return this.shapes.get(shapeId) || null;
+    }
+
+    /**
+     * Get the scheduled arrival/departure at a stop as epoch milliseconds
+     * @returns {Object|null} { arrival, departure, stopSequence }
+     */
+    getScheduledStopTime(tripId, stopId, serviceDate) {
+        const stopTime = this.getStopTimes(tripId).find(st => st.stopId === stopId);
+        if (!stopTime) return null;
+
+        const dayStart = this.getServiceDayStart(serviceDate);
+
+        return {
+            stopSequence: stopTime.stopSequence,
+            arrival: stopTime.arrival !== null ? dayStart + stopTime.arrival * 1000 : null,
+            departure: stopTime.departure !== null ? dayStart + stopTime.departure * 1000 : null
+        };
+    }
+
+    /**
+     * Average scheduled headway of a route at a stop around a moment in time
+     * @param {string} routeId - Route id, e.g. '4'
+     * @param {string} stopId - Directional stop id, e.g. '621N'
+     * @param {number} time - Epoch milliseconds (default now)
+     * @param {number} windowMinutes - Half-width of the window counted on each side of time
+     * @returns {number|null} Headway in seconds, null when no trips are scheduled
+     */
+    getScheduledHeadway(routeId, stopId, time = Date.now(), windowMinutes = 30) {
+        if (!this.stopVisits) {
+            this.buildStopVisits();
+        }
+
+        const windowMs = windowMinutes * 60000;
+        // Trips past midnight (times over 24:00:00) belong to the previous service day
+        const serviceDates = [...new Set([
+            toServiceDate(new Date(time)),
+            toServiceDate(new Date(time - 24 * 3600 * 1000))
+        ])];
+
+        let count = 0;
+        serviceDates.forEach(serviceDate => {
+            const dayStart = this.getServiceDayStart(serviceDate);
+
+            (this.stopVisits.get(stopId) || []).forEach(visit => {
+                const trip = this.trips.get(visit.tripId);
+                if (trip.routeId !== routeId) return;
+
+                const arrival = dayStart + visit.arrival * 1000;
+                if (Math.abs(arrival - time) <= windowMs && this.isServiceActive(trip.serviceId, serviceDate)) {
+                    count++;
+                }
+            });
+        });
+
+        return count > 0 ? Math.round((2 * windowMs / 1000) / count) : null;
+    }
+
+    buildStopVisits() {
+        this.stopVisits = new Map();
+
+        this.stopTimes.forEach((stopTimes, tripId) => {
+            stopTimes.forEach(stopTime => {
+                const arrival = stopTime.arrival !== null ? stopTime.arrival : stopTime.departure;
+                if (arrival === null) return;
+
+                if (!this.stopVisits.has(stopTime.stopId)) {
+                    this.stopVisits.set(stopTime.stopId, []);
+                }
+                this.stopVisits.get(stopTime.stopId).push({ tripId, arrival });
+            });
+        });
+    }
+
+    /**
+     * Epoch milliseconds of a service day's start ("noon minus 12h" in local time)
+     */
+    getServiceDayStart(serviceDate) {
+        const date = serviceDate || toServiceDate(new Date());
+        const year = parseInt(date.slice(0, 4), 10);
+        const month = parseInt(date.slice(4, 6), 10);
+        const day = parseInt(date.slice(6, 8), 10);
+
+        // Local noon never falls inside a DST transition, so measure the offset there
+        const utcNoon = Date.UTC(year, month - 1, day, 12);
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: NYC_TIMEZONE,
+            hourCycle: 'h23',
+            hour: '2-digit',
+            minute: '2-digit'
+        }).formatToParts(new Date(utcNoon));
+        const localHour = parseInt(parts.find(p => p.type === 'hour').value, 10);
+        const localMinute = parseInt(parts.find(p => p.type === 'minute').value, 10);
+        const offsetMs = ((localHour - 12) * 60 + localMinute) * 60000;
+
+        const localNoon = utcNoon - offsetMs;
+        return localNoon - 12 * 3600 * 1000;
+    }
+}
+
+module.exports = {
+    GTFSSchedule,
+    parseGTFSTime,
+    toServiceDate
+};
@@ -0,0 +1,291 @@
+// src/reference/StationRegistry.js
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/Logger');
+const SpatialIndex = require('../geo/SpatialIndex');
+const { getBoroughLocator } = require('../geo/BoroughLocator');
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, '..', 'json.json');
+
+const BOROUGH_NAMES = {
+    M: 'Manhattan',
+    Bk: 'Brooklyn',
+    Q: 'Queens',
+    Bx: 'Bronx',
+    SI: 'Staten Island'
+};
+
+// GTFS-realtime route ids that the station dataset lists under another name
+const ROUTE_ALIASES = {
+    '6X': '6',
+    '7X': '7',
+    'FX': 'F',
+    'GS': 'S',
+    'FS': 'S',
+    'H': 'S',
+    'SI': 'SIR',
+    'SS': 'SIR'
+};
+
+const ADA_STATUS = {
+    0: 'not_accessible',
+    1: 'accessible',
+    2: 'partially_accessible'
+};
+
+/**
+ * Map a realtime route id onto the route names used by the station dataset
+ */
+function normalizeRouteId(routeId) {
+    if (!routeId) return null;
+    const upper = String(routeId).toUpperCase();
+    return ROUTE_ALIASES[upper] || upper;
+}
+
+/**
+ * Split a GTFS stop id into its parent station id and platform direction
+ * e.g. '127N' -> { stationStopId: '127', direction: 'N' }
+ */
+function parseStopId(stopId) {
+    if (!stopId) return { stationStopId: null, direction: null };
+
+    const match = /^(.+?)([NS])$/.exec(String(stopId));
+    if (!match) return { stationStopId: String(stopId), direction: null };
+
+    return { stationStopId: match[1], direction: match[2] };
+}
+
+/**
+ * Indexed lookup over the MTA Subway Stations dataset (src/json.json)
+ * Resolves GTFS stop ids to stations and answers route, borough,
+ * complex and nearest-station queries
+ */
+class StationRegistry {
+    constructor(options = {}) {
+        this.logger = new Logger('StationRegistry');
+        this.datasetPath = options.datasetPath || DEFAULT_DATASET_PATH;
+
+        this.stations = new Map();   // GTFS stop id -> station
+        this.byComplex = new Map();  // complex id -> station[]
+        this.byRoute = new Map();    // route -> station[]
+        this.byBorough = new Map();  // borough name -> station[]
+        this.spatialIndex = new SpatialIndex({
+            cellSizeKm: 0.5,
+            getLocation: station => ({ lat: station.latitude, lon: station.longitude })
+        });
+
+        this.load(options.dataset || this.readDataset());
+    }
+
+    /**
+     * Read the Socrata export from disk
+     */
+    readDataset() {
+        return JSON.parse(fs.readFileSync(this.datasetPath, 'utf8'));
+    }
+
+    /**
+     * Parse a Socrata export ({ meta.view.columns, data }) into indexes
+     */
+    load(dataset) {
+        if (!dataset || !dataset.meta || !Array.isArray(dataset.data)) {
+            throw new Error('Station dataset must be a Socrata export with meta and data');
+        }
+
+        const columns = dataset.meta.view.columns.map(column => column.fieldName);
+        const column = (row, fieldName) => row[columns.indexOf(fieldName)];
+
+        dataset.data.forEach(row => {
+            const station = this.parseRow(row, column);
+            if (!station.stopId) return;
+
+            this.stations.set(station.stopId, station);
+            this.spatialIndex.insert(station);
+            this.addToIndex(this.byComplex, station.complexId, station);
+            this.addToIndex(this.byBorough, station.borough, station);
+            station.routes.forEach(route => this.addToIndex(this.byRoute, route, station));
+        });
+
+        this.logger.info('Station registry loaded', {
+            stations: this.stations.size,
+            complexes: this.byComplex.size,
+            routes: this.byRoute.size
+        });
+    }
+
+    /**
+     * Convert a dataset row into a station record
+     */
+    parseRow(row, column) {
+        const boroughCode = column(row, 'borough');
+        const ada = parseInt(column(row, 'ada'), 10);
+        const latitude = parseFloat(column(row, 'gtfs_latitude'));
+        const longitude = parseFloat(column(row, 'gtfs_longitude'));
+        const location = getBoroughLocator().resolve(latitude, longitude);
+
+        return {
+            stopId: column(row, 'gtfs_stop_id'),
+            stationId: column(row, 'station_id'),
+            complexId: column(row, 'complex_id'),
+            name: column(row, 'stop_name'),
+            division: column(row, 'division'),
+            line: column(row, 'line'),
+            borough: BOROUGH_NAMES[boroughCode] || boroughCode || location.borough,
+            boroughCode,
+            neighborhood: location.neighborhood ? location.neighborhood.name : null,
+            communityDistrict: location.communityDistrict ? location.communityDistrict.id : null,
+            cbd: column(row, 'cbd') === 'True',
+            routes: (column(row, 'daytime_routes') || '').split(' ').filter(Boolean),
+            structure: column(row, 'structure'),
+            latitude,
+            longitude,
+            directionLabels: {
+                N: column(row, 'north_direction_label') || null,
+                S: column(row, 'south_direction_label') || null
+            },
+            ada: {
+                status: ADA_STATUS[ada] || 'unknown',
+                northbound: column(row, 'ada_northbound') === '1',
+                southbound: column(row, 'ada_southbound') === '1',
+                notes: column(row, 'ada_notes') || null
+            }
+        };
+    }
+
+    addToIndex(index, key, station) {
+        if (!key) return;
+        if (!index.has(key)) {
+            index.set(key, []);
+        }
+        index.get(key).push(station);
+    }
+
+    /**
+     * Get a station by GTFS stop id, with or without the N/S platform suffix
+     */
+    getStation(stopId) {
+        if (!stopId) return null;
+        if (this.stations.has(stopId)) return this.stations.get(stopId);
+
+        const { stationStopId } = parseStopId(stopId);
+        return this.stations.get(stationStopId) || null;
+    }
+
+    /**
+     * Resolve a platform stop id into its station and travel direction
+     * @returns {Object|null} { station, direction, directionLabel }
+     */
+    resolveStop(stopId) {
+        const station = this.getStation(stopId);
+        if (!station) return null;
+
+        const { direction } = parseStopId(stopId);
+
+        return {
+            station,
+            direction,
+            directionLabel: direction ? station.directionLabels[direction] : null
+        };
+    }
+
+    /**
+     * Get all stations (platform groups) that belong to a station complex
+     */
+    getComplex(complexId) {
+        return this.byComplex.get(String(complexId)) || [];
+    }
+
+    /**
+     * Get stations served by a route during daytime service
+     */
+    getStationsByRoute(routeId) {
+        return this.byRoute.get(normalizeRouteId(routeId)) || [];
+    }
+
+    /**
+     * Get stations in a borough, by name ('Brooklyn') or dataset code ('Bk')
+     */
+    getStationsByBorough(borough) {
+        const name = BOROUGH_NAMES[borough] || borough;
+        return this.byBorough.get(name) || [];
+    }
+
+    /**
+     * Find stations whose name contains the query (case-insensitive)
+     */
+    findStationsByName(query) {
+        if (!query) return [];
+        const needle = query.toLowerCase();
+
+        return this.getAllStations().filter(station =>
+            station.name.toLowerCase().includes(needle)
+        );
+    }
+
+    /**
+     * Get every station
+     */
+    getAllStations() {
+        return [...this.stations.values()];
+    }
+
+    /**
+     * Find stations within a radius of a point, nearest first
+     * @param {Object} options - route (only stations serving it), limit
+     * @returns {Object[]} [{ station, distanceKm }]
+     */
+    findWithinRadius(lat, lon, radiusKm, options = {}) {
+        return this.spatialIndex
+            .withinRadius(lat, lon, radiusKm, { limit: options.limit, filter: this.routeFilter(options.route) })
+            .map(({ item, distanceKm }) => ({ station: item, distanceKm }));
+    }
+
+    /**
+     * Find the k nearest stations to a point
+     * @param {Object} options - limit (default 1), route, maxDistanceKm
+     * @returns {Object[]} [{ station, distanceKm }]
+     */
+    findNearest(lat, lon, options = {}) {
+        return this.spatialIndex
+            .nearest(lat, lon, {
+                limit: options.limit || 1,
+                maxDistanceKm: options.maxDistanceKm || Infinity,
+                filter: this.routeFilter(options.route)
+            })
+            .map(({ item, distanceKm }) => ({ station: item, distanceKm }));
+    }
+
+    /**
+     * Find stations inside a bounding box
+     * @param {Object} bbox - { west, south, east, north }
+     * @param {Object} options - route
+     */
+    findWithinBounds(bbox, options = {}) {
+        return this.spatialIndex.withinBounds(bbox, { filter: this.routeFilter(options.route) });
+    }
+
+    routeFilter(route) {
+        if (!route) return null;
+        const serving = new Set(this.getStationsByRoute(route));
+        return station => serving.has(station);
+    }
+
+    get size() {
+        return this.stations.size;
+    }
+}
+
+let defaultRegistry = null;
+
+module.exports = {
+    StationRegistry,
+    parseStopId,
+    normalizeRouteId,
+    // Shared registry over the bundled dataset, loaded on first use
+    getStationRegistry: () => {
+        if (!defaultRegistry) {
+            defaultRegistry = new StationRegistry();
+        }
+        return defaultRegistry;
+    }
+};
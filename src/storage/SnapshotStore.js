@@ -0,0 +1,423 @@
+// src/storage/SnapshotStore.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const EventEmitter = require('events');
+const { getLogger } = require('../utils/Logger');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const KINDS = ['vehicles', 'predictions', 'alerts', 'traffic-events'];
+
+/**
+ * Append-only time-series storage of normalized pipeline data
+ *
+ * Records are written as JSON lines to <directory>/<kind>/<YYYY-MM-DD>.jsonl
+ * (UTC days), so retention drops whole day files and range queries only read
+ * the days they cover
+ */
+class SnapshotStore extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            directory: process.env.HISTORY_DIR || path.join(process.cwd(), 'data', 'history'),
+            flushInterval: 5000,
+            pruneInterval: HOUR,
+            queryLimit: 10000, // records a query returns at most (the latest ones)
+            ...config,
+            retention: {
+                vehicles: 7 * DAY,
+                predictions: 2 * DAY,
+                alerts: 90 * DAY,
+                'traffic-events': 30 * DAY,
+                ...(config.retention || {})
+            }
+        };
+
+        this.logger = getLogger('SnapshotStore');
+        this.pending = new Map(); // file path -> lines waiting to be appended
+        this.lastPredictions = new Map(); // "tripId|stopId" -> prediction last stored
+        this.flushTimer = null;
+        this.pruneTimer = null;
+        this.flushing = null;
+        this.messageQueue = null;
+
+        this.stats = {
+            snapshotsStored: 0,
+            recordsWritten: { vehicles: 0, predictions: 0, alerts: 0, 'traffic-events': 0 },
+            unchangedPredictions: 0,
+            filesPruned: 0,
+            lastFlush: null,
+            lastPrune: null
+        };
+
+        this.handleMessage = (message) => {
+            this.store(message.data).catch(error => {
+                this.logger.error('Failed to store snapshot', { error: error.message });
+                this.emitError(error);
+            });
+        };
+    }
+
+    /**
+     * Subscribe to the raw-data topic and start flush/retention timers
+     */
+    async start(messageQueue = null) {
+        await fs.promises.mkdir(this.config.directory, { recursive: true });
+
+        if (messageQueue) {
+            this.messageQueue = messageQueue;
+            messageQueue.subscribeToRawData(this.handleMessage);
+        }
+
+        this.flushTimer = setInterval(() => this.flush(), this.config.flushInterval);
+        this.pruneTimer = setInterval(() => {
+            this.prune().catch(error => {
+                this.logger.error('Failed to prune snapshot store', { error: error.message });
+                this.emitError(error);
+            });
+        }, this.config.pruneInterval);
+        await this.prune();
+
+        this.logger.info('Snapshot store started', { directory: this.config.directory });
+    }
+
+    /**
+     * Stop timers and write anything still buffered
+     */
+    async stop() {
+        if (this.messageQueue) {
+            this.messageQueue.removeListener(
+                `message:${this.messageQueue.config.topics.rawData}`, this.handleMessage);
+            this.messageQueue = null;
+        }
+
+        clearInterval(this.flushTimer);
+        clearInterval(this.pruneTimer);
+        this.flushTimer = null;
+        this.pruneTimer = null;
+
+        await this.flush();
+        this.logger.info('Snapshot store stopped');
+    }
+
+    /**
+     * Normalize a connector snapshot and buffer its records
+     */
+    async store(snapshot) {
+        if (!snapshot || !snapshot.source) return;
+
+        const records = this.normalize(snapshot);
+        if (records.predictions) {
+            records.predictions = this.changedPredictions(records.predictions);
+        }
+        Object.entries(records).forEach(([kind, items]) => {
+            items.forEach(record => this.append(kind, record));
+        });
+
+        this.stats.snapshotsStored++;
+    }
+
+    /**
+     * Split a snapshot into per-kind flat records
+     * @returns {Object} kind -> records
+     */
+    normalize(snapshot) {
+        if (snapshot.source === '511ny') {
+            return {
+                'traffic-events': (snapshot.events || []).map(event => ({
+                    timestamp: snapshot.timestamp,
+                    eventId: event.id,
+                    type: event.type,
+                    severity: event.severity,
+                    status: event.status,
+                    borough: event.location?.borough || null,
+                    lat: event.location?.lat,
+                    lon: event.location?.lon,
+                    roadway: event.location?.roadway,
+                    description: event.description
+                })),
+                alerts: (snapshot.alerts || []).map(alert => ({
+                    timestamp: snapshot.timestamp,
+                    source: '511ny',
+                    alertId: alert.id,
+                    routes: alert.affected_routes || [],
+                    boroughs: alert.affected_area?.boroughs || [],
+                    severity: alert.priority,
+                    header: alert.message?.headline,
+                    description: alert.message?.description
+                }))
+            };
+        }
+
+        return {
+            vehicles: (snapshot.vehicleUpdates || []).map(vehicle => ({
+                timestamp: vehicle.timestamp || snapshot.timestamp,
+                routeId: vehicle.trip?.routeId,
+                tripId: vehicle.trip?.tripId,
+                trainId: vehicle.trip?.nyct?.trainId || null,
+                ...this.describeStop(vehicle.stopId, vehicle.stop),
+                status: vehicle.currentStatus,
+                lat: vehicle.position?.latitude,
+                lon: vehicle.position?.longitude
+            })),
+            predictions: (snapshot.tripUpdates || []).flatMap(tripUpdate =>
+                tripUpdate.stopTimeUpdates.filter(Boolean).map(stopUpdate => ({
+                    timestamp: snapshot.timestamp,
+                    routeId: tripUpdate.trip?.routeId,
+                    tripId: tripUpdate.trip?.tripId,
+                    ...this.describeStop(stopUpdate.stopId, stopUpdate.stop),
+                    arrivalTime: stopUpdate.arrival?.time || null,
+                    departureTime: stopUpdate.departure?.time || null,
+                    deviation: stopUpdate.arrivalDeviation ?? null,
+                    track: stopUpdate.track?.actual || null
+                }))
+            ),
+            alerts: (snapshot.alerts || []).map(alert => {
+                const entities = alert.informedEntities || [];
+                return {
+                    timestamp: snapshot.timestamp,
+                    source: snapshot.source,
+                    alertId: alert.id,
+                    routes: [...new Set(entities.map(e => e.routeId || e.trip?.routeId).filter(Boolean))],
+                    stopIds: [...new Set(entities.map(e => e.stopId).filter(Boolean))],
+                    stationIds: [...new Set(entities.map(e => e.stop?.stationStopId).filter(Boolean))],
+                    boroughs: [...new Set(entities.map(e => e.stop?.borough).filter(Boolean))],
+                    severity: alert.severityLevel,
+                    effect: alert.effect,
+                    header: alert.headerText,
+                    description: alert.descriptionText
+                };
+            })
+        };
+    }
+
+    /**
+     * Keep only predictions that differ from the last poll's for the same trip and
+     * stop; a stop's prediction at any time is its latest record before then
+     */
+    changedPredictions(predictions) {
+        const latest = new Map();
+        const changed = predictions.filter(record => {
+            const key = `${record.tripId}|${record.stopId}`;
+            const value = `${record.arrivalTime}|${record.departureTime}|${record.deviation}|${record.track}`;
+            latest.set(key, value);
+            return this.lastPredictions.get(key) !== value;
+        });
+
+        this.stats.unchangedPredictions += predictions.length - changed.length;
+        this.lastPredictions = latest;
+        return changed;
+    }
+
+    describeStop(stopId, stop) {
+        return {
+            stopId,
+            stationId: stop?.stationStopId || null,
+            complexId: stop?.complexId || null,
+            borough: stop?.borough || null
+        };
+    }
+
+    append(kind, record) {
+        const file = this.getFilePath(kind, record.timestamp);
+        if (!this.pending.has(file)) {
+            this.pending.set(file, []);
+        }
+        this.pending.get(file).push(JSON.stringify(record));
+        this.stats.recordsWritten[kind]++;
+    }
+
+    /**
+     * Append buffered records to their day files
+     */
+    async flush() {
+        // Serialize flushes so lines from overlapping calls never interleave
+        while (this.flushing) {
+            await this.flushing;
+        }
+        if (this.pending.size === 0) return;
+
+        const batches = this.pending;
+        this.pending = new Map();
+
+        this.flushing = (async () => {
+            for (const [file, lines] of batches) {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, lines.join('\n') + '\n');
+                batches.delete(file);
+            }
+        })();
+
+        try {
+            await this.flushing;
+            this.stats.lastFlush = Date.now();
+        } catch (error) {
+            // Put unwritten lines back ahead of anything buffered since, for the next flush
+            batches.forEach((lines, file) => {
+                batches.set(file, lines.concat(this.pending.get(file) || []));
+            });
+            this.pending.forEach((lines, file) => {
+                if (!batches.has(file)) batches.set(file, lines);
+            });
+            this.pending = batches;
+
+            this.logger.error('Failed to flush snapshot store', { error: error.message, files: batches.size });
+            this.emitError(error);
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    /**
+     * Re-emit storage errors only to listeners; an unhandled 'error' event would crash the process
+     */
+    emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Delete day files entirely older than each kind's retention
+     */
+    async prune(now = Date.now()) {
+        for (const kind of KINDS) {
+            const cutoff = now - this.config.retention[kind];
+            const files = await this.listDayFiles(kind);
+
+            for (const { file, day } of files) {
+                if (day + DAY <= cutoff) {
+                    await fs.promises.unlink(file);
+                    this.stats.filesPruned++;
+                    this.logger.debug('Pruned history file', { kind, file });
+                }
+            }
+        }
+
+        this.stats.lastPrune = now;
+    }
+
+    /**
+     * Range query over stored records
+     * @param {string} kind - vehicles, predictions, alerts or traffic-events
+     * @param {Object} options - from, to (ms or Date), route, station, borough, limit
+     * @returns {Promise<Array>} The latest `limit` (default queryLimit) matching records in time order
+     */
+    async query(kind, options = {}) {
+        if (!KINDS.includes(kind)) {
+            throw new Error(`Unknown history kind: ${kind}`);
+        }
+
+        const to = options.to ? new Date(options.to).getTime() : Date.now();
+        const from = options.from ? new Date(options.from).getTime() : to - HOUR;
+        if (isNaN(from) || isNaN(to) || from > to) {
+            throw new Error('Invalid time window');
+        }
+
+        // Make sure buffered records are visible to the query
+        await this.flush();
+
+        const files = (await this.listDayFiles(kind))
+            .filter(({ day }) => day + DAY > from && day <= to);
+
+        // Trim to the latest matches while scanning so a long window never sits in memory
+        const limit = options.limit || this.config.queryLimit;
+        let matches = [];
+        const keepLatest = () => {
+            matches.sort((a, b) => a.timestamp - b.timestamp);
+            matches = matches.slice(-limit);
+        };
+
+        for (const { file } of files) {
+            await this.readLines(file, record => {
+                if (record.timestamp >= from && record.timestamp <= to && this.matches(record, options)) {
+                    matches.push(record);
+                    if (matches.length >= 2 * limit) keepLatest();
+                }
+            });
+        }
+
+        keepLatest();
+        return matches;
+    }
+
+    matches(record, { route, station, borough }) {
+        if (route) {
+            const routes = record.routes || [record.routeId];
+            if (!routes.includes(route)) return false;
+        }
+
+        if (station) {
+            const ids = [
+                record.stopId, record.stationId, record.complexId,
+                ...(record.stopIds || []), ...(record.stationIds || [])
+            ];
+            if (!ids.includes(station)) return false;
+        }
+
+        if (borough) {
+            const boroughs = (record.boroughs || [record.borough]).filter(Boolean);
+            if (!boroughs.some(b => b.toLowerCase() === borough.toLowerCase())) return false;
+        }
+
+        return true;
+    }
+
+    async readLines(file, onRecord) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(file),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            if (!line) continue;
+            try {
+                onRecord(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-append can leave a truncated last line
+                this.logger.warn('Skipping unreadable history line', { file });
+            }
+        }
+    }
+
+    async listDayFiles(kind) {
+        const directory = path.join(this.config.directory, kind);
+        let entries;
+
+        try {
+            entries = await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return entries
+            .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+            .map(name => ({
+                file: path.join(directory, name),
+                day: Date.parse(`${name.slice(0, 10)}T00:00:00Z`)
+            }))
+            .sort((a, b) => a.day - b.day);
+    }
+
+    getFilePath(kind, timestamp) {
+        const day = new Date(timestamp || Date.now()).toISOString().slice(0, 10);
+        return path.join(this.config.directory, kind, `${day}.jsonl`);
+    }
+
+    getStats() {
+        return {
+            directory: this.config.directory,
+            pendingFiles: this.pending.size,
+            ...this.stats,
+            recordsWritten: { ...this.stats.recordsWritten }
+        };
+    }
+}
+
+SnapshotStore.KINDS = KINDS;
+
+module.exports = SnapshotStore;
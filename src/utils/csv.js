@@ -0,0 +1,90 @@
+// src/utils/csv.js
+
+/**
+ * Split one CSV line into fields, honoring double-quoted values
+ */
+function parseCSVLine(line) {
+    if (!line.includes('"')) {
+        return line.split(',');
+    }
+
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    fields.push(current);
+    return fields;
+}
+
+/**
+ * Split CSV text into its header and data lines
+ */
+function splitCSV(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headers = parseCSVLine(lines[0] || '').map(header => header.trim());
+    return { headers, lines };
+}
+
+function toRow(headers, line) {
+    const values = parseCSVLine(line);
+    const row = {};
+    headers.forEach((header, index) => {
+        row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return row;
+}
+
+/**
+ * Parse CSV text with a header row, calling onRow for each record
+ * Streaming rows through a callback keeps large files (stop_times.txt) cheap
+ */
+function parseCSV(text, onRow) {
+    const { headers, lines } = splitCSV(text);
+
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i]) onRow(toRow(headers, lines[i]));
+    }
+}
+
+/**
+ * parseCSV that yields to the event loop every `chunkSize` rows, so parsing
+ * a large file does not stall timers and I/O for its whole duration
+ */
+async function parseCSVAsync(text, onRow, chunkSize = 10000) {
+    const { headers, lines } = splitCSV(text);
+
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i]) onRow(toRow(headers, lines[i]));
+        if (i % chunkSize === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+}
+
+module.exports = {
+    parseCSV,
+    parseCSVAsync,
+    parseCSVLine
+};
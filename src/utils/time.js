@@ -0,0 +1,42 @@
+// src/utils/time.js
+// Calendar helpers in New York time, where MTA service days and API quotas roll over
+
+const NYC_TIMEZONE = 'America/New_York';
+
+/**
+ * Format a Date as a YYYYMMDD date in NYC (the GTFS service date format)
+ */
+function toServiceDate(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: NYC_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(date);
+
+    const part = type => parts.find(p => p.type === type).value;
+    return `${part('year')}${part('month')}${part('day')}`;
+}
+
+/**
+ * Time left in the NYC day (off by an hour on DST change days)
+ */
+function msUntilMidnight(now) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: NYC_TIMEZONE,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(now));
+    const part = type => parseInt(parts.find(p => p.type === type).value, 10);
+
+    const elapsed = ((part('hour') * 60 + part('minute')) * 60 + part('second')) * 1000 + now % 1000;
+    return 86400000 - elapsed;
+}
+
+module.exports = {
+    NYC_TIMEZONE,
+    toServiceDate,
+    msUntilMidnight
+};
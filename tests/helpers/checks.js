@@ -0,0 +1,28 @@
+// tests/helpers/checks.js
+// Pass/fail bookkeeping shared by the offline test scripts in tests/integration
+
+const results = [];
+
+/**
+ * Record one check and print it
+ */
+function check(name, passed, detail = '') {
+    results.push({ name, passed });
+    console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+}
+
+/**
+ * Print the tally of every check so far
+ * @returns {boolean} Whether all of them passed
+ */
+function summarize() {
+    const passed = results.filter(result => result.passed).length;
+    console.log(`\n📋 ${passed}/${results.length} checks passed`);
+    return passed === results.length;
+}
+
+module.exports = {
+    results,
+    check,
+    summarize
+};
@@ -0,0 +1,132 @@
+// tests/integration/alert-engine-test.js
+const AlertEngine = require('../../src/alerts/AlertEngine');
+const { SCOPES, getTripDelay } = require('../../src/alerts/scopes');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of the alert engine on synthetic snapshots: route delays from
+ * known delays only, then a rule's life cycle over successive polls -
+ * consecutive polls, deduplication, auto-resolve, cooldown and one-shot rules
+ *
+ * Usage: node tests/integration/alert-engine-test.js
+ */
+
+const T0 = Date.UTC(2025, 6, 7, 12);
+const POLL = 60 * 1000;
+
+const LATE_RULE = {
+    id: 'late',
+    scope: 'route',
+    when: [{ field: 'averageDelay', operator: '>', value: 300 }],
+    consecutive: 3,
+    resolveAfter: 2,
+    cooldown: 600,
+    severity: 'major',
+    message: '{route} trains {averageDelayMinutes} min late'
+};
+
+function trip(routeId, delay, scheduleDeviation) {
+    return { trip: { routeId }, delay, ...(scheduleDeviation !== undefined ? { scheduleDeviation } : {}) };
+}
+
+function subway(poll, delays) {
+    return { source: 'mta', timestamp: T0 + poll * POLL, tripUpdates: delays.map(delay => trip('A', delay)) };
+}
+
+function collect(engine) {
+    const events = { alert: [], alertResolved: [] };
+    Object.keys(events).forEach(event => engine.on(event, alert => events[event].push(alert)));
+    return events;
+}
+
+function testRouteScope() {
+    console.log('\n🚇 Route delays');
+
+    check('schedule deviation, then feed delay, else unknown', getTripDelay(trip('A', 30, 120)) === 120 &&
+        getTripDelay(trip('A', 30)) === 30 && getTripDelay(trip('A', 0)) === 0 && getTripDelay(trip('A', null)) === null);
+
+    const [route] = SCOPES.route.subjects({ tripUpdates: [trip('A', 600), trip('A', null), trip('A', null, 300)] });
+    check('average over known delays only', route.fields.trains === 3 && route.fields.trainsWithDelay === 2 &&
+        route.fields.averageDelay === 450 && route.fields.averageDelayMinutes === 7.5 && route.fields.maxDelay === 600,
+        JSON.stringify(route.fields));
+
+    const [unknown] = SCOPES.route.subjects({ tripUpdates: [trip('C', null), trip('C', null)] });
+    check('no known delay is null, not on time', unknown.fields.averageDelay === null &&
+        unknown.fields.maxDelay === null && unknown.fields.trainsWithDelay === 0);
+
+    const engine = new AlertEngine({ rules: [{ ...LATE_RULE, consecutive: 1 }] });
+    check('unknown delays never match', engine.evaluate(subway(0, [null, null, null])).length === 0);
+
+    const outage = new AlertEngine({ rules: [{ ...LATE_RULE, consecutive: 1, resolveAfter: 1 }] });
+    outage.evaluate(subway(0, [600]));
+    outage.evaluate({ ...subway(1, []), feeds: { ace: { status: 'error', error: 'timeout' } } });
+    const kept = outage.getActiveAlerts().length;
+    outage.evaluate(subway(2, []));
+    check('a failed feed does not clear its routes', kept === 1 && outage.getActiveAlerts().length === 0);
+}
+
+function testLifecycle() {
+    console.log('\n🔔 Life cycle');
+
+    const engine = new AlertEngine({ rules: [LATE_RULE] });
+    const events = collect(engine);
+    const late = [600, 400, null];
+
+    engine.evaluate(subway(1, late));
+    engine.evaluate(subway(2, late));
+    check('no alert before consecutive polls', events.alert.length === 0);
+
+    engine.evaluate(subway(3, late));
+    const [alert] = events.alert;
+    check('fires on the third consecutive poll', events.alert.length === 1 && alert.status === 'active' &&
+        alert.severity === 'major' && alert.message === 'A trains 8.3 min late', alert?.message);
+
+    engine.evaluate(subway(4, [900, 900]));
+    check('deduplicated while still matching', events.alert.length === 1 &&
+        engine.getActiveAlerts().length === 1 && alert.lastSeen === T0 + 4 * POLL && alert.subject.averageDelay === 900);
+
+    engine.evaluate(subway(5, [60]));
+    check('one clear poll does not resolve', events.alertResolved.length === 0 && engine.getActiveAlerts().length === 1);
+
+    engine.evaluate(subway(6, [60]));
+    const [resolved] = events.alertResolved;
+    check('resolves after resolveAfter clear polls', resolved?.status === 'resolved' && resolved.id === alert.id &&
+        engine.getActiveAlerts().length === 0 && engine.getRecentAlerts()[0]?.id === alert.id);
+
+    [7, 8, 9, 10].forEach(poll => engine.evaluate(subway(poll, late)));
+    check('cooldown suppresses firing again', events.alert.length === 1 && engine.getStats().suppressed === 2);
+
+    engine.evaluate(subway(17, late));
+    check('fires again once the cooldown is over', events.alert.length === 2 &&
+        events.alert[1].startedAt === T0 + 17 * POLL);
+
+    engine.evaluate({ source: '511ny', timestamp: T0 + 18 * POLL, events: [] });
+    check('other sources leave route alerts alone', engine.getActiveAlerts().length === 1);
+}
+
+function testOneShot() {
+    console.log('\n🎯 One-shot rules');
+
+    const engine = new AlertEngine({ rules: [{ ...LATE_RULE, consecutive: 1, autoResolve: false, cooldown: 0 }] });
+    const events = collect(engine);
+
+    engine.evaluate(subway(1, [600]));
+    engine.evaluate(subway(2, [60]));
+    check('cleared without a resolution', events.alert.length === 1 && events.alertResolved.length === 0 &&
+        engine.getActiveAlerts().length === 0);
+
+    engine.evaluate(subway(3, [600]));
+    check('fires again on the next match', events.alert.length === 2);
+}
+
+function main() {
+    console.log('🚨 Alert engine test');
+
+    testRouteScope();
+    testLifecycle();
+    testOneShot();
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main();
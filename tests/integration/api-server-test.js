@@ -0,0 +1,162 @@
+// tests/integration/api-server-test.js
+const http = require('http');
+const EventEmitter = require('events');
+const ApiServer = require('../../src/api/ApiServer');
+const TripTracker = require('../../src/analytics/TripTracker');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of the HTTP API on a stand-in pipeline: filtered views of the
+ * latest snapshots, then the 404s for missing data, routes and components and
+ * the 400s for bad parameters
+ *
+ * Usage: node tests/integration/api-server-test.js
+ */
+
+/**
+ * Just enough of a DataIngestionService for the API
+ */
+function createPipeline() {
+    const pipeline = new EventEmitter();
+    pipeline.connectors = new Map();
+    pipeline.getHealth = () => ({ status: 'healthy' });
+    pipeline.getStatus = () => ({ isRunning: true, messageQueue: Promise.resolve({ type: 'memory' }) });
+    return pipeline;
+}
+
+function request(port, urlPath, method = 'GET') {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => {
+                try {
+                    resolve({ status: res.statusCode, type: res.headers['content-type'], body: JSON.parse(body) });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+function vehicle(tripId, routeId, stopId, stop) {
+    return { trip: { tripId, routeId }, stopId, currentStatus: 'stopped_at', stop };
+}
+
+const TIMES_SQ = { stationStopId: '127', borough: 'Manhattan', latitude: 40.75529, longitude: -73.987495 };
+const ATLANTIC = { stationStopId: '235', borough: 'Brooklyn', latitude: 40.684359, longitude: -73.977666 };
+
+function subwaySnapshot(timestamp) {
+    return {
+        source: 'mta',
+        timestamp,
+        feeds: { main: { status: 'ok' } },
+        vehicleUpdates: [
+            vehicle('T1', '1', '127S', TIMES_SQ),
+            vehicle('T2', '2', '235N', ATLANTIC),
+            vehicle('T3', '2', '127N', TIMES_SQ)
+        ],
+        tripUpdates: [{
+            trip: { tripId: 'T1', routeId: '1' },
+            stopTimeUpdates: [{ stopId: '127S', stop: TIMES_SQ, arrival: { time: timestamp + 120000 } }]
+        }],
+        alerts: []
+    };
+}
+
+async function testData(port, pipeline) {
+    console.log('\n📡 Data');
+
+    const empty = await request(port, '/api/subway');
+    check('404 before any data', empty.status === 404 && empty.body.error === 'No mta data received yet');
+
+    pipeline.emit('dataIngested', { connector: 'mta-subway', data: subwaySnapshot(Date.now()) });
+
+    const vehicles = await request(port, '/api/subway/routes/2/vehicles?borough=brooklyn');
+    check('route and borough filters', vehicles.status === 200 &&
+        vehicles.body.vehicles.map(v => v.trip.tripId).join() === 'T2', JSON.stringify(vehicles.body.vehicles?.length));
+
+    const boxed = await request(port, '/api/subway/vehicles?bbox=-74.0,40.75,-73.98,40.76');
+    check('bbox filter', boxed.body.count === 2 && boxed.body.vehicles.every(v => v.stop.borough === 'Manhattan'));
+
+    const arrivals = await request(port, '/api/subway/arrivals?stop=127&limit=1');
+    check('arrivals board', arrivals.status === 200 && arrivals.body.groups[0]?.arrivals[0]?.tripId === 'T1');
+
+    const positions = await request(port, '/api/geojson/subway-trains');
+    check('GeoJSON served as application/geo+json', positions.status === 200 &&
+        positions.type.startsWith('application/geo+json') && positions.body.type === 'FeatureCollection');
+
+    const trips = await request(port, '/api/subway/trips?since=2025-07-07T12:00:00Z&limit=5');
+    check('valid limit and since accepted', trips.status === 200 && Array.isArray(trips.body.trips));
+}
+
+async function testErrors(port) {
+    console.log('\n🚫 Errors');
+
+    const statuses = async paths => Promise.all(paths.map(async urlPath => {
+        const { status, body } = await request(port, urlPath);
+        return { urlPath, status, error: body.error };
+    }));
+    const failing = (responses, expected) => responses.filter(response => response.status !== expected)
+        .map(response => `${response.urlPath} -> ${response.status}`).join(', ');
+
+    const notFound = await statuses([
+        '/api/nowhere',
+        '/api/connectors/subway',
+        '/api/subway/arrivals?stop=X99',
+        '/api/subway/trips/T404',
+        '/api/subway/headways',
+        '/api/history/vehicles',
+        '/api/traffic/events',
+        '/api/geojson/buildings'
+    ]);
+    check('404 for unknown routes, ids and layers', failing(notFound, 404) === '', failing(notFound, 404));
+    check('404 says what is missing', notFound[4].error === 'Headway monitoring is not enabled' &&
+        notFound[6].error === 'No 511ny data received yet', notFound[4].error);
+
+    const badRequests = await statuses([
+        '/api/subway/trips?limit=abc',
+        '/api/subway/trips?limit=-5',
+        '/api/subway/trips?limit=0',
+        '/api/subway/trips?limit=2.5',
+        '/api/subway/trips?since=garbage',
+        '/api/subway/arrivals',
+        '/api/subway/arrivals?stop=127&limit=many',
+        '/api/subway/vehicles?bbox=1,2,3',
+        '/api/subway/vehicles?bbox=-73,40,-74,41',
+        '/api/stream?events=everything',
+        '/api/connectors/%E0%A4%A'
+    ]);
+    check('400 for bad parameters', failing(badRequests, 400) === '', failing(badRequests, 400));
+    check('400 explains the parameter', badRequests[0].error === 'limit must be a positive integer' &&
+        badRequests[4].error.startsWith('since must be'), badRequests[4].error);
+
+    const post = await request(port, '/api/health', 'POST');
+    check('405 for other methods', post.status === 405);
+}
+
+async function main() {
+    console.log('🌐 API server test');
+
+    const pipeline = createPipeline();
+    const server = new ApiServer(pipeline, { port: 0, host: '127.0.0.1', tripTracker: new TripTracker() });
+    await server.start();
+    const { port } = server.server.address();
+
+    try {
+        await testData(port, pipeline);
+        await testErrors(port);
+    } finally {
+        await server.stop();
+    }
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,109 @@
+// tests/integration/arrival-board-test.js
+const ArrivalBoard = require('../../src/query/ArrivalBoard');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of the arrival board on a synthetic MTA snapshot: grouping by
+ * route and direction, ordering and limits, station complexes, route and
+ * direction filters, departed and stale trains
+ *
+ * Usage: node tests/integration/arrival-board-test.js
+ */
+
+const NOW = Date.UTC(2025, 6, 7, 12);
+const at = seconds => NOW + seconds * 1000;
+
+/**
+ * Trip update; stops are [stopId, arrival in seconds from NOW]
+ */
+function trip(tripId, routeId, stops, { timestamp = NOW - 30000 } = {}) {
+    return {
+        trip: { tripId, routeId },
+        timestamp,
+        stopTimeUpdates: stops.map(([stopId, seconds]) => ({ stopId, arrival: { time: at(seconds) } }))
+    };
+}
+
+function createBoard() {
+    const board = new ArrivalBoard();
+    board.update({
+        source: 'mta',
+        timestamp: NOW - 30000,
+        tripUpdates: [
+            trip('1-south-late', '1', [['127S', 600], ['137S', 1200], ['142S', 1500]]),
+            trip('1-south-next', '1', [['127S', 120], ['137S', 720], ['142S', 1020]]),
+            trip('1-south-gone', '1', [['127S', -120], ['137S', 480]]),
+            trip('1-south-due', '1', [['127S', -20], ['137S', 580]]),
+            trip('1-south-fourth', '1', [['127S', 900], ['142S', 1800]]),
+            trip('1-north', '1', [['127N', 300], ['101N', 2400]]),
+            trip('2-south', '2', [['126S', 30], ['127S', 240], ['137S', 840]]),
+            trip('7-west', '7', [['725S', 180]]),
+            trip('3-stale', '3', [['127N', 420]], { timestamp: NOW - 600000 }),
+            trip('A-elsewhere', 'A', [['A31S', 60]])
+        ]
+    });
+    return board;
+}
+
+const summary = board => board.groups.map(group =>
+    `${group.routeId}${group.direction}:${group.arrivals.map(arrival => arrival.tripId).join('+')}`).join(' ');
+
+function testGrouping() {
+    console.log('\n🚉 Grouping');
+
+    const board = createBoard().getArrivals({ stopId: '127', now: NOW });
+    check('groups by route, then direction', summary(board).split(' ').map(group => group.split(':')[0]).join() ===
+        '1N,1S,2S,3N', summary(board));
+
+    const southbound = board.groups.find(group => group.routeId === '1' && group.direction === 'S');
+    check('soonest first, limited to three', southbound.arrivals.map(arrival => arrival.tripId).join() ===
+        '1-south-due,1-south-next,1-south-late', southbound.arrivals.map(arrival => arrival.tripId).join());
+    check('departed trains dropped after the grace period',
+        !board.groups.some(group => group.arrivals.some(arrival => arrival.tripId === '1-south-gone')));
+
+    const [due, next] = southbound.arrivals;
+    check('minutes away, never negative', due.minutesAway === 0 && next.minutesAway === 2);
+    check('direction labels and destination', southbound.directionLabel === 'Downtown' &&
+        next.destination.stopId === '142S' && next.destination.name === 'South Ferry', next.destination.name);
+
+    const stale = board.groups.find(group => group.routeId === '3').arrivals[0];
+    check('old predictions flagged stale', stale.stale && !next.stale);
+
+    check('a stop id covers just its station', board.platforms.length === 1 &&
+        board.station.name === 'Times Sq-42 St' && board.groups.find(group => group.routeId === '2')
+        .arrivals[0].stopId === '127S');
+}
+
+function testFilters() {
+    console.log('\n🔎 Filters');
+
+    const board = createBoard();
+
+    const complex = board.getArrivals({ stopId: '127', includeComplex: true, now: NOW });
+    check('complex adds the other lines', complex.groups.some(group => group.routeId === '7') &&
+        complex.platforms.length === 5, summary(complex));
+
+    const byId = board.getArrivals({ complexId: '611', now: NOW });
+    check('complex id gives the same board', summary(byId) === summary(complex));
+
+    const uptown = board.getArrivals({ stopId: '127', direction: 'N', now: NOW });
+    check('direction filter', summary(uptown) === '1N:1-north 3N:3-stale', summary(uptown));
+
+    const routes = board.getArrivals({ stopId: '127', routes: ['2', '3'], limit: 1, now: NOW });
+    check('route filter and limit', summary(routes) === '2S:2-south 3N:3-stale', summary(routes));
+
+    check('unknown station is null', board.getArrivals({ stopId: 'X99', now: NOW }) === null);
+    check('no snapshot yet gives an empty board', new ArrivalBoard().getArrivals({ stopId: '127', now: NOW })
+        .groups.length === 0);
+}
+
+function main() {
+    console.log('🚇 Arrival board test');
+
+    testGrouping();
+    testFilters();
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main();
@@ -109,7 +109,7 @@ class PipelineIntegrationTest {
         // Create MTA connector
         this.mtaConnector = new MTAConnector({
             apiKey: apiKey,
-            feedId: 1,
+            feeds: 'all',
             pollInterval: 30000, // 30 seconds for testing
             maxRetries: 2,
             timeout: 10000
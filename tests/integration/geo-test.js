@@ -0,0 +1,160 @@
+// tests/integration/geo-test.js
+const SpatialIndex = require('../../src/geo/SpatialIndex');
+const { dbscan } = require('../../src/geo/clustering');
+const { haversineDistance } = require('../../src/geo/distance');
+const { getBoroughLocator } = require('../../src/geo/BoroughLocator');
+const TrafficTransformer = require('../../src/connectors/traffic/transformers/TrafficTransformer');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of the geo helpers: spatial index queries checked against a
+ * brute-force scan, DBSCAN clustering, borough lookups and hotspot ids
+ *
+ * Usage: node tests/integration/geo-test.js
+ */
+
+/**
+ * Deterministic pseudo-random points over the city
+ */
+function makePoints(count) {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    return Array.from({ length: count }, (value, index) => ({
+        id: `p${index}`,
+        location: { lat: 40.55 + random() * 0.35, lon: -74.2 + random() * 0.45 }
+    }));
+}
+
+function bruteForce(points, lat, lon) {
+    return points
+        .map(point => ({ point, distanceKm: haversineDistance(lat, lon, point.location.lat, point.location.lon) }))
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+const ids = matches => matches.map(match => (match.item || match.point || match).id).join();
+
+function testSpatialIndex() {
+    console.log('\n🗺️  Spatial index');
+
+    const points = makePoints(2000);
+    const index = new SpatialIndex().load([...points, { id: 'nowhere', location: { lat: null, lon: 1 } }]);
+    check('points without coordinates skipped', index.size === points.length);
+
+    const queries = [[40.758, -73.9855], [40.6782, -73.9442], [40.9, -73.7], [40.3, -74.5]];
+    const radiusOk = queries.every(([lat, lon]) => [0.2, 1, 5].every(radiusKm =>
+        ids(index.withinRadius(lat, lon, radiusKm)) ===
+        ids(bruteForce(points, lat, lon).filter(match => match.distanceKm <= radiusKm))));
+    check('radius queries match a full scan, nearest first', radiusOk);
+
+    const nearestOk = queries.every(([lat, lon]) => [1, 5, 25].every(limit =>
+        ids(index.nearest(lat, lon, { limit })) === ids(bruteForce(points, lat, lon).slice(0, limit))));
+    check('k-nearest matches a full scan, also far from the data', nearestOk);
+
+    const capped = index.nearest(40.758, -73.9855, { limit: 50, maxDistanceKm: 0.5 });
+    check('nearest honours maxDistanceKm', capped.every(match => match.distanceKm <= 0.5) &&
+        capped.length === bruteForce(points, 40.758, -73.9855).filter(match => match.distanceKm <= 0.5).length);
+
+    const bbox = { west: -74.0, south: 40.7, east: -73.9, north: 40.8 };
+    const inside = points.filter(point => point.location.lat >= bbox.south && point.location.lat <= bbox.north &&
+        point.location.lon >= bbox.west && point.location.lon <= bbox.east);
+    check('bounding box in insertion order', ids(index.withinBounds(bbox)) === ids(inside), `${inside.length} points`);
+
+    const twins = new SpatialIndex().load([{ id: 'b', lat: 40.7, lon: -74 }, { id: 'a', lat: 40.7, lon: -74 }]);
+    check('ties kept in insertion order', ids(twins.nearest(40.7, -74, { limit: 2 })) === 'b,a' &&
+        ids(twins.withinRadius(40.7, -74, 0.1, { filter: item => item.id === 'a' })) === 'a');
+}
+
+function testClustering() {
+    console.log('\n🫧 DBSCAN');
+
+    // Two groups 100 m apart internally, a chain reaching 0.9 km from its start, and a lone point
+    const offset = (id, lat, lon, dLatKm, dLonKm) => ({
+        id, location: { lat: lat + dLatKm / 111.2, lon: lon + dLonKm / (111.2 * Math.cos(lat * Math.PI / 180)) }
+    });
+    const items = [
+        offset('m1', 40.758, -73.9855, 0, 0),
+        offset('m2', 40.758, -73.9855, 0.1, 0),
+        offset('m3', 40.758, -73.9855, 0, 0.1),
+        offset('c1', 40.68, -73.95, 0, 0),
+        offset('c2', 40.68, -73.95, 0.45, 0),
+        offset('c3', 40.68, -73.95, 0.9, 0),
+        offset('lone', 40.6, -74.1, 0, 0)
+    ];
+
+    const { clusters, noise } = dbscan(items, { epsKm: 0.5, minPoints: 2 });
+    const describe = result => result.clusters.map(cluster => cluster.map(item => item.id).sort().join()).sort().join(' | ');
+    check('dense groups and chains clustered', describe({ clusters }) === 'c1,c2,c3 | m1,m2,m3',
+        describe({ clusters }));
+    check('isolated point is noise', ids(noise) === 'lone');
+
+    check('same clusters whatever the input order', describe(dbscan([...items].reverse())) === describe({ clusters }));
+
+    const strict = dbscan(items, { epsKm: 0.5, minPoints: 3 });
+    check('minPoints raises the density needed', describe(strict) === 'c1,c2,c3 | m1,m2,m3' &&
+        dbscan(items, { epsKm: 0.3, minPoints: 3 }).clusters.length === 1);
+    check('items without coordinates ignored', dbscan([...items, { id: 'x', location: {} }]).clusters.length === 2);
+}
+
+function testBoroughs() {
+    console.log('\n🏙️  Boroughs');
+
+    const locator = getBoroughLocator();
+    const places = [
+        [40.758, -73.9855, 'Manhattan'],
+        [40.7447, -73.9485, 'Queens'],
+        [40.6782, -73.9442, 'Brooklyn'],
+        [40.8448, -73.8648, 'Bronx'],
+        [40.5795, -74.1502, 'Staten Island']
+    ];
+    const found = places.map(([lat, lon]) => locator.findBorough(lat, lon));
+    check('points inside each borough', found.join() === places.map(place => place[2]).join(), found.join());
+
+    check('far outside the city is null', locator.findBorough(40.5, -73.5) === null &&
+        locator.findBorough('x', -73.9) === null);
+    check('lookup by name or code', locator.getBorough('Bk')?.name === 'Brooklyn' &&
+        locator.isInBorough(40.758, -73.9855, 'manhattan'));
+
+    const resolved = locator.resolve(40.7447, -73.9485);
+    check('community district and neighborhood', resolved.communityDistrict?.borough === 'Queens' &&
+        resolved.neighborhood?.name === 'Long Island City', resolved.neighborhood?.name);
+}
+
+function testHotspotIds() {
+    console.log('\n📍 Hotspot ids');
+
+    const transformer = new TrafficTransformer();
+    const event = (id, reported, lat, lon) => ({
+        id, type: 'accident', severity: 'minor', timing: { reported }, location: { lat, lon }, impact: {}
+    });
+    const hotspots = events => {
+        const data = { events, geoSummary: {}, metrics: { congestionLevels: {} } };
+        transformer.identifyHotspots(data);
+        return data.geoSummary.eventHotspots;
+    };
+
+    const base = [event('e2', 2000, 40.7581, -73.9856), event('e1', 1000, 40.7580, -73.9855)];
+    const [first] = hotspots(base);
+    check('hotspot named after its earliest event', first?.id === 'hotspot_e1', first?.id);
+
+    const [grown] = hotspots([...base, event('e3', 3000, 40.7600, -73.9830)]);
+    const [shrunk] = hotspots([base[1], event('e3', 3000, 40.7600, -73.9830)]);
+    check('id kept when events join or leave', grown?.id === first.id && grown.eventCount === 3 &&
+        shrunk?.id === first.id && grown.center.lat !== first.center.lat);
+}
+
+function main() {
+    console.log('🌐 Geo test');
+
+    testSpatialIndex();
+    testClustering();
+    testBoroughs();
+    testHotspotIds();
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,123 @@
+// tests/integration/geojson-test.js
+const GeoJSONExporter = require('../../src/geo/GeoJSONExporter');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of the GeoJSON export on a synthetic 511NY snapshot and train
+ * positions: RFC 7946 structure, [lon, lat] order and rounding, dropped
+ * invalid points, flat properties and the layer names
+ *
+ * Usage: node tests/integration/geojson-test.js
+ */
+
+const NOW = Date.UTC(2025, 6, 7, 12);
+
+function event(id, location, extra = {}) {
+    return { id, type: 'accident', severity: 'major', location, timing: { reported: NOW - 600000 }, ...extra };
+}
+
+const trafficSnapshot = {
+    source: '511ny',
+    timestamp: NOW,
+    events: [
+        event(101, { lat: 40.7580123456, lon: -73.9855123456, roadway: 'I-495', borough: 'Manhattan' },
+            { impact: { lanes_blocked: 2, speed: NaN } }),
+        event('ev-2', { lat: '40.6782', lon: '-73.9442', borough: 'Brooklyn' }),
+        event('no-location', undefined),
+        event('null-island', { lat: 0, lon: 0 }),
+        event('out-of-range', { lat: 140.1, lon: -73.9 }),
+        event('not-a-number', { lat: 'n/a', lon: -73.9 }),
+        event('missing-lon', { lat: 40.7 })
+    ],
+    cameras: [
+        { id: 'cam-1', name: 'FDR @ 42 St', location: { lat: 40.7488, lon: -73.9680 }, urls: { snapshot: 'http://cam/1.jpg' } },
+        { id: 'cam-2', name: 'Nowhere', location: { lat: null, lon: null } }
+    ],
+    messageSigns: [
+        { id: 'sign-1', location: { lat: 40.8, lon: -73.93 }, message: { lines: ['ACCIDENT AHEAD', 'USE CAUTION'] } }
+    ],
+    geoSummary: {
+        eventHotspots: [{ center: { lat: 40.758, lon: -73.9855 }, eventCount: 3, types: ['accident', 'construction'] }]
+    }
+};
+
+function testStructure() {
+    console.log('\n🗺️  Structure');
+
+    const layer = new GeoJSONExporter().trafficEvents(trafficSnapshot);
+    check('FeatureCollection named after its layer', layer.type === 'FeatureCollection' &&
+        layer.name === 'traffic-events' && layer.generated === new Date(NOW).toISOString());
+    check('features are Points with string ids', layer.features.every(feature => feature.type === 'Feature' &&
+        feature.geometry.type === 'Point' && typeof feature.id === 'string' && feature.properties.id === feature.id));
+
+    const [first, second] = layer.features;
+    check('coordinates are [lon, lat]', first.geometry.coordinates[0] < -73 && first.geometry.coordinates[1] > 40,
+        JSON.stringify(first.geometry.coordinates));
+    check('rounded to 6 decimals', first.geometry.coordinates.join() === '-73.985512,40.758012');
+    check('numeric strings accepted', second.geometry.coordinates.join() === '-73.9442,40.6782');
+
+    const ids = layer.features.map(feature => feature.id).join();
+    check('invalid or missing coordinates dropped', ids === '101,ev-2', ids);
+    check('bbox is [minLon, minLat, maxLon, maxLat] of the kept points',
+        layer.bbox.join() === '-73.985512,40.6782,-73.9442,40.758012', layer.bbox.join());
+
+    check('same keys on every feature', Object.keys(first.properties).join() ===
+        Object.keys(second.properties).join());
+    check('unknown and NaN values are null', second.properties.roadway === null && first.properties.speed === null &&
+        first.properties.lanes_blocked === 2);
+    check('timestamps as ISO 8601', first.properties.reported === new Date(NOW - 600000).toISOString() &&
+        first.properties.estimated_end === null);
+
+    const empty = new GeoJSONExporter().trafficEvents({ source: '511ny', timestamp: NOW });
+    check('empty collection has no bbox', empty.features.length === 0 && !('bbox' in empty));
+
+    const coarse = new GeoJSONExporter({ precision: 3 }).trafficEvents(trafficSnapshot);
+    check('precision option', coarse.features[0].geometry.coordinates.join() === '-73.986,40.758');
+}
+
+function testLayers() {
+    console.log('\n📚 Layers');
+
+    const exporter = new GeoJSONExporter();
+    const traffic = exporter.exportTraffic(trafficSnapshot);
+    check('traffic layers', Object.keys(traffic).join() === 'traffic-events,cameras,message-signs,hotspots');
+    check('cameras without coordinates dropped', traffic.cameras.features.map(feature => feature.id).join() === 'cam-1' &&
+        traffic.cameras.features[0].properties.snapshot_url === 'http://cam/1.jpg');
+    check('lists joined with commas', traffic['message-signs'].features[0].properties.message ===
+        'ACCIDENT AHEAD / USE CAUTION' && traffic.hotspots.features[0].properties.types === 'accident,construction' &&
+        traffic.hotspots.features[0].id === 'hotspot-1');
+
+    const stations = exporter.subwayStations({ route: '1', borough: 'bronx' });
+    check('station filters', stations.features.length > 0 && stations.features.every(feature =>
+        feature.properties.borough === 'Bronx' && feature.properties.routes.split(',').includes('1')));
+
+    const trains = exporter.exportLayer('subway-trains', [
+        { tripId: 'T1', routeId: '1', latitude: 40.88, longitude: -73.90, status: 'in_transit_to', progress: 0.5,
+            nextStop: { stopId: '103N', name: '238 St', arrival: NOW + 60000 }, precision: 'interpolated', timestamp: NOW },
+        { tripId: 'T2', routeId: '1', latitude: undefined, longitude: undefined }
+    ]);
+    check('train positions as points', trains.features.length === 1 &&
+        trains.features[0].geometry.coordinates.join() === '-73.9,40.88' &&
+        trains.features[0].properties.next_arrival === new Date(NOW + 60000).toISOString() &&
+        trains.features[0].properties.previous_stop === null);
+
+    let error = null;
+    try {
+        exporter.exportLayer('buildings', trafficSnapshot);
+    } catch (e) {
+        error = e;
+    }
+    check('unknown layer rejected', error && error.message.startsWith('Unknown GeoJSON layer: buildings') &&
+        GeoJSONExporter.LAYERS.length === 6);
+}
+
+function main() {
+    console.log('🌍 GeoJSON export test');
+
+    testStructure();
+    testLayers();
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,186 @@
+// tests/integration/gtfs-schedule-test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { GTFSSchedule, parseGTFSTime, toServiceDate } = require('../../src/reference/GTFSSchedule');
+const ScheduleDelayCalculator = require('../../src/analytics/ScheduleDelayCalculator');
+const MTAConnector = require('../../src/connectors/mta/MTAConnector');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of the static GTFS schedule on a small synthetic feed:
+ * GTFS times, the service calendar and its exceptions, realtime trip id
+ * matching, schedule deviations and non-blocking loading from a directory
+ * or a zip
+ *
+ * Usage: node tests/integration/gtfs-schedule-test.js
+ */
+
+const WEEKDAY_TRIP = 'AFA25GEN-1038-Weekday-00_000600_1..N03R';
+const SATURDAY_TRIP = 'AFA25GEN-1038-Saturday-00_000600_1..N03R';
+const LATE_TRIP = 'AFA25GEN-1038-Weekday-00_151000_1..N03R';
+const FILLER_STOP_TIMES = 30000;
+
+// 2025-07-07 is a Monday; service days start at local midnight (EDT, UTC-4)
+const MONDAY = '20250707';
+const MONDAY_START = Date.UTC(2025, 6, 7, 4);
+
+function writeFeed(directory) {
+    const files = {
+        'stops.txt': 'stop_id,stop_name,stop_lat,stop_lon,parent_station\n' +
+            '101,Van Cortlandt Park-242 St,40.889248,-73.898583,\n' +
+            '101N,Van Cortlandt Park-242 St,40.889248,-73.898583,101\n' +
+            '103N,238 St,40.884667,-73.90087,103\n',
+        'trips.txt': 'route_id,trip_id,service_id,trip_headsign,direction_id,shape_id\n' +
+            `1,${WEEKDAY_TRIP},Weekday,Van Cortlandt Park-242 St,0,1..N03R\n` +
+            `1,${SATURDAY_TRIP},Saturday,Van Cortlandt Park-242 St,0,1..N03R\n` +
+            `1,${LATE_TRIP},Weekday,Van Cortlandt Park-242 St,0,1..N03R\n` +
+            '1,FILLER,Weekday,,0,\n',
+        'stop_times.txt': 'trip_id,arrival_time,departure_time,stop_id,stop_sequence\n' +
+            `${WEEKDAY_TRIP},06:02:30,06:02:30,103N,2\n` +
+            `${WEEKDAY_TRIP},06:00:00,06:00:00,101N,1\n` +
+            `${SATURDAY_TRIP},06:00:00,06:00:00,101N,1\n` +
+            `${LATE_TRIP},25:10:00,25:10:00,101N,1\n` +
+            // Enough rows that loading has to yield to the event loop
+            Array.from({ length: FILLER_STOP_TIMES }, (value, index) =>
+                `FILLER,12:00:00,12:00:00,103N,${index + 1}`).join('\n'),
+        'calendar.txt': 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\n' +
+            'Weekday,1,1,1,1,1,0,0,20250101,20261231\n' +
+            'Saturday,0,0,0,0,0,1,0,20250101,20261231\n',
+        'calendar_dates.txt': 'service_id,date,exception_type\n' +
+            'Weekday,20251225,2\n' +
+            'Saturday,20251225,1\n'
+    };
+
+    fs.mkdirSync(directory, { recursive: true });
+    Object.entries(files).forEach(([file, text]) => fs.writeFileSync(path.join(directory, file), text));
+    return files;
+}
+
+function testTimes() {
+    console.log('\n🕐 Times');
+
+    check('GTFS times past midnight', parseGTFSTime('25:10:30') === 90630 && parseGTFSTime('06:00:00') === 21600);
+    check('invalid GTFS times are null', parseGTFSTime('') === null && parseGTFSTime('six:00:00') === null);
+    check('service date in NYC time', toServiceDate(new Date('2025-07-08T03:00:00Z')) === MONDAY,
+        toServiceDate(new Date('2025-07-08T03:00:00Z')));
+}
+
+async function testLoading(directory) {
+    console.log('\n📂 Loading');
+
+    let ticks = 0;
+    const ticker = setInterval(() => { ticks++; }, 0);
+    const schedule = await GTFSSchedule.load(directory);
+    clearInterval(ticker);
+
+    check('directory feed indexed', schedule.stops.size === 3 && schedule.trips.size === 4 &&
+        schedule.getStopTimes('FILLER').length === FILLER_STOP_TIMES);
+    check('event loop keeps running while loading', ticks > 0, `${ticks} timer ticks`);
+    check('stop times ordered by sequence',
+        schedule.getStopTimes(WEEKDAY_TRIP).map(stopTime => stopTime.stopId).join() === '101N,103N');
+
+    const zip = new AdmZip();
+    ['stops.txt', 'trips.txt', 'stop_times.txt', 'calendar.txt'].forEach(file =>
+        zip.addLocalFile(path.join(directory, file), 'google_transit'));
+    const zipPath = path.join(directory, 'google_transit.zip');
+    zip.writeZip(zipPath);
+
+    const zipped = await GTFSSchedule.load(zipPath);
+    check('zip feed indexed (nested folder, no calendar_dates)',
+        zipped.trips.size === 4 && zipped.calendarDates.size === 0);
+
+    const missing = await GTFSSchedule.load(path.join(directory, 'nowhere')).then(() => null, error => error);
+    check('missing source rejected', /not found/.test(missing?.message || ''), missing?.message);
+
+    return schedule;
+}
+
+function testCalendar(schedule) {
+    console.log('\n📅 Service calendar');
+
+    check('weekday service runs on Monday', schedule.isServiceActive('Weekday', MONDAY));
+    check('weekday service off on Saturday', !schedule.isServiceActive('Weekday', '20250705'));
+    check('removed and added exceptions', !schedule.isServiceActive('Weekday', '20251225') &&
+        schedule.isServiceActive('Saturday', '20251225'));
+    check('outside the date range', !schedule.isServiceActive('Weekday', '20270104'));
+    check('unknown service never runs', !schedule.isServiceActive('Holiday', MONDAY));
+}
+
+function testTripMatching(schedule) {
+    console.log('\n🔗 Realtime trip ids');
+
+    check('static id without service prefix', schedule.toRealtimeTripId(WEEKDAY_TRIP) === '000600_1..N03R');
+    check('weekday run matched on Monday', schedule.findTrip('000600_1..N03R', MONDAY)?.tripId === WEEKDAY_TRIP);
+    check('Saturday run matched on Saturday', schedule.findTrip('000600_1..N03R', '20250705')?.tripId === SATURDAY_TRIP);
+    check('holiday exception picks the Saturday run',
+        schedule.findTrip('000600_1..N03R', '20251225')?.tripId === SATURDAY_TRIP);
+    check('no run on Sunday', schedule.findTrip('000600_1..N03R', '20250706') === null);
+    check('static ids match directly', schedule.findTrip(WEEKDAY_TRIP)?.tripId === WEEKDAY_TRIP);
+
+    const late = schedule.getScheduledStopTime(LATE_TRIP, '101N', MONDAY);
+    check('times past 24:00 fall on the next day', late.arrival === MONDAY_START + 90600 * 1000,
+        new Date(late.arrival).toISOString());
+}
+
+function testDeviations(schedule) {
+    console.log('\n⏱️  Deviations');
+
+    const snapshot = {
+        summary: {},
+        tripUpdates: [{
+            trip: { tripId: '000600_1..N03R', routeId: '1', startDate: MONDAY },
+            stopTimeUpdates: [
+                { stopId: '101N', arrival: { time: MONDAY_START + (21600 + 90) * 1000, delay: null } },
+                { stopId: '103N', arrival: { time: MONDAY_START + (21750 + 150) * 1000, delay: null } },
+                { stopId: '999N', arrival: { time: MONDAY_START + 22000 * 1000, delay: null } }
+            ]
+        }, {
+            trip: { tripId: '999999_1..N03R', routeId: '1', startDate: MONDAY },
+            stopTimeUpdates: [{ stopId: '101N', arrival: { time: MONDAY_START, delay: null } }]
+        }]
+    };
+
+    new ScheduleDelayCalculator(schedule).apply(snapshot);
+    const [matched, unmatched] = snapshot.tripUpdates;
+
+    check('per-stop deviations', matched.stopTimeUpdates[0].arrivalDeviation === 90 &&
+        matched.stopTimeUpdates[1].arrivalDeviation === 150,
+        matched.stopTimeUpdates.map(stop => stop.arrivalDeviation).join(', '));
+    check('trip deviation is the next stop', matched.scheduleDeviation === 90);
+    check('unscheduled stop and trip left without deviation',
+        matched.stopTimeUpdates[2].arrivalDeviation === undefined && unmatched.scheduleDeviation === null);
+    check('summary counts matches', snapshot.summary.schedule.matchedTrips === 1 &&
+        snapshot.summary.schedule.unmatchedTrips === 1 && snapshot.summary.schedule.averageDeviation === 90);
+
+    const connector = new MTAConnector({ apiKey: 'test', feeds: ['main'] });
+    check('average delay skips stops without a known delay', connector.calculateAverageDelay(snapshot, '1') === 120);
+    check('no known delay is null, not on time', connector.calculateAverageDelay({
+        tripUpdates: [{ trip: { routeId: '1' }, stopTimeUpdates: [{ stopId: '101N', arrival: { delay: null } }] }]
+    }, '1') === null);
+}
+
+async function main() {
+    console.log('🗓️  Static GTFS schedule test');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-schedule-'));
+
+    try {
+        testTimes();
+        writeFeed(path.join(directory, 'feed'));
+        const schedule = await testLoading(path.join(directory, 'feed'));
+        testCalendar(schedule);
+        testTripMatching(schedule);
+        testDeviations(schedule);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,121 @@
+// tests/integration/headway-monitor-test.js
+const HeadwayMonitor = require('../../src/analytics/HeadwayMonitor');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of headway monitoring on synthetic MTA snapshots: arrivals
+ * from stopped vehicles and advancing predictions, observed headways, gap
+ * and recovery alerts, schedule-based thresholds and bunching alerts
+ *
+ * Usage: node tests/integration/headway-monitor-test.js
+ */
+
+const T0 = Date.UTC(2025, 6, 7, 12);
+const MINUTE = 60 * 1000;
+
+function stopped(tripId, routeId, stopId, time) {
+    return { trip: { tripId, routeId }, stopId, currentStatus: 'stopped_at', timestamp: time };
+}
+
+function heading(tripId, routeId, stopId, arrival) {
+    return { trip: { tripId, routeId }, stopTimeUpdates: [{ stopId, arrival: { time: arrival } }] };
+}
+
+function snapshot(timestamp, vehicleUpdates = [], tripUpdates = []) {
+    return { source: 'mta', timestamp, vehicleUpdates, tripUpdates };
+}
+
+function collect(monitor) {
+    const events = { gap: [], gapResolved: [], bunching: [] };
+    Object.keys(events).forEach(event => monitor.on(event, alert => events[event].push(alert)));
+    return events;
+}
+
+function testArrivals() {
+    console.log('\n🚉 Arrivals');
+
+    const monitor = new HeadwayMonitor();
+    monitor.update(snapshot(T0, [stopped('T1', '1', '104N', T0)]));
+    monitor.update(snapshot(T0 + 5 * MINUTE, [stopped('T2', '1', '104N', T0 + 5 * MINUTE)]));
+    monitor.update(snapshot(T0 + 6 * MINUTE, [stopped('T2', '1', '104N', T0 + 5 * MINUTE)]));
+
+    const [platform] = monitor.getHeadways({ route: '1', stopId: '104' });
+    check('stopped vehicles recorded once each', platform?.observedArrivals === 2 && platform.averageHeadway === 300,
+        `${platform?.observedArrivals} arrivals, ${platform?.averageHeadway} s`);
+
+    monitor.update(snapshot(T0, [], [heading('T3', '1', '104S', T0 + 2 * MINUTE)]));
+    monitor.update(snapshot(T0 + 3 * MINUTE, [], [heading('T3', '1', '103S', T0 + 5 * MINUTE)]));
+    const [passed] = monitor.getHeadways({ stopId: '104S' });
+    check('advancing prediction credits the passed stop', passed?.lastArrival === T0 + 2 * MINUTE);
+
+    const watched = new HeadwayMonitor({ stations: ['103'] });
+    watched.update(snapshot(T0, [stopped('T1', '1', '104N', T0), stopped('T2', '1', '103N', T0)]));
+    check('only watched stations tracked', watched.getHeadways().map(headway => headway.stopId).join() === '103N');
+}
+
+function testGaps() {
+    console.log('\n🕳️  Gaps');
+
+    const monitor = new HeadwayMonitor({ gapThreshold: 600 });
+    const events = collect(monitor);
+
+    monitor.update(snapshot(T0, [stopped('T1', '1', '104N', T0)]));
+    monitor.update(snapshot(T0 + 9 * MINUTE));
+    check('no gap within the threshold', events.gap.length === 0);
+
+    monitor.update(snapshot(T0 + 11 * MINUTE));
+    monitor.update(snapshot(T0 + 13 * MINUTE));
+    const [gap] = events.gap;
+    check('overdue platform raises one gap', events.gap.length === 1 && gap.type === 'headway_gap' &&
+        gap.status === 'active' && gap.observedHeadway === 660 && gap.station?.name === '231 St',
+        gap?.message);
+    check('active gap listed', monitor.getActiveGaps().length === 1);
+
+    monitor.update(snapshot(T0 + 15 * MINUTE, [stopped('T2', '1', '104N', T0 + 15 * MINUTE)]));
+    const [resolved] = events.gapResolved;
+    check('next train resolves the gap', resolved?.status === 'resolved' && resolved.observedHeadway === 900 &&
+        resolved.id === gap.id && monitor.getActiveGaps().length === 0, resolved?.message);
+
+    const scheduled = new HeadwayMonitor({ schedule: { getScheduledHeadway: () => 240 } });
+    const unscheduled = new HeadwayMonitor({ schedule: { getScheduledHeadway: () => null } });
+    const platform = { routeId: '1', stopId: '104N' };
+    check('schedule sets the gap threshold', scheduled.getGapThreshold(platform, T0).threshold === 480 &&
+        unscheduled.getGapThreshold(platform, T0).threshold === null);
+}
+
+function testBunching() {
+    console.log('\n🚃 Bunching');
+
+    const monitor = new HeadwayMonitor();
+    const events = collect(monitor);
+
+    monitor.update(snapshot(T0, [stopped('B1', '1', '104N', T0)]));
+    monitor.update(snapshot(T0 + MINUTE, [stopped('B2', '1', '104N', T0 + MINUTE)]));
+    const [bunching] = events.bunching;
+    check('two trains within the threshold', events.bunching.length === 1 &&
+        bunching.trips.join() === 'B1,B2' && bunching.observedHeadway === 60, bunching?.message);
+
+    monitor.update(snapshot(T0 + 2 * MINUTE, [stopped('B1', '1', '103N', T0 + 2 * MINUTE)]));
+    monitor.update(snapshot(T0 + 3 * MINUTE, [stopped('B2', '1', '103N', T0 + 3 * MINUTE)]));
+    check('same pair not reported again at the next stop', events.bunching.length === 1);
+
+    monitor.update(snapshot(T0, [stopped('B3', '1', '104S', T0)]));
+    monitor.update(snapshot(T0 + MINUTE, [stopped('B4', '1', '104S', T0 + MINUTE)]));
+    check('other pairs and directions still reported', events.bunching.length === 2 &&
+        events.bunching[1].direction === 'S');
+
+    monitor.update(snapshot(T0 + 10 * MINUTE, [stopped('B5', '1', '104N', T0 + 10 * MINUTE)]));
+    check('normal headways are not bunching', events.bunching.length === 2);
+}
+
+function main() {
+    console.log('🚦 Headway monitor test');
+
+    testArrivals();
+    testGaps();
+    testBunching();
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,275 @@
+// tests/integration/mock-server-test.js
+const MockFeedServer = require('../../src/dev/mock/MockFeedServer');
+const MTAConnector = require('../../src/connectors/mta/MTAConnector');
+const TrafficConnector = require('../../src/connectors/traffic/TrafficConnector');
+const { RateLimiter } = require('../../src/connectors/base/RateLimiter');
+const SnapshotDiffer = require('../../src/pipeline/processing/SnapshotDiffer');
+const EventStream = require('../../src/api/EventStream');
+const AlertEngine = require('../../src/alerts/AlertEngine');
+const { isInBoundingBox } = require('../../src/query/filters');
+const { results, check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline end-to-end test against the mock MTA / 511NY server:
+ * transformers on synthetic feeds, change detection through a single feed or endpoint outage,
+ * then outage -> circuit breaker -> recovery,
+ * then a frozen feed -> stale -> fresh, and rate limits / 429s / daily quota
+ *
+ * Usage: node tests/integration/mock-server-test.js
+ */
+
+function waitFor(emitter, event, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+        emitter.once(event, (...args) => {
+            clearTimeout(timer);
+            resolve(...args);
+        });
+    });
+}
+
+async function testTransformers(server) {
+    console.log('\n📊 Synthetic feeds');
+
+    const mta = new MTAConnector({ baseUrl: server.mtaBaseUrl, apiKey: server.config.apiKey });
+    await mta.loadProtobufSchema();
+    const subway = await mta.fetchData();
+
+    check('all MTA feeds decoded', subway.summary.failedFeeds === 0, `${subway.summary.successfulFeeds} feeds`);
+    check('vehicles and trip updates', subway.vehicleUpdates.length > 0 && subway.tripUpdates.length > 0,
+        `${subway.vehicleUpdates.length} vehicles`);
+    check('NYCT extensions decoded', subway.tripUpdates.every(trip => trip.trip.nyct && trip.trip.nyct.trainId));
+    check('stops enriched with stations', subway.summary.unknownStopIds.length === 0);
+
+    const traffic = new TrafficConnector({ baseUrl: server.trafficBaseUrl, apiKey: server.config.apiKey });
+    const roads = await traffic.fetchData();
+
+    check('511NY events transformed', roads.events.length > 0, `${roads.events.length} events`);
+    check('511NY cameras and signs transformed', roads.cameras.length > 0 && roads.messageSigns.length > 0);
+}
+
+async function testScenarios(server) {
+    console.log('\n🎬 Scenarios');
+
+    const mta = new MTAConnector({ baseUrl: server.mtaBaseUrl, apiKey: server.config.apiKey, timeout: 500 });
+    await mta.loadProtobufSchema();
+
+    server.setScenario('outage', { target: 'mta', keys: 'l' });
+    const partial = await mta.fetchData();
+    check('single feed outage isolated', partial.summary.failedFeeds === 1 && partial.feeds.l.status === 'error');
+
+    server.setScenario('malformed', { target: 'mta' });
+    check('malformed protobuf rejected', await mta.fetchData().then(() => false, () => true));
+
+    server.setScenario('slow', { target: 'mta' });
+    check('slow response times out', await mta.fetchData().then(() => false, () => true));
+
+    server.setScenario('unauthorized', { target: 'mta' });
+    check('401 fails API key validation', (await mta.validateApiKey()) === false);
+
+    server.resetScenarios();
+}
+
+async function testChangeDetection(server) {
+    console.log('\n🔀 Change detection');
+
+    const mta = new MTAConnector({ baseUrl: server.mtaBaseUrl, apiKey: server.config.apiKey, feeds: ['ace', 'l'] });
+    await mta.loadProtobufSchema();
+    const differ = new SnapshotDiffer();
+
+    const baseline = differ.diff('mta-subway', await mta.fetchData());
+    const lTrains = baseline.changes.filter(change => change.type === 'vehicle.added' && change.routeId === 'L');
+
+    server.setScenario('outage', { target: 'mta', keys: 'l' });
+    const outage = differ.diff('mta-subway', await mta.fetchData());
+    server.resetScenarios();
+
+    const removed = outage.changes.filter(change => change.type === 'vehicle.removed' && change.routeId === 'L');
+    check('failed feed carried forward, not removed', lTrains.length > 0 && removed.length === 0 &&
+        outage.failedFeeds.join() === 'l', `${lTrains.length} L trains, ${removed.length} removed`);
+
+    const recovered = differ.diff('mta-subway', await mta.fetchData());
+    const readded = recovered.changes.filter(change => change.type === 'vehicle.added' && change.routeId === 'L');
+    check('recovered feed diffed against its last good poll', readded.length < lTrains.length,
+        `${readded.length} L trains added again`);
+
+    const stream = new EventStream({ on() {} });
+    const event = { type: 'changes', connector: 'mta-subway', payload: { changes: baseline } };
+    const filtered = stream.applySubscription({ filters: { route: 'L' } }, event);
+    const nowhere = stream.applySubscription({ filters: { route: 'L', borough: 'Staten Island' } }, event);
+    check('changes filtered by route and borough', filtered.changes.changes.length > 0 &&
+        filtered.changes.changes.every(change => change.routeId === 'L' ||
+            change.item?.informedEntities?.some(entity => entity.routeId === 'L')) && nowhere === null);
+
+    const bbox = { west: -74.02, south: 40.7, east: -73.93, north: 40.8 };
+    const boxed = stream.applySubscription({ filters: { bbox } }, event);
+    const severe = stream.applySubscription({ filters: { severity: 'severe' } }, event);
+    const boxedChanges = boxed?.changes.changes || [];
+    check('bbox and severity apply to changes', boxedChanges.length > 0 &&
+        boxedChanges.length < baseline.changes.length && severe === null &&
+        boxedChanges.every(change => change.type.startsWith('alert.') || isInBoundingBox(change.location, bbox)),
+        `${boxedChanges.length} of ${baseline.changes.length} in the bbox`);
+
+    const traffic = new TrafficConnector({ baseUrl: server.trafficBaseUrl, apiKey: server.config.apiKey });
+    const engine = new AlertEngine({
+        rules: [{ id: 'incident', scope: 'traffic_event', when: [{ field: 'type', operator: '!=', value: null }] }]
+    });
+    const goodPoll = await traffic.fetchData();
+    differ.diff('traffic', goodPoll);
+    engine.evaluate(goodPoll);
+    const firing = engine.getActiveAlerts().length;
+
+    server.setScenario('outage', { target: '511ny', keys: 'events' });
+    const failedPoll = await traffic.fetchData();
+    server.resetScenarios();
+    const trafficOutage = differ.diff('traffic', failedPoll);
+    engine.evaluate(failedPoll);
+    engine.evaluate(failedPoll);
+
+    const cleared = trafficOutage.changes.filter(change => change.type === 'traffic_event.cleared');
+    check('failed 511NY endpoint carried forward, not cleared', failedPoll.endpoints.events.status === 'error' &&
+        failedPoll.endpoints.cameras.status === 'ok' && trafficOutage.failedFeeds.join() === 'events' &&
+        cleared.length === 0, `${cleared.length} cleared`);
+    check('alerts kept while their endpoint fails', firing > 0 && engine.getActiveAlerts().length === firing,
+        `${engine.getActiveAlerts().length} of ${firing} active`);
+}
+
+async function testCircuitBreaker(server) {
+    console.log('\n🔌 Circuit breaker');
+
+    const mta = new MTAConnector({
+        baseUrl: server.mtaBaseUrl,
+        apiKey: server.config.apiKey,
+        feeds: ['ace'],
+        pollInterval: 100,
+        maxRetries: 2,
+        retryDelay: 100,
+        circuitBreakerTimeout: 500
+    });
+    const states = [];
+    mta.on('error', () => {}); // failures are expected here
+    mta.on('circuitBreakerStateChange', transition => states.push(transition.to));
+    await mta.loadProtobufSchema();
+
+    server.setScenario('outage', { target: 'mta' });
+    mta.start();
+
+    try {
+        await waitFor(mta, 'circuitBreakerOpen', 5000);
+        check('breaker opens during outage', mta.getHealth().status === 'circuit_breaker_open');
+
+        server.resetScenarios();
+        await waitFor(mta, 'data', 5000);
+        check('data resumes after outage', !mta.circuitBreakerOpen);
+        check('half-open probe closes the breaker', states.join(' > ') === 'open > half_open > closed',
+            states.join(' > '));
+    } catch (error) {
+        check(error.message, false);
+    } finally {
+        mta.stop();
+    }
+}
+
+async function testStaleness(server) {
+    console.log('\n🧊 Stale feed');
+
+    const mta = new MTAConnector({
+        baseUrl: server.mtaBaseUrl,
+        apiKey: server.config.apiKey,
+        feeds: ['ace'],
+        pollInterval: 100,
+        staleAfter: 2000
+    });
+    let snapshots = 0;
+    mta.on('data', () => snapshots++);
+    await mta.loadProtobufSchema();
+
+    // MTA keeps serving the feed generated 10 minutes ago
+    server.setScenario('frozen', { target: 'mta', at: Date.now() - 600000 });
+    mta.start();
+
+    try {
+        const stale = await waitFor(mta, 'stale', 5000);
+        check('frozen feed flagged stale', mta.getHealth().status === 'stale', stale.reason);
+
+        await waitFor(mta, 'unchanged', 5000);
+        check('identical snapshots not re-emitted', snapshots === 1 && mta.metrics.unchangedSnapshots > 0,
+            `${snapshots} emitted, ${mta.metrics.unchangedSnapshots} skipped`);
+
+        server.resetScenarios();
+        await waitFor(mta, 'fresh', 5000);
+        check('fresh again once the feed updates', mta.getHealth().status === 'healthy' && snapshots === 2);
+    } catch (error) {
+        check(error.message, false);
+    } finally {
+        mta.stop();
+    }
+}
+
+async function testRateLimits(server) {
+    console.log('\n🚦 Rate limits');
+
+    const limiter = new RateLimiter();
+    const traffic = new TrafficConnector({
+        baseUrl: server.trafficBaseUrl,
+        apiKey: server.config.apiKey,
+        rateLimiter: limiter,
+        rateLimit: { rate: 4, per: 1000, burst: 2 }
+    });
+    const endpoints = traffic.activeEndpoints.length;
+
+    let started = Date.now();
+    await traffic.fetchData();
+    const paced = Date.now() - started;
+    check('token bucket paces parallel requests', paced >= (endpoints - 2) * 250 - 20, `${paced}ms`);
+
+    server.setScenario('throttled', { target: '511ny', retryAfter: 1 });
+    const throttled = await traffic.fetchData().then(() => null, error => error);
+    const [status] = traffic.getStatus().rateLimits;
+    check('429 fails the poll with Retry-After', throttled?.retryAfter === 1000, throttled?.message);
+    check('bucket blocked until Retry-After', status.blockedUntil > Date.now() && status.stats.rateLimited === endpoints);
+
+    server.resetScenarios();
+    started = Date.now();
+    await traffic.fetchData();
+    check('requests wait out the block', Date.now() - started >= 500, `${Date.now() - started}ms`);
+
+    limiter.setLimits(status.host, { dailyQuota: limiter.getStatus(status.key).daily.used + 2 });
+    const partial = await traffic.fetchData();
+    const quota = traffic.getStatus().rateLimits[0];
+    check('daily quota enforced', quota.daily.remaining === 0 && quota.stats.refused === endpoints - 2,
+        `${quota.daily.used}/${quota.daily.quota} used, ${partial.events.length} events`);
+}
+
+async function runMockServerTest() {
+    console.log('🧪 Starting Mock Server Integration Test');
+
+    const server = new MockFeedServer({ slowDelay: 2000 });
+    await server.start();
+
+    try {
+        await testTransformers(server);
+        await testScenarios(server);
+        await testChangeDetection(server);
+        await testCircuitBreaker(server);
+        await testStaleness(server);
+        await testRateLimits(server);
+    } finally {
+        await server.stop();
+    }
+
+    if (!summarize()) {
+        throw new Error(`${results.filter(result => !result.passed).length} checks failed`);
+    }
+}
+
+if (require.main === module) {
+    runMockServerTest()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Test failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = runMockServerTest;
@@ -21,7 +21,7 @@ async function testMTAConnector() {
     // Create connector with custom configuration
     const config = {
         apiKey: apiKey,
-        feedId: 1, // 1,2,3,4,5,6,S lines
+        feeds: ['main'], // 1,2,3,4,5,6,7,S lines
         pollInterval: 20000, // 20 seconds for testing
         maxRetries: 2,
         timeout: 8000
@@ -44,7 +44,7 @@ async function testMTAConnector() {
             vehicles: data.vehicleUpdates.length,
             trips: data.tripUpdates.length,
             alerts: data.alerts.length,
-            feedId: data.feedId,
+            feeds: data.feedIds,
             timestamp: new Date(data.timestamp).toISOString()
         });
 
@@ -0,0 +1,142 @@
+// tests/integration/notification-test.js
+const MockNotificationServer = require('../../src/dev/mock/MockNotificationServer');
+const NotificationService = require('../../src/notifications/NotificationService');
+const MessageQueue = require('../../src/pipeline/ingestion/MessageQueue');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of alert delivery against the local webhook / SMTP stand-in:
+ * channel formats, filters, retries with backoff and the delivery log
+ *
+ * Usage: node tests/integration/notification-test.js
+ */
+
+function createAlert(overrides = {}) {
+    return {
+        id: `route-delay:A:${Date.now()}`,
+        type: 'route-delay',
+        source: 'alert-engine',
+        ruleName: 'Route running late',
+        status: 'active',
+        severity: 'major',
+        subject: { route: 'A', averageDelay: 420 },
+        timestamp: Date.now(),
+        message: 'A trains running 7 min late on average',
+        ...overrides
+    };
+}
+
+async function testChannels(server) {
+    console.log('\n📨 Channels');
+
+    const service = new NotificationService({
+        retryDelay: 50,
+        channels: [
+            { type: 'webhook', url: `${server.webhookUrl}/hooks/ops` },
+            { type: 'slack', url: `${server.webhookUrl}/hooks/slack`, filters: { route: ['A', 'C', 'E'] } },
+            { type: 'teams', url: `${server.webhookUrl}/hooks/teams`, filters: { severity: 'severe' } },
+            { type: 'email', to: 'ops@example.com', smtp: { host: '127.0.0.1', port: server.smtpPort } }
+        ]
+    });
+
+    const alert = createAlert();
+    const deliveries = await service.notify(alert);
+    const byPath = path => server.requests.find(request => request.path === path);
+
+    check('delivered to matching channels', deliveries.length === 3 &&
+        deliveries.every(entry => entry.status === 'delivered'),
+        deliveries.map(entry => entry.channel).join(', '));
+    check('webhook receives the alert', byPath('/hooks/ops')?.body.alert.id === alert.id);
+    check('slack payload has text and blocks', typeof byPath('/hooks/slack')?.body.text === 'string' &&
+        Array.isArray(byPath('/hooks/slack').body.blocks));
+    check('severity filter skips teams', !byPath('/hooks/teams'));
+    check('email accepted by SMTP', server.emails.length === 1 && server.emails[0].to[0] === 'ops@example.com',
+        server.emails[0]?.subject);
+
+    server.reset();
+    await service.notify({ ...alert, status: 'resolved', severity: 'info', message: `Resolved: ${alert.message}` });
+    check('resolution follows the alert', !!byPath('/hooks/slack') && !byPath('/hooks/teams'));
+
+    server.reset();
+    await service.notify(createAlert({ subject: { route: 'L' }, severity: 'severe' }));
+    check('route filter skips slack, severe reaches teams', !byPath('/hooks/slack') && !!byPath('/hooks/teams'));
+
+    await service.stop();
+}
+
+async function testRetries(server) {
+    console.log('\n🔁 Retries');
+    server.reset();
+
+    const service = new NotificationService({
+        retryDelay: 50,
+        maxAttempts: 3,
+        channels: [
+            { type: 'webhook', url: `${server.webhookUrl}/hooks/flaky` },
+            { type: 'email', to: 'ops@example.com', smtp: { host: '127.0.0.1', port: server.smtpPort } }
+        ]
+    });
+
+    server.failNext(2, 503);
+    server.rejectNextMail(1, 451);
+    const [webhook, email] = await service.notify(createAlert());
+    check('webhook retried until delivered', webhook.status === 'delivered' && webhook.attempts === 3);
+    check('temporary SMTP rejection retried', email.status === 'delivered' && email.attempts === 2);
+
+    server.failNext(1, 400);
+    const [permanent] = await service.notify(createAlert({ id: 'bad-request' }));
+    check('4xx is not retried', permanent.status === 'failed' && permanent.attempts === 1, permanent.error);
+
+    server.failNext(5, 503);
+    server.rejectNextMail(1, 550);
+    const [exhausted, rejected] = await service.notify(createAlert({ id: 'exhausted' }));
+    check('gives up after maxAttempts', exhausted.status === 'failed' && exhausted.attempts === 3);
+    check('permanent SMTP rejection not retried', rejected.status === 'failed' && rejected.attempts === 1);
+
+    const failed = service.getDeliveryLog({ status: 'failed' });
+    check('delivery log records outcomes', failed.length === 3 && service.getStats().delivered === 3,
+        JSON.stringify(service.getStats()));
+
+    await service.stop();
+}
+
+async function testAlertsTopic(server) {
+    console.log('\n📬 Alerts topic');
+    server.reset();
+
+    const queue = new MessageQueue({ type: 'memory' });
+    const service = new NotificationService({
+        channels: [{ type: 'webhook', url: `${server.webhookUrl}/hooks/topic` }]
+    });
+    service.start(queue);
+
+    const delivered = new Promise(resolve => service.once('delivered', resolve));
+    await queue.publishAlert(createAlert(), 'route-delay');
+    const entry = await Promise.race([delivered, new Promise(resolve => setTimeout(resolve, 5000))]);
+    check('published alerts are delivered', entry?.status === 'delivered' && server.requests.length === 1);
+
+    await service.stop();
+    await queue.close();
+}
+
+async function main() {
+    console.log('🔔 Notification delivery test');
+
+    const server = new MockNotificationServer();
+    await server.start();
+
+    try {
+        await testChannels(server);
+        await testRetries(server);
+        await testAlertsTopic(server);
+    } finally {
+        await server.stop();
+    }
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,219 @@
+// tests/integration/pipeline-config-test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const MockFeedServer = require('../../src/dev/mock/MockFeedServer');
+const PipelineBootstrap = require('../../src/pipeline/PipelineBootstrap');
+const { loadPipelineConfig } = require('../../src/config/PipelineConfig');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of the config-driven bootstrap: validation errors, ${VAR}
+ * references and PIPELINE__ overrides, then the whole system started from a
+ * YAML file and from the shipped config/pipeline.yaml against the mock feed server
+ *
+ * Usage: node tests/integration/pipeline-config-test.js
+ */
+
+function loadError(config, env = {}) {
+    try {
+        loadPipelineConfig(config, env);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+function getJson(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: urlPath }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => {
+                try {
+                    resolve({ status: res.statusCode, body: JSON.parse(body) });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        }).on('error', reject);
+    });
+}
+
+function testValidation() {
+    console.log('\n🧾 Validation');
+
+    const error = loadError({
+        queue: { type: 'rabbitmq' },
+        connectors: {
+            subway: { type: 'mta', apiKey: 'key', pollInterval: -5 },
+            buses: { type: 'bus' }
+        },
+        api: { port: 'http' },
+        notifications: { channels: [{ type: 'pager' }] },
+        dashboards: {}
+    });
+    const messages = error ? error.errors : [];
+    const has = prefix => messages.some(message => message.startsWith(prefix));
+
+    check('every problem reported at once', messages.length === 6, `${messages.length} errors`);
+    check('errors name the setting', has('queue.type:') && has('connectors.subway.pollInterval:') &&
+        has('connectors.buses.type:') && has('api.port:') && has('notifications.channels[0].type:') &&
+        has('dashboards:'));
+
+    const missing = loadError({ connectors: { subway: { type: 'mta' } } });
+    check('missing API key explained', missing?.errors.length === 1 &&
+        missing.errors[0].includes('MTA_API_KEY'), missing?.errors[0]);
+
+    const rules = loadError({
+        connectors: { subway: { type: 'mta', apiKey: 'key' } },
+        alerts: { rules: [{ id: 'late', scope: 'nowhere', when: [] }] }
+    });
+    check('alert rules validated', rules?.errors[0]?.startsWith('alerts.rules: Alert rule late'), rules?.errors[0]);
+
+    const renamed = loadError({ connectors: { subway: { type: 'mta', apiKey: 'key', schedule: 'nyc' } } });
+    check('schedule preset points to pollSchedule', renamed?.errors.length === 1 &&
+        renamed.errors[0].startsWith('connectors.subway.schedule: use pollSchedule'), renamed?.errors[0]);
+}
+
+function testEnvironment() {
+    console.log('\n🌱 Environment');
+
+    const config = loadPipelineConfig({
+        connectors: {
+            'mta-subway': { type: 'mta', apiKey: '${MTA_KEY}', pollInterval: 30000 },
+            traffic: { type: 'traffic', enabled: '${TRAFFIC_ENABLED:-false}' }
+        },
+        api: { port: '${PORT:-3000}', host: 'http://${HOST:-localhost}' }
+    }, {
+        MTA_KEY: 'secret',
+        PORT: '4000',
+        PIPELINE__CONNECTORS__MTA_SUBWAY__POLL_INTERVAL: '15000',
+        PIPELINE__QUEUE__TYPE: 'memory'
+    });
+    const [subway] = config.connectors;
+
+    check('${VAR} references resolved and typed', subway.options.apiKey === 'secret' &&
+        config.api.port === 4000 && config.api.host === 'http://localhost');
+    check('defaulted reference disables a connector', config.connectors.length === 1);
+    check('PIPELINE__ overrides matched and added', subway.options.pollInterval === 15000 &&
+        config.queue.type === 'memory');
+
+    const unset = loadError({ connectors: { subway: { type: 'mta', apiKey: '${NO_SUCH_KEY}' } } });
+    check('unset variable reported', unset?.errors.length === 1 &&
+        unset.errors[0] === 'connectors.subway.apiKey: environment variable NO_SUCH_KEY is not set');
+}
+
+async function testBootstrap(server, directory) {
+    console.log('\n🚀 Bootstrap');
+
+    const configPath = path.join(directory, 'pipeline.yaml');
+    fs.writeFileSync(configPath, [
+        'queue:',
+        '  type: memory',
+        'pipeline:',
+        '  restartUnhealthyConnectors: false',
+        'connectors:',
+        '  mta-subway:',
+        '    type: mta',
+        '    baseUrl: ${MOCK_MTA_URL}',
+        '    apiKey: ${MOCK_API_KEY}',
+        '    feeds: [ace]',
+        '    pollInterval: 60000',
+        'headways: {}',
+        'trips: {}',
+        'history:',
+        `  directory: ${path.join(directory, 'history')}`,
+        'alerts:',
+        '  rules: default',
+        'api:',
+        '  port: 0',
+        '  host: 127.0.0.1'
+    ].join('\n'));
+
+    const system = new PipelineBootstrap(configPath, {
+        MOCK_MTA_URL: server.mtaBaseUrl,
+        MOCK_API_KEY: server.config.apiKey
+    });
+
+    const ingested = new Promise(resolve => system.once('started', () =>
+        system.pipeline.once('dataIngested', resolve)));
+    await system.start();
+
+    const summary = system.getSummary();
+    check('components started from the file', summary.queue === 'memory' &&
+        summary.connectors.join() === 'mta-subway' && summary.headways && summary.trips &&
+        summary.alerts > 0 && !!summary.history && !!summary.api);
+
+    const event = await Promise.race([ingested, new Promise(resolve => setTimeout(resolve, 15000))]);
+    check('connector data ingested', event?.data?.vehicleUpdates?.length > 0);
+
+    const status = await getJson(summary.api.port, '/api/status');
+    check('API server serves the pipeline', status.status === 200 && !!status.body.connectors?.['mta-subway']);
+
+    const trips = await getJson(summary.api.port, '/api/subway/trips');
+    check('API server has the trip tracker', trips.status === 200);
+
+    await system.stop();
+    check('everything stopped', !system.isRunning && system.apiServer === null && system.pipeline === null);
+
+    const failing = new PipelineBootstrap({
+        queue: { type: 'memory' },
+        connectors: { subway: { type: 'mta', apiKey: 'key', pollSchedule: 'rush' } }
+    }, {});
+    const failure = await failing.start().then(() => null, error => error);
+    check('start-up failure names the section', failure?.message.startsWith('Failed to start connectors.subway:'),
+        failure?.message);
+}
+
+async function testShippedConfig(server) {
+    console.log('\n📦 Shipped config');
+
+    const system = new PipelineBootstrap(path.join(__dirname, '../../config/pipeline.yaml'), {
+        MTA_API_KEY: server.config.apiKey,
+        PIPELINE__CONNECTORS__MTA_SUBWAY__BASE_URL: server.mtaBaseUrl,
+        PIPELINE__API__PORT: '0',
+        PIPELINE__API__HOST: '127.0.0.1'
+    });
+
+    const ingested = new Promise(resolve => system.once('started', () =>
+        system.pipeline.once('dataIngested', resolve)));
+    await system.start();
+
+    const connector = system.connectors.get('mta-subway');
+    check('config/pipeline.yaml starts', system.getSummary().connectors.join() === 'mta-subway' &&
+        connector.pollSchedule.getStatus().policy === 'nyc' && connector.schedule === null);
+
+    const event = await Promise.race([ingested, new Promise(resolve => setTimeout(resolve, 15000))]);
+    const feeds = Object.values(event?.data?.feeds || {});
+    check('first poll decoded every feed', feeds.length > 1 && feeds.every(feed => feed.status === 'ok') &&
+        event.data.vehicleUpdates.length > 0, `${feeds.length} feeds`);
+
+    await system.stop();
+}
+
+async function main() {
+    console.log('⚙️  Pipeline config test');
+
+    const server = new MockFeedServer();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-config-'));
+    await server.start();
+
+    try {
+        testValidation();
+        testEnvironment();
+        await testBootstrap(server, directory);
+        await testShippedConfig(server);
+    } finally {
+        await server.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
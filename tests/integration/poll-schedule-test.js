@@ -0,0 +1,185 @@
+// tests/integration/poll-schedule-test.js
+const PollSchedule = require('../../src/connectors/base/PollSchedule');
+const MTAConnector = require('../../src/connectors/mta/MTAConnector');
+const { GTFSSchedule } = require('../../src/reference/GTFSSchedule');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of adaptive polling: the nyc preset, custom periods and their
+ * times, the incident interval, request budgets, alignment to the upstream
+ * refresh cadence, and the pollSchedule option next to an MTA GTFS schedule
+ *
+ * Usage: node tests/integration/poll-schedule-test.js
+ */
+
+// 2025-07-07 is a Monday; NYC is UTC-4 in July
+const nyc = (day, hour, minute = 0) => Date.UTC(2025, 6, 7 + day, hour + 4, minute);
+const MONDAY = 0;
+const TUESDAY = 1;
+const SATURDAY = 5;
+
+function failure(fn) {
+    try {
+        fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+function testPreset() {
+    console.log('\n🗽 nyc preset');
+
+    const schedule = new PollSchedule({ policy: 'nyc', interval: 30000 });
+    const at = time => {
+        const delay = schedule.next(time);
+        return `${delay}:${schedule.getStatus().period}`;
+    };
+
+    check('weekday rush hours poll twice as often', at(nyc(MONDAY, 8)) === '15000:am-rush' &&
+        at(nyc(MONDAY, 17, 30)) === '15000:pm-rush');
+    check('overnight polls four times less often', at(nyc(SATURDAY, 3)) === '120000:overnight');
+    check('base interval otherwise', at(nyc(MONDAY, 12)) === '30000:null' && at(nyc(SATURDAY, 8)) === '30000:null');
+    check('rush ends at its end time', at(nyc(MONDAY, 9, 30)) === '30000:null');
+
+    const unknown = failure(() => new PollSchedule({ policy: 'rush' }));
+    check('unknown preset rejected', /Unknown poll schedule preset: rush/.test(unknown?.message), unknown?.message);
+    check('no policy is a fixed interval', new PollSchedule({ interval: 45000 }).next(nyc(MONDAY, 8)) === 45000 &&
+        new PollSchedule().getStatus().policy === 'fixed');
+}
+
+function testPeriods() {
+    console.log('\n🕰️  Periods');
+
+    const schedule = new PollSchedule({
+        interval: 30000,
+        periods: [
+            { name: 'late', days: [MONDAY + 1], start: '23:00', end: '02:00', interval: 90000 },
+            { name: 'evening', start: '18:00', end: '24:00', factor: 2 }
+        ]
+    });
+    const period = time => {
+        schedule.next(time);
+        return schedule.getStatus().period;
+    };
+
+    check('period past midnight belongs to the day it started', period(nyc(TUESDAY, 1)) === 'late' &&
+        period(nyc(MONDAY, 1)) === null && period(nyc(MONDAY, 23, 30)) === 'late');
+    check('first matching period wins, factors scale the base', period(nyc(TUESDAY, 20)) === 'evening' &&
+        schedule.next(nyc(TUESDAY, 20)) === 60000);
+    check('24:00 runs to the end of the day', period(nyc(TUESDAY, 23, 59)) === 'evening');
+
+    const invalid = ['24:59', '25:00', '12:60', '7', ''].filter(time =>
+        failure(() => new PollSchedule({ periods: [{ start: time, end: '24:00', factor: 2 }] })));
+    check('times past 24:00 rejected', invalid.length === 5, invalid.join(' '));
+
+    const missing = failure(() => new PollSchedule({ periods: [{ name: 'x', start: '01:00', end: '02:00' }] }));
+    check('period needs an interval or a factor', /needs an interval or a factor/.test(missing?.message));
+}
+
+function testIncidents() {
+    console.log('\n🚨 Incidents');
+
+    const schedule = new PollSchedule({
+        interval: 30000,
+        incidents: { factor: 0.5 },
+        periods: [{ name: 'rush', start: '07:00', end: '10:00', interval: 10000 }],
+        minInterval: 12000
+    });
+
+    schedule.observe({ activeIncidents: true });
+    check('incidents shorten the interval', schedule.next(nyc(MONDAY, 12)) === 15000 &&
+        schedule.getStatus().reasons.join() === 'incidents');
+    check('never below minInterval, never longer than the period', schedule.next(nyc(MONDAY, 8)) === 12000 &&
+        schedule.getStatus().reasons.join() === 'period:rush');
+
+    schedule.observe({ activeIncidents: false });
+    check('back to the base interval once incidents clear', schedule.next(nyc(MONDAY, 12)) === 30000);
+}
+
+function testBudget() {
+    console.log('\n💰 Budget');
+
+    const start = nyc(MONDAY, 12);
+    const schedule = new PollSchedule({ interval: 30000, budget: { requests: 100, window: 3600000 } });
+
+    check('no budget interval before the first request', schedule.next(start) === 30000);
+
+    schedule.recordRequests(40, start);
+    check('remaining requests spread over the window', schedule.next(start) === 60000 &&
+        schedule.getStatus().reasons.join() === 'budget' && schedule.getStatus().budget.remaining === 60);
+    check('multi-request polls count each request', schedule.next(start, 8) === Math.ceil(3600000 / 7));
+
+    schedule.recordRequests(60, start + 60000);
+    check('spent budget waits for the window reset', schedule.next(start + 60000) === 3540000);
+
+    schedule.recordRequests(1, start + 3600000);
+    check('window resets after it ends', schedule.getStatus().budget.used === 1 &&
+        schedule.getStatus().budget.resetsAt === start + 7200000);
+
+    const invalid = failure(() => new PollSchedule({ budget: { requests: 0 } }));
+    check('budget needs requests', /positive number of requests/.test(invalid?.message));
+}
+
+function testAlignment() {
+    console.log('\n🎯 Alignment');
+
+    const schedule = new PollSchedule({ interval: 30000, alignToSource: true });
+    const source = nyc(MONDAY, 12);
+
+    schedule.observe({ sourceTimestamp: source });
+    schedule.observe({ sourceTimestamp: source + 30000 });
+    check('no cadence from a single gap', schedule.getCadence() === null && schedule.next(source + 31000) === 30000);
+
+    schedule.observe({ sourceTimestamp: source + 30000 });
+    schedule.observe({ sourceTimestamp: source + 60000 });
+    check('cadence is the median refresh gap', schedule.getCadence() === 30000);
+
+    const delays = [61000, 65000, 80000, 90500].map(now => ({ now, delay: schedule.next(source + now) }));
+    check('polls land just after an expected refresh',
+        delays.every(({ now, delay }) => (now + delay - 61000) % 30000 === 0), delays.map(d => d.delay).join(' '));
+    check('alignment never polls sooner than the interval', delays.every(({ delay }) => delay >= 30000) &&
+        delays[0].delay === 30000 && delays[1].delay === 56000);
+
+    const budgeted = new PollSchedule({ interval: 30000, alignToSource: true, budget: { requests: 10, window: 600000 } });
+    [0, 30000, 60000].forEach(offset => budgeted.observe({ sourceTimestamp: source + offset }));
+    budgeted.recordRequests(5, source + 61000);
+    const delay = budgeted.next(source + 61000);
+    check('aligned delay still respects the budget', delay >= 120000 && (delay % 30000) === 0, `${delay} ms`);
+
+    budgeted.observe({ sourceTimestamp: source });
+    check('cadence restarts when the source goes back in time', budgeted.getCadence() === null);
+}
+
+function testConnectorOptions() {
+    console.log('\n🔌 Connector options');
+
+    const gtfs = new GTFSSchedule();
+    const connector = new MTAConnector({ apiKey: 'test', feeds: ['main'], schedule: gtfs, pollSchedule: 'nyc' });
+    check('pollSchedule and a GTFS schedule side by side', connector.schedule === gtfs &&
+        connector.pollSchedule.getStatus().policy === 'nyc' && connector.getStatus().scheduleLoaded === true);
+
+    const custom = new MTAConnector({
+        apiKey: 'test',
+        feeds: ['main'],
+        pollInterval: 20000,
+        pollSchedule: { incidents: { interval: 5000 } }
+    });
+    check('custom policy uses the connector interval', custom.schedule === null &&
+        custom.pollSchedule.getStatus().policy === 'custom' && custom.pollSchedule.getStatus().baseInterval === 20000);
+}
+
+function main() {
+    console.log('⏲️  Poll schedule test');
+
+    testPreset();
+    testPeriods();
+    testIncidents();
+    testBudget();
+    testAlignment();
+    testConnectorOptions();
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,175 @@
+// tests/integration/snapshot-store-test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotStore = require('../../src/storage/SnapshotStore');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of the history store in a temporary directory: day files,
+ * range queries with filters and limits, prediction dedupe, retention and
+ * a failed flush
+ *
+ * Usage: node tests/integration/snapshot-store-test.js
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 6, 7, 12);
+
+const TIMES_SQ = { stationStopId: '127', complexId: '611', borough: 'Manhattan' };
+const ATLANTIC = { stationStopId: '235', complexId: '617', borough: 'Brooklyn' };
+
+/**
+ * MTA snapshot with a 1 train at Times Sq and a 2 train at Atlantic Av
+ */
+function subwaySnapshot(timestamp, { delay = 0 } = {}) {
+    return {
+        source: 'mta',
+        timestamp,
+        vehicleUpdates: [
+            { trip: { tripId: 'T1', routeId: '1' }, stopId: '127S', stop: TIMES_SQ, currentStatus: 'stopped_at' },
+            { trip: { tripId: 'T2', routeId: '2' }, stopId: '235N', stop: ATLANTIC, currentStatus: 'in_transit_to' }
+        ],
+        tripUpdates: [
+            {
+                trip: { tripId: 'T1', routeId: '1' },
+                stopTimeUpdates: [
+                    { stopId: '127S', stop: TIMES_SQ, arrival: { time: NOW + 60000 } },
+                    { stopId: '137S', arrival: { time: NOW + 600000 + delay } }
+                ]
+            }
+        ],
+        alerts: []
+    };
+}
+
+const ids = records => records.map(record => record.tripId || record.alertId).join();
+
+async function testQueries(directory) {
+    console.log('\n🗄️  Flush and query');
+
+    const store = new SnapshotStore({ directory });
+    await store.store(subwaySnapshot(NOW - DAY));
+    await store.store(subwaySnapshot(NOW - 60000));
+    await store.store(subwaySnapshot(NOW));
+    await store.store({ source: 'mta', timestamp: NOW, alerts: [{
+        id: 'A1', headerText: 'Delays', informedEntities: [{ routeId: '2', stopId: '235N', stop: ATLANTIC }]
+    }] });
+
+    check('nothing written before a flush', !fs.existsSync(path.join(directory, 'vehicles')));
+    await store.flush();
+
+    const files = fs.readdirSync(path.join(directory, 'vehicles')).sort().join();
+    check('one file per UTC day', files === '2025-07-06.jsonl,2025-07-07.jsonl', files);
+    check('pending buffer emptied', store.getStats().pendingFiles === 0);
+
+    const lastHour = await store.query('vehicles', { to: NOW });
+    check('default window is the hour before to', lastHour.length === 4 &&
+        lastHour.every(record => record.timestamp >= NOW - 60000), lastHour.length);
+
+    const twoDays = await store.query('vehicles', { from: NOW - 2 * DAY, to: NOW });
+    check('window spans day files, in time order', twoDays.length === 6 &&
+        twoDays.every((record, i) => i === 0 || record.timestamp >= twoDays[i - 1].timestamp));
+
+    const route = await store.query('vehicles', { from: NOW - 2 * DAY, to: NOW, route: '2' });
+    check('route filter', route.length === 3 && route.every(record => record.routeId === '2'));
+
+    const station = await store.query('vehicles', { from: NOW - 2 * DAY, to: NOW, station: '611' });
+    const borough = await store.query('vehicles', { from: NOW - 2 * DAY, to: NOW, borough: 'brooklyn' });
+    check('station and borough filters', ids(station) === 'T1,T1,T1' && ids(borough) === 'T2,T2,T2');
+
+    const alerts = await store.query('alerts', { to: NOW, station: '235', route: '2' });
+    check('alert records match their informed stops and routes', ids(alerts) === 'A1');
+
+    const latest = await store.query('vehicles', { from: NOW - 2 * DAY, to: NOW, limit: 2 });
+    check('limit keeps the latest records', latest.length === 2 &&
+        latest.every(record => record.timestamp === NOW), latest.map(record => record.timestamp).join());
+
+    const capped = new SnapshotStore({ directory, queryLimit: 3 });
+    check('queryLimit bounds unlimited queries', (await capped.query('vehicles', { from: NOW - 2 * DAY, to: NOW }))
+        .length === 3);
+
+    let rejected = 0;
+    for (const [kind, options] of [['buses', {}], ['vehicles', { from: NOW, to: NOW - DAY }], ['vehicles', { to: 'soon' }]]) {
+        await store.query(kind, options).catch(() => rejected++);
+    }
+    check('unknown kinds and bad windows rejected', rejected === 3);
+}
+
+async function testPredictions(directory) {
+    console.log('\n🔁 Predictions');
+
+    const store = new SnapshotStore({ directory });
+    await store.store(subwaySnapshot(NOW));
+    await store.store(subwaySnapshot(NOW + 30000));
+    await store.store(subwaySnapshot(NOW + 60000, { delay: 120000 }));
+
+    const predictions = await store.query('predictions', { to: NOW + 60000 });
+    const summary = predictions.map(record => `${record.stopId}@${record.timestamp - NOW}`).join();
+    check('unchanged predictions not stored again', summary === '127S@0,137S@0,137S@60000', summary);
+    check('skipped predictions counted', store.getStats().unchangedPredictions === 3);
+}
+
+async function testRetention(directory) {
+    console.log('\n🧹 Retention');
+
+    const store = new SnapshotStore({ directory, retention: { vehicles: DAY } });
+    await store.store(subwaySnapshot(NOW - 3 * DAY, { delay: 1000 }));
+    await store.store(subwaySnapshot(NOW - 2 * DAY, { delay: 2000 }));
+    await store.store(subwaySnapshot(NOW, { delay: 3000 }));
+    await store.flush();
+
+    await store.prune(NOW);
+    const vehicles = fs.readdirSync(path.join(directory, 'vehicles')).sort().join();
+    check('day files past retention deleted', vehicles === '2025-07-07.jsonl', vehicles);
+
+    const predictions = fs.readdirSync(path.join(directory, 'predictions')).sort().join();
+    check('other kinds keep their own retention', predictions === '2025-07-05.jsonl,2025-07-07.jsonl', predictions);
+    check('pruned files counted', store.getStats().filesPruned === 3);
+}
+
+async function testFlushFailure(directory) {
+    console.log('\n💥 Flush failure');
+
+    const store = new SnapshotStore({ directory });
+    const errors = [];
+    store.on('error', error => errors.push(error));
+
+    // A file where the kind's directory belongs makes the append fail
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, 'vehicles'), '');
+
+    await store.store(subwaySnapshot(NOW));
+    await store.flush();
+    check('failure emitted as an error', errors.length === 1);
+    check('unwritten records kept for the next flush', store.getStats().pendingFiles > 0);
+
+    fs.unlinkSync(path.join(directory, 'vehicles'));
+    await store.store(subwaySnapshot(NOW + 1000));
+    await store.flush();
+
+    const vehicles = await store.query('vehicles', { to: NOW + 1000 });
+    check('next flush writes them in order', store.getStats().pendingFiles === 0 &&
+        vehicles.map(record => record.timestamp - NOW).join() === '0,0,1000,1000');
+}
+
+async function main() {
+    console.log('📚 Snapshot store test');
+
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-store-'));
+    try {
+        await testQueries(path.join(root, 'queries'));
+        await testPredictions(path.join(root, 'predictions'));
+        await testRetention(path.join(root, 'retention'));
+        await testFlushFailure(path.join(root, 'failure'));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
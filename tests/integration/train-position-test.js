@@ -0,0 +1,176 @@
+// tests/integration/train-position-test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TrainPositionEstimator = require('../../src/geo/TrainPositionEstimator');
+const { GTFSSchedule } = require('../../src/reference/GTFSSchedule');
+const { getStationRegistry } = require('../../src/reference/StationRegistry');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of train position estimates on synthetic snapshots of a
+ * northbound 1 train from 231 St (104) to 238 St (103): placement at stations,
+ * progress along the run, incoming trains and following a trip's shape
+ *
+ * Usage: node tests/integration/train-position-test.js
+ */
+
+const NOW = Date.UTC(2025, 6, 7, 12);
+const SHAPE_TRIP = 'AFA25GEN-1038-Weekday-00_072000_1..N03R';
+
+const registry = getStationRegistry();
+const FROM = registry.getStation('104N');
+const TO = registry.getStation('103N');
+
+// Shape through 231 St, a bend west of the tracks' straight line, and 238 St,
+// with points beyond both stations that a slice must leave out
+const SHAPE = [
+    [40.8700, -73.9080],
+    [FROM.latitude, FROM.longitude],
+    [40.8818, -73.9100],
+    [TO.latitude, TO.longitude],
+    [40.889248, -73.898583]
+];
+
+/**
+ * Snapshot with one vehicle; arrival is the predicted arrival at its stop in seconds from `timestamp`
+ */
+function snapshot(timestamp, { tripId = 'T1', stopId = '103N', status = 'in_transit_to', arrival = null } = {}) {
+    return {
+        source: 'mta',
+        timestamp,
+        vehicleUpdates: [{ trip: { tripId, routeId: '1' }, stopId, currentStatus: status }],
+        tripUpdates: arrival === null ? [] : [{
+            trip: { tripId, routeId: '1' },
+            stopTimeUpdates: [{ stopId, arrival: { time: timestamp + arrival * 1000 } }]
+        }]
+    };
+}
+
+/**
+ * How far a point is along the straight line from 231 St to 238 St (0 at 231 St, 1 at 238 St)
+ */
+function shareOfLine(position) {
+    const dLat = TO.latitude - FROM.latitude;
+    const dLon = TO.longitude - FROM.longitude;
+    return ((position.latitude - FROM.latitude) * dLat + (position.longitude - FROM.longitude) * dLon) /
+        (dLat * dLat + dLon * dLon);
+}
+
+const near = (a, b, tolerance = 0.02) => Math.abs(a - b) <= tolerance;
+
+function testStations() {
+    console.log('\n🚉 At stations');
+
+    const estimator = new TrainPositionEstimator();
+
+    const [stopped] = estimator.estimate(snapshot(NOW, { stopId: '104N', status: 'stopped_at' }));
+    check('stopped train placed on its station', stopped.precision === 'station' && stopped.progress === 1 &&
+        stopped.latitude === FROM.latitude && stopped.longitude === FROM.longitude);
+
+    const [unknown] = estimator.estimate(snapshot(NOW, { tripId: 'T2', arrival: 60 }));
+    check('unknown previous stop shown at the next station', unknown.precision === 'approximate' &&
+        unknown.progress === null && unknown.latitude === TO.latitude && unknown.previousStop === null);
+
+    const positions = estimator.estimate(snapshot(NOW, { tripId: 'T3', stopId: 'X99' }));
+    check('trains at unknown stops left out', positions.length === 0);
+}
+
+function testProgress() {
+    console.log('\n📏 Progress');
+
+    const estimator = new TrainPositionEstimator();
+    estimator.estimate(snapshot(NOW, { stopId: '104N', status: 'stopped_at' }));
+
+    // Left 231 St at NOW + 30 s, due at 238 St at NOW + 120 s: a 90 s run
+    const [departed] = estimator.estimate(snapshot(NOW + 30000, { arrival: 90 }));
+    check('just departed is at the start of the run', departed.progress === 0 &&
+        departed.previousStop.stopId === '104N' && departed.precision === 'interpolated');
+
+    const [halfway] = estimator.estimate(snapshot(NOW + 75000, { arrival: 45 }));
+    check('progress is the share of run time covered', halfway.progress === 0.5, halfway.progress);
+    check('placed that far along the line', near(shareOfLine(halfway), 0.5), shareOfLine(halfway).toFixed(3));
+    // 238 St is north-northeast of 231 St
+    check('bearing points to the next station', halfway.bearing > 0 && halfway.bearing < 90, halfway.bearing);
+
+    const [late] = estimator.estimate(snapshot(NOW + 150000, { arrival: -10 }));
+    check('overdue trains stop at the next station', late.progress === 1 && near(shareOfLine(late), 1, 0.001));
+
+    const [incoming] = estimator.estimate(snapshot(NOW + 160000, { status: 'incoming_at', arrival: 80 }));
+    check('incoming trains at least 90% of the way', incoming.progress === 0.9, incoming.progress);
+
+    const fallback = new TrainPositionEstimator({ defaultTravelTime: 200 });
+    fallback.estimate(snapshot(NOW, { stopId: '104N', status: 'stopped_at' }));
+    const [unpredicted] = fallback.estimate(snapshot(NOW + 30000));
+    check('no prediction puts the train halfway', unpredicted.progress === 0.5);
+}
+
+function writeFeed(directory) {
+    const files = {
+        'stops.txt': 'stop_id,stop_name,stop_lat,stop_lon,parent_station\n' +
+            `104N,231 St,${FROM.latitude},${FROM.longitude},104\n` +
+            `103N,238 St,${TO.latitude},${TO.longitude},103\n`,
+        'trips.txt': 'route_id,trip_id,service_id,trip_headsign,direction_id,shape_id\n' +
+            `1,${SHAPE_TRIP},Weekday,Van Cortlandt Park-242 St,0,1..N03R\n`,
+        'stop_times.txt': 'trip_id,arrival_time,departure_time,stop_id,stop_sequence\n' +
+            `${SHAPE_TRIP},07:20:00,07:20:00,104N,1\n` +
+            `${SHAPE_TRIP},07:22:00,07:22:00,103N,2\n`,
+        'calendar.txt': 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\n' +
+            'Weekday,1,1,1,1,1,0,0,20250101,20261231\n',
+        'shapes.txt': 'shape_id,shape_pt_lat,shape_pt_lon,shape_pt_sequence\n' +
+            SHAPE.map(([lat, lon], index) => `1..N03R,${lat},${lon},${index}`).join('\n') + '\n'
+    };
+
+    fs.mkdirSync(directory, { recursive: true });
+    Object.entries(files).forEach(([file, text]) => fs.writeFileSync(path.join(directory, file), text));
+}
+
+async function testShapes(directory) {
+    console.log('\n〰️  Shapes');
+
+    writeFeed(directory);
+    const schedule = await GTFSSchedule.load(directory);
+    const estimator = new TrainPositionEstimator({ schedule });
+    const shape = schedule.getShape('1..N03R');
+
+    const slice = estimator.getShapePath(shape, FROM, TO);
+    check('slice runs station to station over the shape between them', slice.length === 5 &&
+        slice[0].latitude === FROM.latitude && slice[2].latitude === 40.8818 && slice[4].latitude === TO.latitude &&
+        !slice.some(point => point.latitude === 40.8700 || point.latitude === 40.889248),
+        slice.map(point => point.latitude).join());
+
+    const reversed = estimator.getShapePath(shape, TO, FROM);
+    check('slice oriented from the first station', reversed.map(point => point.latitude).join() ===
+        slice.map(point => point.latitude).reverse().join());
+
+    // No memory of the trip: the previous stop and the 120 s run come from the schedule
+    const [position] = estimator.estimate(snapshot(NOW, { tripId: SHAPE_TRIP, arrival: 60 }));
+    check('previous stop and run time from the schedule', position.previousStop?.stopId === '104N' &&
+        position.progress === 0.5, position.progress);
+    check('position follows the shape', position.precision === 'shape' &&
+        position.longitude < (FROM.longitude + TO.longitude) / 2 - 0.003, position.longitude.toFixed(5));
+
+    const end = estimator.interpolate(slice, 1);
+    check('full progress ends on the next station', end.latitude === TO.latitude && end.longitude === TO.longitude);
+}
+
+async function main() {
+    console.log('🚆 Train position test');
+
+    testStations();
+    testProgress();
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'train-position-'));
+    try {
+        await testShapes(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+});
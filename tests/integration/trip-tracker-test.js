@@ -0,0 +1,157 @@
+// tests/integration/trip-tracker-test.js
+const TripTracker = require('../../src/analytics/TripTracker');
+const { check, summarize } = require('../helpers/checks');
+
+/**
+ * Offline test of trip tracking on synthetic MTA snapshots: observed and
+ * predicted stops with dwell times, skipped stops, reassigned trip ids,
+ * completed and vanished trips, and trains of a failed feed
+ *
+ * Usage: node tests/integration/trip-tracker-test.js
+ */
+
+const T0 = Date.UTC(2025, 6, 7, 12);
+const at = seconds => T0 + seconds * 1000;
+
+/**
+ * Southbound 1 train trip update; stops are [stopId, arrival s, departure s]
+ */
+function trip(tripId, stops, { trainId = null, routeId = '1', feedId = 'main' } = {}) {
+    return {
+        feedId,
+        trip: { tripId, routeId, ...(trainId ? { nyct: { trainId, direction: 'south' } } : {}) },
+        stopTimeUpdates: stops.map(([stopId, arrival, departure = arrival]) => ({
+            stopId,
+            arrival: { time: at(arrival) },
+            departure: { time: at(departure) }
+        }))
+    };
+}
+
+function vehicle(tripId, stopId, currentStatus, seconds, { routeId = '1', feedId = 'main' } = {}) {
+    return { feedId, trip: { tripId, routeId }, stopId, currentStatus, timestamp: at(seconds) };
+}
+
+function snapshot(seconds, tripUpdates = [], vehicleUpdates = [], feeds = {}) {
+    return { source: 'mta', timestamp: at(seconds), tripUpdates, vehicleUpdates, feeds };
+}
+
+function collect(tracker) {
+    const events = { tripStarted: [], tripReassigned: [], tripVanished: [], tripCompleted: [] };
+    Object.keys(events).forEach(event => tracker.on(event, payload => events[event].push(payload)));
+    return events;
+}
+
+function testTrajectory() {
+    console.log('\n🛤️  Trajectory');
+
+    const tracker = new TripTracker();
+    const events = collect(tracker);
+    const options = { trainId: '01 1200 242/SFT' };
+
+    tracker.update(snapshot(0,
+        [trip('T1', [['103S', 60, 90], ['104S', 180], ['106S', 300], ['107S', 420]], options)],
+        [vehicle('T1', '103S', 'in_transit_to', 0)]));
+    tracker.update(snapshot(60,
+        [trip('T1', [['103S', 60, 90], ['104S', 180], ['106S', 300], ['107S', 420]], options)],
+        [vehicle('T1', '103S', 'stopped_at', 60)]));
+    tracker.update(snapshot(100,
+        [trip('T1', [['104S', 300], ['106S', 360], ['107S', 420]], options)],
+        [vehicle('T1', '104S', 'in_transit_to', 100)]));
+
+    const dwell = tracker.getTrip('T1')?.stops.find(stop => stop.stopId === '103S');
+    check('observed stop with dwell', events.tripStarted.length === 1 && dwell?.observed &&
+        dwell.arrivedAt === at(60) && dwell.dwellSeconds === 30, `${dwell?.dwellSeconds} s`);
+
+    tracker.update(snapshot(150, [trip('T1', [['106S', 360], ['107S', 420]], options)]));
+    const skipped = tracker.getTrip('T1')?.stops.find(stop => stop.stopId === '104S');
+    check('stop dropped well before its arrival is skipped', skipped?.skipped && skipped.arrivedAt === null);
+
+    tracker.update(snapshot(200));
+    tracker.update(snapshot(260, [trip('T1B', [['106S', 360], ['107S', 420]], options)]));
+    const [reassigned] = events.tripReassigned;
+    check('new trip id with the same train id continues the track', reassigned?.previousTripId === 'T1' &&
+        reassigned.tripId === 'T1B' && tracker.getTrip('T1B')?.tripIds.join() === 'T1,T1B');
+    check('train id looks up the active trip', tracker.getTrip(options.trainId)?.tripId === 'T1B');
+
+    tracker.update(snapshot(430));
+    const [record] = events.tripCompleted;
+    check('trip dropped at its last stop completes', record?.status === 'completed' &&
+        record.stops.map(stop => stop.stopId).join() === '103S,104S,106S,107S' &&
+        record.skippedStops.join() === '104S' && record.observedStops === 1,
+        record?.stops.map(stop => stop.stopId).join());
+    check('origin, destination and runtime', record?.origin.stopId === '103S' &&
+        record.destination.stopId === '107S' && record.runtimeSeconds === 360 &&
+        record.stops[2].arrivedAt === at(360) && !record.stops[2].observed);
+    check('completed trips listed', tracker.getCompletedTrips({ route: '1' }).length === 1 &&
+        tracker.getStats().activeTrips === 0);
+}
+
+function testReappearance() {
+    console.log('\n🔁 Reappearance');
+
+    const tracker = new TripTracker({ vanishAfter: 180, reappearWindow: 900 });
+    const events = collect(tracker);
+
+    tracker.update(snapshot(0, [trip('T2', [['104S', 60], ['106S', 600], ['107S', 900]])]));
+    tracker.update(snapshot(120));
+    tracker.update(snapshot(180, [trip('T2B', [['106S', 600], ['107S', 900]])]));
+    check('unassigned train relinked by route, direction and stop ahead',
+        events.tripReassigned[0]?.tripId === 'T2B' && events.tripStarted.length === 1);
+
+    tracker.update(snapshot(240));
+    tracker.update(snapshot(300, [trip('X1', [['106S', 600], ['107S', 900]], { routeId: '2' })]));
+    check('train of another route not relinked', events.tripReassigned.length === 1 &&
+        events.tripStarted.length === 2);
+
+    tracker.update(snapshot(600));
+    check('missing trip vanishes after vanishAfter', events.tripVanished.map(event => event.tripId).join() === 'T2B' &&
+        tracker.getStats().vanishedTrips === 1 && tracker.getStats().activeTrips === 1);
+
+    tracker.update(snapshot(1200));
+    tracker.update(snapshot(1600));
+    check('vanished trip given up after the reappear window', tracker.tracks.size === 0 &&
+        tracker.getCompletedTrips({ status: 'vanished' }).map(record => record.tripIds.join()).join(' ') === 'T2,T2B X1');
+}
+
+function testFeedOutage() {
+    console.log('\n📡 Feed outage');
+
+    const tracker = new TripTracker({ vanishAfter: 180 });
+    const events = collect(tracker);
+    const outage = { main: { status: 'error', error: 'timeout' }, ace: { status: 'ok' } };
+
+    tracker.update(snapshot(0, [
+        trip('T6', [['104S', 600], ['107S', 900]]),
+        trip('A1', [['A27S', 600], ['A28S', 900]], { routeId: 'A', feedId: 'ace' })
+    ]));
+    tracker.update(snapshot(300, [], [], outage));
+    tracker.update(snapshot(600, [], [], outage));
+
+    const stillActive = tracker.getTrip('T6');
+    check('trains of a failed feed are left alone', stillActive?.status === 'active' &&
+        !tracker.tracks.get(stillActive.trackId).missingSince &&
+        events.tripVanished.map(event => event.tripId).join() === 'A1');
+
+    const legacy = new TripTracker({ vanishAfter: 180 });
+    const untagged = trip('T7', [['104S', 600], ['107S', 900]]);
+    delete untagged.feedId;
+    legacy.update(snapshot(0, [untagged]));
+    legacy.update(snapshot(300, [], [], outage));
+    check('untagged trains matched to their feed by route', legacy.getTrip('T7')?.status === 'active');
+
+    tracker.update(snapshot(660, [trip('T6', [['107S', 900]])]));
+    check('tracking resumes with the feed', tracker.getTrip('T6')?.stops.some(stop => stop.stopId === '104S'));
+}
+
+function main() {
+    console.log('🚆 Trip tracker test');
+
+    testTrajectory();
+    testReappearance();
+    testFeedOutage();
+
+    process.exit(summarize() ? 0 : 1);
+}
+
+main();